@@ -0,0 +1,80 @@
+import addressService from '../services/addressService.js';
+import serviceAreaService from '../services/serviceAreaService.js';
+
+const logError = (err, location) => {
+  console.error(`[AddressController:${location}]`, err);
+};
+
+// Errors thrown by the address services carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, ...(err.code ? { code: err.code } : {}), message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+// ✅ Saved addresses, each with whether we deliver there (user)
+export const getMyAddresses = async (req, res) => {
+  try {
+    const addresses = await addressService.listAddresses(req.user.id);
+    res.json({ success: true, addresses });
+  } catch (err) {
+    logError(err, 'getMyAddresses');
+    sendError(res, err, 'Failed to fetch addresses.');
+  }
+};
+
+// ✅ Save a new address (user)
+export const addAddress = async (req, res) => {
+  try {
+    const result = await addressService.addAddress(req.user.id, req.body);
+    res.status(201).json({ success: true, ...result, message: 'Address added successfully' });
+  } catch (err) {
+    logError(err, 'addAddress');
+    sendError(res, err, 'Failed to add address.');
+  }
+};
+
+// ✅ Edit a saved address (user)
+export const updateAddress = async (req, res) => {
+  try {
+    const result = await addressService.updateAddress(req.user.id, req.params.id, req.body);
+    res.json({ success: true, ...result, message: 'Address updated' });
+  } catch (err) {
+    logError(err, 'updateAddress');
+    sendError(res, err, 'Failed to update address.');
+  }
+};
+
+// ✅ Delete a saved address (user)
+export const deleteAddress = async (req, res) => {
+  try {
+    const addresses = await addressService.deleteAddress(req.user.id, req.params.id);
+    res.json({ success: true, addresses, message: 'Address deleted' });
+  } catch (err) {
+    logError(err, 'deleteAddress');
+    sendError(res, err, 'Failed to delete address.');
+  }
+};
+
+// ✅ Make a saved address the default (user)
+export const setDefaultAddress = async (req, res) => {
+  try {
+    const addresses = await addressService.setDefaultAddress(req.user.id, req.params.id);
+    res.json({ success: true, addresses, message: 'Default address updated' });
+  } catch (err) {
+    logError(err, 'setDefaultAddress');
+    sendError(res, err, 'Failed to update default address.');
+  }
+};
+
+// ✅ Do we deliver to this pincode? (public)
+export const checkServiceability = async (req, res) => {
+  try {
+    const result = await serviceAreaService.checkServiceability(req.params.pincode);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logError(err, 'checkServiceability');
+    sendError(res, err, 'Failed to check pincode.');
+  }
+};
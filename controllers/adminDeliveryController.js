@@ -7,6 +7,10 @@ import {
 import { 
   sendStatusUpdateNotification 
 } from '../services/communicationService.js';
+import orderLifecycleService from '../services/orderLifecycleService.js';
+
+// Warehouse managers only see and assign their own warehouse's orders
+const orderScope = (req) => (req.warehouseScope ? { warehouseId: req.warehouseScope } : {});
 
 // @desc    Create new delivery agent
 // @route   POST /api/admin/delivery/agents
@@ -314,7 +318,7 @@ export const assignOrderToAgent = async (req, res) => {
     const { deliverySlot } = req.body;
 
     // Find order
-    const order = await Order.findById(orderId).populate('userId', 'name email phone');
+    const order = await Order.findOne({ _id: orderId, ...orderScope(req) }).populate('userId', 'name email phone');
 
     if (!order) {
       return res.status(404).json({
@@ -349,12 +353,24 @@ export const assignOrderToAgent = async (req, res) => {
     }
 
     // Assign order
+    const change = orderLifecycleService.applyTransition(order, {
+      deliveryStatus: 'assigned',
+      actor: orderLifecycleService.getRequestActor(req),
+      reason: `Assigned to ${agent.name}`
+    });
     order.delivery.agent = agentId;
-    order.delivery.status = 'assigned';
     order.delivery.assignedAt = new Date();
 
     // Set delivery slot if provided
     if (deliverySlot) {
+      const previousSlot = order.delivery.slot?.date
+        ? { date: order.delivery.slot.date, window: `${order.delivery.slot.startTime} - ${order.delivery.slot.endTime}` }
+        : { date: order.deliverySlot?.date, window: order.deliverySlot?.timeSlot };
+      order.recordSlotChange(
+        previousSlot,
+        { date: new Date(deliverySlot.date), window: `${deliverySlot.startTime} - ${deliverySlot.endTime}` },
+        orderLifecycleService.getRequestActor(req)
+      );
       order.delivery.slot = {
         date: new Date(deliverySlot.date),
         startTime: deliverySlot.startTime,
@@ -363,7 +379,7 @@ export const assignOrderToAgent = async (req, res) => {
       };
     }
 
-    await order.save();
+    await orderLifecycleService.commitTransition(order, change);
 
     // Send notification to customer
     try {
@@ -424,7 +440,8 @@ export const getUnassignedOrders = async (req, res) => {
         { 'delivery.agent': null },
         { 'delivery.status': 'pending' }
       ],
-      status: { $in: ['Pending', 'Shipped'] }
+      status: { $in: ['Pending', 'Shipped'] },
+      ...orderScope(req)
     })
     .populate('userId', 'name email phone')
     .sort({ createdAt: -1 })
@@ -438,7 +455,8 @@ export const getUnassignedOrders = async (req, res) => {
         { 'delivery.agent': null },
         { 'delivery.status': 'pending' }
       ],
-      status: { $in: ['Pending', 'Shipped'] }
+      status: { $in: ['Pending', 'Shipped'] },
+      ...orderScope(req)
     });
 
     const totalPages = Math.ceil(totalOrders / parseInt(limit));
@@ -2,13 +2,34 @@ import Return from '../models/Return.js';
 import Order from '../models/Order.js';
 import User from '../models/User.js';
 import Transaction from '../models/Transaction.js';
+import ReturnRefund from '../models/ReturnRefund.js';
 import { 
   sendReturnDecisionNotification,
   sendRefundProcessedNotification 
 } from '../services/communicationService.js';
+import returnRefundService from '../services/returnRefundService.js';
+import returnAnalyticsService from '../services/returnAnalyticsService.js';
 
 // Admin Return Management
 
+// Warehouse managers only handle returns of orders shipped from their warehouse (see resolveWarehouseScope)
+const orderScope = (req) => (req.warehouseScope ? { warehouseId: req.warehouseScope } : {});
+
+const orderInScope = async (req, orderId) =>
+  !req.warehouseScope || Boolean(await Order.exists({ _id: orderId?._id || orderId, ...orderScope(req) }));
+
+// Filter for return listings
+const returnScope = async (req) => (req.warehouseScope
+  ? { orderId: { $in: await Order.distinct('_id', orderScope(req)) } }
+  : {});
+
+// Refund legs belong to the order they refund
+const refundInScope = async (req, refundId) => {
+  if (!req.warehouseScope) return true;
+  const refund = await ReturnRefund.findById(refundId).select('orderId');
+  return Boolean(refund) && orderInScope(req, refund.orderId);
+};
+
 // Get All Returns with Filters
 export const getAllReturns = async (req, res) => {
   try {
@@ -48,6 +69,8 @@ export const getAllReturns = async (req, res) => {
       if (dateTo) query.requestedAt.$lte = new Date(dateTo);
     }
 
+    Object.assign(query, await returnScope(req));
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
     const returns = await Return.find(query)
@@ -142,7 +165,7 @@ export const getAdminReturnDetails = async (req, res) => {
       .populate('adminReview.reviewedBy', 'name email')
       .populate('adminReview.assignedToWarehouse', 'name email');
 
-    if (!returnRequest) {
+    if (!returnRequest || !(await orderInScope(req, returnRequest.orderId))) {
       return res.status(404).json({
         success: false,
         message: 'Return request not found'
@@ -196,7 +219,7 @@ export const reviewReturnRequest = async (req, res) => {
     const { decision, adminComments, pickupCharge } = req.body;
 
     const returnRequest = await Return.findById(returnId);
-    if (!returnRequest) {
+    if (!returnRequest || !(await orderInScope(req, returnRequest.orderId))) {
       return res.status(404).json({
         success: false,
         message: 'Return request not found'
@@ -278,7 +301,7 @@ export const togglePickupCharge = async (req, res) => {
     const { isFree, reason } = req.body;
 
     const returnRequest = await Return.findById(returnId);
-    if (!returnRequest) {
+    if (!returnRequest || !(await orderInScope(req, returnRequest.orderId))) {
       return res.status(404).json({
         success: false,
         message: 'Return request not found'
@@ -321,7 +344,8 @@ export const getPendingApprovalReturns = async (req, res) => {
 
     const query = { 
       status: 'quality_checked',
-      'refund.warehouseRecommendation.recommendation': { $exists: true }
+      'refund.warehouseRecommendation.recommendation': { $exists: true },
+      ...(await returnScope(req))
     };
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -368,7 +392,7 @@ export const makeFinalRefundDecision = async (req, res) => {
     const { decision, finalAmount, adminNotes, deductions = [] } = req.body;
 
     const returnRequest = await Return.findById(returnId).populate('customerId');
-    if (!returnRequest) {
+    if (!returnRequest || !(await orderInScope(req, returnRequest.orderId))) {
       return res.status(404).json({
         success: false,
         message: 'Return request not found'
@@ -473,7 +497,7 @@ export const processCoinRefund = async (req, res) => {
     const { returnId } = req.params;
 
     const returnRequest = await Return.findById(returnId).populate('customerId orderId');
-    if (!returnRequest) {
+    if (!returnRequest || !(await orderInScope(req, returnRequest.orderId))) {
       return res.status(404).json({
         success: false,
         message: 'Return request not found'
@@ -547,100 +571,38 @@ export const processCoinRefund = async (req, res) => {
       finalAmount = finalCoins / 5;
     }
     
-    // Check for pickup charges - they should already be deducted from finalCoins
-    const deductions = returnRequest.refund.adminDecision.deductions || [];
-    const pickupChargeDeduction = deductions.find(d => d.type === 'pickup_charge');
-    let pickupChargeTransactionId = null;
-    
-    console.log(`Processing refund: ${finalCoins} coins to be credited`);
-    if (pickupChargeDeduction) {
-      console.log(`Pickup charge found: ${pickupChargeDeduction.amount} rupees (already deducted from finalCoins)`);
-    }
-    
-    // The finalCoins already has pickup charges deducted, so we just credit the final amount
-    // No need to deduct pickup charges separately from wallet
-
-    // Update user wallet balance with refund
-    const currentBalance = (await User.findById(user._id)).wallet?.balance || 0;
-    const newWalletBalance = currentBalance + finalCoins;
-    
-    await User.findByIdAndUpdate(user._id, {
-      'wallet.balance': newWalletBalance,
-      'wallet.totalEarned': (user.wallet?.totalEarned || 0) + finalCoins
+    // Coins by default; money can go back to the original payment for prepaid orders
+    const { refundMethod = 'coins', originalPaymentAmount } = req.body || {};
+    const result = await returnRefundService.processReturnRefund(returnRequest, {
+      method: refundMethod,
+      finalAmount,
+      finalCoins,
+      originalPaymentAmount,
+      processedBy: adminId
     });
 
-    // Create wallet transaction
-    const transaction = new Transaction({
-      userId: user._id,
-      type: 'REFUND',
-      amount: finalCoins,
-      description: `Refund for return request ${returnRequest.returnRequestId}`,
-      orderId: returnRequest.orderId._id,
-      returnId: returnRequest._id,
-      balanceAfter: newWalletBalance,
-      metadata: {
-        refundDetails: {
-          originalAmount: returnRequest.calculateRefund().originalAmount,
-          refundAmount: finalAmount,
-          conversionRate: 5,
-          deductions: returnRequest.refund.adminDecision.deductions,
-          processedBy: adminId,
-          returnReason: returnRequest.returnReason
-        }
-      },
-      status: 'COMPLETED'
-    });
-
-    await transaction.save();
-
-    // Update return processing details
-    returnRequest.refund.processing = {
-      processedBy: adminId,
-      processedAt: new Date(),
-      walletTransactionId: transaction._id,
-      pickupChargeTransactionId: pickupChargeTransactionId,
-      coinsCredited: finalCoins,
-      originalAmount: returnRequest.calculateRefund().originalAmount,
-      processingStatus: 'completed'
-    };
-
-    // Mark return as completed
-    returnRequest.updateStatus('refund_processed', adminId, 'Refund processed successfully', true);
-    returnRequest.updateStatus('completed', adminId, 'Return process completed', true);
-    returnRequest.completedAt = new Date();
-
-    await returnRequest.save();
-
-    // Update order return info
-    const order = await Order.findById(returnRequest.orderId);
-    if (order) {
-      order.returnInfo.hasActiveReturn = false;
-      // Update return history
-      const historyEntry = order.returnInfo.returnHistory.find(
-        h => h.returnId.toString() === returnId
-      );
-      if (historyEntry) {
-        historyEntry.status = 'completed';
-        historyEntry.completedAt = new Date();
-      }
-      await order.save();
-    }
-
     // Send notification to customer
-    await sendRefundProcessedNotification(user, returnRequest, transaction);
+    if (result.transaction) {
+      await sendRefundProcessedNotification(returnRequest.customerId, returnRequest, result.transaction);
+    }
 
     res.json({
       success: true,
       data: {
-        transactionId: transaction._id,
-        coinsCredited: finalCoins,
-        newWalletBalance: newWalletBalance,
+        transactionId: result.transaction?._id || null,
+        coinsCredited: result.coinsCredited,
+        moneyRefunded: result.moneyRefunded,
+        newWalletBalance: result.newWalletBalance,
+        refunds: result.refunds,
         return: returnRequest
       }
     });
 
   } catch (error) {
     console.error('Error processing coin refund:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to process refund',
@@ -671,7 +633,7 @@ export const bulkProcessRefunds = async (req, res) => {
         // Process each return individually
         const returnRequest = await Return.findById(returnId).populate('customerId orderId');
         
-        if (!returnRequest || returnRequest.status !== 'refund_approved') {
+        if (!returnRequest || returnRequest.status !== 'refund_approved' || !(await orderInScope(req, returnRequest.orderId))) {
           results.push({
             returnId: returnId,
             success: false,
@@ -762,6 +724,148 @@ export const bulkProcessRefunds = async (req, res) => {
   }
 };
 
+// Get Refund Options (coins, original payment, split)
+export const getRefundOptions = async (req, res) => {
+  try {
+    const returnRequest = await Return.findById(req.params.returnId);
+    if (!returnRequest || !(await orderInScope(req, returnRequest.orderId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    const options = await returnRefundService.getRefundOptions(returnRequest);
+    res.json({
+      success: true,
+      data: {
+        ...options,
+        finalAmount: returnRequest.refund.adminDecision?.finalAmount ?? null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching refund options:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refund options',
+      error: error.message
+    });
+  }
+};
+
+// Get Refund Records of a Return
+export const getReturnRefunds = async (req, res) => {
+  try {
+    const returnRequest = await Return.findById(req.params.returnId).select('orderId');
+    if (!returnRequest || !(await orderInScope(req, returnRequest.orderId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    const refunds = await returnRefundService.getReturnRefunds(req.params.returnId);
+    res.json({
+      success: true,
+      data: { refunds }
+    });
+
+  } catch (error) {
+    console.error('Error fetching return refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds',
+      error: error.message
+    });
+  }
+};
+
+// Retry a Failed Original-Payment Refund (again with the provider, or as coins)
+export const retryReturnRefund = async (req, res) => {
+  try {
+    if (!(await refundInScope(req, req.params.refundId))) {
+      return res.status(404).json({ success: false, message: 'Refund not found' });
+    }
+
+    const refund = await returnRefundService.retryRefund(req.params.refundId, {
+      method: req.body?.method,
+      processedBy: req.user.id
+    });
+
+    res.json({
+      success: refund.status !== 'failed',
+      message: refund.status === 'failed' ? `Refund retry failed: ${refund.failureReason}` : 'Refund retried',
+      data: { refund }
+    });
+
+  } catch (error) {
+    console.error('Error retrying refund:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry refund',
+      error: error.message
+    });
+  }
+};
+
+// Record the Outcome of a Manual UPI Refund
+export const updateManualRefund = async (req, res) => {
+  try {
+    if (!(await refundInScope(req, req.params.refundId))) {
+      return res.status(404).json({ success: false, message: 'Refund not found' });
+    }
+
+    const { status, reference, note } = req.body;
+    const refund = await returnRefundService.updateManualRefund(req.params.refundId, { status, reference, note });
+
+    res.json({
+      success: true,
+      data: { refund }
+    });
+
+  } catch (error) {
+    console.error('Error updating manual refund:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update refund',
+      error: error.message
+    });
+  }
+};
+
+// Refund Reconciliation (coins vs money, pending and failed provider refunds)
+export const getRefundReconciliation = async (req, res) => {
+  try {
+    // Reconciliation covers the refunds of every warehouse
+    if (req.warehouseScope) {
+      return res.status(403).json({ success: false, message: 'Only an admin can view refund reconciliation' });
+    }
+
+    const { timeframe = '30d', startDate, endDate } = req.query;
+    const reconciliation = await returnAnalyticsService.getRefundReconciliation({ timeframe, startDate, endDate });
+
+    res.json({
+      success: true,
+      data: reconciliation
+    });
+
+  } catch (error) {
+    console.error('Error fetching refund reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refund reconciliation',
+      error: error.message
+    });
+  }
+};
+
 // Helper Functions
 
 const getSuggestedAction = (returnRequest) => {
@@ -784,7 +888,7 @@ const getSuggestedAction = (returnRequest) => {
   }
   
   if (returnRequest.status === 'refund_approved') {
-    return 'Process coin refund to customer wallet';
+    return 'Process refund (coins or original payment method)';
   }
   
   return 'No action required';
@@ -1,5 +1,11 @@
+import mongoose from 'mongoose';
 import BatchGroup from '../models/BatchGroup.js';
 import Product from '../models/Product.js';
+import Warehouse from '../models/Warehouse.js';
+import stockTransferService from '../services/stockTransferService.js';
+
+// Warehouse managers only see batch groups of their own warehouse (see resolveWarehouseScope)
+const scopeFilter = (req) => (req.warehouseScope ? { warehouseId: req.warehouseScope } : {});
 
 /**
  * Get all batch groups with pagination and filtering
@@ -12,6 +18,7 @@ export const getAllBatchGroups = async (req, res) => {
       status,
       groupType,
       location,
+      warehouseId,
       search,
       sortBy = 'createdAt',
       sortOrder = 'desc'
@@ -23,6 +30,8 @@ export const getAllBatchGroups = async (req, res) => {
     if (status) query.status = status;
     if (groupType) query.groupType = groupType;
     if (location) query.location = new RegExp(location, 'i');
+    if (warehouseId && mongoose.Types.ObjectId.isValid(warehouseId)) query.warehouseId = warehouseId;
+    Object.assign(query, scopeFilter(req));
     if (search) {
       query.$or = [
         { batchGroupNumber: new RegExp(search, 'i') },
@@ -128,7 +137,7 @@ export const getBatchGroupById = async (req, res) => {
 
     console.log(`[BATCH CONTROLLER] Fetching batch group: ${id}`);
 
-    const batchGroup = await BatchGroup.findById(id)
+    const batchGroup = await BatchGroup.findOne({ _id: id, ...scopeFilter(req) })
       .populate('products.productId', 'name description category images price hasVariants variants stock')
       .populate('createdBy', 'name email')
       .populate('lastModifiedBy', 'name email')
@@ -279,7 +288,7 @@ export const getBatchAnalytics = async (req, res) => {
     console.log('[BATCH CONTROLLER] Generating batch analytics');
 
     // Get all batch groups for analytics
-    const allBatchGroups = await BatchGroup.find({}).lean();
+    const allBatchGroups = await BatchGroup.find(scopeFilter(req)).lean();
 
     // Calculate overall statistics
     let totalBatchGroups = allBatchGroups.length;
@@ -402,7 +411,9 @@ export const getBatchAnalytics = async (req, res) => {
         groupType: groupTypeBreakdown,
         location: locationBreakdown,
         supplier: supplierBreakdown
-      }
+      },
+      // Units dispatched but not yet received are in no batch group's totals
+      transfers: await stockTransferService.getTransferSummary(req.warehouseScope)
     };
 
     console.log(`[BATCH CONTROLLER] Analytics generated for ${totalBatchGroups} batch groups`);
@@ -441,7 +452,7 @@ export const updateBatchGroup = async (req, res) => {
 
     console.log(`[BATCH CONTROLLER] Updating batch group: ${id}`);
 
-    const batchGroup = await BatchGroup.findById(id);
+    const batchGroup = await BatchGroup.findOne({ _id: id, ...scopeFilter(req) });
     if (!batchGroup) {
       return res.status(404).json({
         success: false,
@@ -449,9 +460,74 @@ export const updateBatchGroup = async (req, res) => {
       });
     }
 
+    // Recalls go through POST /batch-groups/:id/recall so affected orders are traced, and stay final
+    if (updates.status !== undefined && updates.status !== batchGroup.status
+      && (updates.status === 'Recalled' || batchGroup.status === 'Recalled')) {
+      return res.status(400).json({
+        success: false,
+        message: batchGroup.status === 'Recalled'
+          ? 'A recalled batch group cannot be put back into stock'
+          : 'Use the recall endpoint to recall a batch group'
+      });
+    }
+
+    // Moving a batch group to another warehouse: admins only, and the warehouse must exist
+    if (updates.warehouseId !== undefined || updates.location !== undefined) {
+      if (req.warehouseScope) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only an admin can move a batch group to another warehouse'
+        });
+      }
+      const target = updates.warehouseId !== undefined
+        ? (mongoose.Types.ObjectId.isValid(updates.warehouseId) ? await Warehouse.findById(updates.warehouseId) : null)
+        : await Warehouse.findOne({ name: updates.location });
+      if (!target) {
+        return res.status(400).json({
+          success: false,
+          message: 'Warehouse not found'
+        });
+      }
+      batchGroup.warehouseId = target._id;
+      batchGroup.location = target.name;
+    }
+
+    // Cost prices and landed costs: admins only. costs is [{ productId, variantId, costPrice }];
+    // units already delivered keep the cost they were delivered at
+    if (updates.costs !== undefined || updates.landedCosts !== undefined) {
+      if (req.warehouseScope) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only an admin can change batch costs'
+        });
+      }
+      for (const cost of Array.isArray(updates.costs) ? updates.costs : []) {
+        const found = cost?.productId && batchGroup.findProduct(cost.productId, cost.variantId || null);
+        const line = found?.variant || (found && !found.product.variants?.length ? found.product : null);
+        const costPrice = cost?.costPrice === null ? undefined : Number(cost?.costPrice);
+        if (!line || (costPrice !== undefined && (!Number.isFinite(costPrice) || costPrice < 0))) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid cost for product ${cost?.productId}${cost?.variantId ? ` variant ${cost.variantId}` : ''}`
+          });
+        }
+        line.costPrice = costPrice;
+      }
+      if (updates.landedCosts !== undefined) {
+        if (!Array.isArray(updates.landedCosts) || updates.landedCosts.some(cost => !(Number(cost?.amount) >= 0))) {
+          return res.status(400).json({
+            success: false,
+            message: 'landedCosts must be a list of { type, amount, note } with amounts of 0 or more'
+          });
+        }
+        batchGroup.landedCosts = updates.landedCosts.map(cost => ({ type: cost.type, amount: Number(cost.amount), note: cost.note }));
+      }
+      batchGroup.computeLandedUnitCosts();
+    }
+
     // Update allowed fields
     const allowedUpdates = [
-      'status', 'location', 'qualityChecked', 'qualityCheckDate', 
+      'status', 'qualityChecked', 'qualityCheckDate', 
       'qualityNotes', 'supplierInfo'
     ];
 
@@ -500,7 +576,8 @@ export const getBatchUtilizationByProduct = async (req, res) => {
 
     const batchGroups = await BatchGroup.find({
       'products.productId': productId,
-      status: 'Active'
+      status: 'Active',
+      ...scopeFilter(req)
     }).populate('products.productId', 'name images');
 
     const utilization = batchGroups.map(batchGroup => {
@@ -532,7 +609,8 @@ export const getBatchUtilizationByProduct = async (req, res) => {
         usedQuantity: usedQty,
         utilizationRate: totalQty > 0 ? ((usedQty / totalQty) * 100).toFixed(2) : 0,
         expiryDate: batchGroup.defaultExpiryDate,
-        location: batchGroup.location
+        location: batchGroup.location,
+        warehouseId: batchGroup.warehouseId
       };
     }).filter(Boolean);
 
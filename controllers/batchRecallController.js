@@ -0,0 +1,63 @@
+import batchRecallService from '../services/batchRecallService.js';
+
+const logError = (err, location) => {
+  console.error(`[BatchRecallController:${location}]`, err);
+};
+
+// Errors thrown by batchRecallService carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const getAdminId = (req) => req.user?.adminId || req.user?.id || null;
+
+const getActor = (req) => ({
+  id: getAdminId(req),
+  type: req.userType === 'subadmin' ? 'subadmin' : 'admin'
+});
+
+// A recall reaches customers and stock in every warehouse, so it is for admins only
+const denyScoped = (req, res) => {
+  if (!req.warehouseScope) return false;
+  res.status(403).json({ success: false, message: 'Only an admin can manage batch recalls' });
+  return true;
+};
+
+// ✅ Recall a batch group: block allocation, notify customers and admins, optionally raise returns (admin)
+export const recallBatchGroup = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const result = await batchRecallService.recallBatchGroup(req.params.id, req.body || {}, getActor(req));
+    res.json({ success: true, ...result, message: `Batch group ${result.batchGroups[0].batchGroupNumber} recalled` });
+  } catch (err) {
+    logError(err, 'recallBatchGroup');
+    sendError(res, err, 'Failed to recall batch group.');
+  }
+};
+
+// ✅ Finish the follow-up of a recall that was interrupted or left orders to stop (admin)
+export const resumeRecall = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const result = await batchRecallService.resumeRecall(req.params.id, getActor(req));
+    res.json({ success: true, ...result, message: `Recall of batch group ${result.batchGroups[0].batchGroupNumber} resumed` });
+  } catch (err) {
+    logError(err, 'resumeRecall');
+    sendError(res, err, 'Failed to resume batch recall.');
+  }
+};
+
+// ✅ Recall report for regulators (admin)
+export const getRecallReport = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const report = await batchRecallService.getRecallReport(req.params.id);
+    res.json({ success: true, report });
+  } catch (err) {
+    logError(err, 'getRecallReport');
+    sendError(res, err, 'Failed to build recall report.');
+  }
+};
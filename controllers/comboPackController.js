@@ -74,7 +74,10 @@ export const createComboPack = async (req, res) => {
       category,
       tags,
       featured,
-      badgeText
+      badgeText,
+      hsnCode,
+      gstRate,
+      weight
     } = req.body;
 
     // Validate required fields
@@ -157,6 +160,9 @@ export const createComboPack = async (req, res) => {
       tags: tags || [],
       featured: featured || false,
       badgeText,
+      hsnCode,
+      gstRate,
+      weight,
       createdBy: req.user?.adminId || req.user?.id // Support both admin and user creation
     });
 
@@ -0,0 +1,280 @@
+import mongoose from 'mongoose';
+import CouponCampaign from '../models/CouponCampaign.js';
+import couponCampaignService, { CAMPAIGN_CONSTANTS } from '../services/couponCampaignService.js';
+import { toCSV } from '../utils/csvParser.js';
+
+const logError = (err, location) => {
+  console.error(`[CouponCampaignController:${location}]`, err);
+};
+
+const CHANNELS = ['sms', 'whatsapp', 'email', 'push', 'other'];
+const STATUSES = ['active', 'paused', 'ended'];
+
+const getAdminId = (req) => req.user?.adminId || req.user?.id || null;
+
+// Campaign codes reach customers of every warehouse, so warehouse managers do not manage them
+const denyScoped = (req, res) => {
+  if (!req.warehouseScope) return false;
+  res.status(403).json({ success: false, message: 'Only an admin can manage coupon campaigns' });
+  return true;
+};
+
+const validateCount = (count) => {
+  if (!Number.isInteger(count) || count <= 0 || count > CAMPAIGN_CONSTANTS.MAX_CODES_PER_REQUEST) {
+    return {
+      field: 'count',
+      message: `Number of codes must be an integer between 1 and ${CAMPAIGN_CONSTANTS.MAX_CODES_PER_REQUEST}.`
+    };
+  }
+  return null;
+};
+
+const findCampaign = async (id, res) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: 'Invalid campaign ID.' });
+    return null;
+  }
+  const campaign = await CouponCampaign.findById(id);
+  if (!campaign) {
+    res.status(404).json({ message: 'Campaign not found.' });
+    return null;
+  }
+  return campaign;
+};
+
+// 🔹 Create a campaign and generate its codes (admin)
+export const createCampaign = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const { name, description, template = {}, channel, count } = req.body;
+
+    // ==== FIELD-BY-FIELD VALIDATION ====
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ field: 'name', message: 'Campaign name is required.' });
+    }
+
+    const prefix = typeof template.prefix === 'string' ? template.prefix.trim().toUpperCase() : '';
+    if (!/^[A-Z0-9]{2,10}$/.test(prefix)) {
+      return res.status(400).json({
+        field: 'template.prefix',
+        message: 'Prefix must be 2-10 letters or digits.'
+      });
+    }
+
+    if (template.codeLength != null &&
+      (!Number.isInteger(template.codeLength) || template.codeLength < 4 || template.codeLength > 16)) {
+      return res.status(400).json({
+        field: 'template.codeLength',
+        message: 'Code length must be an integer between 4 and 16.'
+      });
+    }
+
+    if (!template.type || !['percent', 'flat'].includes(template.type.toLowerCase())) {
+      return res.status(400).json({
+        field: 'template.type',
+        message: 'Coupon type must be "percent" or "flat".'
+      });
+    }
+
+    if (template.amount == null || isNaN(template.amount) || Number(template.amount) <= 0) {
+      return res.status(400).json({
+        field: 'template.amount',
+        message: 'Coupon amount must be a positive number.'
+      });
+    }
+
+    if (template.expiry) {
+      const expiryDate = new Date(template.expiry);
+      if (isNaN(expiryDate.getTime()) || expiryDate < new Date()) {
+        return res.status(400).json({
+          field: 'template.expiry',
+          message: 'Expiry must be a valid future date.'
+        });
+      }
+    }
+
+    if (channel != null && !CHANNELS.includes(channel)) {
+      return res.status(400).json({ field: 'channel', message: `Channel must be one of ${CHANNELS.join(', ')}.` });
+    }
+
+    const countError = validateCount(count);
+    if (countError) {
+      return res.status(400).json(countError);
+    }
+
+    const { campaign, generation } = await couponCampaignService.createCampaign({
+      name: name.trim(),
+      description,
+      channel,
+      count,
+      template: {
+        ...template,
+        prefix,
+        type: template.type.toLowerCase(),
+        amount: Number(template.amount),
+        expiry: template.expiry ? new Date(template.expiry) : null
+      }
+    }, getAdminId(req));
+
+    res.status(201).json({
+      message: `Campaign created with ${generation.generated} codes.`,
+      campaign,
+      generation: { requested: generation.requested, generated: generation.generated }
+    });
+  } catch (err) {
+    logError(err, 'createCampaign');
+    res.status(500).json({ message: 'Failed to create campaign.', error: err.message });
+  }
+};
+
+// ✅ List campaigns with roll-up stats (admin)
+export const getAllCampaigns = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const campaigns = await CouponCampaign.find().sort({ createdAt: -1 });
+    const withStats = await Promise.all(campaigns.map(async campaign => ({
+      ...campaign.toObject(),
+      stats: await couponCampaignService.getCampaignStats(campaign._id)
+    })));
+
+    res.json({ count: withStats.length, campaigns: withStats });
+  } catch (err) {
+    logError(err, 'getAllCampaigns');
+    res.status(500).json({ message: 'Failed to fetch campaigns.', error: err.message });
+  }
+};
+
+// ✅ Campaign detail with stats (admin)
+export const getCampaignById = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const campaign = await findCampaign(req.params.id, res);
+    if (!campaign) return;
+
+    const stats = await couponCampaignService.getCampaignStats(campaign._id);
+    res.json({ campaign, stats });
+  } catch (err) {
+    logError(err, 'getCampaignById');
+    res.status(500).json({ message: 'Failed to fetch campaign.', error: err.message });
+  }
+};
+
+// ✅ Generate more codes for an existing campaign (admin)
+export const generateMoreCodes = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const campaign = await findCampaign(req.params.id, res);
+    if (!campaign) return;
+
+    if (campaign.status === 'ended') {
+      return res.status(400).json({ message: 'Cannot add codes to an ended campaign.' });
+    }
+
+    const countError = validateCount(req.body.count);
+    if (countError) {
+      return res.status(400).json(countError);
+    }
+
+    const generation = await couponCampaignService.generateCampaignCodes(campaign, req.body.count);
+    res.json({
+      message: `${generation.generated} codes generated.`,
+      generation: { requested: generation.requested, generated: generation.generated },
+      totalCodes: campaign.totalCodes
+    });
+  } catch (err) {
+    logError(err, 'generateMoreCodes');
+    res.status(500).json({ message: 'Failed to generate codes.', error: err.message });
+  }
+};
+
+// ✅ Record which users were sent which codes (admin)
+export const assignCampaignCodes = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const campaign = await findCampaign(req.params.id, res);
+    if (!campaign) return;
+
+    const { userIds, channel } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0 || !userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ field: 'userIds', message: 'userIds must be a non-empty list of user IDs.' });
+    }
+
+    if (channel != null && !CHANNELS.includes(channel)) {
+      return res.status(400).json({ field: 'channel', message: `Channel must be one of ${CHANNELS.join(', ')}.` });
+    }
+
+    const result = await couponCampaignService.assignCodesToUsers(campaign, userIds, {
+      channel,
+      sentBy: req.user?.adminId || null
+    });
+
+    res.json({
+      message: `${result.assigned} code(s) assigned.`,
+      ...result
+    });
+  } catch (err) {
+    logError(err, 'assignCampaignCodes');
+    res.status(500).json({ message: 'Failed to assign codes.', error: err.message });
+  }
+};
+
+// ✅ Download every code with distribution and redemption status as CSV (admin)
+export const exportCampaignCodes = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const campaign = await findCampaign(req.params.id, res);
+    if (!campaign) return;
+
+    const rows = await couponCampaignService.getCampaignExportRows(campaign._id);
+    const csv = toCSV(rows, [
+      { key: 'code', header: 'Code' },
+      { key: 'type', header: 'Type' },
+      { key: 'amount', header: 'Amount' },
+      { key: 'expiry', header: 'Expiry' },
+      { key: 'active', header: 'Active' },
+      { key: 'assignedUserId', header: 'User ID' },
+      { key: 'assignedUserName', header: 'User Name' },
+      { key: 'assignedUserPhone', header: 'Phone' },
+      { key: 'assignedUserEmail', header: 'Email' },
+      { key: 'channel', header: 'Channel' },
+      { key: 'sentAt', header: 'Sent At' },
+      { key: 'redeemed', header: 'Redeemed' },
+      { key: 'redeemedAt', header: 'Redeemed At' },
+      { key: 'orderId', header: 'Order ID' },
+      { key: 'discountAmount', header: 'Discount' }
+    ]);
+
+    const filename = `campaign-${campaign.template.prefix}-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (err) {
+    logError(err, 'exportCampaignCodes');
+    res.status(500).json({ message: 'Failed to export campaign codes.', error: err.message });
+  }
+};
+
+// ✅ Pause, resume or end a campaign (admin)
+export const updateCampaignStatus = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const campaign = await findCampaign(req.params.id, res);
+    if (!campaign) return;
+
+    const { status } = req.body;
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ field: 'status', message: `Status must be one of ${STATUSES.join(', ')}.` });
+    }
+
+    if (campaign.status === 'ended') {
+      return res.status(400).json({ message: 'An ended campaign cannot be changed.' });
+    }
+
+    const result = await couponCampaignService.updateCampaignStatus(campaign, status);
+    res.json({ message: `Campaign ${status}.`, ...result });
+  } catch (err) {
+    logError(err, 'updateCampaignStatus');
+    res.status(500).json({ message: 'Failed to update campaign status.', error: err.message });
+  }
+};
@@ -1,12 +1,68 @@
+import mongoose from 'mongoose';
 import Coupon from '../models/Coupon.js';
+import couponService from '../services/couponService.js';
+import pricingService from '../services/pricingService.js';
+
+// Coupons apply store-wide, so warehouse managers do not manage them
+const denyScoped = (req, res) => {
+  if (!req.warehouseScope) return false;
+  res.status(403).json({ success: false, message: 'Only an admin can manage coupons' });
+  return true;
+};
 
 const logError = (err, location) => {
   console.error(`[CouponController:${location}]`, err);
 };
 
+const isObjectIdList = (value) =>
+  Array.isArray(value) && value.every(id => mongoose.Types.ObjectId.isValid(id));
+
+// Validate scoping, per-user and stacking fields shared by create and update
+const validateCouponRules = (body) => {
+  const {
+    applicableCategories,
+    applicableProducts,
+    applicableComboPacks,
+    perUserLimit,
+    firstOrderOnly,
+    referredUsersOnly,
+    stackableWithCoins
+  } = body;
+
+  if (applicableCategories != null &&
+    (!Array.isArray(applicableCategories) || applicableCategories.some(c => typeof c !== 'string' || !c.trim()))) {
+    return { field: 'applicableCategories', message: 'Applicable categories must be a list of category names.' };
+  }
+
+  if (applicableProducts != null && !isObjectIdList(applicableProducts)) {
+    return { field: 'applicableProducts', message: 'Applicable products must be a list of product IDs.' };
+  }
+
+  if (applicableComboPacks != null && !isObjectIdList(applicableComboPacks)) {
+    return { field: 'applicableComboPacks', message: 'Applicable combo packs must be a list of combo pack IDs.' };
+  }
+
+  if (perUserLimit != null && (!Number.isInteger(perUserLimit) || perUserLimit <= 0)) {
+    return { field: 'perUserLimit', message: 'Per-user limit must be a positive integer.' };
+  }
+
+  for (const field of ['firstOrderOnly', 'referredUsersOnly', 'stackableWithCoins']) {
+    if (body[field] != null && typeof body[field] !== 'boolean') {
+      return { field, message: `${field} must be true or false.` };
+    }
+  }
+
+  if (firstOrderOnly === true && perUserLimit != null && perUserLimit > 1) {
+    return { field: 'perUserLimit', message: 'First-order coupons can only be used once per user.' };
+  }
+
+  return null;
+};
+
 // 🔹 Create a new coupon (admin)
 export const createCoupon = async (req, res) => {
   try {
+    if (denyScoped(req, res)) return;
     const {
       code,
       type,
@@ -84,6 +140,11 @@ export const createCoupon = async (req, res) => {
       });
     }
 
+    const ruleError = validateCouponRules(req.body);
+    if (ruleError) {
+      return res.status(400).json(ruleError);
+    }
+
     // ==== CHECK DUPLICATE COUPON ====
     const existing = await Coupon.findOne({ code: code.trim().toUpperCase() });
     if (existing) {
@@ -102,7 +163,15 @@ export const createCoupon = async (req, res) => {
       minOrder: minOrder != null ? Number(minOrder) : null,
       maxDiscount: maxDiscount != null ? Number(maxDiscount) : null,
       usageLimit: usageLimit != null ? Number(usageLimit) : null,
-      active: active ?? true
+      active: active ?? true,
+      description: req.body.description,
+      applicableCategories: (req.body.applicableCategories || []).map(c => c.trim()),
+      applicableProducts: req.body.applicableProducts || [],
+      applicableComboPacks: req.body.applicableComboPacks || [],
+      perUserLimit: req.body.perUserLimit ?? null,
+      firstOrderOnly: req.body.firstOrderOnly ?? false,
+      referredUsersOnly: req.body.referredUsersOnly ?? false,
+      stackableWithCoins: req.body.stackableWithCoins ?? true
     });
 
     await coupon.save();
@@ -122,9 +191,19 @@ export const createCoupon = async (req, res) => {
 
 
 // ✅ Get all coupons (admin)
-export const getAllCoupons = async (_req, res) => {
+// Campaign codes are listed only for a given campaignId or with includeCampaignCodes=true
+export const getAllCoupons = async (req, res) => {
   try {
-    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    if (denyScoped(req, res)) return;
+    const { campaignId, includeCampaignCodes } = req.query;
+    const query = {};
+    if (campaignId) {
+      query.campaignId = campaignId;
+    } else if (includeCampaignCodes !== 'true') {
+      query.campaignId = null;
+    }
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
     res.json({ count: coupons.length, coupons });
   } catch (err) {
     logError(err, 'getAllCoupons');
@@ -132,28 +211,64 @@ export const getAllCoupons = async (_req, res) => {
   }
 };
 
-// ✅ Validate coupon by code (public)
+// ✅ Validate coupon by code (public; user-level rules apply when logged in)
 export const validateCoupon = async (req, res) => {
   try {
-    const { code } = req.body;
+    const { code, items, subtotal, coinsUsed } = req.body;
 
     if (!code) return res.status(400).json({ message: 'Coupon code is required.' });
 
-    const now = new Date();
-    const coupon = await Coupon.findOne({
-      code: code.trim().toUpperCase(),
-      active: true,
-      $or: [
-        { expiry: { $exists: false } },
-        { expiry: { $gte: now } }
-      ]
-    });
-
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
     if (!coupon) {
       return res.status(404).json({ message: 'Invalid or expired coupon.' });
     }
 
-    res.json({ valid: true, coupon });
+    // Price the cart on the server when lines are sent, so scoping can be checked
+    let pricedItems = null;
+    let orderSubtotal = Number(subtotal) || 0;
+    if (Array.isArray(items) && items.length > 0) {
+      const pricing = await pricingService.priceOrderItems(items);
+      if (!pricing.success) {
+        return res.status(400).json({ valid: false, message: pricing.errors.join(', '), errors: pricing.errors });
+      }
+      pricedItems = pricing.items;
+      orderSubtotal = pricing.subtotal;
+    }
+
+    const result = await couponService.evaluateCoupon({
+      coupon,
+      userId: req.user?.id || null,
+      items: pricedItems,
+      subtotal: orderSubtotal,
+      coinsUsed: Number(coinsUsed) || 0
+    });
+
+    if (!result.isValid) {
+      return res.status(400).json({
+        valid: false,
+        message: result.errors[0],
+        errors: result.errors
+      });
+    }
+
+    // A product or category coupon checked without the cart lines has no amount yet
+    if (result.eligibleItemsOnly) {
+      return res.json({
+        valid: true,
+        coupon,
+        eligibleItemsOnly: true,
+        message: 'This coupon applies to eligible items only; send the cart items to see the discount.',
+        discountAmount: null,
+        eligibleSubtotal: null
+      });
+    }
+
+    res.json({
+      valid: true,
+      coupon,
+      discountAmount: result.discountAmount,
+      eligibleSubtotal: result.eligibleSubtotal
+    });
   } catch (err) {
     logError(err, 'validateCoupon');
     res.status(500).json({ message: 'Failed to validate coupon.', error: err.message });
@@ -163,9 +278,15 @@ export const validateCoupon = async (req, res) => {
 // ✅ Update coupon (admin)
 export const updateCoupon = async (req, res) => {
   try {
+    if (denyScoped(req, res)) return;
     const { id } = req.params;
     const updateData = { ...req.body };
 
+    const ruleError = validateCouponRules(updateData);
+    if (ruleError) {
+      return res.status(400).json(ruleError);
+    }
+
     if (updateData.code) {
       updateData.code = updateData.code.trim().toUpperCase();
       const duplicate = await Coupon.findOne({ code: updateData.code, _id: { $ne: id } });
@@ -187,6 +308,7 @@ export const updateCoupon = async (req, res) => {
 // ✅ Delete coupon (admin)
 export const deleteCoupon = async (req, res) => {
   try {
+    if (denyScoped(req, res)) return;
     const { id } = req.params;
     const deleted = await Coupon.findByIdAndDelete(id);
     if (!deleted) {
@@ -198,3 +320,46 @@ export const deleteCoupon = async (req, res) => {
     res.status(500).json({ message: 'Failed to delete coupon.', error: err.message });
   }
 };
+
+// ✅ Redemption history for a coupon (admin)
+export const getCouponRedemptions = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found.' });
+
+    const history = await couponService.getRedemptionHistory(id, { page, limit, status: req.query.status });
+    res.json({ coupon: { id: coupon._id, code: coupon.code }, ...history });
+  } catch (err) {
+    logError(err, 'getCouponRedemptions');
+    res.status(500).json({ message: 'Failed to fetch coupon redemptions.', error: err.message });
+  }
+};
+
+// ✅ Revenue impact of a coupon (admin)
+export const getCouponImpact = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const { id } = req.params;
+    const coupon = await Coupon.findById(id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found.' });
+
+    const impact = await couponService.getCouponImpact(coupon._id);
+    res.json({
+      coupon: {
+        id: coupon._id,
+        code: coupon.code,
+        usedCount: coupon.usedCount,
+        usageLimit: coupon.usageLimit
+      },
+      impact
+    });
+  } catch (err) {
+    logError(err, 'getCouponImpact');
+    res.status(500).json({ message: 'Failed to fetch coupon impact.', error: err.message });
+  }
+};
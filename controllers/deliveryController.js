@@ -9,6 +9,7 @@ import {
   sendStatusUpdateNotification,
   sendOTPNotification
 } from '../services/communicationService.js';
+import orderLifecycleService from '../services/orderLifecycleService.js';
 
 // @desc    Get assigned orders for delivery agent
 // @route   GET /api/delivery/orders/assigned
@@ -271,12 +272,25 @@ export const updateDeliveryStatus = async (req, res) => {
       };
     }
 
-    // Update order
-    order.delivery.status = status;
+    // Update order; the order status follows the delivery status (see utils/orderLifecycle.js)
+    let change;
+    try {
+      change = orderLifecycleService.applyTransition(order, {
+        deliveryStatus: status,
+        actor: { role: 'delivery_agent', id: agentId },
+        reason: notes
+      });
+    } catch (transitionError) {
+      if (!transitionError.statusCode) throw transitionError;
+      return res.status(transitionError.statusCode).json({
+        success: false,
+        message: transitionError.message
+      });
+    }
     order.delivery.attempts.push(attempt);
     order.delivery.metrics.totalAttempts = order.delivery.attempts.length;
 
-    await order.save();
+    await orderLifecycleService.commitTransition(order, change);
 
     // Send status update notifications
     try {
@@ -396,10 +410,23 @@ export const reportDeliveryIssue = async (req, res) => {
     });
 
     // Update delivery status
-    order.delivery.status = 'failed';
+    let change;
+    try {
+      change = orderLifecycleService.applyTransition(order, {
+        deliveryStatus: 'failed',
+        actor: { role: 'delivery_agent', id: agentId },
+        reason: `${issueType}: ${description}`
+      });
+    } catch (transitionError) {
+      if (!transitionError.statusCode) throw transitionError;
+      return res.status(transitionError.statusCode).json({
+        success: false,
+        message: transitionError.message
+      });
+    }
     order.delivery.metrics.totalAttempts = order.delivery.attempts.length;
 
-    await order.save();
+    await orderLifecycleService.commitTransition(order, change);
 
     // Send notification to customer and admin
     try {
@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Return from '../models/Return.js';
+import invoiceService from '../services/invoiceService.js';
+
+const logError = (err, location) => {
+  console.error(`[InvoiceController:${location}]`, err);
+};
+
+// Errors thrown by the invoice service carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+// Warehouse managers only see documents of orders shipping from their warehouse (see resolveWarehouseScope)
+const orderScope = (req) => (req.warehouseScope ? { warehouseId: req.warehouseScope } : {});
+
+const orderInScope = async (req, orderId) => Boolean(await Order.exists({ _id: orderId, ...orderScope(req) }));
+
+const sendPdf = (res, document, pdf) => {
+  const fileName = `${document.number.replace(/\//g, '-')}.pdf`;
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+// ✅ Invoice and credit notes of one of the user's orders (user)
+export const getMyOrderDocuments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID.' });
+    }
+
+    const order = await Order.findById(orderId).select('userId');
+    if (!order || order.userId.toString() !== req.user.id.toString()) {
+      return res.status(404).json({ success: false, message: 'Order not found.' });
+    }
+
+    const documents = await invoiceService.getOrderDocuments(order._id);
+    res.json({ success: true, documents });
+  } catch (err) {
+    logError(err, 'getMyOrderDocuments');
+    res.status(500).json({ success: false, message: 'Failed to fetch invoices.', error: err.message });
+  }
+};
+
+// ✅ Download one of the user's invoices / credit notes (user)
+export const downloadMyDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+    }
+
+    const { document, pdf } = await invoiceService.getDocumentPdf(id, req.user.id);
+    sendPdf(res, document, pdf);
+  } catch (err) {
+    logError(err, 'downloadMyDocument');
+    sendError(res, err, 'Failed to generate PDF.');
+  }
+};
+
+// ✅ List invoices and credit notes (admin/sub-admin)
+export const listDocuments = async (req, res) => {
+  try {
+    const { type, financialYear, startDate, endDate, search, page, limit } = req.query;
+    if (type && !['invoice', 'credit_note'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'type must be invoice or credit_note.' });
+    }
+
+    const result = await invoiceService.listDocuments({
+      documentType: type,
+      financialYear,
+      startDate,
+      endDate,
+      search,
+      warehouseId: req.warehouseScope,
+      page,
+      limit
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logError(err, 'listDocuments');
+    res.status(500).json({ success: false, message: 'Failed to fetch invoices.', error: err.message });
+  }
+};
+
+// ✅ Invoice and credit notes of any order (admin/sub-admin)
+export const getOrderDocuments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID.' });
+    }
+    if (!(await orderInScope(req, orderId))) {
+      return res.status(404).json({ success: false, message: 'Order not found.' });
+    }
+
+    const documents = await invoiceService.getOrderDocuments(orderId);
+    res.json({ success: true, documents });
+  } catch (err) {
+    logError(err, 'getOrderDocuments');
+    res.status(500).json({ success: false, message: 'Failed to fetch invoices.', error: err.message });
+  }
+};
+
+// ✅ Download any invoice / credit note (admin/sub-admin)
+export const downloadDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid document ID.' });
+    }
+
+    const { document, pdf } = await invoiceService.getDocumentPdf(id, null, req.warehouseScope);
+    sendPdf(res, document, pdf);
+  } catch (err) {
+    logError(err, 'downloadDocument');
+    sendError(res, err, 'Failed to generate PDF.');
+  }
+};
+
+// ✅ Issue a missing invoice for a delivered order (admin/sub-admin)
+export const issueInvoice = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID.' });
+    }
+    if (!(await orderInScope(req, orderId))) {
+      return res.status(404).json({ success: false, message: 'Order not found.' });
+    }
+
+    const invoice = await invoiceService.ensureOrderInvoice(orderId);
+    res.status(201).json({ success: true, invoice });
+  } catch (err) {
+    logError(err, 'issueInvoice');
+    sendError(res, err, 'Failed to issue invoice.');
+  }
+};
+
+// ✅ Issue a missing credit note for a refunded return (admin/sub-admin)
+export const issueCreditNote = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(returnId)) {
+      return res.status(400).json({ success: false, message: 'Invalid return ID.' });
+    }
+    if (req.warehouseScope) {
+      const returnRequest = await Return.findById(returnId).select('orderId');
+      if (!returnRequest || !(await orderInScope(req, returnRequest.orderId))) {
+        return res.status(404).json({ success: false, message: 'Return request not found.' });
+      }
+    }
+
+    const creditNote = await invoiceService.createCreditNote(returnId);
+    res.status(201).json({ success: true, creditNote });
+  } catch (err) {
+    logError(err, 'issueCreditNote');
+    sendError(res, err, 'Failed to issue credit note.');
+  }
+};
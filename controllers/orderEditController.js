@@ -0,0 +1,95 @@
+import orderEditService from '../services/orderEditService.js';
+import orderLifecycleService from '../services/orderLifecycleService.js';
+
+const logError = (err, location) => {
+  console.error(`[OrderEditController:${location}]`, err);
+};
+
+// Errors thrown by the order edit service carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const isPreview = (req) => req.body.preview === true || req.query.preview === 'true';
+
+// ✅ Cancel or reduce items of the user's own Pending order (user)
+export const cancelMyOrderItems = async (req, res) => {
+  try {
+    const { items, reason, refundMethod } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'items must be a non-empty array of { lineId, qty }.' });
+    }
+
+    const result = await orderEditService.editOrderItems(req.params.id, {
+      changes: items.map(({ lineId, qty }) => ({ lineId, qty: qty ?? 0 })),
+      reason,
+      actor: { role: 'user', id: req.user.id },
+      refundMethod,
+      preview: isPreview(req)
+    });
+
+    res.json({
+      success: true,
+      ...result,
+      message: result.preview ? 'Order change preview' : 'Order updated successfully'
+    });
+  } catch (err) {
+    logError(err, 'cancelMyOrderItems');
+    sendError(res, err, 'Failed to update order.');
+  }
+};
+
+// ✅ Cancel, reduce or substitute items of a Pending order (admin/sub-admin)
+export const editOrderItems = async (req, res) => {
+  try {
+    const { changes, reason } = req.body;
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return res.status(400).json({ success: false, message: 'changes must be a non-empty array.' });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required when editing a customer order.' });
+    }
+
+    const result = await orderEditService.editOrderItems(req.params.id, {
+      changes,
+      reason: String(reason).trim(),
+      actor: { role: 'admin', id: orderLifecycleService.getRequestActor(req).id },
+      warehouseId: req.warehouseScope,
+      preview: isPreview(req)
+    });
+
+    res.json({
+      success: true,
+      ...result,
+      message: result.preview ? 'Order change preview' : 'Order updated successfully'
+    });
+  } catch (err) {
+    logError(err, 'editOrderItems');
+    sendError(res, err, 'Failed to update order.');
+  }
+};
+
+// ✅ Edit history of the user's own order (user)
+export const getMyOrderEditHistory = async (req, res) => {
+  try {
+    const history = await orderEditService.getEditHistory(req.params.id, { userId: req.user.id });
+    res.json({ success: true, history });
+  } catch (err) {
+    logError(err, 'getMyOrderEditHistory');
+    sendError(res, err, 'Failed to fetch order edit history.');
+  }
+};
+
+// ✅ Edit history of any order (admin/sub-admin)
+export const getOrderEditHistory = async (req, res) => {
+  try {
+    const history = await orderEditService.getEditHistory(req.params.id, { warehouseId: req.warehouseScope });
+    res.json({ success: true, history });
+  } catch (err) {
+    logError(err, 'getOrderEditHistory');
+    sendError(res, err, 'Failed to fetch order edit history.');
+  }
+};
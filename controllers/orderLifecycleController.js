@@ -0,0 +1,53 @@
+import orderLifecycleService from '../services/orderLifecycleService.js';
+import orderTrackingService from '../services/orderTrackingService.js';
+
+const logError = (err, location) => {
+  console.error(`[OrderLifecycleController:${location}]`, err);
+};
+
+// Errors thrown by the order lifecycle and tracking services carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+// ✅ Status timeline of the user's own order (user)
+export const getMyOrderTimeline = async (req, res) => {
+  try {
+    const timeline = await orderLifecycleService.getStatusTimeline(req.params.id, {
+      userId: req.user.id,
+      actorRole: 'user'
+    });
+    res.json({ success: true, ...timeline });
+  } catch (err) {
+    logError(err, 'getMyOrderTimeline');
+    sendError(res, err, 'Failed to fetch order timeline.');
+  }
+};
+
+// ✅ Status timeline of any order, with who made each change (admin/sub-admin)
+export const getOrderTimeline = async (req, res) => {
+  try {
+    const timeline = await orderLifecycleService.getStatusTimeline(req.params.id, {
+      warehouseId: req.warehouseScope,
+      actorRole: orderLifecycleService.getRequestActor(req).role
+    });
+    res.json({ success: true, ...timeline });
+  } catch (err) {
+    logError(err, 'getOrderTimeline');
+    sendError(res, err, 'Failed to fetch order timeline.');
+  }
+};
+
+// ✅ Tracking view of the user's own order: timeline, masked agent details and ETA (user)
+export const getMyOrderTracking = async (req, res) => {
+  try {
+    const tracking = await orderTrackingService.getOrderTracking(req.params.id, { userId: req.user.id });
+    res.json({ success: true, ...tracking });
+  } catch (err) {
+    logError(err, 'getMyOrderTracking');
+    sendError(res, err, 'Failed to fetch order tracking.');
+  }
+};
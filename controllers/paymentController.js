@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import paymentService from '../services/paymentService.js';
+
+const logError = (err, location) => {
+  console.error(`[PaymentController:${location}]`, err);
+};
+
+// Errors thrown by the payment service carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+// ✅ Start (or restart) the online payment of an order (user)
+export const createPaymentAttempt = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID.' });
+    }
+
+    const { attempt, checkout } = await paymentService.createPaymentAttempt(orderId, req.user.id);
+    res.status(201).json({ success: true, attempt, checkout });
+  } catch (err) {
+    logError(err, 'createPaymentAttempt');
+    sendError(res, err, 'Failed to start payment.');
+  }
+};
+
+// ✅ Verify the checkout signature returned to the client (user)
+export const verifyPayment = async (req, res) => {
+  try {
+    const { providerOrderId, providerPaymentId, signature } = req.body;
+    const { attempt, order } = await paymentService.verifyCheckout({
+      userId: req.user.id,
+      providerOrderId,
+      providerPaymentId,
+      signature
+    });
+
+    res.json({
+      success: true,
+      message: order?.paymentStatus === 'Paid'
+        ? 'Payment confirmed.'
+        : 'Payment verified. The order is marked paid once the gateway confirms the capture.',
+      attempt,
+      order
+    });
+  } catch (err) {
+    logError(err, 'verifyPayment');
+    sendError(res, err, 'Failed to verify payment.');
+  }
+};
+
+// ✅ Gateway webhook (public, authenticated by signature)
+export const handleWebhook = async (req, res) => {
+  try {
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+    const result = await paymentService.handleWebhook(req.params.provider, rawBody, req.headers, req.body);
+    res.json({ success: true, handled: result.handled, duplicate: Boolean(result.duplicate), ignored: Boolean(result.ignored) });
+  } catch (err) {
+    logError(err, 'handleWebhook');
+    sendError(res, err, 'Failed to process webhook.');
+  }
+};
+
+// ✅ Payment attempts of one of the user's orders (user)
+export const getMyOrderPayments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID.' });
+    }
+
+    const order = await Order.findById(orderId).select('userId paymentMethod paymentStatus paymentDueAt status totalAmount');
+    if (!order || order.userId.toString() !== req.user.id.toString()) {
+      return res.status(404).json({ success: false, message: 'Order not found.' });
+    }
+
+    const attempts = await paymentService.getOrderPaymentAttempts(order._id);
+    res.json({ success: true, order, attempts });
+  } catch (err) {
+    logError(err, 'getMyOrderPayments');
+    res.status(500).json({ success: false, message: 'Failed to fetch payments.', error: err.message });
+  }
+};
+
+// ✅ Payment attempts of any order (admin/sub-admin)
+export const getOrderPayments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID.' });
+    }
+
+    // Warehouse managers only see orders shipping from their warehouse (see resolveWarehouseScope)
+    const scope = req.warehouseScope ? { warehouseId: req.warehouseScope } : {};
+    const order = await Order.findOne({ _id: orderId, ...scope }).select('userId paymentMethod paymentStatus paymentDueAt status totalAmount');
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found.' });
+    }
+
+    const attempts = await paymentService.getOrderPaymentAttempts(order._id);
+    res.json({ success: true, order, attempts });
+  } catch (err) {
+    logError(err, 'getOrderPayments');
+    res.status(500).json({ success: false, message: 'Failed to fetch payments.', error: err.message });
+  }
+};
+
+// ✅ Complete a mock checkout (user, mock provider outside production only)
+export const simulateMockPayment = async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ success: false, message: 'Not found.' });
+    }
+
+    const { attemptId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+      return res.status(400).json({ success: false, message: 'Invalid attempt ID.' });
+    }
+
+    const succeed = req.body?.outcome !== 'failure';
+    const result = await paymentService.simulateMockPayment(attemptId, req.user.id, {
+      succeed,
+      method: req.body?.method
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logError(err, 'simulateMockPayment');
+    sendError(res, err, 'Failed to simulate payment.');
+  }
+};
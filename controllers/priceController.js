@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import ScheduledPrice from '../models/ScheduledPrice.js';
+import priceService from '../services/priceService.js';
+
+const logError = (err, location) => {
+  console.error(`[PriceController:${location}]`, err);
+};
+
+const SCHEDULE_STATUSES = ['scheduled', 'active', 'completed', 'cancelled'];
+
+const getAdminId = (req) => req.user?.adminId || null;
+
+// ✅ Price change log for a product, optionally one variant (public)
+export const getPriceHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid product ID.' });
+    }
+
+    const product = await Product.findById(id).select('name price hasVariants variants.id variants.name variants.price');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found.' });
+    }
+
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const result = await priceService.getPriceHistory(product._id, {
+      variantId: req.query.variantId,
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.json({
+      product: {
+        id: product._id,
+        name: product.name,
+        price: product.price,
+        variants: product.hasVariants ? product.variants.map(v => ({ id: v.id, name: v.name, price: v.price })) : []
+      },
+      history: result.history,
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        total: result.total
+      }
+    });
+  } catch (err) {
+    logError(err, 'getPriceHistory');
+    res.status(500).json({ message: 'Failed to fetch price history.', error: err.message });
+  }
+};
+
+// ✅ Scheduled prices and sale windows for a product (admin)
+export const getScheduledPrices = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid product ID.' });
+    }
+
+    const filter = { productId: id };
+    if (req.query.status) {
+      if (!SCHEDULE_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `Status must be one of ${SCHEDULE_STATUSES.join(', ')}.` });
+      }
+      filter.status = req.query.status;
+    }
+
+    const scheduledPrices = await ScheduledPrice.find(filter).sort({ startAt: -1 });
+    res.json({ count: scheduledPrices.length, scheduledPrices });
+  } catch (err) {
+    logError(err, 'getScheduledPrices');
+    res.status(500).json({ message: 'Failed to fetch scheduled prices.', error: err.message });
+  }
+};
+
+// 🔹 Schedule a price change or a sale window (admin)
+export const createScheduledPrice = async (req, res) => {
+  try {
+    const { variantId, price, startAt, endAt, note } = req.body;
+
+    const result = await priceService.schedulePriceChange({
+      productId: req.params.id,
+      variantId: variantId || null,
+      price,
+      startAt,
+      endAt,
+      note
+    }, getAdminId(req));
+
+    if (!result.success) {
+      const notFound = result.errors.includes('Product not found');
+      return res.status(notFound ? 404 : 400).json({
+        message: result.errors.join(', '),
+        errors: result.errors
+      });
+    }
+
+    res.status(201).json({
+      message: result.scheduledPrice.status === 'scheduled' ? 'Price change scheduled.' : 'Price change applied.',
+      scheduledPrice: result.scheduledPrice
+    });
+  } catch (err) {
+    logError(err, 'createScheduledPrice');
+    res.status(500).json({ message: 'Failed to schedule price change.', error: err.message });
+  }
+};
+
+// ❌ Cancel a scheduled price; a running sale reverts immediately (admin)
+export const cancelScheduledPrice = async (req, res) => {
+  try {
+    const { id, scheduledId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(scheduledId)) {
+      return res.status(400).json({ message: 'Invalid scheduled price ID.' });
+    }
+
+    const existing = await ScheduledPrice.findOne({ _id: scheduledId, productId: id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Scheduled price not found.' });
+    }
+
+    const cancelled = await priceService.cancelScheduledPrice(scheduledId, getAdminId(req));
+    if (!cancelled) {
+      return res.status(400).json({ message: `A ${existing.status} price window cannot be cancelled.` });
+    }
+
+    res.json({ message: 'Scheduled price cancelled.', scheduledPrice: cancelled });
+  } catch (err) {
+    logError(err, 'cancelScheduledPrice');
+    res.status(500).json({ message: 'Failed to cancel scheduled price.', error: err.message });
+  }
+};
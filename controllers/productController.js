@@ -2,14 +2,14 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import AWS from 'aws-sdk';
-import mongoose from 'mongoose';
 import path from 'path';
+import mongoose from 'mongoose';
 import Admin from '../models/Admin.js';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import User from '../models/User.js';
 import * as notifications from '../notifications.js';
-import { notifyOrderPlaced as notifyOrderPlacedWeb, notifyOrderStatusUpdate as notifyOrderStatusWeb } from '../services/webPushService.js';
+import { notifyOrderPlaced as notifyOrderPlacedWeb } from '../services/webPushService.js';
 import { 
   sendOrderPlacedEmail,
   sendOrderOtpEmail,
@@ -21,19 +21,29 @@ import {
   sendStatusUpdateNotification,
   testCommunicationServices as testComm
 } from '../services/communicationService.js';
-import { processOrderRewards } from '../middleware/rewardMiddleware.js';
 import { 
   createDeliveryOTPData, 
   isOrderLocked, 
   getRecentFailedAttempts,
   isValidOTPFormat, 
-  requiresOTPValidation,
   createFailedAttemptRecord,
   calculateLockoutExpiry,
   getRemainingLockoutTime
 } from '../utils/otpUtils.js';
-import batchStockUtils from '../utils/batchStockUtils.js';
 import batchService from '../services/batchService.js';
+import pricingService from '../services/pricingService.js';
+import orderPlacementService from '../services/orderPlacementService.js';
+import catalogService from '../services/catalogService.js';
+import reservationService from '../services/reservationService.js';
+import priceService from '../services/priceService.js';
+import wishlistAlertService from '../services/wishlistAlertService.js';
+import abandonedCartService from '../services/abandonedCartService.js';
+import paymentService from '../services/paymentService.js';
+import addressService from '../services/addressService.js';
+import shippingService from '../services/shippingService.js';
+import orderLifecycleService from '../services/orderLifecycleService.js';
+import { normalizeOrderStatus, checkTransition } from '../utils/orderLifecycle.js';
+import { GST_RATES, isValidHsn } from '../utils/gstUtils.js';
 
 const s3 = new AWS.S3({
   accessKeyId: process.env.AWS_ACCESS_KEY,
@@ -118,6 +128,20 @@ function getVariantPrice(product, variantId) {
   return variant ? variant.price : product.price;
 }
 
+// HSN must be 4/6/8 digits and the GST rate one of the slabs; both are optional
+const validateTaxFields = (hsnCode, gstRate) => {
+  if (hsnCode && !isValidHsn(hsnCode)) {
+    return 'HSN code must be 4, 6 or 8 digits.';
+  }
+  if (gstRate !== undefined && gstRate !== '' && !GST_RATES.includes(Number(gstRate))) {
+    return `GST rate must be one of ${GST_RATES.join(', ')}.`;
+  }
+  return null;
+};
+
+// Weight (grams) is optional; used by weight-based shipping rules
+const isValidWeight = (weight) => weight === undefined || weight === '' || (Number.isFinite(Number(weight)) && Number(weight) >= 0);
+
 // Create product
 export const createProduct = async (req, res) => {
   try {
@@ -129,6 +153,9 @@ export const createProduct = async (req, res) => {
       stock, 
       hasVariants, 
       variants,
+      hsnCode,
+      gstRate,
+      weight,
       // Batch related fields (always processed now)
       batchData
     } = req.body;
@@ -153,6 +180,14 @@ export const createProduct = async (req, res) => {
     if (stock === undefined || parseInt(stock) < 0) {
       return res.status(400).json({ message: 'Valid stock quantity is required.' });
     }
+
+    const taxError = validateTaxFields(hsnCode, gstRate);
+    if (taxError) {
+      return res.status(400).json({ message: taxError });
+    }
+    if (!isValidWeight(weight)) {
+      return res.status(400).json({ message: 'Weight must be a positive number of grams.' });
+    }
     
     // Handle images with robust error handling and default fallback
     let images = [];
@@ -241,7 +276,10 @@ export const createProduct = async (req, res) => {
       stock: parseInt(stock),
       images,
       hasVariants: hasVariants === 'true',
-      variants: parsedVariants
+      variants: parsedVariants,
+      ...(hsnCode ? { hsnCode: String(hsnCode).trim() } : {}),
+      ...(gstRate !== undefined && gstRate !== '' ? { gstRate: Number(gstRate) } : {}),
+      ...(weight !== undefined && weight !== '' ? { weight: Number(weight) } : {})
     };
     
     console.log(`[CREATE PRODUCT] Creating product with data:`, {
@@ -287,6 +325,8 @@ export const createProduct = async (req, res) => {
         manufacturingDate: parsedBatchData.manufacturingDate,
         expiryDate: parsedBatchData.expiryDate,
         bestBeforeDate: parsedBatchData.bestBeforeDate,
+        costPrice: parsedBatchData.costPrice, // Unit cost; variant products use variantCostPrices { [variantId]: cost }
+        variantCostPrices: parsedBatchData.variantCostPrices,
         supplierInfo: defaultSupplierInfo,
         location: parsedBatchData.location || 'Main Warehouse'
       };
@@ -328,11 +368,57 @@ export const createProduct = async (req, res) => {
 };
 
 // Get all products
+const CATALOG_QUERY_PARAMS = ['search', 'q', 'category', 'minPrice', 'maxPrice', 'inStock', 'sort', 'limit', 'cursor'];
+
 export const getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json({ products: products.map(addIdField) });
-  } catch (_err) {
+    // Without any listing params keep returning the full catalog for existing clients
+    if (!CATALOG_QUERY_PARAMS.some(param => req.query[param] !== undefined)) {
+      const products = await Product.find();
+      return res.json({ products: products.map(addIdField) });
+    }
+
+    const { search, q, category, minPrice, maxPrice, inStock, sort, limit, cursor } = req.query;
+
+    if (sort && !catalogService.SORT_KEYS.includes(sort)) {
+      return res.status(400).json({
+        message: `Invalid sort. Use one of: ${catalogService.SORT_KEYS.join(', ')}`
+      });
+    }
+
+    const parsedMin = minPrice !== undefined ? parseFloat(minPrice) : undefined;
+    const parsedMax = maxPrice !== undefined ? parseFloat(maxPrice) : undefined;
+    if ((parsedMin !== undefined && isNaN(parsedMin)) || (parsedMax !== undefined && isNaN(parsedMax))) {
+      return res.status(400).json({ message: 'minPrice and maxPrice must be numbers.' });
+    }
+    if (parsedMin !== undefined && parsedMax !== undefined && parsedMin > parsedMax) {
+      return res.status(400).json({ message: 'minPrice cannot be greater than maxPrice.' });
+    }
+
+    const { DEFAULT_LIMIT, MAX_LIMIT } = catalogService.CATALOG_CONSTANTS;
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const result = await catalogService.searchProducts({
+      search: search || q,
+      categories: category ? category.split(',').map(c => c.trim()).filter(Boolean) : [],
+      minPrice: parsedMin,
+      maxPrice: parsedMax,
+      inStock: inStock === 'true',
+      sort,
+      limit: parsedLimit,
+      cursor
+    });
+
+    res.json({
+      products: result.products.map(addIdField),
+      pagination: result.pagination,
+      facets: result.facets
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('[GET ALL PRODUCTS]', err);
     res.status(500).json({ message: 'Failed to fetch products.' });
   }
 };
@@ -385,9 +471,17 @@ export const getProductById = async (req, res) => {
 // Update product
 export const updateProduct = async (req, res) => {
   try {
-    const { name, description, price, category, stock, hasVariants, variants } = req.body;
+    const { name, description, price, category, stock, hasVariants, variants, hsnCode, gstRate, weight } = req.body;
     let product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ message: 'Product not found.' });
+
+    const taxError = validateTaxFields(hsnCode, gstRate);
+    if (taxError) {
+      return res.status(400).json({ message: taxError });
+    }
+    if (!isValidWeight(weight)) {
+      return res.status(400).json({ message: 'Weight must be a positive number of grams.' });
+    }
     
     // Handle images with robust error handling and default fallback
     let images = product.images || []; // Ensure images is always an array
@@ -476,7 +570,10 @@ export const updateProduct = async (req, res) => {
       stock: parseInt(stock) || product.stock || 0,
       images: images,
       hasVariants: hasVariants === 'true',
-      variants: parsedVariants
+      variants: parsedVariants,
+      hsnCode: hsnCode !== undefined ? String(hsnCode).trim() : product.hsnCode,
+      gstRate: gstRate !== undefined && gstRate !== '' ? Number(gstRate) : product.gstRate,
+      weight: weight !== undefined && weight !== '' ? Number(weight) : product.weight
     };
     
     // Additional validation
@@ -501,9 +598,23 @@ export const updateProduct = async (req, res) => {
       imageCount: updateData.images.length
     });
     
+    const pricesBefore = priceService.snapshotPrices(product);
+    const stockBefore = wishlistAlertService.snapshotStock(product);
     product.set(updateData);
     await product.save();
     
+    wishlistAlertService.checkBackInStock(stockBefore, product);
+    
+    // Price changes are logged (and price drops announced) but never fail the update
+    try {
+      await priceService.recordPriceChanges(pricesBefore, product, {
+        changeType: 'manual',
+        changedBy: req.user?.adminId
+      });
+    } catch (historyError) {
+      console.error('[UPDATE PRODUCT] Failed to record price history:', historyError);
+    }
+    
     console.log(`[UPDATE PRODUCT] Successfully updated product ${product._id}`);
     res.json({ 
       success: true,
@@ -688,6 +799,69 @@ export const getReviews = async (req, res) => {
   }
 };
 
+// Express delivery and the checkout slot are optional; slot rules match the slot update endpoint
+const validateDeliveryOptions = ({ deliveryType, deliverySlot }) => {
+  if (deliveryType && !['standard', 'express'].includes(deliveryType)) {
+    return 'Delivery type must be standard or express.';
+  }
+  if (deliverySlot?.timeSlot && !TIME_SLOTS.some(slot => slot.value === deliverySlot.timeSlot)) {
+    return 'Invalid time slot selected.';
+  }
+  if (deliverySlot?.date) {
+    const minDate = new Date();
+    minDate.setDate(minDate.getDate() + 2);
+    minDate.setHours(0, 0, 0, 0);
+    if (!(new Date(deliverySlot.date) >= minDate)) {
+      return 'Delivery date must be at least 2 days from today.';
+    }
+  }
+  return null;
+};
+
+// Quote order: server-computed price breakdown shown before placing the order
+export const quoteOrder = async (req, res) => {
+  try {
+    const { items, coupon, coinDiscount, addressId, pincode, deliveryType, deliverySlot } = req.body;
+
+    const deliveryError = validateDeliveryOptions({ deliveryType, deliverySlot });
+    if (deliveryError) {
+      return res.status(400).json({ success: false, message: deliveryError });
+    }
+
+    // Shipping rules depend on where the order goes
+    let deliveryPincode = pincode;
+    if (addressId) {
+      try {
+        ({ pincode: deliveryPincode } = await addressService.resolveShippingAddress(req.user.id, { addressId }));
+      } catch (addressError) {
+        if (!addressError.statusCode) throw addressError;
+        return res.status(addressError.statusCode).json({ success: false, message: addressError.message });
+      }
+    }
+
+    const pricing = await pricingService.buildOrderQuote({
+      userId: req.user.id,
+      items,
+      coupon,
+      coinDiscount,
+      delivery: { pincode: deliveryPincode, deliveryType, timeSlot: deliverySlot?.timeSlot }
+    });
+
+    if (!pricing.success) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.errors.join(', '),
+        errors: pricing.errors
+      });
+    }
+
+    res.json({ success: true, quote: pricing.quote });
+  } catch (error) {
+    console.error('[QUOTE ORDER] Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to calculate order total.' });
+  }
+};
+
 // Create order
 export const createOrder = async (req, res) => {
   try {
@@ -697,6 +871,9 @@ export const createOrder = async (req, res) => {
     const { 
       items, 
       shipping, 
+      addressId, // Saved address to ship to, instead of shipping details
+      deliveryType, // standard | express
+      deliverySlot, // Optional { date, timeSlot } picked at checkout
       subtotal,
       totalAmount, 
       paymentMethod, 
@@ -715,116 +892,83 @@ export const createOrder = async (req, res) => {
     if (!items || !items.length) {
       return res.status(400).json({ message: 'Items are required' });
     }
-    if (!shipping) {
+    if (!shipping && !addressId) {
       return res.status(400).json({ message: 'Shipping address is required' });
     }
     if (!totalAmount) {
       return res.status(400).json({ message: 'Total amount is required' });
-    }    // Validate stock availability and prepare stock updates with batch allocation
-    const stockUpdates = [];
-    const batchOrderItems = []; // Items for batch allocation
-    
-    for (const item of items) {
-      if (item.type === 'combo') {
-        // Handle combo pack stock validation
-        const ComboPack = (await import('../models/ComboPack.js')).default;
-        const comboPack = await ComboPack.findById(item.id);
-        if (!comboPack) {
-          return res.status(400).json({ message: `Combo pack ${item.name} not found` });
-        }
-
-        // Check combo pack stock
-        const availableStock = await comboPack.calculateAvailableStock();
-        if (availableStock < item.qty) {
-          return res.status(400).json({ 
-            message: `Insufficient stock for combo pack ${item.name}. Available: ${availableStock}, Required: ${item.qty}` 
-          });
-        }
+    }
+    const deliveryError = validateDeliveryOptions({ deliveryType, deliverySlot });
+    if (deliveryError) {
+      return res.status(400).json({ success: false, message: deliveryError });
+    }
 
-        // Track combo pack stock update
-        stockUpdates.push({
-          id: item.id,
-          quantity: item.qty,
-          type: 'combo',
-          comboPack: comboPack
-        });
+    // Online payments are confirmed by the gateway webhook, within the payment window; without a
+    // usable gateway the order could never be paid, so refuse it before stock, coins or a coupon are taken
+    const isOnlinePayment = paymentMethod?.toUpperCase() === 'ONLINE';
+    if (isOnlinePayment) {
+      try {
+        paymentService.getProvider();
+      } catch (providerError) {
+        return res.status(503).json({ success: false, message: providerError.message });
+      }
+    }
 
-        // Also prepare individual product batch allocations within the combo
-        for (const comboProduct of comboPack.products) {
-          const product = await Product.findById(comboProduct.productId);
-          if (product) {
-            batchOrderItems.push({
-              productId: comboProduct.productId,
-              variantId: comboProduct.variantId || null,
-              quantity: comboProduct.quantity * item.qty, // Multiply by combo quantity
-              type: 'combo-item',
-              parentComboId: item.id
-            });
-          }
-        }
+    // Refuse addresses outside the pincodes we deliver to before anything is reserved
+    let shippingAddress;
+    try {
+      ({ shipping: shippingAddress } = await addressService.resolveServiceableAddress(userId, { addressId, shipping }));
+    } catch (addressError) {
+      if (!addressError.statusCode) throw addressError;
+      return res.status(addressError.statusCode).json({
+        success: false,
+        ...(addressError.code ? { code: addressError.code } : {}),
+        message: addressError.message
+      });
+    }
 
-      } else {
-        // Handle regular product stock validation with batch checking
-        const product = await Product.findById(item.id);
-        if (!product) {
-          return res.status(400).json({ message: `Product ${item.name} not found` });
-        }
+    // Recompute every line, coupon, coin discount and shipping on the server
+    const pricing = await pricingService.buildOrderQuote({
+      userId,
+      items,
+      coupon,
+      coinDiscount,
+      delivery: { pincode: shippingAddress.pincode, deliveryType, timeSlot: deliverySlot?.timeSlot }
+    });
+    if (!pricing.success) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.errors.join(', '),
+        errors: pricing.errors
+      });
+    }
+    const quote = pricing.quote;
 
-        if (item.hasVariant && item.variantId) {
-          // Check batch availability for variant
-          console.log(`[CREATE ORDER] Checking variant stock for product ${item.id}, variant ${item.variantId}, quantity ${item.qty}`);
-          const stockCheck = await batchStockUtils.checkStockAvailability(
-            item.id, 
-            item.variantId, 
-            item.qty
-          );
-          
-          console.log(`[CREATE ORDER] Variant stock check result:`, stockCheck);
-          
-          if (!stockCheck.available) {
-            console.log(`[CREATE ORDER] Insufficient variant stock - Available: ${stockCheck.availableQuantity}, Required: ${item.qty}`);
-            return res.status(400).json({ 
-              message: `Insufficient batch stock for ${item.name} - ${item.variantName}. Available: ${stockCheck.availableQuantity}, Required: ${item.qty}` 
-            });
-          }
-          
-          batchOrderItems.push({
-            productId: item.id,
-            variantId: item.variantId,
-            quantity: item.qty,
-            type: 'variant'
-          });
-        } else {
-          // Check batch availability for main product
-          console.log(`[CREATE ORDER] Checking product stock for product ${item.id}, quantity ${item.qty}`);
-          const stockCheck = await batchStockUtils.checkStockAvailability(
-            item.id, 
-            null, 
-            item.qty
-          );
-          
-          console.log(`[CREATE ORDER] Product stock check result:`, stockCheck);
-          
-          if (!stockCheck.available) {
-            console.log(`[CREATE ORDER] Insufficient product stock - Available: ${stockCheck.availableQuantity}, Required: ${item.qty}`);
-            return res.status(400).json({ 
-              message: `Insufficient batch stock for ${item.name}. Available: ${stockCheck.availableQuantity}, Required: ${item.qty}` 
-            });
-          }
-          
-          batchOrderItems.push({
-            productId: item.id,
-            variantId: null,
-            quantity: item.qty,
-            type: 'product'
-          });
-        }
+    const reconciliation = pricingService.reconcileClientTotals(quote, { subtotal, totalAmount });
+    if (!reconciliation.matches) {
+      const totalMismatch = reconciliation.mismatches.find(m => m.field === 'totalAmount');
+      if (totalMismatch) {
+        console.log('[CREATE ORDER] Client total does not match server quote:', reconciliation.mismatches);
+        return res.status(409).json({
+          success: false,
+          code: 'PRICE_MISMATCH',
+          message: `Order total has changed to ₹${quote.totalAmount}. Please review your order and try again.`,
+          mismatches: reconciliation.mismatches,
+          quote
+        });
       }
+      console.log('[CREATE ORDER] Corrected client prices from server quote:', reconciliation.mismatches);
     }
+    const orderItems = quote.items;
+
+    // Units this user already holds from checkout count as available to them
+    const reservation = await reservationService.getActiveReservation(userId);
 
-    let couponObjId = null;
-    if (coupon) {
-      couponObjId = coupon; // expects ObjectId from frontend
+    // Pick the warehouse serving this pincode that has everything in stock, and prepare its batch allocation
+    const stock = await orderPlacementService.routeStockAllocation(orderItems, reservation, { pincode: shippingAddress.pincode });
+    if (!stock.success) {
+      console.log('[CREATE ORDER] Insufficient stock:', stock.shortages);
+      return res.status(400).json({ message: stock.message });
     }
 
     // Set payment status based on method and provided status
@@ -833,153 +977,76 @@ export const createOrder = async (req, res) => {
       orderPaymentStatus = 'UnderReview'; // UPI payments need admin verification
     } else if (paymentMethod === 'COD') {
       orderPaymentStatus = 'Pending';
-    }    // Handle coin redemption if provided
-    let coinRedemptionTransaction = null;
-    if (coinDiscount && coinDiscount.coinsUsed > 0) {
-      console.log('[CREATE ORDER] Processing coin redemption:', coinDiscount);
-      
-      try {
-        // Import the redeem coins function
-        const { redeemCoinsForOrder } = await import('./walletController.js');
-        
-        // Create a temporary order ID for the redemption
-        const tempOrderId = new mongoose.Types.ObjectId();
-        
-        // Process the coin redemption
-        const redemptionResult = await redeemCoinsForOrder(
-          userId, 
-          subtotal || totalAmount, 
-          coinDiscount.coinsUsed, 
-          tempOrderId
-        );
-        
-        if (!redemptionResult.success) {
-          return res.status(400).json({
-            success: false,
-            message: `Coin redemption failed: ${redemptionResult.message}`
-          });
-        }
-        
-        coinRedemptionTransaction = redemptionResult.transactionId;
-        console.log('[CREATE ORDER] Coin redemption successful, transaction:', coinRedemptionTransaction);
-        
-      } catch (redemptionError) {
-        console.error('[CREATE ORDER] Coin redemption error:', redemptionError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to process coin redemption'
-        });
-      }
     }
 
-    // Calculate discount breakdown
-    const calculatedSubtotal = subtotal || totalAmount;
-    const couponDiscountAmount = 0; // Will be calculated if coupon exists
-    const coinDiscountAmount = coinDiscount ? coinDiscount.discountAmount || 0 : 0;
-    const shippingFee = calculatedSubtotal >= 500 ? 0 : 100; // Free shipping over ₹500
-
-    // Create order with proper breakdown
-    const order = new Order({
+    // Coin debit, coupon usage, order insert, batch allocation and combo stock run as one unit
+    const placement = await orderPlacementService.placeOrder({
       userId,
-      items,
-      shipping,
-      subtotal: calculatedSubtotal,
-      couponDiscount: couponDiscountAmount,
-      coinDiscount: {
-        amount: coinDiscountAmount,
-        coinsUsed: coinDiscount ? coinDiscount.coinsUsed || 0 : 0,
-        transactionId: coinRedemptionTransaction
+      quote,
+      orderData: {
+        shipping: shippingAddress,
+        ...(deliverySlot?.date || deliverySlot?.timeSlot ? {
+          deliverySlot: {
+            date: deliverySlot.date ? new Date(deliverySlot.date) : undefined,
+            timeSlot: deliverySlot.timeSlot,
+            isModifiable: true,
+            lastModified: new Date()
+          }
+        } : {}),
+        paymentMethod: paymentMethod.toUpperCase(),
+        paymentStatus: orderPaymentStatus,
+        upiTransactionId: upiTransactionId || null,
+        paymentDueAt: isOnlinePayment ? paymentService.getPaymentDueAt() : null,
+        deliveryOtp: createDeliveryOTPData(),
+        warehouseId: stock.warehouseId,
+        warehouseRouting: stock.warehouseRouting
       },
-      shippingFee: shippingFee,
-      totalAmount,
-      paymentMethod: paymentMethod.toUpperCase(),
-      paymentStatus: orderPaymentStatus,
-      coupon: couponObjId,
-      upiTransactionId: upiTransactionId || null,
-      deliveryOtp: createDeliveryOTPData()
+      batchOrderItems: stock.batchOrderItems,
+      comboUpdates: stock.comboUpdates,
+      reservationId: reservation?._id || null
     });
-    
-    await order.save();
-    
-    // Update the coin redemption transaction with the actual order ID
-    if (coinRedemptionTransaction) {
+
+    if (!placement.success) {
+      return res.status(400).json({
+        success: false,
+        message: placement.message,
+        stage: placement.stage,
+        errors: placement.errors
+      });
+    }
+
+    const order = placement.order;
+    console.log(`[CREATE ORDER] Order ${order._id} placed successfully`);
+
+    // Stop any abandoned-cart reminders and credit the recovery
+    abandonedCartService.markRecovered(userId, order).catch(error =>
+      console.error('[CREATE ORDER] Failed to close abandoned cart sequence:', error));
+
+    // Open the first gateway payment right away; the client can retry via /api/payments if this fails
+    let payment = null;
+    if (isOnlinePayment) {
       try {
-        const Transaction = (await import('../models/Transaction.js')).default;
-        await Transaction.findByIdAndUpdate(coinRedemptionTransaction, {
-          orderId: order._id,
-          $set: {
-            'metadata.orderId': order._id.toString(),
-            'metadata.orderNumber': order._id.toString().slice(-8).toUpperCase()
-          }
-        });
-        console.log('[CREATE ORDER] Updated transaction with order ID:', order._id);
-      } catch (updateError) {
-        console.error('[CREATE ORDER] Failed to update transaction with order ID:', updateError);
-      }
-    }    // Allocate batches using FEFO after successful order creation
-    let batchAllocationResult = null;
-    if (batchOrderItems.length > 0) {
-      try {
-        batchAllocationResult = await batchStockUtils.allocateStockForOrder(batchOrderItems, order._id);
-        
-        if (!batchAllocationResult.success) {
-          // If batch allocation fails, we need to handle it carefully
-          console.error('[CREATE ORDER] Batch allocation failed:', batchAllocationResult.errors);
-          
-          // Optionally, you could still allow the order but mark it as needing manual review
-          // For now, we'll fail the order creation
-          await Order.findByIdAndDelete(order._id);
-          
-          return res.status(400).json({
-            success: false,
-            message: 'Failed to allocate stock from batches',
-            errors: batchAllocationResult.errors
-          });
-        }
-        
-        console.log(`[CREATE ORDER] Successfully allocated batches for order ${order._id}`);
-      } catch (allocationError) {
-        console.error('[CREATE ORDER] Batch allocation error:', allocationError);
-        
-        // Delete the order if batch allocation fails
-        await Order.findByIdAndDelete(order._id);
-        
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to allocate stock from batches',
-          error: allocationError.message
-        });
+        const { attempt, checkout } = await paymentService.createPaymentAttempt(order._id, userId);
+        payment = { attemptId: attempt._id, dueAt: order.paymentDueAt, checkout };
+      } catch (paymentError) {
+        console.error(`[CREATE ORDER] Failed to start online payment for order ${order._id}:`, paymentError);
+        payment = { attemptId: null, dueAt: order.paymentDueAt, error: paymentError.message };
       }
     }
 
-    // Reduce combo pack stock for combo items (non-batch tracked items)
-    for (const update of stockUpdates) {
-      if (update.type === 'combo') {
-        // Reduce combo pack stock
-        const ComboPack = (await import('../models/ComboPack.js')).default;
-        await ComboPack.updateOne(
-          { _id: update.id },
-          { 
-            $inc: { 
-              stock: -update.quantity,
-              purchaseCount: update.quantity // Track purchase count for analytics
-            } 
-          }
-        );
-      }
-    }    // Notify all admins of new order using enhanced push notifications
+    // Notify all admins of new order using enhanced push notifications
     try {
       const user = await User.findById(userId);
       if (user) {
         // Send push notification to user about order confirmation
         await notifications.notifyOrderStatus(userId, order._id, 'placed', {
-          totalAmount: totalAmount,
+          totalAmount: order.totalAmount,
           itemCount: items.length
         });
 
         // PWA web push for order placed
         try {
-          await notifyOrderPlacedWeb(userId, { orderId: order._id.toString(), total: totalAmount });
+          await notifyOrderPlacedWeb(userId, { orderId: order._id.toString(), total: order.totalAmount });
         } catch (e) {
           console.warn('[WEB PUSH] order placed failed:', e?.message || e);
         }
@@ -990,7 +1057,7 @@ export const createOrder = async (req, res) => {
           username: user.username,
           phone: user.phone
         }, {
-          total: totalAmount,
+          total: order.totalAmount,
           itemCount: items.length,
           paymentMethod: paymentMethod
         });
@@ -1026,7 +1093,7 @@ export const createOrder = async (req, res) => {
       // Don't fail order creation if notifications fail
     }
 
-    res.status(201).json({ order });
+    res.status(201).json({ order, ...(payment ? { payment } : {}) });
   } catch (error) {
     console.error('[CREATE ORDER] Error:', error);
     res.status(500).json({ message: 'Failed to create order.', error: error.message });
@@ -1044,6 +1111,9 @@ export const getUserOrders = async (req, res) => {
   }
 };
 
+// Warehouse managers only see orders shipping from their warehouse (see resolveWarehouseScope)
+const orderScope = (req) => (req.warehouseScope ? { warehouseId: req.warehouseScope } : {});
+
 // Get all orders (admin)
 export const getAllOrders = async (req, res) => {
   try {
@@ -1056,7 +1126,7 @@ export const getAllOrders = async (req, res) => {
     
     // Build query based on query parameters for drill-down functionality
     let query = {};
-    const { status, payment, paymentStatus, limit, page } = req.query;
+    const { status, payment, paymentStatus, warehouseId, limit, page } = req.query;
     
     // Filter by status if provided
     if (status) {
@@ -1081,6 +1151,12 @@ export const getAllOrders = async (req, res) => {
     if (paymentStatus) {
       query.paymentStatus = paymentStatus.toUpperCase();
     }
+
+    // Filter by fulfilling warehouse; warehouse managers are limited to their own
+    if (warehouseId && mongoose.Types.ObjectId.isValid(warehouseId)) {
+      query.warehouseId = warehouseId;
+    }
+    Object.assign(query, orderScope(req));
     
     // Pagination
     const pageNum = parseInt(page) || 1;
@@ -1121,15 +1197,30 @@ export const getAllOrders = async (req, res) => {
 // Update order status (admin)
 export const updateOrderStatus = async (req, res) => {
   try {
-    const { status, deliveryOtp } = req.body;
-    const order = await Order.findById(req.params.id);
+    const { status, deliveryOtp, reason } = req.body;
+    const order = await Order.findOne({ _id: req.params.id, ...orderScope(req) });
     
     if (!order) {
       return res.status(404).json({ message: 'Order not found.' });
     }
 
+    if (String(status || '').toLowerCase() === 'paid') {
+      return res.status(400).json({ message: 'Payment is not an order status. Use /orders/:id/mark-paid to confirm a payment.' });
+    }
+    const targetStatus = normalizeOrderStatus(status);
+    if (!targetStatus) {
+      return res.status(400).json({ message: `Unknown order status: ${status}` });
+    }
+
+    // Only the transitions declared in utils/orderLifecycle.js are allowed, per actor
+    const actor = orderLifecycleService.getRequestActor(req);
+    const transitionCheck = checkTransition(normalizeOrderStatus(order.status) || order.status, targetStatus, actor.role);
+    if (!transitionCheck.allowed) {
+      return res.status(transitionCheck.transition ? 403 : 400).json({ message: transitionCheck.reason });
+    }
+
     // Check if OTP validation is required for this status update
-    if (requiresOTPValidation(order.status, status)) {
+    if (transitionCheck.transition.requiresOtp) {
       // Validate OTP when updating to "Delivered"
       if (!deliveryOtp) {
         return res.status(400).json({ 
@@ -1193,40 +1284,13 @@ export const updateOrderStatus = async (req, res) => {
         });
       }
 
-      // OTP is valid - mark as used and add delivered timestamp
+      // OTP is valid - mark as used
       order.deliveryOtp.isUsed = true;
-      order.deliveredAt = new Date();
-    }    // Update order status
-    order.status = status;
-
-    // If admin marks UPI order as paid, also update paymentStatus
-    if (order.paymentMethod === 'UPI' && status === 'Paid') {
-      order.paymentStatus = 'Paid';
     }
 
-    await order.save();
-
-    // Handle batch group allocation updates when order is delivered
-    if (status === 'Delivered') {
-      try {
-        console.log(`[ORDER STATUS] Order ${order._id} marked as delivered, updating batch allocations`);
-        
-        // Import batch group service
-        const batchGroupService = await import('../services/batchGroupService.js');
-        
-        // Move allocated items to used items in batch groups
-        const batchUpdateResult = await batchGroupService.moveAllocatedToUsed(order._id);
-        
-        if (batchUpdateResult.success) {
-          console.log(`[ORDER STATUS] Successfully updated batch allocations for order ${order._id}:`, batchUpdateResult);
-        } else {
-          console.error(`[ORDER STATUS] Failed to update batch allocations for order ${order._id}:`, batchUpdateResult.errors);
-        }
-      } catch (batchError) {
-        console.error('[ORDER STATUS] Error updating batch allocations:', batchError);
-        // Don't fail order status update if batch update fails
-      }
-    }
+    // Status change, history entry and hooks (batch usage, invoice, rewards, in-app/push notifications)
+    const change = orderLifecycleService.applyTransition(order, { to: targetStatus, actor, reason });
+    await orderLifecycleService.commitTransition(order, change);
 
     // Get user for notifications
     const user = await User.findById(order.userId);
@@ -1235,7 +1299,7 @@ export const updateOrderStatus = async (req, res) => {
     }    // Handle special status-based notifications
     try {
       // Send OTP when order is shipped - using your Brevo email service
-      if (status === 'Shipped' && order.deliveryOtp && order.deliveryOtp.code) {
+      if (targetStatus === 'Shipped' && order.deliveryOtp && order.deliveryOtp.code) {
         // Send OTP via your Brevo email service
         if (user.email) {
           try {
@@ -1263,7 +1327,7 @@ export const updateOrderStatus = async (req, res) => {
       }
 
       // Send delivery confirmation email when order is delivered
-      if (status === 'Delivered' && user.email) {
+      if (targetStatus === 'Delivered' && user.email) {
         try {
           await sendOrderDeliveredEmail(user.email, user.name, order._id.toString());
           console.log(`[EMAIL] Delivery confirmation email sent to ${user.email} for order ${order._id}`);
@@ -1273,64 +1337,30 @@ export const updateOrderStatus = async (req, res) => {
       }
 
       // Send status update via SMS and WhatsApp for other status changes
-      if (user.phone && status !== 'Shipped') // Skip shipped since we handle it above
+      if (user.phone && targetStatus !== 'Shipped') // Skip shipped since we handle it above
       {
         try {
-          const statusResult = await sendStatusUpdateNotification(user, order._id.toString(), status, ['sms', 'whatsapp']);
+          const statusResult = await sendStatusUpdateNotification(user, order._id.toString(), targetStatus, ['sms', 'whatsapp']);
           console.log(`[ORDER] Status update sent for ${order._id}:`, statusResult.summary);
         } catch (statusError) {
           console.error('[ORDER] Status update notification error:', statusError);
           // Don't fail status update if notifications fail
         }
       }
-
-      // Legacy push notification (keep for compatibility)
-      await notifications.notifyOrderStatus(user, order._id, status);
-
-      // PWA web push for order status updates
-      try {
-        await notifyOrderStatusWeb(user._id, { orderId: order._id.toString(), status });
-      } catch (e) {
-        console.warn('[WEB PUSH] order status failed:', e?.message || e);
-      }
-
-      // Special handling for UPI payment confirmation
-      if (order.paymentMethod === 'UPI' && status === 'Paid') {
-        await notifications.sendPushNotification(
-          user.pushToken,
-          'Payment Received',
-          `Your UPI payment for order #${order._id} has been verified and marked as paid.`,
-          { orderId: order._id, status: 'Paid' }
-        );
-      }
     } catch (notificationError) {
       console.error('[ORDER] Notification error:', notificationError);
       // Don't fail status update if notifications fail
     }
 
-    // Process order rewards if status is "Delivered"
-    if (status === 'Delivered') {
-      try {
-        console.log(`[ORDER REWARDS] Starting reward processing for order ${order._id}`);
-        const rewardResult = await processOrderRewards(order);
-        if (rewardResult) {
-          console.log(`[ORDER REWARDS] SUCCESS: Awarded ${rewardResult.coinsAwarded} Indira Coins to user ${order.userId} for order ${order._id}`);
-        } else {
-          console.log(`[ORDER REWARDS] No rewards awarded for order ${order._id} (amount: ₹${order.totalAmount})`);
-        }
-      } catch (rewardError) {
-        console.error('[ORDER REWARDS] FAILED to process rewards:', rewardError);
-        console.error('[ORDER REWARDS] Stack trace:', rewardError.stack);
-        // Don't fail order update if reward processing fails, but log extensively
-      }
-    }
-
     res.json({ 
       order,
-      message: status === 'Delivered' ? 'Order delivered successfully!' : 'Order status updated successfully!'
+      message: targetStatus === 'Delivered' ? 'Order delivered successfully!' : 'Order status updated successfully!'
     });
   } catch (error) {
     console.error('[UPDATE ORDER STATUS] Error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to update order status.' });
   }
 };
@@ -1339,48 +1369,25 @@ export const updateOrderStatus = async (req, res) => {
 export const cancelOrder = async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
-    if (!order) return res.status(404).json({ message: 'Order not found.' });
-    if (order.status !== 'Pending') return res.status(400).json({ message: 'Cannot cancel order after it is shipped.' });
-    
-    // Restore stock when order is cancelled
-    for (const item of order.items) {
-      if (item.hasVariant && item.variantId) {
-        // Restore variant stock
-        await Product.updateOne(
-          { _id: item.id, 'variants.id': item.variantId },
-          { $inc: { 'variants.$.stock': item.qty } }
-        );
-      } else {
-        // Restore regular product stock
-        await Product.updateOne(
-          { _id: item.id },
-          { $inc: { stock: item.qty } }
-        );
-      }
+    if (!order || order.userId.toString() !== req.user.id.toString()) {
+      return res.status(404).json({ message: 'Order not found.' });
     }
-    
-    order.status = 'Cancelled';
-    await order.save();
-
-    // In-app notification
-    try {
-      const notifService = (await import('../services/notificationService.js')).default;
-      await notifService.sendOrderNotification(order._id.toString(), 'cancelled', order.userId.toString());
-    } catch (_) {}
-
-    // Expo push (mobile)
-    try {
-      await notifications.notifyOrderStatus(order.userId.toString(), order._id.toString(), 'cancelled');
-    } catch (_) {}
+    if (order.status !== 'Pending') return res.status(400).json({ message: 'Cannot cancel order after it is shipped.' });
 
-    // Web push (PWA)
-    try {
-      await notifyOrderStatusWeb(order.userId.toString(), { orderId: order._id.toString(), status: 'cancelled' });
-    } catch (_) {}
+    // Stock, combo stock, coupon usage and redeemed coins are released by the Cancelled hooks,
+    // which also notify the customer
+    await orderLifecycleService.transitionOrder(order, {
+      to: 'Cancelled',
+      actor: orderLifecycleService.getRequestActor(req),
+      reason: req.body?.reason || 'Order cancelled by customer'
+    });
 
     res.json({ order, message: 'Order cancelled successfully' });
   } catch (error) {
     console.error('[CANCEL ORDER] Error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to cancel order.' });
   }
 };
@@ -1388,7 +1395,7 @@ export const cancelOrder = async (req, res) => {
 // Get order by ID (user or admin)
 export const getOrderById = async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id).populate('coupon');
+    const order = await Order.findOne({ _id: req.params.id, ...orderScope(req) }).populate('coupon');
     if (!order) return res.status(404).json({ message: 'Order not found.' });
     // Fetch user details for admin view
     let userDetails = null;
@@ -1510,9 +1517,10 @@ export const getCart = async (req, res) => {
     const ComboPack = (await import('../models/ComboPack.js')).default;
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ message: 'User not found.' });
-    if (!user.cart || user.cart.length === 0) return res.json({ cart: [] });
+    if (!user.cart || user.cart.length === 0) return res.json({ cart: [], reservation: null });
     
     const cart = [];
+    const reservation = await reservationService.getActiveReservation(user._id);
     
     // Process each cart item
     for (const item of user.cart) {
@@ -1547,6 +1555,13 @@ export const getCart = async (req, res) => {
           }
         }
         
+        // Reserved/available status so checkout can warn before payment
+        cartItem.stockStatus = await reservationService.getLineStockStatus({
+          productId: product._id,
+          variantId: item.variantId || null,
+          quantity: item.quantity
+        }, reservation);
+        
         cart.push(cartItem);
         
       } else if (item.type === 'combo') {
@@ -1563,11 +1578,23 @@ export const getCart = async (req, res) => {
           price: comboPack.comboPrice // Use combo price for calculations
         };
         
+        // Combo packs are not held; report whether they can currently be fulfilled
+        const comboAvailable = await comboPack.calculateAvailableStock();
+        cartItem.stockStatus = {
+          status: comboAvailable >= item.quantity ? 'available' : 'insufficient',
+          requestedQuantity: item.quantity,
+          reservedQuantity: 0,
+          availableQuantity: comboAvailable
+        };
+        
         cart.push(cartItem);
       }
     }
 
-    res.json({ cart });
+    res.json({
+      cart,
+      reservation: reservation ? { id: reservation._id, expiresAt: reservation.expiresAt } : null
+    });
   } catch (err) {
     console.error('[GET CART]', err);
     res.status(500).json({ message: 'Failed to fetch cart.' });
@@ -1717,6 +1744,62 @@ export const clearCart = async (req, res) => {
   }
 };
 
+// Hold the cart's stock while the customer checks out
+export const reserveCart = async (req, res) => {
+  try {
+    const { reservation, fullyReserved, shortages } = await reservationService.reserveCart(req.user.id);
+
+    if (!reservation) {
+      return res.status(400).json({ message: 'No products in cart to reserve.' });
+    }
+
+    res.json({
+      success: true,
+      fullyReserved,
+      message: fullyReserved
+        ? `Items reserved for ${reservationService.RESERVATION_CONSTANTS.HOLD_MINUTES} minutes.`
+        : 'Some items could not be fully reserved.',
+      reservation: {
+        id: reservation._id,
+        expiresAt: reservation.expiresAt,
+        items: reservation.items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          name: item.name,
+          variantName: item.variantName,
+          requestedQuantity: item.requestedQuantity,
+          reservedQuantity: item.heldQuantity
+        }))
+      },
+      shortages
+    });
+  } catch (err) {
+    if (err.statusCode === 404) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+    if (err.statusCode === 409) {
+      return res.status(409).json({ message: err.message });
+    }
+    console.error('[RESERVE CART]', err);
+    res.status(500).json({ message: 'Failed to reserve cart.' });
+  }
+};
+
+// Give up the checkout hold without ordering
+export const releaseCartReservation = async (req, res) => {
+  try {
+    const reservation = await reservationService.releaseUserReservation(req.user.id);
+    res.json({
+      success: true,
+      released: Boolean(reservation),
+      message: reservation ? 'Reservation released.' : 'No active reservation.'
+    });
+  } catch (err) {
+    console.error('[RELEASE CART RESERVATION]', err);
+    res.status(500).json({ message: 'Failed to release reservation.' });
+  }
+};
+
 // Update cart item quantity
 export const updateCartItem = async (req, res) => {
   try {
@@ -1850,9 +1933,11 @@ export const addUserAddress = async (req, res) => {
 export const markOrderAsPaid = async (req, res) => {
   try {
     const orderId = req.params.id;
-    const order = await Order.findById(orderId);
+    const order = await Order.findOne({ _id: orderId, ...orderScope(req) });
     if (!order) return res.status(404).json({ message: 'Order not found.' });
     order.paymentStatus = 'Paid';
+    order.paidAt = new Date();
+    order.paymentConfirmedVia = 'admin';
     await order.save();
     // Notify user when order is marked as paid
     const user = await User.findById(order.userId);
@@ -1870,10 +1955,11 @@ export const markOrderAsPaid = async (req, res) => {
   }
 };
 
-// Get all users (admin)
+// Get all users (admin); warehouse managers get the customers of their warehouse's orders
 export const getAllUsers = async (req, res) => {
   try {
-    const users = await import('../models/User.js').then(m => m.default.find({}, '-password'));
+    const filter = req.warehouseScope ? { _id: { $in: await Order.distinct('userId', orderScope(req)) } } : {};
+    const users = await import('../models/User.js').then(m => m.default.find(filter, '-password'));
     // Add id field for frontend compatibility
     res.json({ users: users.map(u => ({ ...u.toObject(), id: u._id, userId: u._id })) });
   } catch (_err) {
@@ -1885,7 +1971,7 @@ export const getAllUsers = async (req, res) => {
 export const getOrdersByUserId = async (req, res) => {
   try {
     const userId = req.params.userId;
-    const orders = await Order.find({ userId }).sort({ placedAt: -1 });
+    const orders = await Order.find({ userId, ...orderScope(req) }).sort({ placedAt: -1 });
     res.json({ orders: orders.map(order => ({ ...order.toObject(), id: order._id })) });
   } catch (_err) {
     res.status(500).json({ message: 'Failed to fetch user orders.' });
@@ -2037,9 +2123,48 @@ export const updateDeliverySlot = async (req, res) => {
     }
     
     // Update delivery slot
+    // Slot surcharges: charge only the difference between the old and the new slot
+    if (timeSlot && timeSlot !== order.deliverySlot?.timeSlot) {
+      const shippingFor = (slot) => shippingService.calculateShipping({
+        items: order.items.map(item => item.toObject()),
+        subtotal: order.subtotal,
+        pincode: order.shipping?.pincode,
+        deliveryType: order.deliveryType,
+        timeSlot: slot,
+        now: order.createdAt
+      });
+      const [current, next] = await Promise.all([shippingFor(order.deliverySlot?.timeSlot), shippingFor(timeSlot)]);
+      const difference = Math.round((next.shippingFee - current.shippingFee) * 100) / 100;
+      const isUnpaidCod = order.paymentMethod === 'COD' && order.paymentStatus === 'Pending';
+
+      if (difference > 0 && !isUnpaidCod) {
+        return res.status(400).json({
+          success: false,
+          message: `This slot adds ₹${difference} to the delivery charge. A prepaid order can only move to a slot with the same charge.`
+        });
+      }
+      if (difference !== 0 && isUnpaidCod) {
+        const shippingFee = Math.max(0, Math.round((order.shippingFee + difference) * 100) / 100);
+        order.totalAmount = Math.round((order.totalAmount + shippingFee - order.shippingFee) * 100) / 100;
+        order.shippingFee = shippingFee;
+        order.shippingBreakdown = {
+          base: next.base,
+          surcharges: next.surcharges,
+          promo: next.promo || undefined,
+          zone: next.zone || undefined
+        };
+      }
+    }
+
+    const previousSlot = { date: order.deliverySlot?.date, window: order.deliverySlot?.timeSlot };
     if (date) order.deliverySlot.date = new Date(date);
     if (timeSlot) order.deliverySlot.timeSlot = timeSlot;
     order.deliverySlot.lastModified = new Date();
+    order.recordSlotChange(
+      previousSlot,
+      { date: order.deliverySlot.date, window: order.deliverySlot.timeSlot },
+      orderLifecycleService.getRequestActor(req)
+    );
     
     await order.save();
     
@@ -2050,7 +2175,9 @@ export const updateDeliverySlot = async (req, res) => {
         date: order.deliverySlot.date,
         timeSlot: order.deliverySlot.timeSlot,
         lastModified: order.deliverySlot.lastModified
-      }
+      },
+      shippingFee: order.shippingFee,
+      totalAmount: order.totalAmount
     });
   } catch (error) {
     console.error('[UPDATE DELIVERY SLOT]', error);
@@ -2367,6 +2494,7 @@ export const bulkCreateProducts = async (req, res) => {
         
         // Process variants and their images with robust error handling
         let processedVariants = [];
+        const variantCostPrices = {}; // Unit cost per variant from the upload, by variant id
         if (productData.hasVariants && productData.variants && Array.isArray(productData.variants)) {
           console.log(`[BULK UPLOAD] Processing ${productData.variants.length} variants for ${productName}`);
           
@@ -2435,6 +2563,9 @@ export const bulkCreateProducts = async (req, res) => {
               };
               
               processedVariants.push(variantObj);
+              if (variant.costPrice !== undefined && variant.costPrice !== '') {
+                variantCostPrices[variantObj.id] = variant.costPrice;
+              }
               results.summary.variantsCreated++;
               
             } catch (variantError) {
@@ -2539,6 +2670,8 @@ export const bulkCreateProducts = async (req, res) => {
           manufacturingDate: productData.manufacturingDate,
           expiryDate: productData.expiryDate,
           bestBeforeDate: productData.bestBeforeDate,
+          costPrice: productData.costPrice,
+          variantCostPrices,
           supplierInfo: supplierInfo,
           location: productData.location || 'Main Warehouse'
         };
@@ -0,0 +1,126 @@
+import purchaseOrderService from '../services/purchaseOrderService.js';
+
+const logError = (err, location) => {
+  console.error(`[PurchaseOrderController:${location}]`, err);
+};
+
+// Errors thrown by purchaseOrderService carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const getAdminId = (req) => req.user?.adminId || req.user?.id || null;
+
+const getActor = (req) => ({
+  id: getAdminId(req),
+  type: req.userType === 'subadmin' ? 'subadmin' : 'admin'
+});
+
+// Warehouse managers receive deliveries; raising and settling orders is for admins
+const denyScoped = (req, res) => {
+  if (!req.warehouseScope) return false;
+  res.status(403).json({ success: false, message: 'Only an admin can manage purchase orders' });
+  return true;
+};
+
+// ✅ Purchase orders, optionally by status, supplier or warehouse (admin/sub-admin)
+export const getPurchaseOrders = async (req, res) => {
+  try {
+    const { status, supplierId, warehouseId, page, limit } = req.query;
+    const result = await purchaseOrderService.listPurchaseOrders({ status, supplierId, warehouseId, page, limit }, req.warehouseScope);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logError(err, 'getPurchaseOrders');
+    sendError(res, err, 'Failed to fetch purchase orders.');
+  }
+};
+
+// ✅ One purchase order with its receipts (admin/sub-admin)
+export const getPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrderService.getPurchaseOrder(req.params.id, req.warehouseScope);
+    res.json({ success: true, purchaseOrder });
+  } catch (err) {
+    logError(err, 'getPurchaseOrder');
+    sendError(res, err, 'Failed to fetch purchase order.');
+  }
+};
+
+// ✅ Draft a purchase order (admin)
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const purchaseOrder = await purchaseOrderService.createPurchaseOrder(req.body, getAdminId(req));
+    res.status(201).json({ success: true, purchaseOrder, message: 'Purchase order created' });
+  } catch (err) {
+    logError(err, 'createPurchaseOrder');
+    sendError(res, err, 'Failed to create purchase order.');
+  }
+};
+
+// ✅ Change a purchase order (admin)
+export const updatePurchaseOrder = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const purchaseOrder = await purchaseOrderService.updatePurchaseOrder(req.params.id, req.body, getAdminId(req));
+    res.json({ success: true, purchaseOrder, message: 'Purchase order updated' });
+  } catch (err) {
+    logError(err, 'updatePurchaseOrder');
+    sendError(res, err, 'Failed to update purchase order.');
+  }
+};
+
+// ✅ Send a draft to the supplier (admin)
+export const placePurchaseOrder = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const purchaseOrder = await purchaseOrderService.placePurchaseOrder(req.params.id, req.body || {}, getAdminId(req));
+    res.json({ success: true, purchaseOrder, message: 'Purchase order placed' });
+  } catch (err) {
+    logError(err, 'placePurchaseOrder');
+    sendError(res, err, 'Failed to place purchase order.');
+  }
+};
+
+// ✅ Book a delivery into stock (admin, or the receiving warehouse's manager)
+export const receivePurchaseOrder = async (req, res) => {
+  try {
+    const { purchaseOrder, batchGroup } = await purchaseOrderService.receivePurchaseOrder(req.params.id, req.body || {}, getActor(req), req.warehouseScope);
+    res.json({
+      success: true,
+      purchaseOrder,
+      batchGroup,
+      message: purchaseOrder.status === 'received' ? 'Purchase order received in full' : 'Delivery received'
+    });
+  } catch (err) {
+    logError(err, 'receivePurchaseOrder');
+    sendError(res, err, 'Failed to receive purchase order.');
+  }
+};
+
+// ✅ Accept a short delivery as final (admin)
+export const closePurchaseOrder = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const purchaseOrder = await purchaseOrderService.closePurchaseOrder(req.params.id, req.body || {}, getAdminId(req));
+    res.json({ success: true, purchaseOrder, message: 'Purchase order closed' });
+  } catch (err) {
+    logError(err, 'closePurchaseOrder');
+    sendError(res, err, 'Failed to close purchase order.');
+  }
+};
+
+// ✅ Cancel an order nothing has arrived for (admin)
+export const cancelPurchaseOrder = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const purchaseOrder = await purchaseOrderService.cancelPurchaseOrder(req.params.id, req.body || {}, getAdminId(req));
+    res.json({ success: true, purchaseOrder, message: 'Purchase order cancelled' });
+  } catch (err) {
+    logError(err, 'cancelPurchaseOrder');
+    sendError(res, err, 'Failed to cancel purchase order.');
+  }
+};
@@ -4,6 +4,13 @@ import Transaction from '../models/Transaction.js';
 
 // Return Analytics & Reports
 
+const orderScope = (req) => (req.warehouseScope ? { warehouseId: req.warehouseScope } : {});
+
+// Warehouse managers only see returns of their warehouse's orders
+const returnScope = async (req) => (req.warehouseScope
+  ? { orderId: { $in: await Order.distinct('_id', orderScope(req)) } }
+  : {});
+
 // Return Analytics Dashboard
 export const getReturnAnalytics = async (req, res) => {
   try {
@@ -13,12 +20,14 @@ export const getReturnAnalytics = async (req, res) => {
     const endDate = new Date();
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(period));
+    const scope = await returnScope(req);
 
     // Summary Statistics
     const summary = await Return.aggregate([
       {
         $match: {
-          requestedAt: { $gte: startDate, $lte: endDate }
+          requestedAt: { $gte: startDate, $lte: endDate },
+          ...scope
         }
       },
       {
@@ -53,7 +62,8 @@ export const getReturnAnalytics = async (req, res) => {
     // Calculate return rate
     const totalOrders = await Order.countDocuments({
       placedAt: { $gte: startDate, $lte: endDate },
-      status: 'Delivered'
+      status: 'Delivered',
+      ...orderScope(req)
     });
 
     const returnRate = totalOrders > 0 ? 
@@ -63,7 +73,8 @@ export const getReturnAnalytics = async (req, res) => {
     const trendData = await Return.aggregate([
       {
         $match: {
-          requestedAt: { $gte: startDate, $lte: endDate }
+          requestedAt: { $gte: startDate, $lte: endDate },
+          ...scope
         }
       },
       {
@@ -95,7 +106,8 @@ export const getReturnAnalytics = async (req, res) => {
     const reasonBreakdown = await Return.aggregate([
       {
         $match: {
-          requestedAt: { $gte: startDate, $lte: endDate }
+          requestedAt: { $gte: startDate, $lte: endDate },
+          ...scope
         }
       },
       {
@@ -123,6 +135,7 @@ export const getReturnAnalytics = async (req, res) => {
       {
         $match: {
           requestedAt: { $gte: startDate, $lte: endDate },
+          ...scope,
           'warehouseManagement.assignedManager': { $exists: true }
         }
       },
@@ -212,7 +225,7 @@ export const getReturnReports = async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = {};
+    const query = await returnScope(req);
     
     if (dateFrom || dateTo) {
       query.requestedAt = {};
@@ -268,12 +281,14 @@ export const getProductReturnAnalysis = async (req, res) => {
     const endDate = new Date();
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(period));
+    const scope = await returnScope(req);
 
     // Product-wise return analysis
     const productAnalysis = await Return.aggregate([
       {
         $match: {
-          requestedAt: { $gte: startDate, $lte: endDate }
+          requestedAt: { $gte: startDate, $lte: endDate },
+          ...scope
         }
       },
       { $unwind: '$items' },
@@ -308,7 +323,8 @@ export const getProductReturnAnalysis = async (req, res) => {
     const categoryAnalysis = await Return.aggregate([
       {
         $match: {
-          requestedAt: { $gte: startDate, $lte: endDate }
+          requestedAt: { $gte: startDate, $lte: endDate },
+          ...scope
         }
       },
       { $unwind: '$items' },
@@ -360,12 +376,14 @@ export const getCustomerReturnBehavior = async (req, res) => {
     const endDate = new Date();
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(period));
+    const scope = await returnScope(req);
 
     // Customer behavior analysis
     const customerBehavior = await Return.aggregate([
       {
         $match: {
-          requestedAt: { $gte: startDate, $lte: endDate }
+          requestedAt: { $gte: startDate, $lte: endDate },
+          ...scope
         }
       },
       {
@@ -1,4 +1,5 @@
 import revenueAnalyticsService from '../services/revenueAnalyticsService.js';
+import abandonedCartService from '../services/abandonedCartService.js';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import Coupon from '../models/Coupon.js';
@@ -78,8 +79,12 @@ export const getDashboardAnalytics = async (req, res) => {
 };
 
 // Get comprehensive revenue analytics
+// Its profitability section covers every warehouse, so warehouse managers use /profitability instead
 export const getRevenueAnalytics = async (req, res) => {
   try {
+    if (req.warehouseScope) {
+      return res.status(403).json({ success: false, message: 'Only an admin can view store-wide revenue analytics' });
+    }
     console.log('[REVENUE CONTROLLER] Getting comprehensive revenue analytics...');
     
     const analytics = await revenueAnalyticsService.getComprehensiveAnalytics();
@@ -496,6 +501,88 @@ export const getTopPerformingProducts = async (req, res) => {
   }
 };
 
+// Gross profit of delivered orders from the cost of the batches they used
+export const getProfitability = async (req, res) => {
+  try {
+    const { startDate, endDate, groupBy, limit } = req.query;
+    
+    console.log(`[REVENUE CONTROLLER] Getting profitability by ${groupBy || 'product'}...`);
+    
+    // Warehouse managers only see the margins of their own warehouse's orders
+    const report = await revenueAnalyticsService.getProfitabilityReport({
+      startDate, endDate, groupBy: groupBy || 'product', limit, warehouseId: req.warehouseScope
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: report,
+      message: 'Profitability analytics retrieved successfully'
+    });
+    
+  } catch (error) {
+    console.error('[REVENUE CONTROLLER] Error getting profitability analytics:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to retrieve profitability analytics',
+      error: error.message
+    });
+  }
+};
+
+// Abandoned cart recovery: recovery rate, recovered revenue and per-step delivery
+export const getAbandonedCartAnalytics = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    console.log('[REVENUE CONTROLLER] Getting abandoned cart recovery analytics...');
+    
+    const analytics = await abandonedCartService.getRecoveryAnalytics({ startDate, endDate });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        ...analytics,
+        sequence: abandonedCartService.ABANDONED_CART_CONSTANTS.SEQUENCE,
+        dateRange: { startDate: startDate || null, endDate: endDate || null }
+      },
+      message: 'Abandoned cart analytics retrieved successfully'
+    });
+    
+  } catch (error) {
+    console.error('[REVENUE CONTROLLER] Error getting abandoned cart analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve abandoned cart analytics',
+      error: error.message
+    });
+  }
+};
+
+// List abandoned cart sequences
+export const getAbandonedCarts = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    const result = await abandonedCartService.getAbandonedCarts({ status, page, limit });
+    
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Abandoned carts retrieved successfully'
+    });
+    
+  } catch (error) {
+    console.error('[REVENUE CONTROLLER] Error getting abandoned carts:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to retrieve abandoned carts',
+      error: error.message
+    });
+  }
+};
+
 // Helper function to calculate analytics for a specific set of orders
 const calculateAnalyticsForOrders = async (orders) => {
   const analytics = {
@@ -556,5 +643,8 @@ export default {
   getRevenueAnalyticsByDateRange,
   getRevenueDetailsByCategory,
   getRevenueTrends,
-  getTopPerformingProducts
+  getTopPerformingProducts,
+  getProfitability,
+  getAbandonedCartAnalytics,
+  getAbandonedCarts
 };
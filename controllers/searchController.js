@@ -0,0 +1,261 @@
+import mongoose from 'mongoose';
+import SearchSynonym from '../models/SearchSynonym.js';
+import ZeroResultQuery from '../models/ZeroResultQuery.js';
+import searchService, { SEARCH_CONSTANTS } from '../services/searchService.js';
+
+const logError = (err, location) => {
+  console.error(`[SearchController:${location}]`, err);
+};
+
+const TYPES = ['all', 'product', 'combo'];
+const ZERO_RESULT_STATUSES = ['open', 'resolved', 'ignored'];
+
+const getAdminId = (req) => req.user?.adminId || null;
+
+const parseLimit = (value, fallback) => Math.min(Math.max(parseInt(value) || fallback, 1), SEARCH_CONSTANTS.MAX_LIMIT);
+
+// Clean a synonym list from the request body; returns null when invalid
+const parseSynonymList = (synonyms) => {
+  if (!Array.isArray(synonyms)) return null;
+  const cleaned = synonyms
+    .filter(s => typeof s === 'string')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(cleaned)];
+};
+
+// 🔍 Typo-tolerant search over products and combo packs (public)
+export const search = async (req, res) => {
+  try {
+    const { q, type = 'all', limit } = req.query;
+
+    if (!q || typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ message: 'Search query "q" is required.' });
+    }
+    if (!TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of ${TYPES.join(', ')}.` });
+    }
+
+    const result = await searchService.search({
+      q,
+      type,
+      limit: parseLimit(limit, SEARCH_CONSTANTS.DEFAULT_LIMIT)
+    });
+
+    if (result.total === 0) {
+      searchService.recordZeroResultQuery(q, req.user?.id || null)
+        .catch(err => logError(err, 'recordZeroResultQuery'));
+    }
+
+    res.json(result);
+  } catch (err) {
+    logError(err, 'search');
+    res.status(500).json({ message: 'Search failed.', error: err.message });
+  }
+};
+
+// 🔍 Prefix autocomplete for the search box (public)
+export const suggest = async (req, res) => {
+  try {
+    const { q = '', type = 'all', limit } = req.query;
+
+    if (!TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of ${TYPES.join(', ')}.` });
+    }
+
+    const result = await searchService.suggest({
+      q: String(q),
+      type,
+      limit: parseLimit(limit, SEARCH_CONSTANTS.SUGGEST_LIMIT)
+    });
+
+    res.json(result);
+  } catch (err) {
+    logError(err, 'suggest');
+    res.status(500).json({ message: 'Failed to fetch suggestions.', error: err.message });
+  }
+};
+
+// ✅ List synonym groups (admin)
+export const getSynonyms = async (_req, res) => {
+  try {
+    const synonyms = await SearchSynonym.find().sort({ term: 1 });
+    res.json({ count: synonyms.length, synonyms });
+  } catch (err) {
+    logError(err, 'getSynonyms');
+    res.status(500).json({ message: 'Failed to fetch synonyms.', error: err.message });
+  }
+};
+
+// 🔹 Create a synonym group (admin)
+export const createSynonym = async (req, res) => {
+  try {
+    const { term, synonyms, isActive } = req.body;
+
+    if (!term || typeof term !== 'string' || !term.trim()) {
+      return res.status(400).json({ field: 'term', message: 'Term is required.' });
+    }
+
+    const synonymList = parseSynonymList(synonyms);
+    if (!synonymList || synonymList.length === 0) {
+      return res.status(400).json({ field: 'synonyms', message: 'Synonyms must be a non-empty list of words.' });
+    }
+
+    const normalizedTerm = term.trim().toLowerCase();
+    const existing = await SearchSynonym.findOne({ term: normalizedTerm });
+    if (existing) {
+      return res.status(400).json({ field: 'term', message: 'A synonym group for this term already exists.' });
+    }
+
+    const synonym = await SearchSynonym.create({
+      term: normalizedTerm,
+      synonyms: synonymList.filter(s => s !== normalizedTerm),
+      isActive: isActive !== undefined ? Boolean(isActive) : true,
+      createdBy: getAdminId(req),
+      lastModifiedBy: getAdminId(req)
+    });
+
+    searchService.invalidateSearchIndex();
+    res.status(201).json({ message: 'Synonym group created.', synonym });
+  } catch (err) {
+    logError(err, 'createSynonym');
+    res.status(500).json({ message: 'Failed to create synonym group.', error: err.message });
+  }
+};
+
+// ✅ Update a synonym group (admin)
+export const updateSynonym = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid synonym ID.' });
+    }
+
+    const synonym = await SearchSynonym.findById(req.params.id);
+    if (!synonym) {
+      return res.status(404).json({ message: 'Synonym group not found.' });
+    }
+
+    const { term, synonyms, isActive } = req.body;
+
+    if (term !== undefined) {
+      if (typeof term !== 'string' || !term.trim()) {
+        return res.status(400).json({ field: 'term', message: 'Term cannot be empty.' });
+      }
+      const normalizedTerm = term.trim().toLowerCase();
+      const duplicate = await SearchSynonym.findOne({ term: normalizedTerm, _id: { $ne: synonym._id } });
+      if (duplicate) {
+        return res.status(400).json({ field: 'term', message: 'A synonym group for this term already exists.' });
+      }
+      synonym.term = normalizedTerm;
+    }
+
+    if (synonyms !== undefined) {
+      const synonymList = parseSynonymList(synonyms);
+      if (!synonymList || synonymList.length === 0) {
+        return res.status(400).json({ field: 'synonyms', message: 'Synonyms must be a non-empty list of words.' });
+      }
+      synonym.synonyms = synonymList.filter(s => s !== synonym.term);
+    }
+
+    if (isActive !== undefined) synonym.isActive = Boolean(isActive);
+    synonym.lastModifiedBy = getAdminId(req);
+    await synonym.save();
+
+    searchService.invalidateSearchIndex();
+    res.json({ message: 'Synonym group updated.', synonym });
+  } catch (err) {
+    logError(err, 'updateSynonym');
+    res.status(500).json({ message: 'Failed to update synonym group.', error: err.message });
+  }
+};
+
+// ❌ Delete a synonym group (admin)
+export const deleteSynonym = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid synonym ID.' });
+    }
+
+    const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+    if (!synonym) {
+      return res.status(404).json({ message: 'Synonym group not found.' });
+    }
+
+    searchService.invalidateSearchIndex();
+    res.json({ message: 'Synonym group deleted.' });
+  } catch (err) {
+    logError(err, 'deleteSynonym');
+    res.status(500).json({ message: 'Failed to delete synonym group.', error: err.message });
+  }
+};
+
+// ✅ Queries that found nothing, most frequent first (admin)
+export const getZeroResultQueries = async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (status !== 'all') {
+      if (!ZERO_RESULT_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be all or one of ${ZERO_RESULT_STATUSES.join(', ')}.` });
+      }
+      filter.status = status;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [queries, total] = await Promise.all([
+      ZeroResultQuery.find(filter)
+        .sort({ count: -1, lastSearchedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ZeroResultQuery.countDocuments(filter)
+    ]);
+
+    res.json({
+      queries,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total
+      }
+    });
+  } catch (err) {
+    logError(err, 'getZeroResultQueries');
+    res.status(500).json({ message: 'Failed to fetch zero-result queries.', error: err.message });
+  }
+};
+
+// ✅ Mark a zero-result query as resolved or ignored (admin)
+export const updateZeroResultQuery = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid query ID.' });
+    }
+
+    const { status, resolution } = req.body;
+    if (!ZERO_RESULT_STATUSES.includes(status)) {
+      return res.status(400).json({ field: 'status', message: `Status must be one of ${ZERO_RESULT_STATUSES.join(', ')}.` });
+    }
+
+    const update = { status, resolution };
+    if (status === 'open') {
+      update.resolvedAt = null;
+      update.resolvedBy = null;
+    } else {
+      update.resolvedAt = new Date();
+      update.resolvedBy = getAdminId(req);
+    }
+
+    const query = await ZeroResultQuery.findByIdAndUpdate(req.params.id, update, { new: true });
+    if (!query) {
+      return res.status(404).json({ message: 'Query not found.' });
+    }
+
+    res.json({ message: `Query marked ${status}.`, query });
+  } catch (err) {
+    logError(err, 'updateZeroResultQuery');
+    res.status(500).json({ message: 'Failed to update query.', error: err.message });
+  }
+};
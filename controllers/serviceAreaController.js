@@ -0,0 +1,65 @@
+import serviceAreaService from '../services/serviceAreaService.js';
+
+const logError = (err, location) => {
+  console.error(`[ServiceAreaController:${location}]`, err);
+};
+
+// Errors thrown by serviceAreaService carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const getAdminId = (req) => req.user?.adminId || req.user?.id || null;
+
+// ✅ Serviceable pincodes, filterable by zone, active flag or search text (admin/sub-admin)
+export const getServiceAreas = async (req, res) => {
+  try {
+    const { zone, active, search, page, limit } = req.query;
+    const result = await serviceAreaService.listServiceAreas({ zone, active, search, page, limit });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logError(err, 'getServiceAreas');
+    sendError(res, err, 'Failed to fetch service areas.');
+  }
+};
+
+// ✅ Add or update one pincode, or a list of them as { areas: [...] } (admin/sub-admin)
+export const upsertServiceAreas = async (req, res) => {
+  try {
+    const areas = Array.isArray(req.body?.areas) ? req.body.areas : [req.body];
+    const result = await serviceAreaService.upsertServiceAreas(areas, getAdminId(req));
+    res.status(result.created > 0 ? 201 : 200).json({
+      success: true,
+      ...result,
+      message: `${result.created} pincode(s) added, ${result.updated} updated`
+    });
+  } catch (err) {
+    logError(err, 'upsertServiceAreas');
+    sendError(res, err, 'Failed to save service areas.');
+  }
+};
+
+// ✅ Change zone, details or active flag of a pincode (admin/sub-admin)
+export const updateServiceArea = async (req, res) => {
+  try {
+    const area = await serviceAreaService.updateServiceArea(req.params.id, req.body, getAdminId(req));
+    res.json({ success: true, area, message: 'Service area updated' });
+  } catch (err) {
+    logError(err, 'updateServiceArea');
+    sendError(res, err, 'Failed to update service area.');
+  }
+};
+
+// ✅ Remove a pincode from the table (admin/sub-admin)
+export const deleteServiceArea = async (req, res) => {
+  try {
+    const area = await serviceAreaService.deleteServiceArea(req.params.id);
+    res.json({ success: true, message: `Pincode ${area.pincode} removed` });
+  } catch (err) {
+    logError(err, 'deleteServiceArea');
+    sendError(res, err, 'Failed to delete service area.');
+  }
+};
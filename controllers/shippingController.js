@@ -0,0 +1,106 @@
+import shippingService from '../services/shippingService.js';
+import pricingService from '../services/pricingService.js';
+
+const logError = (err, location) => {
+  console.error(`[ShippingController:${location}]`, err);
+};
+
+// Errors thrown by shippingService carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const getAdminId = (req) => req.user?.adminId || req.user?.id || null;
+
+// ✅ Delivery charge for the cart (or the items sent) to an address or pincode (user)
+export const estimateShipping = async (req, res) => {
+  try {
+    const { items, addressId, pincode, deliveryType, timeSlot } = req.body || {};
+    const result = await pricingService.estimateShipping({ userId: req.user.id, items, addressId, pincode, deliveryType, timeSlot });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.errors.join(', '), errors: result.errors });
+    }
+    res.json({ success: true, estimate: result.estimate });
+  } catch (err) {
+    logError(err, 'estimateShipping');
+    sendError(res, err, 'Failed to estimate shipping.');
+  }
+};
+
+// ✅ Shipping rules, optionally by kind or active flag (admin/sub-admin)
+export const getRules = async (req, res) => {
+  try {
+    const { kind, active } = req.query;
+    const rules = await shippingService.listRules({ kind, active });
+    res.json({ success: true, rules });
+  } catch (err) {
+    logError(err, 'getRules');
+    sendError(res, err, 'Failed to fetch shipping rules.');
+  }
+};
+
+// ✅ One shipping rule (admin/sub-admin)
+export const getRule = async (req, res) => {
+  try {
+    const rule = await shippingService.getRule(req.params.id);
+    res.json({ success: true, rule });
+  } catch (err) {
+    logError(err, 'getRule');
+    sendError(res, err, 'Failed to fetch shipping rule.');
+  }
+};
+
+// ✅ Add a rate, surcharge or promo (admin/sub-admin)
+export const createRule = async (req, res) => {
+  try {
+    const rule = await shippingService.createRule(req.body, getAdminId(req));
+    res.status(201).json({ success: true, rule, message: 'Shipping rule created' });
+  } catch (err) {
+    logError(err, 'createRule');
+    sendError(res, err, 'Failed to create shipping rule.');
+  }
+};
+
+// ✅ Change a shipping rule (admin/sub-admin)
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await shippingService.updateRule(req.params.id, req.body, getAdminId(req));
+    res.json({ success: true, rule, message: 'Shipping rule updated' });
+  } catch (err) {
+    logError(err, 'updateRule');
+    sendError(res, err, 'Failed to update shipping rule.');
+  }
+};
+
+// ✅ Delete a shipping rule (admin/sub-admin)
+export const deleteRule = async (req, res) => {
+  try {
+    await shippingService.deleteRule(req.params.id);
+    res.json({ success: true, message: 'Shipping rule deleted' });
+  } catch (err) {
+    logError(err, 'deleteRule');
+    sendError(res, err, 'Failed to delete shipping rule.');
+  }
+};
+
+// ✅ Try the rules on a made-up order: { subtotal, weight, itemCount, pincode, deliveryType, timeSlot, at } (admin/sub-admin)
+export const previewRules = async (req, res) => {
+  try {
+    const { subtotal = 0, weight = 0, itemCount = 1, pincode, deliveryType, timeSlot, at } = req.body || {};
+    const shipping = await shippingService.calculateShipping({
+      items: [{ qty: Number(itemCount) || 1, weight: (Number(weight) || 0) / (Number(itemCount) || 1) }],
+      subtotal: Number(subtotal) || 0,
+      pincode,
+      deliveryType,
+      timeSlot,
+      now: at ? new Date(at) : new Date()
+    });
+    res.json({ success: true, shipping });
+  } catch (err) {
+    logError(err, 'previewRules');
+    sendError(res, err, 'Failed to preview shipping rules.');
+  }
+};
@@ -0,0 +1,100 @@
+import stockTransferService from '../services/stockTransferService.js';
+
+const logError = (err, location) => {
+  console.error(`[StockTransferController:${location}]`, err);
+};
+
+// Errors thrown by stockTransferService carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const getActor = (req) => ({
+  id: req.user?.adminId || req.user?.id || null,
+  type: req.userType === 'subadmin' ? 'subadmin' : 'admin'
+});
+
+// ✅ Transfers, optionally by status or warehouse (admin/sub-admin)
+export const getTransfers = async (req, res) => {
+  try {
+    const { status, warehouseId, direction, page, limit } = req.query;
+    const result = await stockTransferService.listTransfers({ status, warehouseId, direction, page, limit }, req.warehouseScope);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logError(err, 'getTransfers');
+    sendError(res, err, 'Failed to fetch stock transfers.');
+  }
+};
+
+// ✅ One transfer with its history (admin/sub-admin)
+export const getTransfer = async (req, res) => {
+  try {
+    const transfer = await stockTransferService.getTransfer(req.params.id, req.warehouseScope);
+    res.json({ success: true, transfer });
+  } catch (err) {
+    logError(err, 'getTransfer');
+    sendError(res, err, 'Failed to fetch stock transfer.');
+  }
+};
+
+// ✅ Draft a transfer (admin, or the sending warehouse's manager)
+export const createTransfer = async (req, res) => {
+  try {
+    const transfer = await stockTransferService.createTransfer(req.body, getActor(req), req.warehouseScope);
+    res.status(201).json({ success: true, transfer, message: 'Stock transfer created' });
+  } catch (err) {
+    logError(err, 'createTransfer');
+    sendError(res, err, 'Failed to create stock transfer.');
+  }
+};
+
+// ✅ Send the stock (admin, or the sending warehouse's manager)
+export const dispatchTransfer = async (req, res) => {
+  try {
+    const transfer = await stockTransferService.dispatchTransfer(req.params.id, req.body || {}, getActor(req), req.warehouseScope);
+    res.json({ success: true, transfer, message: 'Stock dispatched' });
+  } catch (err) {
+    logError(err, 'dispatchTransfer');
+    sendError(res, err, 'Failed to dispatch stock transfer.');
+  }
+};
+
+// ✅ Stock handed to the carrier (admin, or the sending warehouse's manager)
+export const markInTransit = async (req, res) => {
+  try {
+    const transfer = await stockTransferService.markInTransit(req.params.id, req.body || {}, getActor(req), req.warehouseScope);
+    res.json({ success: true, transfer, message: 'Stock transfer in transit' });
+  } catch (err) {
+    logError(err, 'markInTransit');
+    sendError(res, err, 'Failed to update stock transfer.');
+  }
+};
+
+// ✅ Book what arrived (admin, or the receiving warehouse's manager)
+export const receiveTransfer = async (req, res) => {
+  try {
+    const transfer = await stockTransferService.receiveTransfer(req.params.id, req.body || {}, getActor(req), req.warehouseScope);
+    res.json({
+      success: true,
+      transfer,
+      message: transfer.status === 'received' ? 'Stock received' : 'Stock received with discrepancies'
+    });
+  } catch (err) {
+    logError(err, 'receiveTransfer');
+    sendError(res, err, 'Failed to receive stock transfer.');
+  }
+};
+
+// ✅ Cancel; dispatched stock goes back to its batch groups (admin, or the sending warehouse's manager)
+export const cancelTransfer = async (req, res) => {
+  try {
+    const transfer = await stockTransferService.cancelTransfer(req.params.id, req.body || {}, getActor(req), req.warehouseScope);
+    res.json({ success: true, transfer, message: 'Stock transfer cancelled' });
+  } catch (err) {
+    logError(err, 'cancelTransfer');
+    sendError(res, err, 'Failed to cancel stock transfer.');
+  }
+};
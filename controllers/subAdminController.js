@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import SubAdmin from '../models/SubAdmin.js';
 import Admin from '../models/Admin.js';
+import Warehouse from '../models/Warehouse.js';
 import { sendEmail } from '../services/emailService.js';
 import crypto from 'crypto';
 
@@ -13,6 +14,7 @@ const generateToken = (subAdmin) => {
       name: subAdmin.name,
       role: subAdmin.role,
       permissions: subAdmin.permissions,
+      warehouseId: subAdmin.warehouseId || null,
       roleDisplayName: subAdmin.roleDisplayName,
       permissionsDisplayName: subAdmin.permissionsDisplayName,
       type: 'sub_admin'
@@ -29,12 +31,18 @@ const generateToken = (subAdmin) => {
   }
 };
 
+// A warehouse manager's warehouse must exist; null clears it
+const checkWarehouse = async (warehouseId) => {
+  if (!warehouseId) return true;
+  return Boolean(await Warehouse.exists({ _id: warehouseId }).catch(() => null));
+};
+
 // Create new sub admin (Admin only)
 export const createSubAdmin = async (req, res) => {
   try {
     console.log('[CREATE SUB ADMIN] Starting sub admin creation...');
     
-    const { name, email, phone, password, role, permissions } = req.body;
+    const { name, email, phone, password, role, permissions, warehouseId } = req.body;
     const createdBy = req.user.adminId; // From admin auth middleware - using adminId from token
 
     // Validate required fields
@@ -107,6 +115,14 @@ export const createSubAdmin = async (req, res) => {
       });
     }
 
+    if (!(await checkWarehouse(warehouseId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Warehouse not found',
+        field: 'warehouseId'
+      });
+    }
+
     // Generate email verification token
     const emailVerificationToken = crypto.randomBytes(32).toString('hex');
     const emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
@@ -119,6 +135,7 @@ export const createSubAdmin = async (req, res) => {
       password,
       role,
       permissions,
+      warehouseId: warehouseId || null,
       createdBy,
       emailVerificationToken,
       emailVerificationExpires
@@ -403,6 +420,7 @@ export const getAllSubAdmins = async (req, res) => {
     const subAdmins = await SubAdmin.find(filter)
       .select('-password -emailVerificationToken -passwordResetToken')
       .populate('createdBy', 'name email')
+      .populate('warehouseId', 'code name')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -434,7 +452,7 @@ export const getAllSubAdmins = async (req, res) => {
 export const updateSubAdmin = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, phone, role, permissions, isActive } = req.body;
+    const { name, email, phone, role, permissions, isActive, warehouseId } = req.body;
 
     console.log(`[UPDATE SUB ADMIN] Updating sub admin: ${id}`);
 
@@ -486,6 +504,16 @@ export const updateSubAdmin = async (req, res) => {
     if (role) updateData.role = role;
     if (permissions) updateData.permissions = permissions;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (warehouseId !== undefined) {
+      if (!(await checkWarehouse(warehouseId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Warehouse not found',
+          field: 'warehouseId'
+        });
+      }
+      updateData.warehouseId = warehouseId || null;
+    }
 
     const updatedSubAdmin = await SubAdmin.findByIdAndUpdate(
       id,
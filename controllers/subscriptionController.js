@@ -0,0 +1,152 @@
+import subscriptionService from '../services/subscriptionService.js';
+import reorderService from '../services/reorderService.js';
+
+// Subscriptions are not tied to a warehouse (each run is routed anew), so managers get none
+const denyScoped = (req, res) => {
+  if (!req.warehouseScope) return false;
+  res.status(403).json({ success: false, message: 'Only an admin can view subscriptions' });
+  return true;
+};
+
+const logError = (err, location) => {
+  console.error(`[SubscriptionController:${location}]`, err);
+};
+
+// Errors thrown by the subscription and reorder services carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, ...(err.code ? { code: err.code } : {}), message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+// ✅ Put the available items of a past order back in the cart at today's prices (user)
+export const reorder = async (req, res) => {
+  try {
+    const preview = req.body?.preview === true || req.query.preview === 'true';
+    const result = await reorderService.reorder(req.params.id, req.user.id, { preview });
+
+    let message = 'Items added to your cart';
+    if (result.items.length === 0) message = 'None of the items in this order are available right now';
+    else if (preview) message = 'Reorder preview';
+
+    res.json({ success: true, ...result, message });
+  } catch (err) {
+    logError(err, 'reorder');
+    sendError(res, err, 'Failed to reorder.');
+  }
+};
+
+// ✅ Create a subscription from a basket or a past order (user)
+export const createSubscription = async (req, res) => {
+  try {
+    const subscription = await subscriptionService.createSubscription(req.user.id, req.body);
+    res.status(201).json({ success: true, subscription, message: 'Subscription created' });
+  } catch (err) {
+    logError(err, 'createSubscription');
+    sendError(res, err, 'Failed to create subscription.');
+  }
+};
+
+// ✅ List the user's subscriptions (user)
+export const getMySubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await subscriptionService.getUserSubscriptions(req.user.id);
+    res.json({ success: true, subscriptions });
+  } catch (err) {
+    logError(err, 'getMySubscriptions');
+    sendError(res, err, 'Failed to fetch subscriptions.');
+  }
+};
+
+// ✅ One subscription with its delivery history (user)
+export const getMySubscription = async (req, res) => {
+  try {
+    const subscription = await subscriptionService.getSubscription(req.params.id, req.user.id);
+    res.json({ success: true, subscription });
+  } catch (err) {
+    logError(err, 'getMySubscription');
+    sendError(res, err, 'Failed to fetch subscription.');
+  }
+};
+
+// ✅ Change basket, schedule, address or coin settings (user)
+export const updateSubscription = async (req, res) => {
+  try {
+    const subscription = await subscriptionService.updateSubscription(req.params.id, req.user.id, req.body);
+    res.json({ success: true, subscription, message: 'Subscription updated' });
+  } catch (err) {
+    logError(err, 'updateSubscription');
+    sendError(res, err, 'Failed to update subscription.');
+  }
+};
+
+// ✅ Skip the next delivery (user)
+export const skipNextDelivery = async (req, res) => {
+  try {
+    const subscription = await subscriptionService.skipNextDelivery(req.params.id, req.user.id);
+    res.json({ success: true, subscription, message: `Next delivery moved to ${subscription.nextDeliveryDate.toDateString()}` });
+  } catch (err) {
+    logError(err, 'skipNextDelivery');
+    sendError(res, err, 'Failed to skip delivery.');
+  }
+};
+
+// ✅ Pause, optionally until a date (user)
+export const pauseSubscription = async (req, res) => {
+  try {
+    const { until, reason } = req.body || {};
+    const subscription = await subscriptionService.pauseSubscription(req.params.id, req.user.id, { until, reason });
+    res.json({ success: true, subscription, message: 'Subscription paused' });
+  } catch (err) {
+    logError(err, 'pauseSubscription');
+    sendError(res, err, 'Failed to pause subscription.');
+  }
+};
+
+// ✅ Resume a paused subscription (user)
+export const resumeSubscription = async (req, res) => {
+  try {
+    const subscription = await subscriptionService.resumeSubscription(req.params.id, req.user.id);
+    res.json({ success: true, subscription, message: `Subscription resumed; next delivery ${subscription.nextDeliveryDate.toDateString()}` });
+  } catch (err) {
+    logError(err, 'resumeSubscription');
+    sendError(res, err, 'Failed to resume subscription.');
+  }
+};
+
+// ✅ Cancel a subscription (user)
+export const cancelSubscription = async (req, res) => {
+  try {
+    await subscriptionService.cancelSubscription(req.params.id, req.user.id);
+    res.json({ success: true, message: 'Subscription cancelled' });
+  } catch (err) {
+    logError(err, 'cancelSubscription');
+    sendError(res, err, 'Failed to cancel subscription.');
+  }
+};
+
+// ✅ All subscriptions, optionally by status (admin/sub-admin)
+export const getAllSubscriptions = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const { status, page, limit } = req.query;
+    const result = await subscriptionService.getAllSubscriptions({ status, page, limit });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logError(err, 'getAllSubscriptions');
+    sendError(res, err, 'Failed to fetch subscriptions.');
+  }
+};
+
+// ✅ One subscription with its delivery history (admin/sub-admin)
+export const getSubscription = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const subscription = await subscriptionService.getSubscription(req.params.id);
+    res.json({ success: true, subscription });
+  } catch (err) {
+    logError(err, 'getSubscription');
+    sendError(res, err, 'Failed to fetch subscription.');
+  }
+};
@@ -0,0 +1,106 @@
+import supplierService from '../services/supplierService.js';
+
+const logError = (err, location) => {
+  console.error(`[SupplierController:${location}]`, err);
+};
+
+// Errors thrown by supplierService carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const getAdminId = (req) => req.user?.adminId || req.user?.id || null;
+
+// Warehouse managers can look suppliers up but not change them
+const denyScoped = (req, res) => {
+  if (!req.warehouseScope) return false;
+  res.status(403).json({ success: false, message: 'Only an admin can manage suppliers' });
+  return true;
+};
+
+// ✅ Suppliers, optionally active only or matching a search (admin/sub-admin)
+export const getSuppliers = async (req, res) => {
+  try {
+    const suppliers = await supplierService.listSuppliers({ active: req.query.active, search: req.query.search });
+    res.json({ success: true, suppliers });
+  } catch (err) {
+    logError(err, 'getSuppliers');
+    sendError(res, err, 'Failed to fetch suppliers.');
+  }
+};
+
+// ✅ Fill rate, lead time and rejection rate per supplier (admin/sub-admin)
+export const getSupplierPerformance = async (req, res) => {
+  try {
+    const { supplierId, from, to } = req.query;
+    const performance = await supplierService.getSupplierPerformance({ supplierId, from, to });
+    res.json({ success: true, performance });
+  } catch (err) {
+    logError(err, 'getSupplierPerformance');
+    sendError(res, err, 'Failed to fetch supplier performance.');
+  }
+};
+
+// ✅ One supplier (admin/sub-admin)
+export const getSupplier = async (req, res) => {
+  try {
+    const supplier = await supplierService.getSupplier(req.params.id);
+    res.json({ success: true, supplier });
+  } catch (err) {
+    logError(err, 'getSupplier');
+    sendError(res, err, 'Failed to fetch supplier.');
+  }
+};
+
+// ✅ One supplier's performance (admin/sub-admin)
+export const getSupplierPerformanceById = async (req, res) => {
+  try {
+    const [performance] = await supplierService.getSupplierPerformance({ ...req.query, supplierId: req.params.id });
+    if (!performance) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+    res.json({ success: true, performance });
+  } catch (err) {
+    logError(err, 'getSupplierPerformanceById');
+    sendError(res, err, 'Failed to fetch supplier performance.');
+  }
+};
+
+// ✅ Add a supplier (admin)
+export const createSupplier = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const supplier = await supplierService.createSupplier(req.body, getAdminId(req));
+    res.status(201).json({ success: true, supplier, message: 'Supplier created' });
+  } catch (err) {
+    logError(err, 'createSupplier');
+    sendError(res, err, 'Failed to create supplier.');
+  }
+};
+
+// ✅ Change a supplier's details (admin)
+export const updateSupplier = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const supplier = await supplierService.updateSupplier(req.params.id, req.body, getAdminId(req));
+    res.json({ success: true, supplier, message: 'Supplier updated' });
+  } catch (err) {
+    logError(err, 'updateSupplier');
+    sendError(res, err, 'Failed to update supplier.');
+  }
+};
+
+// ✅ Delete a supplier with no purchase orders (admin)
+export const deleteSupplier = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    await supplierService.deleteSupplier(req.params.id);
+    res.json({ success: true, message: 'Supplier deleted' });
+  } catch (err) {
+    logError(err, 'deleteSupplier');
+    sendError(res, err, 'Failed to delete supplier.');
+  }
+};
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import upiReconciliationService from '../services/upiReconciliationService.js';
+
+const logError = (err, location) => {
+  console.error(`[UpiReconciliationController:${location}]`, err);
+};
+
+const getAdminId = (req) => req.user?.adminId || null;
+
+// Bank statements cover the orders of every warehouse, so reconciliation is for admins only
+const denyScoped = (req, res) => {
+  if (!req.warehouseScope) return false;
+  res.status(403).json({ message: 'Only an admin can reconcile UPI payments.' });
+  return true;
+};
+
+// Errors thrown by the reconciliation service carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  return res.status(500).json({ message: fallbackMessage, error: err.message });
+};
+
+// ✅ Import a bank/UPI settlement statement (CSV upload or raw text) and settle exact matches (admin)
+export const importStatement = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ message: 'Upload the statement as "file" or send its text as "csv".' });
+    }
+
+    // Multipart fields arrive as strings
+    let columns = req.body.columns || {};
+    if (typeof columns === 'string') {
+      try {
+        columns = JSON.parse(columns);
+      } catch (_) {
+        return res.status(400).json({ message: 'columns must be a JSON object.' });
+      }
+    }
+
+    const { statementImport, entries } = await upiReconciliationService.importStatement({
+      csv,
+      fileName: req.file?.originalname || req.body.fileName,
+      columns,
+      importedBy: getAdminId(req)
+    });
+
+    res.status(201).json({
+      message: `${statementImport.summary.matched} of ${statementImport.rowCount} row(s) matched and marked paid.`,
+      import: statementImport,
+      entries
+    });
+  } catch (err) {
+    logError(err, 'importStatement');
+    sendError(res, err, 'Failed to import statement.');
+  }
+};
+
+// ✅ Past statement imports (admin)
+export const getImports = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const result = await upiReconciliationService.getImports({ page: pageNum, limit: limitNum });
+
+    res.json({
+      imports: result.imports,
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        total: result.total
+      }
+    });
+  } catch (err) {
+    logError(err, 'getImports');
+    res.status(500).json({ message: 'Failed to fetch statement imports.', error: err.message });
+  }
+};
+
+// ✅ Lines of one import (admin)
+export const getImportEntries = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid import ID.' });
+    }
+
+    const entries = await upiReconciliationService.getImportEntries(id, { status: req.query.status });
+    res.json({ entries });
+  } catch (err) {
+    logError(err, 'getImportEntries');
+    res.status(500).json({ message: 'Failed to fetch statement entries.', error: err.message });
+  }
+};
+
+// ✅ Statement lines and UPI orders still waiting for a person (admin)
+export const getReviewQueue = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const queue = await upiReconciliationService.getReviewQueue();
+    res.json({
+      ...queue,
+      counts: {
+        entries: queue.entries.length,
+        pendingOrders: queue.pendingOrders.length,
+        sharedUtrOrders: queue.sharedUtrOrders.length
+      }
+    });
+  } catch (err) {
+    logError(err, 'getReviewQueue');
+    res.status(500).json({ message: 'Failed to fetch review queue.', error: err.message });
+  }
+};
+
+// ✅ Settle a queued line against an order, or dismiss it (admin)
+export const reviewEntry = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const { action, orderId, note } = req.body;
+    const entry = await upiReconciliationService.reviewEntry(req.params.id, { action, orderId, note }, getAdminId(req));
+    res.json({ message: `Entry ${entry.status}.`, entry });
+  } catch (err) {
+    logError(err, 'reviewEntry');
+    sendError(res, err, 'Failed to review entry.');
+  }
+};
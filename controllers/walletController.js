@@ -509,12 +509,13 @@ export const redeemCoins = async (req, res) => {
 };
 
 // Internal function for order-based coin redemption
-export const redeemCoinsForOrder = async (userId, orderValue, coinsToRedeem, orderId) => {
+// Pass a MongoDB session to run the redemption inside the order placement transaction
+export const redeemCoinsForOrder = async (userId, orderValue, coinsToRedeem, orderId, session = null) => {
   try {
     console.log(`[REDEEM COINS FOR ORDER] User: ${userId}, Order: ₹${orderValue}, Coins: ${coinsToRedeem}, OrderID: ${orderId}`);
     
     // Get user with current balance
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).session(session);
     if (!user) {
       return {
         success: false,
@@ -542,7 +543,7 @@ export const redeemCoinsForOrder = async (userId, orderValue, coinsToRedeem, ord
     const description = generateRedemptionDescription(coinsToRedeem, discountAmount, orderId);
     
     try {
-      const newBalance = await user.deductCoins(coinsToRedeem, 'COIN_REDEMPTION', description, orderId);
+      const newBalance = await user.deductCoins(coinsToRedeem, 'COIN_REDEMPTION', description, orderId, session);
       console.log(`[REDEEM COINS FOR ORDER] Successfully deducted ${coinsToRedeem} coins, new balance: ${newBalance}`);
       
       // Get the transaction ID that was just created
@@ -551,7 +552,7 @@ export const redeemCoinsForOrder = async (userId, orderValue, coinsToRedeem, ord
         type: 'COIN_REDEMPTION',
         amount: -coinsToRedeem,
         orderId: orderId
-      }).sort({ createdAt: -1 });
+      }).sort({ createdAt: -1 }).session(session);
       
       return {
         success: true,
@@ -0,0 +1,125 @@
+import warehouseService from '../services/warehouseService.js';
+
+const logError = (err, location) => {
+  console.error(`[WarehouseController:${location}]`, err);
+};
+
+// Errors thrown by warehouseService carry the HTTP status to use
+const sendError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const getAdminId = (req) => req.user?.adminId || req.user?.id || null;
+
+// Warehouse managers cannot add, change or remove warehouses
+const denyScoped = (req, res) => {
+  if (!req.warehouseScope) return false;
+  res.status(403).json({ success: false, message: 'Only an admin can manage warehouses' });
+  return true;
+};
+
+// ✅ Warehouses with their active batch group counts (admin/sub-admin)
+export const getWarehouses = async (req, res) => {
+  try {
+    const warehouses = await warehouseService.listWarehouses({ active: req.query.active }, req.warehouseScope);
+    res.json({ success: true, warehouses });
+  } catch (err) {
+    logError(err, 'getWarehouses');
+    sendError(res, err, 'Failed to fetch warehouses.');
+  }
+};
+
+// ✅ One warehouse (admin/sub-admin)
+export const getWarehouse = async (req, res) => {
+  try {
+    const warehouse = await warehouseService.getWarehouse(req.params.id, req.warehouseScope);
+    res.json({ success: true, warehouse });
+  } catch (err) {
+    logError(err, 'getWarehouse');
+    sendError(res, err, 'Failed to fetch warehouse.');
+  }
+};
+
+// ✅ Add a warehouse (admin)
+export const createWarehouse = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const warehouse = await warehouseService.createWarehouse(req.body, getAdminId(req));
+    res.status(201).json({ success: true, warehouse, message: 'Warehouse created' });
+  } catch (err) {
+    logError(err, 'createWarehouse');
+    sendError(res, err, 'Failed to create warehouse.');
+  }
+};
+
+// ✅ Change a warehouse, e.g. the pincodes/zones it serves (admin)
+export const updateWarehouse = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    const warehouse = await warehouseService.updateWarehouse(req.params.id, req.body, getAdminId(req));
+    res.json({ success: true, warehouse, message: 'Warehouse updated' });
+  } catch (err) {
+    logError(err, 'updateWarehouse');
+    sendError(res, err, 'Failed to update warehouse.');
+  }
+};
+
+// ✅ Delete an empty warehouse (admin)
+export const deleteWarehouse = async (req, res) => {
+  try {
+    if (denyScoped(req, res)) return;
+    await warehouseService.deleteWarehouse(req.params.id);
+    res.json({ success: true, message: 'Warehouse deleted' });
+  } catch (err) {
+    logError(err, 'deleteWarehouse');
+    sendError(res, err, 'Failed to delete warehouse.');
+  }
+};
+
+// ✅ Stock in a warehouse per product and variant, optionally for one product (admin/sub-admin)
+export const getWarehouseStock = async (req, res) => {
+  try {
+    const result = await warehouseService.getWarehouseStock(req.params.id, {
+      productId: req.query.productId,
+      scope: req.warehouseScope
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logError(err, 'getWarehouseStock');
+    sendError(res, err, 'Failed to fetch warehouse stock.');
+  }
+};
+
+// ✅ A product's stock in each warehouse (admin/sub-admin)
+export const getProductStockByWarehouse = async (req, res) => {
+  try {
+    const warehouses = await warehouseService.getProductStockByWarehouse(req.params.productId, req.warehouseScope);
+    res.json({ success: true, productId: req.params.productId, warehouses });
+  } catch (err) {
+    logError(err, 'getProductStockByWarehouse');
+    sendError(res, err, 'Failed to fetch product stock by warehouse.');
+  }
+};
+
+// ✅ Which warehouse would fulfil an order to a pincode, in order of preference (admin/sub-admin)
+export const previewRouting = async (req, res) => {
+  try {
+    const candidates = await warehouseService.getCandidateWarehouses({ pincode: req.query.pincode || null });
+    res.json({
+      success: true,
+      pincode: req.query.pincode || null,
+      candidates: candidates.map(({ warehouse, routing }) => ({
+        warehouseId: warehouse._id,
+        code: warehouse.code,
+        name: warehouse.name,
+        routing
+      }))
+    });
+  } catch (err) {
+    logError(err, 'previewRouting');
+    sendError(res, err, 'Failed to preview warehouse routing.');
+  }
+};
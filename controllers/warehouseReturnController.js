@@ -1,13 +1,12 @@
 import Return from '../models/Return.js';
 import Order from '../models/Order.js';
-import User from '../models/User.js';
-import Transaction from '../models/Transaction.js';
 import DeliveryAgent from '../models/DeliveryAgent.js';
 import { 
   sendPickupAssignmentNotification,
   sendPickupStartedNotification,
   sendRefundRecommendationNotification 
 } from '../services/communicationService.js';
+import returnRefundService from '../services/returnRefundService.js';
 
 // Warehouse Manager Return Management (Primary Controller)
 
@@ -1025,7 +1024,6 @@ export const processRefund = async (req, res) => {
 
     let finalCoins = returnRequest.refund.adminDecision.finalCoins;
     let finalAmount = returnRequest.refund.adminDecision.finalAmount;
-    const user = returnRequest.customerId;
     
     // Auto-calculate finalCoins if not present or invalid
     if (isNaN(finalCoins) || finalCoins === undefined || finalCoins === null) {
@@ -1075,113 +1073,41 @@ export const processRefund = async (req, res) => {
       finalAmount = finalCoins / 5;
     }
     
-    // Check for pickup charges - they should already be deducted from finalCoins
+    // Pickup charges are already deducted from finalCoins, so only the final amount is refunded
     const deductions = returnRequest.refund.adminDecision.deductions || [];
     const pickupChargeDeduction = deductions.find(d => d.type === 'pickup_charge');
-    let pickupChargeTransactionId = null;
-    
-    console.log(`Processing refund: ${finalCoins} coins to be credited`);
-    if (pickupChargeDeduction) {
-      console.log(`Pickup charge found: ${pickupChargeDeduction.amount} rupees (already deducted from finalCoins)`);
-    }
-    
-    // The finalCoins already has pickup charges deducted, so we just credit the final amount
-    // No need to deduct pickup charges separately from wallet
 
-    // Update user wallet balance with refund
-    const userRecord = await User.findById(user._id);
-    if (!userRecord) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
-    // Ensure wallet exists and has valid balance
-    const currentBalance = Number(userRecord.wallet?.balance || 0);
-    const totalEarned = Number(userRecord.wallet?.totalEarned || 0);
-    
-    // Validate current balance is a number
-    if (isNaN(currentBalance)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid current wallet balance'
-      });
-    }
-    
-    const newWalletBalance = currentBalance + finalCoins;
-    const newTotalEarned = totalEarned + finalCoins;
-    
-    // Validate new balances are numbers
-    if (isNaN(newWalletBalance) || isNaN(newTotalEarned)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Error calculating new wallet balance'
-      });
-    }
-    
-    await User.findByIdAndUpdate(user._id, {
-      'wallet.balance': newWalletBalance,
-      'wallet.totalEarned': newTotalEarned
-    });
-
-    // Create wallet transaction
-    const transaction = new Transaction({
-      userId: user._id,
-      type: 'REFUND',
-      amount: finalCoins,
-      description: `Refund for return request ${returnRequest.returnRequestId}`,
-      orderId: returnRequest.orderId._id,
-      returnId: returnRequest._id,
-      balanceAfter: newWalletBalance,
-      metadata: {
-        refundDetails: {
-          originalAmount: returnRequest.calculateRefund().originalAmount,
-          refundAmount: finalAmount,
-          conversionRate: 5,
-          deductions: returnRequest.refund.adminDecision.deductions,
-          pickupChargeIncluded: pickupChargeDeduction ? true : false,
-          pickupChargeAmount: pickupChargeDeduction ? pickupChargeDeduction.amount : 0,
-          processedBy: warehouseManagerId,
-          returnReason: returnRequest.returnReason
-        }
-      },
-      status: 'COMPLETED'
-    });
-
-    await transaction.save();
-
-    // Update return processing details
-    returnRequest.refund.processing = {
+    // Coins by default; money can go back to the original payment for prepaid orders
+    const { refundMethod = 'coins', originalPaymentAmount } = req.body || {};
+    const result = await returnRefundService.processReturnRefund(returnRequest, {
+      method: refundMethod,
+      finalAmount,
+      finalCoins,
+      originalPaymentAmount,
       processedBy: warehouseManagerId,
-      processedAt: new Date(),
-      walletTransactionId: transaction._id,
-      pickupChargeTransactionId: pickupChargeTransactionId,
-      coinsCredited: finalCoins,
-      originalAmount: returnRequest.calculateRefund().originalAmount,
-      processingStatus: 'completed'
-    };
-
-    // Mark return as completed
-    returnRequest.updateStatus('refund_processed', warehouseManagerId, 'Refund processed successfully', true);
-    returnRequest.updateStatus('completed', warehouseManagerId, 'Return process completed', true);
-    returnRequest.completedAt = new Date();
-
-    await returnRequest.save();
+      transactionMetadata: {
+        pickupChargeIncluded: pickupChargeDeduction ? true : false,
+        pickupChargeAmount: pickupChargeDeduction ? pickupChargeDeduction.amount : 0
+      }
+    });
 
     res.json({
       success: true,
-      message: 'Refund processed successfully',
+      message: result.settled ? 'Refund processed successfully' : 'Refund initiated; the return completes once the provider confirms it',
       data: {
-        finalCoins: finalCoins,
-        newWalletBalance: newWalletBalance,
-        transactionId: transaction._id,
-        pickupChargeTransactionId: pickupChargeTransactionId
+        finalCoins: result.coinsCredited,
+        moneyRefunded: result.moneyRefunded,
+        newWalletBalance: result.newWalletBalance,
+        transactionId: result.transaction?._id || null,
+        refunds: result.refunds
       }
     });
 
   } catch (error) {
     console.error('Error processing refund:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to process refund',
@@ -48,21 +48,50 @@ import returnAnalyticsRoutes from './routes/returnAnalytics.js';
 import promotionalNotificationService from './services/promotionalNotificationService.js';
 import promotionalNotificationRoutes from './routes/promotionalNotifications.js';
 import { initializeBatchScheduler } from './utils/batchScheduler.js';
+import { initializeCommerceScheduler } from './utils/commerceScheduler.js';
 import adminUsersRoutes from './routes/adminUsersRoutes.js';
 import userNotificationRoutes from './routes/userNotifications.js';
+import searchRoutes from './routes/search.js';
+import paymentRoutes from './routes/payments.js';
+import invoiceRoutes from './routes/invoices.js';
+import subscriptionRoutes from './routes/subscriptions.js';
+import addressRoutes from './routes/addresses.js';
+import shippingRoutes from './routes/shipping.js';
+import warehouseRoutes from './routes/warehouses.js';
+import stockTransferRoutes from './routes/stockTransfers.js';
+import supplierRoutes from './routes/suppliers.js';
+import purchaseOrderRoutes from './routes/purchaseOrders.js';
+import { ensureDefaultWarehouse } from './services/warehouseService.js';
 import notificationService from './services/notificationService.js';
 import Notification from './models/Notification.js';
 
 const app = express();
 
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for payment webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/coupons', couponRoutes);
 app.use('/api/combo-packs', comboPackRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/addresses', addressRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
 app.use('/api/banners', bannerRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/notifications', notificationRoutes);
@@ -704,6 +733,11 @@ const MONGO_URI = process.env.MONGO_URI;
 mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
   .then(() => {
     console.log('✅ MongoDB connected successfully');
+
+    // Every batch group must belong to a warehouse before orders are routed
+    ensureDefaultWarehouse().catch(error =>
+      console.warn('[WARN] Warehouse setup failed:', error.message));
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`🌐 Server accessible at: https://indiraa1-backend.onrender.com`);
@@ -711,6 +745,13 @@ mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
       // Initialize batch management scheduled jobs - DISABLED FOR NOW
       // initializeBatchScheduler();
       console.log('[INFO] Batch scheduler disabled - no automatic stock updates');
+
+      // Start reservation expiry and scheduled price jobs
+      try {
+        initializeCommerceScheduler();
+      } catch (error) {
+        console.warn('[WARN] Commerce scheduler failed to start:', error.message);
+      }
       
       // Start promotional notification scheduler
       try {
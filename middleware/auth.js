@@ -29,6 +29,19 @@ export function authenticateUser(req, res, next) {
   }
 }
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+export function optionalAuthenticateUser(req, res, next) {
+  const auth = req.headers.authorization;
+  if (!auth || !auth.startsWith('Bearer ')) return next();
+  try {
+    const token = auth.split(' ')[1];
+    req.user = jwt.verify(token, JWT_SECRET);
+  } catch (_err) {
+    req.user = undefined;
+  }
+  next();
+}
+
 export function authenticateSubAdmin(req, res, next) {
   const auth = req.headers.authorization;
   if (!auth || !auth.startsWith('Bearer ')) return res.status(401).json({ message: 'No token.' });
@@ -53,6 +53,35 @@ export function authenticateAdminOrSubAdmin(req, res, next) {
   }
 }
 
+// Limits warehouse managers to their own warehouse. Run after authenticateAdminOrSubAdmin;
+// sets req.warehouseScope to the manager's warehouse ID, or null for everyone else.
+export async function resolveWarehouseScope(req, res, next) {
+  req.warehouseScope = null;
+  if (req.userType !== 'subadmin' || req.subAdmin?.role !== 'warehouse_manager') {
+    return next();
+  }
+
+  try {
+    const subAdmin = await SubAdmin.findById(req.subAdmin.id || req.subAdmin._id).select('warehouseId isActive');
+    if (!subAdmin || !subAdmin.isActive) {
+      return res.status(403).json({ success: false, message: 'Account is deactivated.', code: 'ACCOUNT_DEACTIVATED' });
+    }
+    if (!subAdmin.warehouseId) {
+      return res.status(403).json({
+        success: false,
+        message: 'No warehouse is assigned to your account. Please contact the admin.',
+        code: 'NO_WAREHOUSE'
+      });
+    }
+
+    req.warehouseScope = subAdmin.warehouseId;
+    next();
+  } catch (error) {
+    console.error('[AUTH] Warehouse scope lookup failed:', error);
+    return res.status(500).json({ success: false, message: 'Authentication error.', code: 'AUTH_ERROR' });
+  }
+}
+
 // Middleware for sub-admin with role checking
 export async function authenticateSubAdminWithRole(allowedRoles = []) {
   return async (req, res, next) => {
@@ -150,5 +179,6 @@ export async function authenticateSubAdminWithRole(allowedRoles = []) {
 
 export default {
   authenticateAdminOrSubAdmin,
+  resolveWarehouseScope,
   authenticateSubAdminWithRole
 };
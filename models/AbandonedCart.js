@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// One abandoned-cart recovery sequence - at most one open (active/completed) per user
+const abandonedCartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Cart as it was when the last reminder went out
+  items: [{
+    type: { type: String, enum: ['product', 'combo'], default: 'product' },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    comboPackId: { type: mongoose.Schema.Types.ObjectId, ref: 'ComboPack' },
+    variantId: { type: String },
+    name: { type: String },
+    variantName: { type: String },
+    price: { type: Number, default: 0 },
+    quantity: { type: Number, default: 1 }
+  }],
+  cartValue: { type: Number, default: 0 },
+  lastCartActivityAt: { type: Date, required: true }, // Newest addedAt in the cart; step delays count from here
+
+  // Reminders sent so far, in sequence order
+  steps: [{
+    step: { type: Number, required: true }, // Index in the configured sequence
+    channel: { type: String, enum: ['push', 'email', 'whatsapp'], required: true },
+    status: { type: String, enum: ['sent', 'failed', 'skipped'], required: true },
+    reason: { type: String }, // Why a step failed or was skipped
+    sentAt: { type: Date, default: Date.now }
+  }],
+
+  // Auto-generated incentive, if a step carried one
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  couponCode: { type: String },
+
+  status: {
+    type: String,
+    enum: [
+      'active',     // Steps still to send
+      'completed',  // All steps sent, waiting out the attribution window
+      'recovered',  // User ordered after a reminder
+      'lost',       // Attribution window passed without an order
+      'cleared',    // Cart emptied without ordering
+      'opted_out'   // User turned cart reminders off
+    ],
+    default: 'active'
+  },
+
+  recoveredOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  recoveredRevenue: { type: Number, default: 0 },
+  recoveredWithCoupon: { type: Boolean, default: false },
+  recoveredAt: { type: Date },
+  completedAt: { type: Date }, // Last step sent
+  closedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+abandonedCartSchema.index({ userId: 1, status: 1 });
+abandonedCartSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('AbandonedCart', abandonedCartSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import Warehouse from './Warehouse.js';
 
 // Product Item Schema - Each product in the batch group
 const batchProductSchema = new mongoose.Schema({
@@ -13,9 +14,15 @@ const batchProductSchema = new mongoose.Schema({
     variantId: { type: String, required: true }, // matches variant.id in Product
     variantName: { type: String, required: true },
     quantity: { type: Number, required: true, min: 0 },
+    receivedQuantity: { type: Number, min: 0 }, // Units booked in; landed costs are spread over these
     availableQuantity: { type: Number, required: true, min: 0 },
     allocatedQuantity: { type: Number, default: 0, min: 0 },
+    reservedQuantity: { type: Number, default: 0, min: 0 }, // Held for checkouts, not yet ordered
     usedQuantity: { type: Number, default: 0, min: 0 },
+
+    // What one unit cost us; landedUnitCost adds this line's share of the batch group's landedCosts
+    costPrice: { type: Number, min: 0 },
+    landedUnitCost: { type: Number, min: 0 },
     
     // Variant-specific dates (if different from batch group)
     manufacturingDate: { type: Date },
@@ -25,9 +32,15 @@ const batchProductSchema = new mongoose.Schema({
   
   // For non-variant products
   quantity: { type: Number, min: 0 }, // null if has variants
+  receivedQuantity: { type: Number, min: 0 }, // See variants above
   availableQuantity: { type: Number, min: 0 }, // null if has variants
   allocatedQuantity: { type: Number, default: 0, min: 0 },
+  reservedQuantity: { type: Number, default: 0, min: 0 }, // Held for checkouts, not yet ordered
   usedQuantity: { type: Number, default: 0, min: 0 },
+
+  // Unit cost for non-variant products (see variants above)
+  costPrice: { type: Number, min: 0 },
+  landedUnitCost: { type: Number, min: 0 },
   
   // Product-specific dates (if different from batch group)
   manufacturingDate: { type: Date },
@@ -48,7 +61,7 @@ const batchGroupSchema = new mongoose.Schema({
   // Group metadata
   groupType: {
     type: String,
-    enum: ['BULK_UPLOAD', 'MANUAL_ENTRY', 'SUPPLIER_DELIVERY', 'PRODUCTION_BATCH'],
+    enum: ['BULK_UPLOAD', 'MANUAL_ENTRY', 'SUPPLIER_DELIVERY', 'PRODUCTION_BATCH', 'STOCK_TRANSFER'],
     default: 'MANUAL_ENTRY'
   },
   
@@ -76,12 +89,34 @@ const batchGroupSchema = new mongoose.Schema({
     invoiceNumber: { type: String },
     notes: { type: String }
   },
+  // Freight, duty and other charges for the whole delivery, spread over its units by value
+  landedCosts: [{
+    _id: false,
+    type: { type: String, enum: ['freight', 'duty', 'insurance', 'handling', 'other'], default: 'other' },
+    amount: { type: Number, required: true, min: 0 },
+    note: { type: String }
+  }],
+  // Set on batch groups received against a purchase order
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', index: true },
+  purchaseOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder', index: true },
   
   // Storage and quality
   location: { 
     type: String, 
     default: 'Main Warehouse' 
   },
+  // Warehouse holding the stock; set from the location name when saved (see pre-save below)
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    index: true
+  },
+  // Set on batch groups received through a stock transfer
+  transferredFrom: {
+    transferId: { type: mongoose.Schema.Types.ObjectId, ref: 'StockTransfer' },
+    batchGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'BatchGroup' },
+    batchGroupNumber: { type: String }
+  },
   qualityChecked: { 
     type: Boolean, 
     default: false 
@@ -99,6 +134,54 @@ const batchGroupSchema = new mongoose.Schema({
     enum: ['Active', 'Expired', 'Recalled', 'Depleted'],
     default: 'Active'
   },
+  // Set when the batch group is recalled (see batchRecallService). Groups received through a
+  // stock transfer from a recalled group are recalled with it and point at it in parentBatchGroupId.
+  recall: {
+    recalledAt: { type: Date },
+    recalledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    recalledByType: { type: String, enum: ['admin', 'subadmin'] },
+    previousStatus: { type: String },
+    reason: { type: String },
+    classification: { type: String, enum: ['class_i', 'class_ii', 'class_iii'] },
+    reference: { type: String }, // Regulator or supplier recall notice number
+    notes: { type: String },
+    parentBatchGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'BatchGroup' },
+    // Units in the group when it was recalled
+    unitsAtRecall: {
+      received: { type: Number },
+      available: { type: Number },
+      reserved: { type: Number },
+      allocated: { type: Number },
+      used: { type: Number }
+    },
+    // Follow-up options, kept so a resumed recall does what the first run was asked to
+    createReturns: { type: Boolean, default: false },
+    notifyCustomers: { type: Boolean, default: true },
+    // Follow-up progress per affected order. An order is done once completedAt is set;
+    // resuming the recall carries on with the others.
+    orders: [{
+      orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+      action: { type: String, enum: ['customer_return', 'reallocated', 'cancelled', 'stop_delivery'] },
+      // Recalled units the order held undelivered, to be replaced from other stock
+      items: [{
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        variantId: { type: String },
+        quantity: { type: Number }
+      }],
+      shortfall: { type: Number },
+      returnId: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+      returnRequestId: { type: String },
+      existingReturn: { type: Boolean },
+      customerNotified: { type: Boolean, default: false },
+      note: { type: String },
+      startedAt: { type: Date },
+      completedAt: { type: Date }
+    }],
+    followUpCompletedAt: { type: Date },
+    customersNotified: { type: Number, default: 0 },
+    returnsCreated: { type: Number, default: 0 },
+    reservationsReleased: { type: Number, default: 0 }
+  },
   
   // Order allocations (for tracking which orders used this batch)
   orderAllocations: [{
@@ -147,6 +230,7 @@ batchGroupSchema.index({ defaultManufacturingDate: 1 });
 batchGroupSchema.index({ defaultExpiryDate: 1 });
 batchGroupSchema.index({ status: 1 });
 batchGroupSchema.index({ groupType: 1 });
+batchGroupSchema.index({ 'transferredFrom.batchGroupId': 1 });
 
 // Pre-save middleware
 batchGroupSchema.pre('save', function(next) {
@@ -154,6 +238,65 @@ batchGroupSchema.pre('save', function(next) {
   next();
 });
 
+const costLines = (batchGroup) => {
+  const lines = [];
+  for (const product of batchGroup.products) {
+    if (product.variants?.length) lines.push(...product.variants);
+    else lines.push(product);
+  }
+  return lines;
+};
+
+// Every costed line's landed unit cost: its cost price plus a share of landedCosts in proportion
+// to the value it was received with (or its units when everything was free). Lines without a
+// cost price stay uncosted. Goes by receivedQuantity, so stock that has since moved or been
+// added does not shift the cost of what is left.
+batchGroupSchema.methods.computeLandedUnitCosts = function() {
+  const lines = costLines(this);
+  const costed = lines.filter(line => line.costPrice != null && line.receivedQuantity > 0);
+  const extra = (this.landedCosts || []).reduce((sum, cost) => sum + (cost.amount || 0), 0);
+  const totalValue = costed.reduce((sum, line) => sum + line.costPrice * line.receivedQuantity, 0);
+  const totalUnits = costed.reduce((sum, line) => sum + line.receivedQuantity, 0);
+
+  for (const line of lines) {
+    if (line.costPrice == null) {
+      line.landedUnitCost = undefined;
+      continue;
+    }
+    const share = !extra || !(line.receivedQuantity > 0) ? 0
+      : totalValue > 0 ? extra * (line.costPrice / totalValue) : extra / totalUnits;
+    line.landedUnitCost = Math.round((line.costPrice + share) * 10000) / 10000;
+  }
+};
+
+// Lines record the units they arrive with, and landed unit costs are fixed at receipt. Later
+// cost changes go through computeLandedUnitCosts (see batchController.updateBatchGroup).
+batchGroupSchema.pre('save', function(next) {
+  for (const line of costLines(this)) {
+    if (line.receivedQuantity == null) line.receivedQuantity = line.quantity || 0;
+  }
+  if (this.isNew) this.computeLandedUnitCosts();
+  next();
+});
+
+// Keep warehouseId and location in step: a set warehouse names the location, otherwise the
+// location picks the warehouse of that name (or the default warehouse)
+batchGroupSchema.pre('save', async function() {
+  if (this.warehouseId && (this.isNew || this.isModified('warehouseId'))) {
+    const warehouse = await Warehouse.findById(this.warehouseId).select('name');
+    if (warehouse) {
+      this.location = warehouse.name;
+      return;
+    }
+  } else if (this.warehouseId && !this.isModified('location')) {
+    return;
+  }
+
+  const warehouse = (this.location && await Warehouse.findOne({ name: this.location })) || await Warehouse.getDefault();
+  this.warehouseId = warehouse._id;
+  this.location = warehouse.name;
+});
+
 // Static method to generate batch group number
 batchGroupSchema.statics.generateBatchGroupNumber = function() {
   const today = new Date();
@@ -217,6 +360,14 @@ batchGroupSchema.methods.findProduct = function(productId, variantId = null) {
   return { product };
 };
 
+// Landed cost of one unit of a product/variant in this batch group; null when it was never costed
+batchGroupSchema.methods.getUnitCost = function(productId, variantId = null) {
+  const found = this.findProduct(productId, variantId);
+  const line = found?.variant || found?.product;
+  if (!line) return null;
+  return line.landedUnitCost ?? line.costPrice ?? null;
+};
+
 // Instance method to allocate quantity for an order
 batchGroupSchema.methods.allocateQuantity = function(productId, variantId, quantity, orderId) {
   const found = this.findProduct(productId, variantId);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { GST_RATES } from '../utils/gstUtils.js';
 
 const comboPackSchema = new mongoose.Schema({
   // Basic Information
@@ -33,6 +34,10 @@ const comboPackSchema = new mongoose.Schema({
   comboPrice: { type: Number, required: true }, // Discounted price
   discountAmount: { type: Number, required: true },
   discountPercentage: { type: Number, required: true },
+  // GST for the pack as sold (a mixed pack is taxed at the rate of its principal item)
+  hsnCode: { type: String, trim: true },
+  gstRate: { type: Number, enum: GST_RATES },
+  weight: { type: Number, min: 0 }, // Grams per pack, for weight-based shipping rules
   
   // Inventory Management
   stock: { type: Number, required: true, default: 0 },
@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 
 const couponSchema = new mongoose.Schema({
   code: { type: String, required: true, unique: true },
+  description: { type: String },
   type: { type: String, enum: ['percent', 'flat'], required: true },
   amount: { type: Number, required: true },
   expiry: { type: Date },
@@ -10,7 +11,38 @@ const couponSchema = new mongoose.Schema({
   usageLimit: { type: Number },
   usedCount: { type: Number, default: 0 },
   active: { type: Boolean, default: true },
+
+  // Scoping - empty lists mean the coupon applies to the whole cart
+  applicableCategories: [{ type: String }],
+  applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  applicableComboPacks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ComboPack' }],
+
+  // Customer restrictions
+  perUserLimit: { type: Number }, // Max redemptions per user (unlimited if not set)
+  firstOrderOnly: { type: Boolean, default: false },
+  referredUsersOnly: { type: Boolean, default: false },
+
+  // Stacking rules
+  stackableWithCoins: { type: Boolean, default: true },
+
+  // Campaign-generated single-use codes
+  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'CouponCampaign', default: null },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // User the code was sent to
+  distribution: {
+    channel: { type: String, enum: ['sms', 'whatsapp', 'email', 'push', 'other'] },
+    sentAt: { type: Date },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  },
 }, { timestamps: true });
 
+couponSchema.index({ campaignId: 1, assignedTo: 1 });
+
+// Whether the coupon is restricted to specific categories/products/combos
+couponSchema.methods.isScoped = function() {
+  return (this.applicableCategories?.length || 0) > 0 ||
+    (this.applicableProducts?.length || 0) > 0 ||
+    (this.applicableComboPacks?.length || 0) > 0;
+};
+
 const Coupon = mongoose.model('Coupon', couponSchema);
 export default Coupon;
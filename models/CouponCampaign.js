@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Marketing campaign that issues many single-use coupon codes from one template
+const couponCampaignSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  
+  // Shared template applied to every generated code
+  template: {
+    prefix: { type: String, required: true, uppercase: true, trim: true },
+    codeLength: { type: Number, default: 8, min: 4, max: 16 }, // Random part, excluding prefix
+    type: { type: String, enum: ['percent', 'flat'], required: true },
+    amount: { type: Number, required: true },
+    expiry: { type: Date },
+    minOrder: { type: Number, default: 0 },
+    maxDiscount: { type: Number },
+    applicableCategories: [{ type: String }],
+    applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    applicableComboPacks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ComboPack' }],
+    firstOrderOnly: { type: Boolean, default: false },
+    referredUsersOnly: { type: Boolean, default: false },
+    stackableWithCoins: { type: Boolean, default: true }
+  },
+  
+  // Intended distribution channel for the campaign
+  channel: {
+    type: String,
+    enum: ['sms', 'whatsapp', 'email', 'push', 'other'],
+    default: 'sms'
+  },
+  
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active'
+  },
+  
+  totalCodes: { type: Number, default: 0 }, // Codes generated so far
+  
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, { 
+  timestamps: true 
+});
+
+couponCampaignSchema.index({ 'template.prefix': 1 });
+couponCampaignSchema.index({ createdAt: -1 });
+
+export default mongoose.model('CouponCampaign', couponCampaignSchema);
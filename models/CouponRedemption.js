@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Ledger of coupon redemptions - one record per order that used a coupon
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Coupon', 
+    required: true 
+  },
+  
+  code: { 
+    type: String, 
+    required: true 
+  }, // Code at time of redemption
+  
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  
+  orderId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Order', 
+    required: true 
+  },
+  
+  // Amounts at time of redemption
+  discountAmount: { type: Number, required: true },
+  orderSubtotal: { type: Number, required: true },
+  eligibleSubtotal: { type: Number, required: true }, // Part of the cart the coupon applied to
+  orderTotal: { type: Number, required: true },
+  
+  status: {
+    type: String,
+    enum: ['applied', 'reversed'],
+    default: 'applied'
+  },
+  reversedAt: { type: Date },
+  reversalReason: { type: String }
+}, { 
+  timestamps: true 
+});
+
+couponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+couponRedemptionSchema.index({ orderId: 1 });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
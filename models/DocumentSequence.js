@@ -0,0 +1,11 @@
+import mongoose from 'mongoose';
+
+// Running counter per numbering series, e.g. "INV/2627" - incremented atomically
+const documentSequenceSchema = new mongoose.Schema({
+  _id: { type: String }, // Series key: prefix + financial year
+  seq: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('DocumentSequence', documentSequenceSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Short-lived checkout hold on batch group stock - one active reservation per user
+const inventoryReservationSchema = new mongoose.Schema({
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId: { type: String }, // null for non-variant products
+    name: { type: String },
+    variantName: { type: String },
+    requestedQuantity: { type: Number, required: true },
+    heldQuantity: { type: Number, default: 0 },
+    
+    // Exactly where the held units sit, so they can be released
+    holds: [{
+      batchGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'BatchGroup', required: true },
+      quantity: { type: Number, required: true }
+    }]
+  }],
+  
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: { type: Date, required: true },
+  
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Set when converted
+  releasedAt: { type: Date },
+  releaseReason: { type: String }
+}, { 
+  timestamps: true 
+});
+
+inventoryReservationSchema.index({ userId: 1, status: 1 });
+inventoryReservationSchema.index({ status: 1, expiresAt: 1 });
+// A user holds at most one active reservation, even when two checkouts race
+inventoryReservationSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_reservation_per_user' }
+);
+
+export default mongoose.model('InventoryReservation', inventoryReservationSchema);
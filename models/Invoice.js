@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  address: String,
+  phone: String,
+  stateCode: String,
+  stateName: String
+}, { _id: false });
+
+// GST tax invoice or credit note; everything printed on the PDF is snapshotted here
+const invoiceSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  // e.g. INV/2627/000123 (GST allows 16 characters); set right after the document is claimed
+  number: { type: String },
+  financialYear: { type: String, required: true }, // e.g. 2026-27
+  issuedAt: { type: Date, default: Date.now },
+
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Credit notes only
+  returnId: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+  originalInvoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+  originalInvoiceNumber: { type: String },
+  reason: { type: String },
+
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: { code: String, name: String },
+  interState: { type: Boolean, default: false },
+
+  lines: [{
+    itemId: { type: mongoose.Schema.Types.ObjectId }, // Product or combo pack
+    variantId: String,
+    description: String,
+    hsnCode: String,
+    quantity: Number,
+    unitPrice: Number,   // Tax-inclusive price before discounts
+    discount: Number,    // Coupon and coin discount apportioned to the line
+    taxableValue: Number,
+    gstRate: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number        // Tax-inclusive line total after discount
+  }],
+
+  totals: {
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    discount: Number,
+    roundOff: Number,
+    grandTotal: Number
+  },
+
+  paymentMethod: { type: String },
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued'
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ orderId: 1, documentType: 1 });
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+invoiceSchema.index({ documentType: 1, financialYear: 1, issuedAt: -1 });
+// Numbers are unique once set; a claimed document has none for a moment. Replaces the plain
+// unique `number_1` index, which has to be dropped on existing databases.
+invoiceSchema.index(
+  { number: 1 },
+  { unique: true, partialFilterExpression: { number: { $type: 'string' } }, name: 'unique_document_number' }
+);
+// One invoice per order and one credit note per return
+invoiceSchema.index(
+  { orderId: 1 },
+  { unique: true, partialFilterExpression: { documentType: 'invoice' }, name: 'one_invoice_per_order' }
+);
+invoiceSchema.index(
+  { returnId: 1 },
+  { unique: true, partialFilterExpression: { documentType: 'credit_note' }, name: 'one_credit_note_per_return' }
+);
+
+export default mongoose.model('Invoice', invoiceSchema);
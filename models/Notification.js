@@ -109,15 +109,15 @@ const notificationSchema = new mongoose.Schema({
   // Delivery channels
   channels: [{
     type: String,
-    enum: ['push', 'email', 'sms', 'in_app']
+    enum: ['push', 'email', 'sms', 'in_app', 'web_push']
   }],
   sentChannels: [{
     type: String,
-    enum: ['push', 'email', 'sms', 'in_app']
+    enum: ['push', 'email', 'sms', 'in_app', 'web_push']
   }],
   failedChannels: [{
     type: String,
-    enum: ['push', 'email', 'sms', 'in_app']
+    enum: ['push', 'email', 'sms', 'in_app', 'web_push']
   }],
 
   // Scheduling
@@ -174,6 +174,7 @@ notificationSchema.index({ deliveryAgentId: 1, createdAt: -1 });
 notificationSchema.index({ type: 1, status: 1 });
 notificationSchema.index({ scheduledFor: 1, status: 1 });
 notificationSchema.index({ isRead: 1, userId: 1 });
+notificationSchema.index({ userId: 1, 'data.alertType': 1, relatedProductId: 1, createdAt: -1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Virtual for recipient
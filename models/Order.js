@@ -1,4 +1,29 @@
 import mongoose from 'mongoose';
+import {
+  ORDER_STATUSES,
+  DELIVERY_STATUSES,
+  ACTORS,
+  normalizeOrderStatus,
+  normalizeDeliveryStatus,
+  canChangeDeliveryStatus
+} from '../utils/orderLifecycle.js';
+
+// Cost of the units delivered, taken from the batch groups they came out of (see batchGroupService.moveAllocatedToUsed)
+const costOfGoodsSchema = new mongoose.Schema({
+  total: { type: Number, default: 0 },
+  uncostedUnits: { type: Number, default: 0 }, // Units from batch groups without a cost price
+  lines: [{
+    _id: false,
+    batchGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'BatchGroup' },
+    batchGroupNumber: String,
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: String,
+    quantity: Number,
+    unitCost: Number, // Landed unit cost; null when the batch group was never costed
+    cost: Number
+  }],
+  recordedAt: Date
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },  items: [
@@ -41,7 +66,13 @@ const orderSchema = new mongoose.Schema({
   shipping: {
     name: String,
     address: String,
-    phone: String
+    phone: String,
+    state: String, // Decides CGST/SGST vs IGST on the invoice; read from the address when missing
+    city: String,
+    pincode: String,
+    landmark: String,
+    location: { lat: Number, lng: Number },
+    addressId: { type: mongoose.Schema.Types.ObjectId } // Saved address it was copied from
   },
   totalAmount: { type: Number, required: true },
   
@@ -54,12 +85,29 @@ const orderSchema = new mongoose.Schema({
     transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' } // Reference to coin transaction
   },
   shippingFee: { type: Number, default: 0 }, // Shipping fee
+  // Shipping rules that made up the fee (see shippingService)
+  shippingBreakdown: {
+    base: { ruleId: mongoose.Schema.Types.ObjectId, name: String, amount: Number },
+    surcharges: [{ _id: false, ruleId: mongoose.Schema.Types.ObjectId, name: String, amount: Number }],
+    promo: { ruleId: mongoose.Schema.Types.ObjectId, name: String, discount: Number },
+    zone: String
+  },
+  deliveryType: { type: String, enum: ['standard', 'express'], default: 'standard' },
+  // Warehouse the order ships from, and why it was picked (see orderPlacementService.routeStockAllocation)
+  warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', index: true },
+  warehouseRouting: { type: String, enum: ['pincode', 'zone', 'fallback'] },
+  // What the delivered units cost us (see costOfGoodsSchema); never sent to customers
+  costOfGoods: { type: costOfGoodsSchema, select: false },
 
-  status: { type: String, enum: ['Pending', 'Shipped', 'Dispatched', 'Out for Delivery', 'Delivered', 'Failed', 'Cancelled'], default: 'Pending' },
-  paymentMethod: { type: String, enum: ['COD', 'UPI'], default: 'COD' },
-  paymentStatus: { type: String, enum: ['Pending', 'UnderReview', 'Paid'], default: 'Pending' },
+  status: { type: String, enum: ORDER_STATUSES, default: 'Pending' }, // Changed only through orderLifecycleService
+  paymentMethod: { type: String, enum: ['COD', 'UPI', 'ONLINE'], default: 'COD' },
+  paymentStatus: { type: String, enum: ['Pending', 'UnderReview', 'Paid', 'Failed'], default: 'Pending' },
   upiTransactionId: { type: String }, // UTR entered by user
+  paymentDueAt: { type: Date }, // ONLINE orders not paid by then are cancelled and their stock released
+  paidAt: { type: Date }, // When the payment was confirmed
+  paymentConfirmedVia: { type: String, enum: ['gateway', 'upi_statement', 'admin'] },
   coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' }, // Placed by a subscription run
   
   // Delivery Agent Management
   delivery: {
@@ -70,8 +118,8 @@ const orderSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['Pending', 'Assigned', 'Dispatched', 'Out for Delivery', 'Delivered', 'Failed', 'Cancelled'],
-      default: 'Pending'
+      enum: DELIVERY_STATUSES,
+      default: 'pending'
     },
     assignedAt: Date,
     dispatchedAt: Date,
@@ -216,7 +264,92 @@ const orderSchema = new mongoose.Schema({
       restrictedAt: Date
     }]
   },
-  
+
+  // Every status change: who made it, when and why
+  statusHistory: [{
+    from: String,
+    to: String,
+    deliveryFrom: String,
+    deliveryTo: String,
+    actor: {
+      role: { type: String, enum: Object.values(ACTORS) },
+      id: { type: mongoose.Schema.Types.ObjectId },
+      name: String
+    },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }],
+
+  // Delivery slot changes: customer reschedules and slots set when an agent is assigned
+  slotChanges: [{
+    from: { date: Date, window: String },
+    to: { date: Date, window: String },
+    changedBy: {
+      role: { type: String, enum: Object.values(ACTORS) },
+      id: { type: mongoose.Schema.Types.ObjectId }
+    },
+    at: { type: Date, default: Date.now }
+  }],
+
+  // Item-level cancellations and substitutions made while the order was Pending
+  editHistory: [{
+    editedAt: { type: Date, default: Date.now },
+    editedBy: {
+      role: { type: String, enum: ['user', 'admin'] },
+      id: { type: mongoose.Schema.Types.ObjectId }
+    },
+    reason: String,
+    changes: [{
+      action: { type: String, enum: ['cancelled', 'quantity_reduced', 'substituted'] },
+      lineId: mongoose.Schema.Types.ObjectId, // Order item _id that was changed
+      itemId: mongoose.Schema.Types.ObjectId,
+      itemType: String,
+      name: String,
+      variantId: String,
+      variantName: String,
+      price: Number,
+      fromQty: Number,
+      toQty: Number,
+      substitute: { // Set for substitutions: the line that replaced it
+        lineId: mongoose.Schema.Types.ObjectId,
+        itemId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        variantId: String,
+        variantName: String,
+        price: Number,
+        qty: Number
+      }
+    }],
+    before: {
+      subtotal: Number,
+      couponDiscount: Number,
+      coinDiscount: Number,
+      coinsUsed: Number,
+      shippingFee: Number,
+      totalAmount: Number,
+      rewardCoins: Number // Coins the order would earn on delivery
+    },
+    after: {
+      subtotal: Number,
+      couponDiscount: Number,
+      coinDiscount: Number,
+      coinsUsed: Number,
+      shippingFee: Number,
+      totalAmount: Number,
+      rewardCoins: Number
+    },
+    couponRemoved: { type: Boolean, default: false },
+    couponRemovedReason: String,
+    coinsReturned: { type: Number, default: 0 }, // Redeemed coins given back as the coin discount shrank
+    refund: { // Prepaid orders: the amount no longer owed, back to the original payment or as coins
+      amount: Number,
+      method: { type: String, enum: ['original_payment', 'coins'] },
+      coins: Number, // coins refunds only
+      transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+      refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRefund' } // original_payment refunds only
+    }
+  }],
+
   placedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
@@ -226,6 +359,19 @@ orderSchema.methods.canModifyDeliverySlot = function() {
   return true;
 };
 
+// Method to record a delivery slot change (window as "9:00 AM - 12:00 PM" or "10:00 - 13:00")
+orderSchema.methods.recordSlotChange = function(from, to, changedBy) {
+  this.slotChanges.push({
+    from: from?.date ? { date: from.date, window: from.window } : undefined,
+    to: { date: to.date, window: to.window },
+    changedBy: {
+      role: changedBy.role,
+      id: mongoose.Types.ObjectId.isValid(changedBy.id) ? changedBy.id : undefined
+    },
+    at: new Date()
+  });
+};
+
 // Method to check if order can be assigned to delivery agent
 orderSchema.methods.canAssignDeliveryAgent = function() {
   return ['Pending', 'Shipped'].includes(this.status) && 
@@ -237,14 +383,8 @@ orderSchema.methods.canUpdateDeliveryStatus = function(newStatus, currentTime =
   const currentDeliveryStatus = this.delivery.status;
   const slot = this.delivery.slot;
   
-  // Status flow validation
-  const validTransitions = {
-    'assigned': ['dispatched'],
-    'dispatched': ['out_for_delivery'],
-    'out_for_delivery': ['delivered', 'failed']
-  };
-  
-  if (!validTransitions[currentDeliveryStatus]?.includes(newStatus)) {
+  // Status flow validation (see utils/orderLifecycle.js)
+  if (!canChangeDeliveryStatus(currentDeliveryStatus, newStatus)) {
     return { canUpdate: false, reason: 'Invalid status transition' };
   }
   
@@ -409,6 +549,17 @@ orderSchema.methods.updateReturnEligibility = function() {
   }
 };
 
+// Orders saved before the lifecycle existed may hold other spellings ('Delivered', 'Out for Delivery')
+orderSchema.pre('validate', function(next) {
+  if (this.status) {
+    this.status = normalizeOrderStatus(this.status) || this.status;
+  }
+  if (this.delivery?.status) {
+    this.delivery.status = normalizeDeliveryStatus(this.delivery.status) || this.delivery.status;
+  }
+  next();
+});
+
 // Method to update delivery slot modifiability based on status
 orderSchema.pre('save', function(next) {
   if (this.isModified('status')) {
@@ -431,7 +582,6 @@ orderSchema.pre('save', function(next) {
         break;
       case 'delivered':
         if (!this.delivery.deliveredAt) this.delivery.deliveredAt = now;
-        this.status = 'Delivered'; // Update main order status
         // Update return eligibility when order is delivered
         this.updateReturnEligibility();
         break;
@@ -449,5 +599,10 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Unpaid online orders past their payment window
+orderSchema.index({ paymentMethod: 1, paymentStatus: 1, paymentDueAt: 1 });
+// The order a subscription placed for a delivery date
+orderSchema.index({ subscriptionId: 1, 'deliverySlot.date': 1 }, { sparse: true });
+
 const Order = mongoose.model('Order', orderSchema);
 export default Order;
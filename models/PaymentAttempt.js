@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// One try at paying an order online - an order can have several (retries after a failure)
+const paymentAttemptSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  provider: { type: String, required: true }, // 'razorpay', 'mock'
+  providerOrderId: { type: String, required: true, unique: true },
+  providerPaymentId: { type: String },
+
+  amount: { type: Number, required: true }, // Rupees; providers convert to paise
+  currency: { type: String, default: 'INR' },
+
+  status: {
+    type: String,
+    enum: [
+      'created',     // Provider order created, customer not done yet
+      'authorized',  // Checkout signature verified, waiting for the capture webhook
+      'paid',        // Capture confirmed by webhook or reconciliation
+      'failed',      // Provider reported a failure
+      'expired',     // Payment window closed without a payment
+      'superseded'   // Customer started a new attempt
+    ],
+    default: 'created'
+  },
+  signatureVerified: { type: Boolean, default: false },
+  failureReason: { type: String },
+  method: { type: String }, // upi, card, netbanking... as reported by the provider
+
+  // Every webhook seen for this attempt, for audit and idempotency
+  events: [{
+    eventId: { type: String },
+    event: { type: String },
+    source: { type: String, enum: ['webhook', 'checkout', 'reconciliation'], default: 'webhook' },
+    receivedAt: { type: Date, default: Date.now }
+  }],
+
+  paidAt: { type: Date },
+  failedAt: { type: Date },
+  expiresAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+paymentAttemptSchema.index({ orderId: 1, createdAt: -1 });
+paymentAttemptSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model('PaymentAttempt', paymentAttemptSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Log of every selling price change, per product or variant
+const priceHistorySchema = new mongoose.Schema({
+  productId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Product', 
+    required: true 
+  },
+  variantId: { type: String, default: null }, // null = base product price
+  variantName: { type: String },
+  
+  oldPrice: { type: Number, required: true },
+  newPrice: { type: Number, required: true },
+  
+  changeType: {
+    type: String,
+    enum: ['manual', 'scheduled_start', 'scheduled_end', 'scheduled_cancel'],
+    default: 'manual'
+  },
+  scheduledPriceId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduledPrice' },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  reason: { type: String }
+}, { 
+  timestamps: true 
+});
+
+priceHistorySchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+
+export default mongoose.model('PriceHistory', priceHistorySchema);
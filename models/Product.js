@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { GST_RATES } from '../utils/gstUtils.js';
 
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -8,6 +9,10 @@ const productSchema = new mongoose.Schema({
   category: { type: String, required: true },
   stock: { type: Number, required: true }, // Base/fallback stock
   images: [String], // S3 URLs - base product images
+  // GST (prices are tax-inclusive; tax is backed out on the invoice)
+  hsnCode: { type: String, trim: true },
+  gstRate: { type: Number, enum: GST_RATES },
+  weight: { type: Number, min: 0 }, // Grams per unit, for weight-based shipping rules
   // Analytics fields
   viewCount: { type: Number, default: 0 },
   purchaseCount: { type: Number, default: 0 },
@@ -24,6 +29,7 @@ const productSchema = new mongoose.Schema({
     originalPrice: { type: Number }, // For individual variant discounts
     stock: { type: Number, required: true, default: 0 },
     sku: { type: String }, // Unique SKU for variant
+    weight: { type: Number, min: 0 }, // Grams; falls back to the product's weight
     isDefault: { type: Boolean, default: false }, // Default/cheapest variant
     images: [String] // Optional variant-specific images
   }],
@@ -40,5 +46,15 @@ const productSchema = new mongoose.Schema({
   ]
 }, { timestamps: true });
 
+// Catalog search and listing indexes
+productSchema.index(
+  { name: 'text', description: 'text', category: 'text' },
+  { weights: { name: 10, category: 5, description: 1 }, name: 'product_text_search' }
+);
+productSchema.index({ category: 1 });
+productSchema.index({ purchaseCount: -1 });
+productSchema.index({ viewCount: -1 });
+productSchema.index({ createdAt: -1 });
+
 const Product = mongoose.model('Product', productSchema);
 export default Product;
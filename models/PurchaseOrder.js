@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+export const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'closed', 'cancelled'];
+
+// A product/variant ordered from the supplier; received and rejected totals add up over receipts
+const purchaseOrderItemSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  productName: { type: String },
+  variantId: { type: String, default: null },
+  variantName: { type: String },
+  orderedQuantity: { type: Number, required: true, min: 1 },
+  unitCost: { type: Number, required: true, min: 0 }, // Agreed cost price per unit
+  receivedQuantity: { type: Number, default: 0, min: 0 }, // Delivered, including rejected units
+  rejectedQuantity: { type: Number, default: 0, min: 0 } // Failed the quality check; not booked into stock
+}, { _id: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Units booked into stock; rejected units do not count towards the order
+purchaseOrderItemSchema.virtual('acceptedQuantity').get(function() {
+  return this.receivedQuantity - this.rejectedQuantity;
+});
+
+// Still owed by the supplier
+purchaseOrderItemSchema.virtual('pendingQuantity').get(function() {
+  return Math.max(0, this.orderedQuantity - this.acceptedQuantity);
+});
+
+// Accepted beyond what was ordered
+purchaseOrderItemSchema.virtual('excessQuantity').get(function() {
+  return Math.max(0, this.acceptedQuantity - this.orderedQuantity);
+});
+
+// One delivery against the order, booked into one batch group
+const receiptSchema = new mongoose.Schema({
+  receivedAt: { type: Date, default: Date.now },
+  batchGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'BatchGroup' },
+  batchGroupNumber: { type: String },
+  invoiceNumber: { type: String },
+  lines: [{
+    _id: false,
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    receivedQuantity: { type: Number, required: true, min: 0 },
+    rejectedQuantity: { type: Number, default: 0, min: 0 },
+    rejectionReason: { type: String },
+    manufacturingDate: { type: Date },
+    expiryDate: { type: Date }
+  }],
+  notes: { type: String },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId },
+  receivedByType: { type: String, enum: ['admin', 'subadmin'] }
+}, { _id: true });
+
+// draft -> ordered -> partially_received -> received; closing accepts a short delivery as final
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: { type: String, required: true, unique: true },
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true, index: true },
+  warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', required: true, index: true }, // Deliver to
+  status: { type: String, enum: PURCHASE_ORDER_STATUSES, default: 'draft', index: true },
+  items: { type: [purchaseOrderItemSchema], validate: [items => items.length > 0, 'A purchase order needs at least one item'] },
+  receipts: [receiptSchema],
+
+  expectedDeliveryDate: { type: Date },
+  orderedAt: { type: Date },
+  firstReceivedAt: { type: Date },
+  completedAt: { type: Date }, // Received in full, or closed
+  cancelledAt: { type: Date },
+  closeReason: { type: String }, // Why it was closed short
+  cancelReason: { type: String },
+  notes: { type: String },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true, // Two receipts saved at once must not overwrite each other's totals
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+purchaseOrderSchema.index({ supplierId: 1, status: 1, orderedAt: -1 });
+
+purchaseOrderSchema.virtual('totalCost').get(function() {
+  return Math.round(this.items.reduce((sum, item) => sum + item.orderedQuantity * item.unitCost, 0) * 100) / 100;
+});
+
+purchaseOrderSchema.statics.generatePoNumber = function() {
+  const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `PO-${dateStr}-${Date.now().toString().slice(-6)}`;
+};
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -32,7 +32,8 @@ const returnSchema = new mongoose.Schema({
       'quality_issue',       // Quality problems
       'changed_mind',        // Customer changed mind
       'size_issue',          // Size/fit problems
-      'damaged_in_transit'   // Damaged during delivery
+      'damaged_in_transit',  // Damaged during delivery
+      'product_recall'       // Raised by a batch recall (see batchRecallService)
     ],
     required: true
   },
@@ -60,7 +61,7 @@ const returnSchema = new mongoose.Schema({
       'in_warehouse',      // Items received at warehouse
       'quality_checked',   // Quality assessment completed
       'refund_approved',   // Admin approved refund
-      'refund_processed',  // Coins credited to wallet
+      'refund_processed',  // Refund issued (coins credited / provider refund started)
       'completed',         // Process fully completed
       'cancelled'          // Return cancelled by customer
     ],
@@ -224,10 +225,18 @@ const returnSchema = new mongoose.Schema({
       walletTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
       conversionRate: { type: Number, default: 5 }, // 1 Rupee = 5 Coins
       originalAmount: Number,
+      finalAmount: Number,
       coinsCredited: Number,
+      refundMethod: {
+        type: String,
+        enum: ['coins', 'original_payment', 'split'],
+        default: 'coins'
+      },
+      moneyRefunded: { type: Number, default: 0 }, // Rupees sent back to the original payment method
+      refundIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRefund' }],
       processingStatus: {
         type: String,
-        enum: ['pending', 'processing', 'completed', 'failed'],
+        enum: ['pending', 'processing', 'partially_processed', 'completed', 'failed'],
         default: 'pending'
       }
     }
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// One leg of a return refund - a split refund has a coins leg and an original-payment leg.
+// Money given back when an order edit removes items of a prepaid order, when a prepaid
+// order is cancelled, or when a payment is captured after its order was cancelled, is a
+// leg too (no return).
+const returnRefundSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['return', 'order_edit', 'order_cancellation', 'late_capture'],
+    default: 'return'
+  },
+  returnId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return',
+    required: function () { return this.source === 'return'; }
+  },
+  orderEditId: { type: mongoose.Schema.Types.ObjectId }, // order.editHistory entry (order_edit legs)
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  method: {
+    type: String,
+    enum: ['coins', 'original_payment'],
+    required: true
+  },
+  amount: { type: Number, required: true }, // Rupees refunded by this leg
+  coins: { type: Number, default: 0 },       // Coins credited (coins leg only)
+  conversionRate: { type: Number, default: 5 }, // 1 Rupee = 5 Coins
+
+  provider: { type: String, required: true }, // 'wallet', 'razorpay', 'mock', 'manual'
+  paymentAttemptId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentAttempt' },
+  providerPaymentId: { type: String }, // Gateway payment id, or the UTR for manual UPI refunds
+  providerRefundId: { type: String },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }, // Coins leg wallet transaction
+  reference: { type: String }, // Bank reference recorded for manual refunds
+
+  status: {
+    type: String,
+    enum: [
+      'pending',     // Record created, provider not called yet
+      'processing',  // Accepted by the provider, money not settled
+      'processed',   // Money (or coins) reached the customer
+      'failed'       // Provider rejected or reversed the refund
+    ],
+    default: 'pending'
+  },
+  failureReason: { type: String },
+
+  // A failed leg is retried as a new record; the two are linked both ways
+  retryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRefund' },
+  retriedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRefund' },
+
+  // Every provider update seen for this refund, for audit and idempotency
+  events: [{
+    eventId: { type: String },
+    event: { type: String },
+    source: { type: String, enum: ['api', 'webhook', 'poll', 'manual'], default: 'api' },
+    receivedAt: { type: Date, default: Date.now }
+  }],
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId },
+  processedAt: { type: Date },
+  failedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+returnRefundSchema.index({ returnId: 1, createdAt: 1 });
+returnRefundSchema.index({ orderId: 1, method: 1 });
+returnRefundSchema.index({ status: 1, provider: 1 });
+returnRefundSchema.index({ provider: 1, providerRefundId: 1 }, { sparse: true });
+
+export default mongoose.model('ReturnRefund', returnRefundSchema);
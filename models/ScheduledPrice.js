@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Future price for a product or variant; with an end date it is a sale that reverts automatically
+const scheduledPriceSchema = new mongoose.Schema({
+  productId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Product', 
+    required: true 
+  },
+  variantId: { type: String, default: null }, // null = base product price
+  variantName: { type: String },
+  
+  price: { type: Number, required: true, min: 0 },
+  startAt: { type: Date, required: true },
+  endAt: { type: Date, default: null }, // null = permanent change
+  
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  
+  // Captured when the window starts so the end can restore them
+  revertPrice: { type: Number },
+  revertOriginalPrice: { type: Number },
+  appliedAt: { type: Date },
+  revertedAt: { type: Date },
+  
+  note: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, { 
+  timestamps: true 
+});
+
+scheduledPriceSchema.index({ status: 1, startAt: 1 });
+scheduledPriceSchema.index({ status: 1, endAt: 1 });
+scheduledPriceSchema.index({ productId: 1, variantId: 1, status: 1 });
+
+export default mongoose.model('ScheduledPrice', scheduledPriceSchema);
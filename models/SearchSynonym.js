@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Admin-managed synonym group: searching any entry also searches the others
+// e.g. term "turmeric" with synonyms ["haldi", "pasupu", "manjal"]
+const searchSynonymSchema = new mongoose.Schema({
+  term: { 
+    type: String, 
+    required: true, 
+    unique: true, 
+    trim: true, 
+    lowercase: true 
+  },
+  
+  synonyms: [{ 
+    type: String, 
+    trim: true, 
+    lowercase: true 
+  }],
+  
+  isActive: { type: Boolean, default: true },
+  
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  lastModifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, { 
+  timestamps: true 
+});
+
+searchSynonymSchema.index({ synonyms: 1 });
+
+export default mongoose.model('SearchSynonym', searchSynonymSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import { PINCODE_PATTERN } from '../utils/addressUtils.js';
+
+// A pincode we deliver to, grouped into delivery zones
+const serviceAreaSchema = new mongoose.Schema({
+  pincode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [PINCODE_PATTERN, 'Pincode must be 6 digits']
+  },
+  zone: { type: String, required: true, trim: true }, // e.g. "Hyderabad West"
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  isActive: { type: Boolean, default: true }, // Inactive pincodes are kept but not delivered to
+  notes: { type: String },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId }
+}, {
+  timestamps: true
+});
+
+serviceAreaSchema.index({ zone: 1 });
+serviceAreaSchema.index({ isActive: 1 });
+
+export default mongoose.model('ServiceArea', serviceAreaSchema);
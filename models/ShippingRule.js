@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+const TIME_SLOTS = ['9:00 AM - 12:00 PM', '12:00 PM - 3:00 PM', '3:00 PM - 6:00 PM', '6:00 PM - 9:00 PM'];
+
+// A shipping charge rule, evaluated by shippingService
+//   rate      - the base delivery charge; the best matching rate applies
+//   surcharge - added on top, e.g. express delivery or an evening slot
+//   promo     - waives or reduces the charge, e.g. "free delivery this weekend"
+const shippingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  kind: { type: String, enum: ['rate', 'surcharge', 'promo'], required: true },
+  priority: { type: Number, default: 0 }, // Higher wins among rates and among promos
+  isActive: { type: Boolean, default: true },
+  validFrom: { type: Date },
+  validTo: { type: Date },
+
+  // Where and when it applies; empty lists and unset bounds match everything
+  conditions: {
+    zones: [{ type: String, trim: true }],
+    pincodes: [{ type: String, trim: true }],
+    deliveryTypes: [{ type: String, enum: ['standard', 'express'] }],
+    timeSlots: [{ type: String, enum: TIME_SLOTS }],
+    minSubtotal: { type: Number, min: 0 },
+    maxSubtotal: { type: Number, min: 0 },
+    minWeight: { type: Number, min: 0 }, // Grams
+    maxWeight: { type: Number, min: 0 },
+    minItems: { type: Number, min: 0 },
+    maxItems: { type: Number, min: 0 }
+  },
+
+  // Charge of rates and surcharges: fee + perKg for every started kg + perItem for every unit
+  fee: { type: Number, default: 0, min: 0 },
+  perKg: { type: Number, default: 0, min: 0 },
+  perItem: { type: Number, default: 0, min: 0 },
+  freeAbove: { type: Number, min: 0 }, // Charge waived when the subtotal reaches this
+
+  // Promo effect on the charge
+  promo: {
+    type: { type: String, enum: ['free', 'flat', 'percent'] },
+    value: { type: Number, min: 0 },
+    includeSurcharges: { type: Boolean, default: false } // Also waive/reduce surcharges
+  },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId }
+}, {
+  timestamps: true
+});
+
+shippingRuleSchema.index({ kind: 1, isActive: 1, priority: -1 });
+
+export default mongoose.model('ShippingRule', shippingRuleSchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+export const TRANSFER_STATUSES = ['draft', 'dispatched', 'in_transit', 'received', 'partially_received', 'cancelled'];
+
+// One batch group line being moved; the dates travel with it so FEFO order survives the move
+const transferItemSchema = new mongoose.Schema({
+  sourceBatchGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'BatchGroup', required: true },
+  sourceBatchGroupNumber: { type: String },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  productName: { type: String },
+  variantId: { type: String, default: null },
+  variantName: { type: String },
+  quantity: { type: Number, required: true, min: 1 }, // Sent
+  receivedQuantity: { type: Number, min: 0 }, // Set on receipt
+  discrepancyNote: { type: String }, // Why less arrived, e.g. "2 packs damaged"
+  unitCost: { type: Number, min: 0 }, // Landed unit cost at the source; the destination batch group's cost price
+
+  manufacturingDate: { type: Date },
+  expiryDate: { type: Date },
+  bestBeforeDate: { type: Date },
+
+  destinationBatchGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'BatchGroup' }
+}, { _id: true });
+
+// Units lost between dispatch and receipt
+transferItemSchema.virtual('shortQuantity').get(function() {
+  return this.receivedQuantity == null ? 0 : Math.max(0, this.quantity - this.receivedQuantity);
+});
+
+// Moves batch stock between warehouses: draft -> dispatched -> in_transit -> received / partially_received
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: { type: String, required: true, unique: true },
+  fromWarehouseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', required: true },
+  toWarehouseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', required: true },
+  status: { type: String, enum: TRANSFER_STATUSES, default: 'draft' },
+  items: { type: [transferItemSchema], validate: [items => items.length > 0, 'A transfer needs at least one item'] },
+  notes: { type: String },
+  reference: { type: String }, // Vehicle, courier or challan number
+
+  dispatchedAt: { type: Date },
+  receivedAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancelReason: { type: String },
+
+  history: [{
+    _id: false,
+    status: { type: String, enum: TRANSFER_STATUSES },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId },
+    byType: { type: String, enum: ['admin', 'subadmin'] },
+    note: { type: String }
+  }],
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, required: true },
+  createdByType: { type: String, enum: ['admin', 'subadmin'] }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+stockTransferSchema.index({ fromWarehouseId: 1, status: 1 });
+stockTransferSchema.index({ toWarehouseId: 1, status: 1 });
+stockTransferSchema.index({ 'items.sourceBatchGroupId': 1 });
+
+stockTransferSchema.statics.generateTransferNumber = function() {
+  const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `ST-${dateStr}-${Date.now().toString().slice(-6)}`;
+};
+
+export default mongoose.model('StockTransfer', stockTransferSchema);
@@ -44,6 +44,12 @@ const subAdminSchema = new mongoose.Schema({
       message: 'Permissions must be either read or read_write'
     }
   },
+  // Warehouse a warehouse_manager works in; they only see that warehouse's stock and orders
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// A basket the customer wants delivered again and again (weekly milk, monthly oil...)
+const subscriptionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, trim: true, default: 'My basket' },
+
+  items: [{
+    id: { type: mongoose.Schema.Types.ObjectId, required: true }, // Product or ComboPack
+    itemType: { type: String, enum: ['product', 'combo'], default: 'product' },
+    name: String,
+    variantId: String,
+    variantName: String,
+    hasVariant: { type: Boolean, default: false },
+    qty: { type: Number, required: true, min: 1 }
+  }],
+
+  frequency: { type: String, enum: ['weekly', 'biweekly', 'monthly'], required: true },
+  timeSlot: {
+    type: String,
+    enum: ['9:00 AM - 12:00 PM', '12:00 PM - 3:00 PM', '3:00 PM - 6:00 PM', '6:00 PM - 9:00 PM'],
+    required: true
+  },
+  shipping: {
+    name: String,
+    address: String,
+    phone: String,
+    state: String,
+    city: String,
+    pincode: String,
+    landmark: String,
+    location: { lat: Number, lng: Number },
+    addressId: { type: mongoose.Schema.Types.ObjectId }
+  },
+
+  // Redeem wallet coins on every order (coinsPerOrder 0 = as many as the order allows)
+  coins: {
+    enabled: { type: Boolean, default: false },
+    coinsPerOrder: { type: Number, default: 0, min: 0 }
+  },
+
+  status: { type: String, enum: ['active', 'paused', 'cancelled'], default: 'active' },
+  pausedUntil: { type: Date }, // Resumes by itself after this date (open-ended when empty)
+  pauseReason: { type: String },
+
+  nextDeliveryDate: { type: Date, required: true },
+  nextRunAt: { type: Date, required: true }, // When the scheduler creates the order for nextDeliveryDate
+  processingAt: { type: Date }, // Claimed by a scheduler run
+  consecutiveFailures: { type: Number, default: 0 },
+
+  // Every delivery date the subscription passed through
+  runs: [{
+    deliveryDate: Date,
+    status: { type: String, enum: ['ordered', 'skipped', 'failed'] },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    failureCode: { type: String, enum: ['out_of_stock', 'insufficient_coins', 'unavailable', 'placement_failed', 'unserviceable'] },
+    reason: String,
+    unavailableItems: [{ name: String, requested: Number, available: Number }],
+    at: { type: Date, default: Date.now }
+  }],
+
+  sourceOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Basket copied from this order
+  cancelledAt: { type: Date }
+}, { timestamps: true });
+
+subscriptionSchema.index({ userId: 1, status: 1 });
+subscriptionSchema.index({ status: 1, nextRunAt: 1 });
+
+export default mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// A vendor we buy stock from; purchase orders and received batch groups point here
+const supplierSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  code: { type: String, unique: true, sparse: true, uppercase: true, trim: true },
+  contactName: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  phone: { type: String, trim: true },
+  address: { type: String },
+  gstin: { type: String, trim: true, uppercase: true },
+  paymentTerms: { type: String }, // e.g. "Net 30"
+  leadTimeDays: { type: Number, min: 0 }, // Promised days from order to delivery
+  isActive: { type: Boolean, default: true },
+  notes: { type: String },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ isActive: 1, name: 1 });
+
+export default mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// One credit line of an imported statement and what it was matched to
+const upiStatementEntrySchema = new mongoose.Schema({
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UpiStatementImport',
+    required: true
+  },
+  rowNumber: { type: Number }, // Row in the uploaded file (header = 1)
+
+  utr: { type: String }, // Normalised: trimmed, upper case
+  amount: { type: Number },
+  transactionDate: { type: Date },
+  payer: { type: String },
+  narration: { type: String },
+
+  status: {
+    type: String,
+    enum: [
+      'matched',          // One order, same amount - marked Paid
+      'already_paid',     // Order was already Paid
+      'amount_mismatch',  // One order, different amount
+      'duplicate_utr',    // UTR entered on more than one order
+      'order_cancelled',  // Matching order was cancelled; money may need refunding
+      'unmatched',        // No order carries this UTR
+      'duplicate_entry',  // UTR already seen in this or an earlier statement
+      'invalid',          // Row without a usable UTR or amount
+      'resolved',         // Reviewed by an admin and settled against an order
+      'ignored'           // Reviewed by an admin and dismissed
+    ],
+    required: true
+  },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Matched or resolved order
+  candidateOrderIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }], // Orders sharing the UTR
+  expectedAmount: { type: Number }, // Order total when the amounts differ
+  note: { type: String },
+
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String }
+}, {
+  timestamps: true
+});
+
+upiStatementEntrySchema.index({ importId: 1, rowNumber: 1 });
+upiStatementEntrySchema.index({ utr: 1 });
+upiStatementEntrySchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('UpiStatementEntry', upiStatementEntrySchema);
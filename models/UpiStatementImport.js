@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One uploaded bank/UPI settlement statement and the outcome of matching it
+const upiStatementImportSchema = new mongoose.Schema({
+  fileName: { type: String },
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+
+  // Statement columns used for matching
+  columns: {
+    utr: { type: String },
+    amount: { type: String },
+    date: { type: String },
+    payer: { type: String },
+    narration: { type: String }
+  },
+
+  rowCount: { type: Number, default: 0 },
+  summary: {
+    matched: { type: Number, default: 0 },
+    alreadyPaid: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    duplicateUtr: { type: Number, default: 0 },
+    orderCancelled: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    duplicateEntry: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    matchedAmount: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('UpiStatementImport', upiStatementImportSchema);
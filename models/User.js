@@ -1,11 +1,32 @@
 import mongoose from 'mongoose';
+import { formatAddress, PINCODE_PATTERN } from '../utils/addressUtils.js';
 
 const addressSchema = new mongoose.Schema({
+  label: { type: String, trim: true }, // Home, Work...
   name: { type: String, required: true },
-  address: { type: String, required: true },
   phone: { type: String, required: true },
+  line1: { type: String, trim: true },
+  line2: { type: String, trim: true },
+  landmark: { type: String, trim: true },
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  pincode: { type: String, trim: true, match: [PINCODE_PATTERN, 'Pincode must be 6 digits'] },
+  location: {
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 },
+    source: { type: String, enum: ['device', 'geocoded'] }
+  },
+  // Full address text; composed from the parts for structured addresses, free text on older ones
+  address: { type: String, required: true },
   isDefault: { type: Boolean, default: false }
-}, { _id: false });
+});
+
+addressSchema.pre('validate', function(next) {
+  if (this.line1) {
+    this.address = formatAddress(this);
+  }
+  next();
+});
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
@@ -74,6 +95,23 @@ const userSchema = new mongoose.Schema({
     offers: { type: Boolean, default: true },
     general: { type: Boolean, default: true },
     promotional: { type: Boolean, default: true },
+    // Alerts for wishlisted products
+    wishlistAlerts: {
+      backInStock: { type: Boolean, default: true },
+      priceDrop: { type: Boolean, default: true },
+      channels: {
+        type: [{ type: String, enum: ['in_app', 'push', 'web_push', 'email', 'sms'] }],
+        default: ['in_app', 'push', 'web_push']
+      }
+    },
+    // Abandoned-cart reminders
+    cartReminders: {
+      enabled: { type: Boolean, default: true },
+      channels: {
+        type: [{ type: String, enum: ['push', 'email', 'whatsapp'] }],
+        default: ['push', 'email', 'whatsapp']
+      }
+    }
   },
   
   // Web Push Notification Subscription
@@ -135,7 +173,8 @@ userSchema.methods.addCoins = async function(amount, type, description, orderId
 };
 
 // Deduct coins from wallet with transaction
-userSchema.methods.deductCoins = async function(amount, type, description, orderId = null) {
+// Pass a MongoDB session to make the deduction part of a larger transaction
+userSchema.methods.deductCoins = async function(amount, type, description, orderId = null, session = null) {
   if (this.wallet.balance < amount) {
     throw new Error('Insufficient wallet balance');
   }
@@ -145,16 +184,16 @@ userSchema.methods.deductCoins = async function(amount, type, description, order
   
   // Create transaction record
   const Transaction = mongoose.model('Transaction');
-  await Transaction.create({
+  await Transaction.create([{
     userId: this._id,
     type: type,
     amount: -amount,
     description: description,
     orderId: orderId,
     balanceAfter: this.wallet.balance
-  });
+  }], { session });
   
-  await this.save();
+  await this.save({ session });
   return this.wallet.balance;
 };
 
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { PINCODE_PATTERN } from '../utils/addressUtils.js';
+
+export const DEFAULT_WAREHOUSE = { code: 'MAIN', name: 'Main Warehouse' };
+
+// A stock location; batch groups belong to one and orders are routed to one
+const warehouseSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // e.g. "HYD-W"
+  name: { type: String, required: true, unique: true, trim: true }, // Also stored as BatchGroup.location
+  address: { type: String },
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  pincode: { type: String, trim: true, match: [PINCODE_PATTERN, 'Pincode must be 6 digits'] },
+  location: { lat: Number, lng: Number },
+  contactPhone: { type: String },
+
+  // Orders to these pincodes/zones are fulfilled from here first
+  servedPincodes: [{ type: String, trim: true, match: [PINCODE_PATTERN, 'Pincode must be 6 digits'] }],
+  servedZones: [{ type: String, trim: true }],
+  priority: { type: Number, default: 0 }, // Order in which other warehouses are tried as a fallback (higher first)
+
+  isActive: { type: Boolean, default: true },
+  isDefault: { type: Boolean, default: false }, // Batch groups with an unknown location belong here
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId }
+}, {
+  timestamps: true
+});
+
+warehouseSchema.index({ servedPincodes: 1 });
+warehouseSchema.index({ servedZones: 1 });
+warehouseSchema.index({ isActive: 1, priority: -1 });
+
+// The default warehouse, created on first use so single-location stores need no setup
+warehouseSchema.statics.getDefault = async function() {
+  const existing = await this.findOne({ isDefault: true });
+  if (existing) return existing;
+
+  try {
+    return await this.create({ ...DEFAULT_WAREHOUSE, isDefault: true });
+  } catch (error) {
+    // Another request created it first, or a warehouse already uses the default name
+    if (error.code !== 11000) throw error;
+    const match = await this.findOne({ $or: [{ isDefault: true }, { code: DEFAULT_WAREHOUSE.code }, { name: DEFAULT_WAREHOUSE.name }] });
+    if (!match.isDefault) {
+      match.isDefault = true;
+      await match.save();
+    }
+    return match;
+  }
+};
+
+export default mongoose.model('Warehouse', warehouseSchema);
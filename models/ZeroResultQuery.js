@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Searches that returned nothing - one record per normalized query, for the catalog team
+const zeroResultQuerySchema = new mongoose.Schema({
+  query: { 
+    type: String, 
+    required: true, 
+    unique: true 
+  }, // Normalized (lowercased, trimmed) query text
+  
+  sampleQuery: { type: String }, // Last raw text a customer typed
+  
+  count: { type: Number, default: 1 },
+  firstSearchedAt: { type: Date, default: Date.now },
+  lastSearchedAt: { type: Date, default: Date.now },
+  lastUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'ignored'],
+    default: 'open'
+  },
+  resolution: { type: String }, // e.g. "Added synonym haldi -> turmeric"
+  resolvedAt: { type: Date },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, { 
+  timestamps: true 
+});
+
+zeroResultQuerySchema.index({ status: 1, count: -1 });
+zeroResultQuerySchema.index({ lastSearchedAt: -1 });
+
+export default mongoose.model('ZeroResultQuery', zeroResultQuerySchema);
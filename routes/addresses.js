@@ -0,0 +1,25 @@
+import express from 'express';
+import * as addressController from '../controllers/addressController.js';
+import * as serviceAreaController from '../controllers/serviceAreaController.js';
+import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public
+router.get('/serviceability/:pincode', addressController.checkServiceability);
+
+// Admin/Sub-admin: serviceable pincodes
+router.get('/admin/service-areas', authenticateAdminOrSubAdmin, serviceAreaController.getServiceAreas);
+router.post('/admin/service-areas', authenticateAdminOrSubAdmin, serviceAreaController.upsertServiceAreas);
+router.put('/admin/service-areas/:id', authenticateAdminOrSubAdmin, serviceAreaController.updateServiceArea);
+router.delete('/admin/service-areas/:id', authenticateAdminOrSubAdmin, serviceAreaController.deleteServiceArea);
+
+// User
+router.get('/', authenticateUser, addressController.getMyAddresses);
+router.post('/', authenticateUser, addressController.addAddress);
+router.put('/:id', authenticateUser, addressController.updateAddress);
+router.delete('/:id', authenticateUser, addressController.deleteAddress);
+router.post('/:id/default', authenticateUser, addressController.setDefaultAddress);
+
+export default router;
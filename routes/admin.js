@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
 import { getAllOrders } from '../controllers/productController.js';
 import {
   getCurrentAdmin,
@@ -35,7 +35,7 @@ router.use(authenticateAdminOrSubAdmin);
 // GET /api/admin/orders?status=delivered&payment=cash - delivered cash orders
 // GET /api/admin/orders?payment=cash - all cash orders
 // GET /api/admin/orders?payment=upi - all UPI orders
-router.get('/orders', getAllOrders);
+router.get('/orders', resolveWarehouseScope, getAllOrders);
 
 /**
  * Multi-Admin Management Endpoints
@@ -8,7 +8,7 @@ import {
   getUnassignedOrders,
   getDeliveryAnalytics
 } from '../controllers/adminDeliveryController.js';
-import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
 
 const router = express.Router();
 
@@ -38,12 +38,12 @@ router.delete('/agents/:agentId', deactivateDeliveryAgent);
 // @route   POST /api/admin/orders/:orderId/assign/:agentId
 // @desc    Assign order to delivery agent
 // @access  Private (Admin)
-router.post('/orders/:orderId/assign/:agentId', assignOrderToAgent);
+router.post('/orders/:orderId/assign/:agentId', resolveWarehouseScope, assignOrderToAgent);
 
 // @route   GET /api/admin/delivery/unassigned-orders
 // @desc    Get unassigned orders
 // @access  Private (Admin)
-router.get('/unassigned-orders', getUnassignedOrders);
+router.get('/unassigned-orders', resolveWarehouseScope, getUnassignedOrders);
 
 // @route   GET /api/admin/delivery/analytics
 // @desc    Get delivery analytics
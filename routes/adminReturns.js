@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticateAdminOrSubAdmin } from '../middleware/auth.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
 import {
   getAllReturns,
   getAdminReturnDetails,
@@ -8,7 +8,12 @@ import {
   getPendingApprovalReturns,
   makeFinalRefundDecision,
   processCoinRefund,
-  bulkProcessRefunds
+  bulkProcessRefunds,
+  getRefundOptions,
+  getReturnRefunds,
+  retryReturnRefund,
+  updateManualRefund,
+  getRefundReconciliation
 } from '../controllers/adminReturnController.js';
 
 const router = express.Router();
@@ -16,29 +21,44 @@ const router = express.Router();
 // Admin Return Management Routes
 
 // Get All Returns with Filters
-router.get('/all', authenticateAdminOrSubAdmin, getAllReturns);
+router.get('/all', authenticateAdminOrSubAdmin, resolveWarehouseScope, getAllReturns);
 
 // Get Return Details for Admin
-router.get('/:returnId/details', authenticateAdminOrSubAdmin, getAdminReturnDetails);
+router.get('/:returnId/details', authenticateAdminOrSubAdmin, resolveWarehouseScope, getAdminReturnDetails);
 
 // Review Return Request (Approve/Reject)
-router.put('/:returnId/review', authenticateAdminOrSubAdmin, reviewReturnRequest);
+router.put('/:returnId/review', authenticateAdminOrSubAdmin, resolveWarehouseScope, reviewReturnRequest);
 
 // Toggle Pickup Charge
-router.put('/:returnId/pickup-charge', authenticateAdminOrSubAdmin, togglePickupCharge);
+router.put('/:returnId/pickup-charge', authenticateAdminOrSubAdmin, resolveWarehouseScope, togglePickupCharge);
 
 // Refund Processing Routes
 
 // Get Returns Pending Final Approval
-router.get('/pending-approval', authenticateAdminOrSubAdmin, getPendingApprovalReturns);
+router.get('/pending-approval', authenticateAdminOrSubAdmin, resolveWarehouseScope, getPendingApprovalReturns);
 
 // Make Final Refund Decision
-router.put('/:returnId/final-decision', authenticateAdminOrSubAdmin, makeFinalRefundDecision);
+router.put('/:returnId/final-decision', authenticateAdminOrSubAdmin, resolveWarehouseScope, makeFinalRefundDecision);
 
-// Process Coin Refund
-router.post('/:returnId/process-refund', authenticateAdminOrSubAdmin, processCoinRefund);
+// Refund Options (coins / original payment / split)
+router.get('/:returnId/refund-options', authenticateAdminOrSubAdmin, resolveWarehouseScope, getRefundOptions);
+
+// Process Refund (coins, original payment method or split)
+router.post('/:returnId/process-refund', authenticateAdminOrSubAdmin, resolveWarehouseScope, processCoinRefund);
+
+// Refund Records of a Return
+router.get('/:returnId/refunds', authenticateAdminOrSubAdmin, resolveWarehouseScope, getReturnRefunds);
+
+// Refund Reconciliation
+router.get('/refunds/reconciliation', authenticateAdminOrSubAdmin, resolveWarehouseScope, getRefundReconciliation);
+
+// Retry Failed Refund
+router.post('/refunds/:refundId/retry', authenticateAdminOrSubAdmin, resolveWarehouseScope, retryReturnRefund);
+
+// Settle Manual UPI Refund
+router.put('/refunds/:refundId/manual-status', authenticateAdminOrSubAdmin, resolveWarehouseScope, updateManualRefund);
 
 // Bulk Process Refunds
-router.post('/bulk-process-refunds', authenticateAdminOrSubAdmin, bulkProcessRefunds);
+router.post('/bulk-process-refunds', authenticateAdminOrSubAdmin, resolveWarehouseScope, bulkProcessRefunds);
 
 export default router;
@@ -19,12 +19,18 @@ import {
   getScheduledNotifications, 
   cancelScheduledNotification 
 } from '../controllers/adminNotificationController.js';
-import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
 
 const router = express.Router();
 
 // Apply admin authentication to all routes
-router.use(authenticateAdminOrSubAdmin);
+router.use(authenticateAdminOrSubAdmin, resolveWarehouseScope);
+
+// Customer accounts, wallets and notifications span every warehouse, so warehouse managers are kept out
+router.use((req, res, next) => {
+  if (!req.warehouseScope) return next();
+  res.status(403).json({ success: false, message: 'Only an admin can manage customers' });
+});
 
 // USER ANALYTICS ROUTES
 router.get('/analytics', getUserAnalytics);
@@ -6,6 +6,7 @@ import Admin from '../models/Admin.js';
 import User from '../models/User.js';
 import { processReferralRegistration } from '../controllers/referralController.js';
 import { sendPasswordResetOTP } from '../services/emailService.js';
+import addressService from '../services/addressService.js';
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'RaviBuraga';
@@ -246,57 +247,24 @@ router.put('/me', async (req, res) => {
   }
 });
 
-// Add user address function
+// Add user address function (kept for older clients; /api/addresses has the full CRUD)
 const addUserAddress = async (req, res) => {
   try {
-    const { name, address, phone, isDefault = false } = req.body;
     const userId = req.userId || req.user._id || req.user.id; // Get user ID from authenticated request
-
-    // Validation
-    if (!name || !address || !phone) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Name, address and phone are required' 
-      });
-    }
-
-    // Find user
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
-    }
-
-    // If this is set as default, unset all other defaults
-    if (isDefault) {
-      user.addresses.forEach(addr => addr.isDefault = false);
-    }
-
-    // Add new address
-    const newAddress = {
-      name,
-      address,
-      phone,
-      isDefault: isDefault || user.addresses.length === 0 // First address is default
-    };
-
-    user.addresses.push(newAddress);
-    await user.save();
+    const { address, addresses } = await addressService.addAddress(userId, req.body);
 
     res.json({
       success: true,
       message: 'Address added successfully',
-      address: newAddress,
-      addresses: user.addresses
+      address,
+      addresses
     });
 
   } catch (error) {
     console.error('Add address error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: 'Failed to add address' 
+      message: error.statusCode ? error.message : 'Failed to add address' 
     });
   }
 };
@@ -9,20 +9,24 @@ import {
   getAllBatches,
   getBatchById
 } from '../controllers/batchController.js';
-import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import { recallBatchGroup, resumeRecall, getRecallReport } from '../controllers/batchRecallController.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
 
 const router = express.Router();
 
 // Batch Group Routes (New System)
-router.get('/batch-groups', authenticateAdminOrSubAdmin, getAllBatchGroups);
-router.get('/batch-groups/analytics', authenticateAdminOrSubAdmin, getBatchAnalytics);
-router.get('/batch-groups/:id', authenticateAdminOrSubAdmin, getBatchGroupById);
-router.put('/batch-groups/:id', authenticateAdminOrSubAdmin, updateBatchGroup);
-router.get('/batch-groups/product/:productId/utilization', authenticateAdminOrSubAdmin, getBatchUtilizationByProduct);
+router.get('/batch-groups', authenticateAdminOrSubAdmin, resolveWarehouseScope, getAllBatchGroups);
+router.get('/batch-groups/analytics', authenticateAdminOrSubAdmin, resolveWarehouseScope, getBatchAnalytics);
+router.get('/batch-groups/:id', authenticateAdminOrSubAdmin, resolveWarehouseScope, getBatchGroupById);
+router.put('/batch-groups/:id', authenticateAdminOrSubAdmin, resolveWarehouseScope, updateBatchGroup);
+router.post('/batch-groups/:id/recall', authenticateAdminOrSubAdmin, resolveWarehouseScope, recallBatchGroup);
+router.post('/batch-groups/:id/recall/resume', authenticateAdminOrSubAdmin, resolveWarehouseScope, resumeRecall);
+router.get('/batch-groups/:id/recall-report', authenticateAdminOrSubAdmin, resolveWarehouseScope, getRecallReport);
+router.get('/batch-groups/product/:productId/utilization', authenticateAdminOrSubAdmin, resolveWarehouseScope, getBatchUtilizationByProduct);
 
 // Legacy Routes (for backward compatibility)
-router.get('/', authenticateAdminOrSubAdmin, getAllBatches);
-router.get('/analytics', authenticateAdminOrSubAdmin, getBatchAnalytics);
-router.get('/:id', authenticateAdminOrSubAdmin, getBatchById);
+router.get('/', authenticateAdminOrSubAdmin, resolveWarehouseScope, getAllBatches);
+router.get('/analytics', authenticateAdminOrSubAdmin, resolveWarehouseScope, getBatchAnalytics);
+router.get('/:id', authenticateAdminOrSubAdmin, resolveWarehouseScope, getBatchById);
 
 export default router;
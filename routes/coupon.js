@@ -1,16 +1,29 @@
 import express from 'express';
 import * as couponController from '../controllers/couponController.js';
-import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import * as couponCampaignController from '../controllers/couponCampaignController.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
+import { optionalAuthenticateUser } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Campaigns: bulk single-use codes (admin/sub-admin)
+router.post('/campaigns', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponCampaignController.createCampaign);
+router.get('/campaigns', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponCampaignController.getAllCampaigns);
+router.get('/campaigns/:id', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponCampaignController.getCampaignById);
+router.post('/campaigns/:id/codes', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponCampaignController.generateMoreCodes);
+router.post('/campaigns/:id/assign', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponCampaignController.assignCampaignCodes);
+router.get('/campaigns/:id/export', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponCampaignController.exportCampaignCodes);
+router.put('/campaigns/:id/status', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponCampaignController.updateCampaignStatus);
+
 // Admin/Sub-admin endpoints
-router.post('/', authenticateAdminOrSubAdmin, couponController.createCoupon);
-router.get('/', authenticateAdminOrSubAdmin, couponController.getAllCoupons);
-router.put('/:id', authenticateAdminOrSubAdmin, couponController.updateCoupon);
-router.delete('/:id', authenticateAdminOrSubAdmin, couponController.deleteCoupon);
+router.post('/', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponController.createCoupon);
+router.get('/', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponController.getAllCoupons);
+router.put('/:id', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponController.updateCoupon);
+router.delete('/:id', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponController.deleteCoupon);
+router.get('/:id/redemptions', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponController.getCouponRedemptions);
+router.get('/:id/impact', authenticateAdminOrSubAdmin, resolveWarehouseScope, couponController.getCouponImpact);
 
 // Public
-router.post('/validate', couponController.validateCoupon);
+router.post('/validate', optionalAuthenticateUser, couponController.validateCoupon);
 
 export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import * as invoiceController from '../controllers/invoiceController.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Admin/Sub-admin
+router.get('/admin', authenticateAdminOrSubAdmin, resolveWarehouseScope, invoiceController.listDocuments);
+router.get('/admin/orders/:orderId', authenticateAdminOrSubAdmin, resolveWarehouseScope, invoiceController.getOrderDocuments);
+router.get('/admin/:id/pdf', authenticateAdminOrSubAdmin, resolveWarehouseScope, invoiceController.downloadDocument);
+router.post('/admin/orders/:orderId/invoice', authenticateAdminOrSubAdmin, resolveWarehouseScope, invoiceController.issueInvoice);
+router.post('/admin/returns/:returnId/credit-note', authenticateAdminOrSubAdmin, resolveWarehouseScope, invoiceController.issueCreditNote);
+
+// User
+router.get('/orders/:orderId', authenticateUser, invoiceController.getMyOrderDocuments);
+router.get('/:id/pdf', authenticateUser, invoiceController.downloadMyDocument);
+
+export default router;
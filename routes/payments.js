@@ -0,0 +1,32 @@
+import express from 'express';
+import multer from 'multer';
+import * as paymentController from '../controllers/paymentController.js';
+import * as upiReconciliationController from '../controllers/upiReconciliationController.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+const upload = multer({ limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Gateway webhooks (public, verified by signature)
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+// Admin/Sub-admin
+router.get('/admin/orders/:orderId', authenticateAdminOrSubAdmin, resolveWarehouseScope, paymentController.getOrderPayments);
+
+// Admin/Sub-admin: UPI statement matching and review queue (not warehouse managers)
+router.post('/upi/statements', authenticateAdminOrSubAdmin, resolveWarehouseScope, upload.single('file'), upiReconciliationController.importStatement);
+router.get('/upi/statements', authenticateAdminOrSubAdmin, resolveWarehouseScope, upiReconciliationController.getImports);
+router.get('/upi/statements/:id/entries', authenticateAdminOrSubAdmin, resolveWarehouseScope, upiReconciliationController.getImportEntries);
+router.get('/upi/review-queue', authenticateAdminOrSubAdmin, resolveWarehouseScope, upiReconciliationController.getReviewQueue);
+router.post('/upi/entries/:id/review', authenticateAdminOrSubAdmin, resolveWarehouseScope, upiReconciliationController.reviewEntry);
+
+// User
+router.post('/orders/:orderId/attempts', authenticateUser, paymentController.createPaymentAttempt);
+router.get('/orders/:orderId', authenticateUser, paymentController.getMyOrderPayments);
+router.post('/verify', authenticateUser, paymentController.verifyPayment);
+
+// Mock provider checkout (development/testing)
+router.post('/mock/:attemptId/complete', authenticateUser, paymentController.simulateMockPayment);
+
+export default router;
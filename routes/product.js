@@ -1,6 +1,10 @@
 import express from 'express';
 import multer from 'multer';
 import * as productController from '../controllers/productController.js';
+import * as priceController from '../controllers/priceController.js';
+import * as orderEditController from '../controllers/orderEditController.js';
+import * as orderLifecycleController from '../controllers/orderLifecycleController.js';
+import * as subscriptionController from '../controllers/subscriptionController.js';
 import { 
   addOrderReview, 
   getAverageOrderRating, 
@@ -8,7 +12,7 @@ import {
   getProductsByCategory 
 } from '../controllers/productController.js';
 import { authenticateUser } from '../middleware/auth.js';
-import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
 
 const router = express.Router();
 const upload = multer();
@@ -20,6 +24,12 @@ router.put('/:id', authenticateAdminOrSubAdmin, upload.array('images', 5), produ
 router.delete('/:id', authenticateAdminOrSubAdmin, productController.deleteProduct);
 router.put('/:id/featured', authenticateAdminOrSubAdmin, productController.toggleProductFeatured);
 
+// Pricing: history (public), scheduled prices and sale windows (admin/sub-admin)
+router.get('/:id/price-history', priceController.getPriceHistory);
+router.get('/:id/scheduled-prices', authenticateAdminOrSubAdmin, priceController.getScheduledPrices);
+router.post('/:id/scheduled-prices', authenticateAdminOrSubAdmin, priceController.createScheduledPrice);
+router.post('/:id/scheduled-prices/:scheduledId/cancel', authenticateAdminOrSubAdmin, priceController.cancelScheduledPrice);
+
 // Product listing/detail (public)
 router.get('/', productController.getAllProducts);
 router.get('/featured', productController.getFeaturedProducts);
@@ -33,14 +43,25 @@ router.get('/:id/reviews', productController.getReviews);
 
 // Orders
 router.post('/orders', authenticateUser, productController.createOrder);
+router.post('/orders/quote', authenticateUser, productController.quoteOrder); // Server-computed price breakdown
 router.get('/orders/user', authenticateUser, productController.getUserOrders);
 router.get('/orders/user/:id', authenticateUser, productController.getUserOrderById); // User endpoint for their own order details
-router.get('/orders/all', authenticateAdminOrSubAdmin, productController.getAllOrders); // Admin/sub-admin access
-router.put('/orders/:id/status', authenticateAdminOrSubAdmin, productController.updateOrderStatus); // admin/sub-admin access
+router.get('/orders/all', authenticateAdminOrSubAdmin, resolveWarehouseScope, productController.getAllOrders); // Admin/sub-admin access
+router.put('/orders/:id/status', authenticateAdminOrSubAdmin, resolveWarehouseScope, productController.updateOrderStatus); // admin/sub-admin access
 router.post('/orders/:id/cancel', authenticateUser, productController.cancelOrder);
-router.get('/orders/:id', authenticateAdminOrSubAdmin, productController.getOrderById); // Admin/sub-admin endpoint for order details
+router.post('/orders/:id/reorder', authenticateUser, subscriptionController.reorder); // Available items back to the cart at today's prices
+// Item-level cancellation (user) and item edits/substitutions (admin/sub-admin) while Pending
+router.post('/orders/:id/items/cancel', authenticateUser, orderEditController.cancelMyOrderItems);
+router.get('/orders/:id/edits/me', authenticateUser, orderEditController.getMyOrderEditHistory);
+router.put('/orders/:id/items', authenticateAdminOrSubAdmin, resolveWarehouseScope, orderEditController.editOrderItems);
+router.get('/orders/:id/edits', authenticateAdminOrSubAdmin, resolveWarehouseScope, orderEditController.getOrderEditHistory);
+// Status timeline (who moved the order, when and why)
+router.get('/orders/:id/timeline/me', authenticateUser, orderLifecycleController.getMyOrderTimeline);
+router.get('/orders/:id/timeline', authenticateAdminOrSubAdmin, resolveWarehouseScope, orderLifecycleController.getOrderTimeline);
+router.get('/orders/:id/tracking', authenticateUser, orderLifecycleController.getMyOrderTracking); // Customer tracking view
+router.get('/orders/:id', authenticateAdminOrSubAdmin, resolveWarehouseScope, productController.getOrderById); // Admin/sub-admin endpoint for order details
 // Mark order as paid (admin/sub-admin)
-router.post('/orders/:id/mark-paid', authenticateAdminOrSubAdmin, productController.markOrderAsPaid);
+router.post('/orders/:id/mark-paid', authenticateAdminOrSubAdmin, resolveWarehouseScope, productController.markOrderAsPaid);
 // Order review and average rating endpoints
 router.post('/orders/:id/review', authenticateUser, addOrderReview);
 router.get('/orders/ratings/average', authenticateAdminOrSubAdmin, getAverageOrderRating);
@@ -57,10 +78,12 @@ router.post('/cart', authenticateUser, productController.addToCart); // Fixed: /
 router.post('/cart/remove', authenticateUser, productController.removeFromCart); // Fixed: POST instead of DELETE to match frontend
 router.post('/cart/update', authenticateUser, productController.updateCartItem); // Fixed: POST instead of PUT to match frontend
 router.post('/cart/clear', authenticateUser, productController.clearCart);
+router.post('/cart/reserve', authenticateUser, productController.reserveCart);
+router.post('/cart/reserve/release', authenticateUser, productController.releaseCartReservation);
 
 // Admin/Sub-admin: get all users
-router.get('/users/all', authenticateAdminOrSubAdmin, productController.getAllUsers); // admin/sub-admin only
+router.get('/users/all', authenticateAdminOrSubAdmin, resolveWarehouseScope, productController.getAllUsers); // admin/sub-admin only
 // Admin/Sub-admin: get all orders for a user
-router.get('/orders/user/:userId', authenticateAdminOrSubAdmin, productController.getOrdersByUserId); // admin/sub-admin only
+router.get('/orders/user/:userId', authenticateAdminOrSubAdmin, resolveWarehouseScope, productController.getOrdersByUserId); // admin/sub-admin only
 
 export default router;
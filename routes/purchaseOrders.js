@@ -0,0 +1,19 @@
+import express from 'express';
+import * as purchaseOrderController from '../controllers/purchaseOrderController.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
+
+const router = express.Router();
+
+// Admin/Sub-admin; warehouse managers only see and receive orders for their warehouse
+router.use(authenticateAdminOrSubAdmin, resolveWarehouseScope);
+
+router.get('/', purchaseOrderController.getPurchaseOrders);
+router.post('/', purchaseOrderController.createPurchaseOrder);
+router.get('/:id', purchaseOrderController.getPurchaseOrder);
+router.put('/:id', purchaseOrderController.updatePurchaseOrder);
+router.post('/:id/place', purchaseOrderController.placePurchaseOrder);
+router.post('/:id/receive', purchaseOrderController.receivePurchaseOrder);
+router.post('/:id/close', purchaseOrderController.closePurchaseOrder);
+router.post('/:id/cancel', purchaseOrderController.cancelPurchaseOrder);
+
+export default router;
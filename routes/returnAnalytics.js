@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticateAdminOrSubAdmin } from '../middleware/auth.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
 import {
   getReturnAnalytics,
   getReturnReports,
@@ -12,15 +12,15 @@ const router = express.Router();
 // Return Analytics & Reports Routes
 
 // Return Analytics Dashboard
-router.get('/analytics', authenticateAdminOrSubAdmin, getReturnAnalytics);
+router.get('/analytics', authenticateAdminOrSubAdmin, resolveWarehouseScope, getReturnAnalytics);
 
 // Return Reports
-router.get('/reports', authenticateAdminOrSubAdmin, getReturnReports);
+router.get('/reports', authenticateAdminOrSubAdmin, resolveWarehouseScope, getReturnReports);
 
 // Product Return Analysis
-router.get('/product-analysis', authenticateAdminOrSubAdmin, getProductReturnAnalysis);
+router.get('/product-analysis', authenticateAdminOrSubAdmin, resolveWarehouseScope, getProductReturnAnalysis);
 
 // Customer Return Behavior
-router.get('/customer-behavior', authenticateAdminOrSubAdmin, getCustomerReturnBehavior);
+router.get('/customer-behavior', authenticateAdminOrSubAdmin, resolveWarehouseScope, getCustomerReturnBehavior);
 
 export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import revenueAnalyticsController from '../controllers/revenueAnalyticsController.js';
-import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
 
 const router = express.Router();
 
@@ -18,7 +18,7 @@ router.get('/dashboard', revenueAnalyticsController.getDashboardAnalytics);
 
 // Main revenue analytics endpoint
 // GET /api/revenue-analytics
-router.get('/', revenueAnalyticsController.getRevenueAnalytics);
+router.get('/', resolveWarehouseScope, revenueAnalyticsController.getRevenueAnalytics);
 
 // Revenue analytics by date range
 // GET /api/revenue-analytics/date-range?startDate=2024-01-01&endDate=2024-01-31
@@ -36,4 +36,16 @@ router.get('/trends', revenueAnalyticsController.getRevenueTrends);
 // GET /api/revenue-analytics/top-products?limit=10&period=30
 router.get('/top-products', revenueAnalyticsController.getTopPerformingProducts);
 
+// Gross profit from actual batch costs, by order, product, category, day or month
+// GET /api/revenue-analytics/profitability?groupBy=product&startDate=2024-01-01&endDate=2024-01-31&limit=50
+router.get('/profitability', resolveWarehouseScope, revenueAnalyticsController.getProfitability);
+
+// Abandoned cart recovery rate and recovered revenue
+// GET /api/revenue-analytics/abandoned-carts?startDate=2024-01-01&endDate=2024-01-31
+router.get('/abandoned-carts', revenueAnalyticsController.getAbandonedCartAnalytics);
+
+// Abandoned cart sequences
+// GET /api/revenue-analytics/abandoned-carts/list?status=recovered&page=1&limit=20
+router.get('/abandoned-carts/list', revenueAnalyticsController.getAbandonedCarts);
+
 export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import * as searchController from '../controllers/searchController.js';
+import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import { optionalAuthenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Admin/Sub-admin: synonyms and zero-result queries
+router.get('/synonyms', authenticateAdminOrSubAdmin, searchController.getSynonyms);
+router.post('/synonyms', authenticateAdminOrSubAdmin, searchController.createSynonym);
+router.put('/synonyms/:id', authenticateAdminOrSubAdmin, searchController.updateSynonym);
+router.delete('/synonyms/:id', authenticateAdminOrSubAdmin, searchController.deleteSynonym);
+router.get('/zero-results', authenticateAdminOrSubAdmin, searchController.getZeroResultQueries);
+router.put('/zero-results/:id', authenticateAdminOrSubAdmin, searchController.updateZeroResultQuery);
+
+// Public
+router.get('/suggest', searchController.suggest);
+router.get('/', optionalAuthenticateUser, searchController.search);
+
+export default router;
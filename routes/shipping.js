@@ -0,0 +1,19 @@
+import express from 'express';
+import * as shippingController from '../controllers/shippingController.js';
+import { authenticateAdminOrSubAdmin } from '../middleware/authUnified.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Admin/Sub-admin
+router.get('/admin/rules', authenticateAdminOrSubAdmin, shippingController.getRules);
+router.post('/admin/rules', authenticateAdminOrSubAdmin, shippingController.createRule);
+router.post('/admin/rules/preview', authenticateAdminOrSubAdmin, shippingController.previewRules);
+router.get('/admin/rules/:id', authenticateAdminOrSubAdmin, shippingController.getRule);
+router.put('/admin/rules/:id', authenticateAdminOrSubAdmin, shippingController.updateRule);
+router.delete('/admin/rules/:id', authenticateAdminOrSubAdmin, shippingController.deleteRule);
+
+// User
+router.post('/estimate', authenticateUser, shippingController.estimateShipping);
+
+export default router;
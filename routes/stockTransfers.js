@@ -0,0 +1,18 @@
+import express from 'express';
+import * as stockTransferController from '../controllers/stockTransferController.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
+
+const router = express.Router();
+
+// Admin/Sub-admin; warehouse managers only see transfers into or out of their warehouse
+router.use(authenticateAdminOrSubAdmin, resolveWarehouseScope);
+
+router.get('/', stockTransferController.getTransfers);
+router.post('/', stockTransferController.createTransfer);
+router.get('/:id', stockTransferController.getTransfer);
+router.post('/:id/dispatch', stockTransferController.dispatchTransfer);
+router.post('/:id/in-transit', stockTransferController.markInTransit);
+router.post('/:id/receive', stockTransferController.receiveTransfer);
+router.post('/:id/cancel', stockTransferController.cancelTransfer);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import * as subscriptionController from '../controllers/subscriptionController.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Admin/Sub-admin
+router.get('/admin/all', authenticateAdminOrSubAdmin, resolveWarehouseScope, subscriptionController.getAllSubscriptions);
+router.get('/admin/:id', authenticateAdminOrSubAdmin, resolveWarehouseScope, subscriptionController.getSubscription);
+
+// User
+router.post('/', authenticateUser, subscriptionController.createSubscription);
+router.get('/', authenticateUser, subscriptionController.getMySubscriptions);
+router.get('/:id', authenticateUser, subscriptionController.getMySubscription);
+router.put('/:id', authenticateUser, subscriptionController.updateSubscription);
+router.post('/:id/skip', authenticateUser, subscriptionController.skipNextDelivery);
+router.post('/:id/pause', authenticateUser, subscriptionController.pauseSubscription);
+router.post('/:id/resume', authenticateUser, subscriptionController.resumeSubscription);
+router.delete('/:id', authenticateUser, subscriptionController.cancelSubscription);
+
+export default router;
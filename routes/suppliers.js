@@ -0,0 +1,18 @@
+import express from 'express';
+import * as supplierController from '../controllers/supplierController.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
+
+const router = express.Router();
+
+// Admin/Sub-admin; warehouse managers can only read
+router.use(authenticateAdminOrSubAdmin, resolveWarehouseScope);
+
+router.get('/', supplierController.getSuppliers);
+router.post('/', supplierController.createSupplier);
+router.get('/performance', supplierController.getSupplierPerformance);
+router.get('/:id', supplierController.getSupplier);
+router.put('/:id', supplierController.updateSupplier);
+router.delete('/:id', supplierController.deleteSupplier);
+router.get('/:id/performance', supplierController.getSupplierPerformanceById);
+
+export default router;
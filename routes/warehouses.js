@@ -0,0 +1,19 @@
+import express from 'express';
+import * as warehouseController from '../controllers/warehouseController.js';
+import { authenticateAdminOrSubAdmin, resolveWarehouseScope } from '../middleware/authUnified.js';
+
+const router = express.Router();
+
+// Admin/Sub-admin; warehouse managers only see their own warehouse
+router.use(authenticateAdminOrSubAdmin, resolveWarehouseScope);
+
+router.get('/', warehouseController.getWarehouses);
+router.post('/', warehouseController.createWarehouse);
+router.get('/routing', warehouseController.previewRouting);
+router.get('/product/:productId/stock', warehouseController.getProductStockByWarehouse);
+router.get('/:id', warehouseController.getWarehouse);
+router.put('/:id', warehouseController.updateWarehouse);
+router.delete('/:id', warehouseController.deleteWarehouse);
+router.get('/:id/stock', warehouseController.getWarehouseStock);
+
+export default router;
@@ -0,0 +1,461 @@
+import AbandonedCart from '../models/AbandonedCart.js';
+import Coupon from '../models/Coupon.js';
+import ComboPack from '../models/ComboPack.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import notificationService from './notificationService.js';
+import { notifyCartReminder } from './webPushService.js';
+import { sendEmail } from './emailService.js';
+import { sendWhatsAppMessage } from './whatsappService.js';
+import { generateCodeBody } from './couponCampaignService.js';
+
+/**
+ * Abandoned Cart Service
+ * Runs a multi-step reminder sequence for carts left idle, stops it when the user
+ * orders, empties the cart or opts out, and attributes recovered orders to it.
+ * Step delays count from the newest addedAt in the cart, so adding items pushes
+ * the remaining steps back.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_SEQUENCE = [
+  { delayHours: 1, channel: 'push' },
+  { delayHours: 24, channel: 'email' },
+  {
+    delayHours: 72,
+    channel: 'whatsapp',
+    coupon: { type: 'percent', amount: 10, maxDiscount: 100, minOrder: 0, validHours: 48 }
+  }
+];
+
+const CHANNELS = ['push', 'email', 'whatsapp'];
+
+// ABANDONED_CART_SEQUENCE overrides the steps as a JSON array shaped like DEFAULT_SEQUENCE
+const loadSequence = () => {
+  const raw = process.env.ABANDONED_CART_SEQUENCE;
+  if (!raw) return DEFAULT_SEQUENCE;
+
+  try {
+    const sequence = JSON.parse(raw);
+    const valid = Array.isArray(sequence) && sequence.length > 0 && sequence.every((step, i) =>
+      CHANNELS.includes(step.channel) &&
+      Number(step.delayHours) > 0 &&
+      (i === 0 || Number(step.delayHours) > Number(sequence[i - 1].delayHours)) &&
+      (!step.coupon || (['percent', 'flat'].includes(step.coupon.type) && Number(step.coupon.amount) > 0))
+    );
+    if (!valid) throw new Error('steps need a channel and strictly increasing delayHours');
+    return sequence.map(step => ({ ...step, delayHours: Number(step.delayHours) }));
+  } catch (error) {
+    console.warn(`[ABANDONED CART] Invalid ABANDONED_CART_SEQUENCE, using defaults: ${error.message}`);
+    return DEFAULT_SEQUENCE;
+  }
+};
+
+export const ABANDONED_CART_CONSTANTS = {
+  SEQUENCE: loadSequence(),
+  // Carts idle longer than this past the first step are not picked up (e.g. right after deploy)
+  START_WINDOW_HOURS: Number(process.env.ABANDONED_CART_START_WINDOW_HOURS) || 24,
+  // How long after the last reminder an order still counts as recovered
+  ATTRIBUTION_DAYS: Number(process.env.ABANDONED_CART_ATTRIBUTION_DAYS) || 7,
+  COUPON_PREFIX: 'CART',
+  COUPON_CODE_LENGTH: 6
+};
+
+const OPEN_STATUSES = ['active', 'completed'];
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const lastCartActivity = (cart = []) =>
+  cart.reduce((latest, item) => (item.addedAt && item.addedAt > latest ? item.addedAt : latest), new Date(0));
+
+// Whether the user still wants cart reminders, and through which channels
+const getAllowedChannels = (user) => {
+  const prefs = user.notificationPreferences || {};
+  if (prefs.promotional === false || prefs.cartReminders?.enabled === false) return null;
+  return prefs.cartReminders?.channels?.length ? prefs.cartReminders.channels : CHANNELS;
+};
+
+// Cart lines with current names and prices for the messages and the value report
+const snapshotCart = async (cart) => {
+  const productIds = cart.filter(i => i.type !== 'combo' && i.product).map(i => i.product);
+  const comboIds = cart.filter(i => i.type === 'combo' && i.comboPackId).map(i => i.comboPackId);
+
+  const [products, combos] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('name price variants').lean(),
+    ComboPack.find({ _id: { $in: comboIds } }).select('name comboPrice').lean()
+  ]);
+  const productById = new Map(products.map(p => [p._id.toString(), p]));
+  const comboById = new Map(combos.map(c => [c._id.toString(), c]));
+
+  const items = [];
+  for (const item of cart) {
+    if (item.type === 'combo') {
+      const combo = comboById.get(item.comboPackId?.toString());
+      if (!combo) continue;
+      items.push({ type: 'combo', comboPackId: combo._id, name: combo.name, price: combo.comboPrice, quantity: item.quantity });
+    } else {
+      const product = productById.get(item.product?.toString());
+      if (!product) continue;
+      const variant = item.variantId ? (product.variants || []).find(v => v.id === item.variantId) : null;
+      items.push({
+        type: 'product',
+        productId: product._id,
+        variantId: item.variantId || null,
+        name: product.name,
+        variantName: variant?.name || item.variantName,
+        price: variant?.price ?? item.variantPrice ?? product.price,
+        quantity: item.quantity
+      });
+    }
+  }
+
+  const cartValue = roundAmount(items.reduce((sum, i) => sum + (i.price || 0) * (i.quantity || 1), 0));
+  return { items, cartValue };
+};
+
+// Single-use code for this user, created once per sequence
+const ensureRecoveryCoupon = async (tracker, couponConfig, channel) => {
+  if (tracker.couponId) return tracker.couponCode;
+
+  const { COUPON_PREFIX, COUPON_CODE_LENGTH } = ABANDONED_CART_CONSTANTS;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = `${COUPON_PREFIX}${generateCodeBody(COUPON_CODE_LENGTH)}`;
+    try {
+      const coupon = await Coupon.create({
+        code,
+        description: 'Complete your order - abandoned cart offer',
+        type: couponConfig.type,
+        amount: couponConfig.amount,
+        maxDiscount: couponConfig.maxDiscount || null,
+        minOrder: couponConfig.minOrder || 0,
+        expiry: new Date(Date.now() + (couponConfig.validHours || 48) * HOUR_MS),
+        usageLimit: 1,
+        perUserLimit: 1,
+        assignedTo: tracker.userId,
+        distribution: { channel, sentAt: new Date() }
+      });
+      tracker.couponId = coupon._id;
+      tracker.couponCode = coupon.code;
+      return coupon.code;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not generate a unique coupon code');
+};
+
+const describeOffer = (couponConfig, code) => {
+  const value = couponConfig.type === 'percent' ? `${couponConfig.amount}% off` : `₹${couponConfig.amount} off`;
+  return `Use code ${code} for ${value} (valid for ${couponConfig.validHours || 48} hours).`;
+};
+
+// Send one reminder; returns { status, reason }
+const sendReminder = async (user, tracker, step, stepIndex) => {
+  if (step.channel === 'email' && !user.email) return { status: 'skipped', reason: 'No email address' };
+  if (step.channel === 'whatsapp' && !user.phone) return { status: 'skipped', reason: 'No phone number' };
+
+  const itemCount = tracker.items.reduce((sum, i) => sum + (i.quantity || 1), 0);
+  const firstName = (user.name || '').split(' ')[0] || 'there';
+  const code = step.coupon ? await ensureRecoveryCoupon(tracker, step.coupon, step.channel) : null;
+  const offer = code ? ` ${describeOffer(step.coupon, code)}` : '';
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  if (step.channel === 'push') {
+    await notificationService.createNotification({
+      title: 'Your cart is waiting 🛒',
+      message: `You left ${itemCount} item(s) in your cart.${offer}`,
+      type: 'promotional',
+      category: 'promotions',
+      userId: user._id,
+      channels: ['in_app', 'push'],
+      actionUrl: '/cart',
+      actionText: 'View Cart',
+      data: { alertType: 'abandoned_cart', abandonedCartId: tracker._id, step: stepIndex, couponCode: code },
+      createdBy: { system: true }
+    });
+    if (user.webPushSubscription?.endpoint) {
+      try {
+        await notifyCartReminder(user._id, { itemCount });
+      } catch (error) {
+        console.error(`[ABANDONED CART] Web push failed for user ${user._id}:`, error?.message || error);
+      }
+    }
+    return { status: 'sent' };
+  }
+
+  if (step.channel === 'email') {
+    const rows = tracker.items.map(i =>
+      `<li>${i.name}${i.variantName ? ` (${i.variantName})` : ''} × ${i.quantity} - ₹${i.price}</li>`).join('');
+    const html = `
+      <p>Hi ${firstName},</p>
+      <p>You left these items in your cart:</p>
+      <ul>${rows}</ul>
+      ${code ? `<p><strong>${describeOffer(step.coupon, code)}</strong></p>` : ''}
+      <p><a href="${baseUrl}/cart">Complete your order</a></p>
+    `;
+    const result = await sendEmail(user.email, 'You left something in your cart', html);
+    return result.success ? { status: 'sent' } : { status: 'failed', reason: String(result.error?.message || result.error) };
+  }
+
+  if (step.channel === 'whatsapp') {
+    const message = `Hi ${firstName}, your cart with ${itemCount} item(s) worth ₹${tracker.cartValue} is still waiting.${offer} ${baseUrl}/cart`;
+    const result = await sendWhatsAppMessage(user.phone, message);
+    return result.success ? { status: 'sent' } : { status: 'failed', reason: JSON.stringify(result.error) };
+  }
+
+  return { status: 'skipped', reason: `Unknown channel ${step.channel}` };
+};
+
+const closeTracker = async (tracker, status, extra = {}) => {
+  Object.assign(tracker, { status, closedAt: new Date(), ...extra });
+  await tracker.save();
+  console.log(`[ABANDONED CART] Sequence ${tracker._id} for user ${tracker.userId} ${status}`);
+  return tracker;
+};
+
+// Open sequences for carts that went idle in the last START_WINDOW_HOURS past the first step
+const startSequences = async (now) => {
+  const { SEQUENCE, START_WINDOW_HOURS } = ABANDONED_CART_CONSTANTS;
+  const idleSince = new Date(now.getTime() - SEQUENCE[0].delayHours * HOUR_MS);
+  const notBefore = new Date(idleSince.getTime() - START_WINDOW_HOURS * HOUR_MS);
+
+  const candidates = await User.aggregate([
+    { $match: { 'cart.0': { $exists: true } } },
+    { $project: { lastActivity: { $max: '$cart.addedAt' } } },
+    { $match: { lastActivity: { $lte: idleSince, $gte: notBefore } } }
+  ]);
+
+  let started = 0;
+  for (const { _id: userId, lastActivity } of candidates) {
+    // One sequence per cart activity; an order placed since then means nothing was abandoned
+    const [existing, ordered] = await Promise.all([
+      AbandonedCart.exists({
+        userId,
+        $or: [{ status: { $in: OPEN_STATUSES } }, { lastCartActivityAt: { $gte: lastActivity } }]
+      }),
+      Order.exists({ userId, placedAt: { $gte: lastActivity } })
+    ]);
+    if (existing || ordered) continue;
+
+    await AbandonedCart.create({ userId, lastCartActivityAt: lastActivity });
+    started++;
+  }
+  return started;
+};
+
+// Send whichever step is due for one open sequence
+const advanceSequence = async (tracker, now) => {
+  const { SEQUENCE } = ABANDONED_CART_CONSTANTS;
+  const user = await User.findById(tracker.userId).select('name email phone cart notificationPreferences webPushSubscription');
+
+  if (!user || !user.cart || user.cart.length === 0) {
+    // Safety net in case the order hook did not run
+    const order = await Order.findOne({ userId: tracker.userId, placedAt: { $gte: tracker.createdAt } }).sort({ placedAt: 1 });
+    if (order) return markRecovered(tracker.userId, order);
+    return closeTracker(tracker, 'cleared');
+  }
+
+  const allowedChannels = getAllowedChannels(user);
+  if (!allowedChannels) return closeTracker(tracker, 'opted_out');
+
+  const activity = lastCartActivity(user.cart);
+  if (activity > tracker.lastCartActivityAt) tracker.lastCartActivityAt = activity;
+
+  // Every step due by now; if the job fell behind, only the latest one is sent
+  const due = [];
+  for (let i = tracker.steps.length; i < SEQUENCE.length; i++) {
+    if (tracker.lastCartActivityAt.getTime() + SEQUENCE[i].delayHours * HOUR_MS > now.getTime()) break;
+    due.push(i);
+  }
+  if (due.length === 0) {
+    if (tracker.isModified()) await tracker.save();
+    return null;
+  }
+
+  const stepIndex = due.pop();
+  for (const skipped of due) {
+    tracker.steps.push({ step: skipped, channel: SEQUENCE[skipped].channel, status: 'skipped', reason: 'Overdue', sentAt: now });
+  }
+
+  const step = SEQUENCE[stepIndex];
+  Object.assign(tracker, await snapshotCart(user.cart));
+
+  let outcome;
+  if (!allowedChannels.includes(step.channel)) {
+    outcome = { status: 'skipped', reason: 'Channel turned off by user' };
+  } else {
+    try {
+      outcome = await sendReminder(user, tracker, step, stepIndex);
+    } catch (error) {
+      console.error(`[ABANDONED CART] Step ${stepIndex} (${step.channel}) failed for user ${user._id}:`, error);
+      outcome = { status: 'failed', reason: error.message };
+    }
+  }
+  tracker.steps.push({ step: stepIndex, channel: step.channel, ...outcome, sentAt: now });
+
+  if (tracker.steps.length >= SEQUENCE.length) {
+    tracker.status = 'completed';
+    tracker.completedAt = now;
+  }
+  await tracker.save();
+  return tracker;
+};
+
+/**
+ * Scheduled job: start new sequences, send due steps and close finished ones
+ * @returns {object} - { started, advanced, lost }
+ */
+export const processAbandonedCarts = async (now = new Date()) => {
+  const started = await startSequences(now);
+
+  let advanced = 0;
+  const active = await AbandonedCart.find({ status: 'active' });
+  for (const tracker of active) {
+    try {
+      if (await advanceSequence(tracker, now)) advanced++;
+    } catch (error) {
+      console.error(`[ABANDONED CART] Failed to process sequence ${tracker._id}:`, error);
+    }
+  }
+
+  const attributionCutoff = new Date(now.getTime() - ABANDONED_CART_CONSTANTS.ATTRIBUTION_DAYS * 24 * HOUR_MS);
+  const lost = await AbandonedCart.updateMany(
+    { status: 'completed', completedAt: { $lte: attributionCutoff } },
+    { $set: { status: 'lost', closedAt: now } }
+  );
+
+  return { started, advanced, lost: lost.modifiedCount };
+};
+
+/**
+ * Stop the user's sequence because they ordered; called once the order is placed
+ * Only sequences that actually reached the user count as recovered
+ * @param {string} userId
+ * @param {object} order - Placed Order document
+ */
+export const markRecovered = async (userId, order) => {
+  const tracker = await AbandonedCart.findOne({ userId, status: { $in: OPEN_STATUSES } }).sort({ createdAt: -1 });
+  if (!tracker) return null;
+
+  if (!tracker.steps.some(s => s.status === 'sent')) {
+    return closeTracker(tracker, 'cleared');
+  }
+
+  return closeTracker(tracker, 'recovered', {
+    recoveredOrderId: order._id,
+    recoveredRevenue: roundAmount(order.totalAmount),
+    recoveredWithCoupon: Boolean(tracker.couponId && order.coupon && order.coupon.toString() === tracker.couponId.toString()),
+    recoveredAt: new Date()
+  });
+};
+
+/**
+ * Recovery report for the admin analytics
+ * @param {object} range - { startDate, endDate } on when the sequence started
+ * @returns {object} - Totals, recovery rate, recovered revenue and per-step delivery
+ */
+export const getRecoveryAnalytics = async ({ startDate, endDate } = {}) => {
+  const match = {};
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
+  }
+
+  const [totals] = await AbandonedCart.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        sequences: { $sum: 1 },
+        reached: { $sum: { $cond: [{ $in: ['sent', '$steps.status'] }, 1, 0] } },
+        recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+        recoveredRevenue: { $sum: '$recoveredRevenue' },
+        recoveredWithCoupon: { $sum: { $cond: ['$recoveredWithCoupon', 1, 0] } },
+        abandonedValue: { $sum: '$cartValue' }
+      }
+    }
+  ]);
+
+  const [byStatus, bySteps, recoveredAfterStep] = await Promise.all([
+    AbandonedCart.aggregate([
+      { $match: match },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    AbandonedCart.aggregate([
+      { $match: match },
+      { $unwind: '$steps' },
+      { $group: { _id: { step: '$steps.step', channel: '$steps.channel', status: '$steps.status' }, count: { $sum: 1 } } },
+      { $sort: { '_id.step': 1 } }
+    ]),
+    // Credit each recovery to the last reminder it received
+    AbandonedCart.aggregate([
+      { $match: { ...match, status: 'recovered' } },
+      { $project: { recoveredRevenue: 1, sent: { $filter: { input: '$steps', as: 's', cond: { $eq: ['$$s.status', 'sent'] } } } } },
+      { $project: { recoveredRevenue: 1, lastStep: { $arrayElemAt: ['$sent.step', -1] } } },
+      { $group: { _id: '$lastStep', recovered: { $sum: 1 }, revenue: { $sum: '$recoveredRevenue' } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const summary = totals || { sequences: 0, reached: 0, recovered: 0, recoveredRevenue: 0, recoveredWithCoupon: 0, abandonedValue: 0 };
+  const steps = ABANDONED_CART_CONSTANTS.SEQUENCE.map((step, index) => {
+    const counts = { sent: 0, failed: 0, skipped: 0 };
+    for (const row of bySteps) {
+      if (row._id.step === index) counts[row._id.status] += row.count;
+    }
+    const attributed = recoveredAfterStep.find(row => row._id === index);
+    return {
+      step: index,
+      channel: step.channel,
+      delayHours: step.delayHours,
+      withCoupon: Boolean(step.coupon),
+      ...counts,
+      recovered: attributed?.recovered || 0,
+      recoveredRevenue: roundAmount(attributed?.revenue || 0)
+    };
+  });
+
+  return {
+    sequences: summary.sequences,
+    reached: summary.reached,
+    recovered: summary.recovered,
+    recoveryRate: summary.reached > 0 ? roundAmount((summary.recovered / summary.reached) * 100) : 0,
+    recoveredRevenue: roundAmount(summary.recoveredRevenue),
+    abandonedValue: roundAmount(summary.abandonedValue),
+    recoveredWithCoupon: summary.recoveredWithCoupon,
+    byStatus: Object.fromEntries(byStatus.map(row => [row._id, row.count])),
+    steps
+  };
+};
+
+// Sequences for the admin list, newest first
+export const getAbandonedCarts = async ({ status, page = 1, limit = 20 } = {}) => {
+  const filter = status ? { status } : {};
+  if (filter.status && !AbandonedCart.schema.path('status').enumValues.includes(filter.status)) {
+    const error = new Error(`Invalid status: ${status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const [carts, total] = await Promise.all([
+    AbandonedCart.find(filter)
+      .populate('userId', 'name email phone')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AbandonedCart.countDocuments(filter)
+  ]);
+
+  return { carts, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+export default {
+  ABANDONED_CART_CONSTANTS,
+  processAbandonedCarts,
+  markRecovered,
+  getRecoveryAnalytics,
+  getAbandonedCarts
+};
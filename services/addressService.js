@@ -0,0 +1,245 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import geocodingService from './geocodingService.js';
+import serviceAreaService from './serviceAreaService.js';
+import { extractPincode, formatAddress } from '../utils/addressUtils.js';
+
+/**
+ * Address Service
+ * A user's saved delivery addresses: structured fields, coordinates and which one is the default.
+ * Also turns a saved address (or one typed at checkout) into the order's shipping snapshot.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const STRUCTURED_FIELDS = ['label', 'name', 'phone', 'line1', 'line2', 'landmark', 'city', 'state', 'pincode'];
+
+// Addresses saved before they had ids get one now, so they can be edited by id
+const ensureAddressIds = async (user) => {
+  if (user.addresses.some(address => address.$isDefault('_id'))) {
+    user.markModified('addresses');
+    await user.save();
+  }
+};
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+  await ensureAddressIds(user);
+  return user;
+};
+
+const findAddress = (user, addressId) => {
+  const address = mongoose.Types.ObjectId.isValid(addressId) ? user.addresses.id(addressId) : null;
+  if (!address) {
+    throw httpError('Address not found', 404);
+  }
+  return address;
+};
+
+// Coordinates from the client (map pin / GPS), as { lat, lng } or { location: { lat, lng } }
+const locationFrom = (data) => {
+  const lat = Number(data.location?.lat ?? data.lat);
+  const lng = Number(data.location?.lng ?? data.lng);
+  const given = (data.location?.lat ?? data.lat) != null && (data.location?.lng ?? data.lng) != null;
+  if (!given) return null;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw httpError('Invalid coordinates', 400);
+  }
+  return { lat, lng, source: 'device' };
+};
+
+const applyFields = (address, data) => {
+  for (const field of STRUCTURED_FIELDS) {
+    if (data[field] !== undefined) address[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+  }
+  // Free-text address for older clients; structured ones compose it from the parts
+  if (address.line1) {
+    address.address = formatAddress(address);
+  } else if (data.address !== undefined) {
+    address.address = data.address;
+    if (!address.pincode) address.pincode = extractPincode(data.address) || undefined;
+  }
+};
+
+const validateAddress = (address) => {
+  if (!address.name || !address.phone) {
+    throw httpError('Name and phone are required', 400);
+  }
+  if (!address.line1 && !address.address) {
+    throw httpError('Address line 1 is required', 400);
+  }
+  if (address.line1 && (!address.city || !address.pincode)) {
+    throw httpError('City and pincode are required', 400);
+  }
+  const error = address.validateSync();
+  if (error) {
+    throw httpError(Object.values(error.errors)[0].message, 400);
+  }
+};
+
+// Device coordinates win; otherwise look the address up, keeping old coordinates if the lookup fails
+const locate = async (address, data, addressChanged) => {
+  const location = locationFrom(data);
+  if (location) {
+    address.location = location;
+    return;
+  }
+  if (!addressChanged && address.location?.lat != null) return;
+
+  const found = await geocodingService.geocodeAddress(address.address);
+  if (found) {
+    address.location = { ...found, source: 'geocoded' };
+  } else if (addressChanged) {
+    address.location = undefined;
+  }
+};
+
+const setDefault = (user, address) => {
+  user.addresses.forEach(other => { other.isDefault = other._id.equals(address._id); });
+};
+
+const withServiceability = async (address) => ({
+  address,
+  serviceability: await serviceAreaService.checkAddressServiceability(address)
+});
+
+/**
+ * List a user's addresses, each with whether we deliver there
+ * @returns {Array} - [{ ...address, serviceable, zone }]
+ */
+export const listAddresses = async (userId) => {
+  const user = await loadUser(userId);
+  return Promise.all(user.addresses.map(async (address) => {
+    const { serviceable, zone } = await serviceAreaService.checkAddressServiceability(address);
+    return { ...address.toObject(), serviceable, zone };
+  }));
+};
+
+/**
+ * Save a new address; the first one becomes the default
+ * @param {object} data - { label, name, phone, line1, line2, landmark, city, state, pincode, lat, lng, isDefault }
+ * @returns {object} - { address, addresses, serviceability }
+ */
+export const addAddress = async (userId, data = {}) => {
+  const user = await loadUser(userId);
+
+  user.addresses.push({});
+  const address = user.addresses[user.addresses.length - 1];
+  applyFields(address, data);
+  try {
+    validateAddress(address);
+  } catch (error) {
+    user.addresses.pull(address._id);
+    throw error;
+  }
+
+  await locate(address, data, true);
+  if (data.isDefault || user.addresses.length === 1) setDefault(user, address);
+  await user.save();
+
+  return { ...(await withServiceability(address)), addresses: user.addresses };
+};
+
+/**
+ * Edit a saved address
+ * @returns {object} - { address, addresses, serviceability }
+ */
+export const updateAddress = async (userId, addressId, data = {}) => {
+  const user = await loadUser(userId);
+  const address = findAddress(user, addressId);
+
+  const before = address.address;
+  applyFields(address, data);
+  validateAddress(address);
+
+  await locate(address, data, address.address !== before);
+  if (data.isDefault === true) setDefault(user, address);
+  await user.save();
+
+  return { ...(await withServiceability(address)), addresses: user.addresses };
+};
+
+// Delete an address; if it was the default, the first remaining one takes over
+export const deleteAddress = async (userId, addressId) => {
+  const user = await loadUser(userId);
+  const address = findAddress(user, addressId);
+  const wasDefault = address.isDefault;
+
+  user.addresses.pull(address._id);
+  if (wasDefault && user.addresses.length > 0) setDefault(user, user.addresses[0]);
+  await user.save();
+
+  return user.addresses;
+};
+
+export const setDefaultAddress = async (userId, addressId) => {
+  const user = await loadUser(userId);
+  setDefault(user, findAddress(user, addressId));
+  await user.save();
+  return user.addresses;
+};
+
+// Shipping snapshot stored on an order or subscription
+const toShipping = (address, addressId) => ({
+  name: address.name,
+  address: address.address,
+  phone: address.phone,
+  state: address.state,
+  city: address.city,
+  pincode: address.pincode || extractPincode(address.address) || undefined,
+  landmark: address.landmark,
+  location: address.location?.lat != null ? { lat: address.location.lat, lng: address.location.lng } : undefined,
+  addressId
+});
+
+/**
+ * Resolve the address an order ships to
+ * A saved address is looked up by id; otherwise the shipping details sent with the order are used.
+ * @param {string} userId
+ * @param {object} source - { addressId } or { shipping: { name, address, phone, state, pincode? } }
+ * @returns {object} - Shipping snapshot { name, address, phone, state, city, pincode, landmark, location, addressId }
+ */
+export const resolveShippingAddress = async (userId, { addressId, shipping } = {}) => {
+  if (addressId) {
+    const user = await loadUser(userId);
+    const address = findAddress(user, addressId);
+    return toShipping(address, address._id);
+  }
+
+  if (!shipping?.name || !shipping?.address || !shipping?.phone) {
+    throw httpError('Shipping name, address and phone are required', 400);
+  }
+  return toShipping(shipping);
+};
+
+/**
+ * Resolve the address and refuse it when we do not deliver there
+ * @returns {object} - { shipping, zone }
+ */
+export const resolveServiceableAddress = async (userId, source) => {
+  const shipping = await resolveShippingAddress(userId, source);
+  const serviceability = await serviceAreaService.checkAddressServiceability(shipping);
+  if (!serviceability.serviceable) {
+    const error = httpError(serviceability.message, 400);
+    error.code = 'UNSERVICEABLE_AREA';
+    throw error;
+  }
+  return { shipping, zone: serviceability.zone };
+};
+
+export default {
+  listAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress,
+  resolveShippingAddress,
+  resolveServiceableAddress
+};
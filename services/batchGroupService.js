@@ -1,6 +1,36 @@
 import BatchGroup from '../models/BatchGroup.js';
+import Order from '../models/Order.js';
 import mongoose from 'mongoose';
 
+// Cost price from upload/form input; undefined when missing or not a valid amount
+const parseCost = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const cost = Number(value);
+  return Number.isFinite(cost) && cost >= 0 ? cost : undefined;
+};
+
+// Cost price of one variant: variantCostPrices is keyed by variant id or name
+const variantCost = (productData, variant) =>
+  parseCost(productData.variantCostPrices?.[variant.id] ?? productData.variantCostPrices?.[variant.name]);
+
+// Stock added to a line that already has some keeps one cost price: the weighted average
+const addStockToLine = (line, quantity, costPrice) => {
+  // The added units carry no share of the batch group's landed costs
+  if (line.landedUnitCost != null) {
+    const unitCost = costPrice ?? line.costPrice;
+    line.landedUnitCost = !line.quantity ? unitCost
+      : Math.round(((line.quantity * line.landedUnitCost) + (quantity * unitCost)) / (line.quantity + quantity) * 10000) / 10000;
+  }
+  if (costPrice !== undefined) {
+    line.costPrice = line.costPrice == null || !line.quantity
+      ? costPrice
+      : Math.round(((line.quantity * line.costPrice) + (quantity * costPrice)) / (line.quantity + quantity) * 10000) / 10000;
+  }
+  line.receivedQuantity = (line.receivedQuantity ?? line.quantity) + quantity;
+  line.quantity += quantity;
+  line.availableQuantity += quantity;
+};
+
 /**
  * Create a single batch group for bulk upload
  * Groups all products from bulk upload into one batch group
@@ -77,7 +107,8 @@ export const createBulkBatchGroup = async ({ products, batchConfig, groupIdentif
             quantity: variant.stock,
             availableQuantity: variant.stock,
             allocatedQuantity: 0,
-            usedQuantity: 0
+            usedQuantity: 0,
+            costPrice: variantCost(product, variant)
           };
           
           // Check for variant-specific dates
@@ -101,6 +132,7 @@ export const createBulkBatchGroup = async ({ products, batchConfig, groupIdentif
         // Non-variant product
         batchProduct.quantity = product.stock;
         batchProduct.availableQuantity = product.stock;
+        batchProduct.costPrice = parseCost(product.costPrice);
       }
       
       batchProducts.push(batchProduct);
@@ -166,8 +198,7 @@ export const addProductToBatch = async (productData, userId, isSingleProduct = t
           for (const variant of productData.variants) {
             const existingVariant = existingProduct.variants.find(v => v.variantId === variant.id);
             if (existingVariant) {
-              existingVariant.quantity += variant.stock;
-              existingVariant.availableQuantity += variant.stock;
+              addStockToLine(existingVariant, variant.stock, variantCost(productData, variant));
               console.log(`[BATCH SERVICE] Updated variant ${variant.name}: +${variant.stock} stock`);
             } else {
               existingProduct.variants.push({
@@ -176,14 +207,14 @@ export const addProductToBatch = async (productData, userId, isSingleProduct = t
                 quantity: variant.stock,
                 availableQuantity: variant.stock,
                 allocatedQuantity: 0,
-                usedQuantity: 0
+                usedQuantity: 0,
+                costPrice: variantCost(productData, variant)
               });
               console.log(`[BATCH SERVICE] Added new variant ${variant.name} with ${variant.stock} stock`);
             }
           }
         } else {
-          existingProduct.quantity += productData.stock;
-          existingProduct.availableQuantity += productData.stock;
+          addStockToLine(existingProduct, productData.stock, parseCost(productData.costPrice));
           console.log(`[BATCH SERVICE] Updated main product stock: +${productData.stock}`);
         }
       } else {
@@ -340,13 +371,15 @@ const createBatchProductObject = (productData) => {
         quantity: variant.stock,
         availableQuantity: variant.stock,
         allocatedQuantity: 0,
-        usedQuantity: 0
+        usedQuantity: 0,
+        costPrice: variantCost(productData, variant)
       });
     }
   } else {
     // Non-variant product
     batchProduct.quantity = productData.stock;
     batchProduct.availableQuantity = productData.stock;
+    batchProduct.costPrice = parseCost(productData.costPrice);
   }
   
   return batchProduct;
@@ -426,7 +459,7 @@ export const markBatchesAsUsed = async (orderId) => {
     
     for (const batchGroup of batchGroups) {
       const orderAllocation = batchGroup.orderAllocations.find(
-        allocation => allocation.orderId.toString() === orderId.toString()
+        allocation => allocation.orderId.toString() === orderId.toString() && allocation.status === 'Allocated'
       );
       
       if (orderAllocation) {
@@ -486,6 +519,23 @@ export const getBatchGroups = async (filters = {}) => {
   }
 };
 
+/**
+ * Add the cost of delivered batch units to the order's cost of goods
+ * Appends, so an order delivered from its allocations in more than one pass adds up.
+ * Units from batch groups without a cost price count as uncosted rather than free.
+ */
+const recordCostOfGoods = async (orderId, lines) => {
+  const total = lines.reduce((sum, line) => sum + line.cost, 0);
+  const uncostedUnits = lines.filter(line => line.unitCost == null).reduce((sum, line) => sum + line.quantity, 0);
+
+  await Order.updateOne({ _id: orderId }, {
+    $push: { 'costOfGoods.lines': { $each: lines } },
+    $inc: { 'costOfGoods.total': Math.round(total * 100) / 100, 'costOfGoods.uncostedUnits': uncostedUnits },
+    $set: { 'costOfGoods.recordedAt': new Date() }
+  });
+  console.log(`[BATCH GROUP] Recorded cost of goods ₹${total.toFixed(2)} for order ${orderId}${uncostedUnits ? ` (${uncostedUnits} uncosted units)` : ''}`);
+};
+
 // Move allocated items to used items when order is delivered
 export const moveAllocatedToUsed = async (orderId) => {
   try {
@@ -515,12 +565,13 @@ export const moveAllocatedToUsed = async (orderId) => {
     const updatedBatchGroups = [];
     const errors = [];
     const comboItemsProcessed = new Set(); // Track combo items to avoid double processing
+    const cogsLines = []; // Cost of the units each batch group gave up for this order
     
     for (const batchGroup of batchGroups) {
       try {
         console.log(`[BATCH GROUP] Processing batch group ${batchGroup._id}`);
         
-        // Find all allocations for this order (regardless of current status)
+        // Find all allocations for this order
         const orderAllocations = batchGroup.orderAllocations.filter(
           allocation => allocation.orderId.toString() === orderObjectId.toString()
         );
@@ -528,6 +579,19 @@ export const moveAllocatedToUsed = async (orderId) => {
         console.log(`[BATCH GROUP] Found ${orderAllocations.length} allocations in batch group ${batchGroup._id}`);
         
         let hasUpdates = false;
+        const groupCogsLines = [];
+        const recordCost = (productId, variantId, quantity) => {
+          const unitCost = batchGroup.getUnitCost(productId, variantId);
+          groupCogsLines.push({
+            batchGroupId: batchGroup._id,
+            batchGroupNumber: batchGroup.batchGroupNumber,
+            productId,
+            variantId: variantId || null,
+            quantity,
+            unitCost,
+            cost: unitCost == null ? 0 : Math.round(unitCost * quantity * 100) / 100
+          });
+        };
         
         // Process all allocations for this order
         for (const allocation of orderAllocations) {
@@ -537,9 +601,10 @@ export const moveAllocatedToUsed = async (orderId) => {
             itemsCount: allocation.items?.length || 0
           });
           
-          // Skip if already marked as delivered
-          if (allocation.status === 'Delivered') {
-            console.log(`[BATCH GROUP] Allocation already marked as delivered, skipping`);
+          // Only live allocations move: delivered ones already did, and cancelled ones (order
+          // cancelled, or units released by a batch recall) went back to stock
+          if (allocation.status !== 'Allocated') {
+            console.log(`[BATCH GROUP] Allocation is ${allocation.status}, skipping`);
             continue;
           }
           
@@ -599,6 +664,7 @@ export const moveAllocatedToUsed = async (orderId) => {
                   const quantityToMove = item.quantity;
                   variant.allocatedQuantity = Math.max(0, variant.allocatedQuantity - quantityToMove);
                   variant.usedQuantity = (variant.usedQuantity || 0) + quantityToMove;
+                  recordCost(item.productId, item.variantId, quantityToMove);
                   
                   console.log(`[BATCH GROUP] Updated variant quantities:`, {
                     newAllocated: variant.allocatedQuantity,
@@ -632,6 +698,7 @@ export const moveAllocatedToUsed = async (orderId) => {
                 const quantityToMove = item.quantity;
                 batchProduct.allocatedQuantity = Math.max(0, batchProduct.allocatedQuantity - quantityToMove);
                 batchProduct.usedQuantity = (batchProduct.usedQuantity || 0) + quantityToMove;
+                recordCost(item.productId, null, quantityToMove);
                 
                 console.log(`[BATCH GROUP] Updated product quantities:`, {
                   newAllocated: batchProduct.allocatedQuantity,
@@ -657,6 +724,7 @@ export const moveAllocatedToUsed = async (orderId) => {
           // Save the updated batch group
           await batchGroup.save();
           updatedBatchGroups.push(batchGroup._id);
+          cogsLines.push(...groupCogsLines);
           
           console.log(`[BATCH GROUP] Successfully updated batch group ${batchGroup._id}`);
         } else {
@@ -669,6 +737,15 @@ export const moveAllocatedToUsed = async (orderId) => {
       }
     }
     
+    if (cogsLines.length > 0) {
+      try {
+        await recordCostOfGoods(orderObjectId, cogsLines);
+      } catch (error) {
+        console.error(`[BATCH GROUP] Failed to record cost of goods for order ${orderId}:`, error);
+        errors.push(`Error recording cost of goods: ${error.message}`);
+      }
+    }
+    
     console.log(`[BATCH GROUP] ===== COMPLETED MOVING ALLOCATED TO USED =====`);
     console.log(`[BATCH GROUP] Updated ${updatedBatchGroups.length} batch groups for order ${orderId}`);
     
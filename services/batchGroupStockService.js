@@ -1,8 +1,35 @@
 import BatchGroup from '../models/BatchGroup.js';
 import mongoose from 'mongoose';
 
-// Calculate total available stock from batch groups
-export const calculateBatchGroupStock = async (productId, variantId = null) => {
+const toObjectId = (id) => (typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id);
+
+// Restricts a batch group query to one warehouse; no warehouse means every location
+const warehouseFilter = (warehouseId) => (warehouseId ? { warehouseId: toObjectId(warehouseId) } : {});
+
+// Update path, array filters and query guard for one batch group line (a variant, or a product
+// without variants). tag keeps the array filter names apart when one update touches several lines.
+const lineTarget = (productObjectId, variantId, tag = '') => (variantId
+  ? {
+    path: `products.$[p${tag}].variants.$[v${tag}]`,
+    arrayFilters: [{ [`p${tag}.productId`]: productObjectId }, { [`v${tag}.variantId`]: variantId }],
+    guard: (conditions) => ({ products: { $elemMatch: { productId: productObjectId, variants: { $elemMatch: { variantId, ...conditions } } } } })
+  }
+  : {
+    path: `products.$[p${tag}]`,
+    arrayFilters: [{ [`p${tag}.productId`]: productObjectId }],
+    guard: (conditions) => ({ products: { $elemMatch: { productId: productObjectId, ...conditions } } })
+  });
+
+// The stock line of a product/variant in a batch group document, or null
+const findLine = (batchGroup, productObjectId, variantId) => {
+  const found = batchGroup.findProduct(productObjectId, variantId);
+  if (!found) return null;
+  if (variantId) return found.variant;
+  return found.product.variants?.length ? null : found.product;
+};
+
+// Calculate total available stock from batch groups, optionally in one warehouse only
+export const calculateBatchGroupStock = async (productId, variantId = null, warehouseId = null) => {
   try {
     // Convert productId to ObjectId if it's a string
     const productObjectId = typeof productId === 'string' ? new mongoose.Types.ObjectId(productId) : productId;
@@ -16,7 +43,8 @@ export const calculateBatchGroupStock = async (productId, variantId = null) => {
           $match: {
             'products.productId': productObjectId,
             'products.variants.variantId': variantId,
-            status: 'Active'
+            status: 'Active',
+            ...warehouseFilter(warehouseId)
           }
         },
         {
@@ -62,7 +90,8 @@ export const calculateBatchGroupStock = async (productId, variantId = null) => {
         {
           $match: {
             'products.productId': productObjectId,
-            status: 'Active'
+            status: 'Active',
+            ...warehouseFilter(warehouseId)
           }
         },
         {
@@ -102,14 +131,14 @@ export const calculateBatchGroupStock = async (productId, variantId = null) => {
 };
 
 // Check if sufficient stock exists for an order item in batch groups
-export const checkBatchGroupStockAvailability = async (productId, variantId, quantityNeeded) => {
+export const checkBatchGroupStockAvailability = async (productId, variantId, quantityNeeded, warehouseId = null) => {
   try {
     // Convert productId to ObjectId if it's a string
     const productObjectId = typeof productId === 'string' ? new mongoose.Types.ObjectId(productId) : productId;
     
     console.log(`[BATCH GROUP STOCK CHECK] Checking availability for product ${productObjectId}, variant ${variantId}, quantity ${quantityNeeded}`);
     
-    const batchGroupStock = await calculateBatchGroupStock(productObjectId, variantId);
+    const batchGroupStock = await calculateBatchGroupStock(productObjectId, variantId, warehouseId);
     
     console.log(`[BATCH GROUP STOCK CHECK] Batch group stock result:`, batchGroupStock);
     
@@ -136,7 +165,8 @@ export const checkBatchGroupStockAvailability = async (productId, variantId, qua
 };
 
 // Allocate stock for order using FEFO from batch groups
-export const allocateBatchGroupStockForOrder = async (orderItems, orderId) => {
+// Pass a MongoDB session to run the allocation inside a transaction, and a warehouse to allocate from it only
+export const allocateBatchGroupStockForOrder = async (orderItems, orderId, session = null, warehouseId = null) => {
   try {
     console.log(`[BATCH GROUP ALLOCATION] Starting allocation for order ${orderId}`);
     console.log(`[BATCH GROUP ALLOCATION] Order items:`, orderItems);
@@ -152,7 +182,9 @@ export const allocateBatchGroupStockForOrder = async (orderItems, orderId) => {
           item.productId,
           item.variantId,
           item.quantity,
-          orderId
+          orderId,
+          session,
+          warehouseId
         );
         
         if (result.fullyAllocated) {
@@ -199,8 +231,43 @@ export const allocateBatchGroupStockForOrder = async (orderItems, orderId) => {
   }
 };
 
+const ALLOCATION_ATTEMPTS = 3;
+
+// Move up to `wanted` units of one line from available to allocated and record the allocation in one
+// guarded update, like holds do, so a concurrent hold or allocation on the batch group is never
+// overwritten. After a lost race the line is read again and the allocation retried with what is left.
+const allocateFromBatchGroup = async (batchGroup, productObjectId, variantId, wanted, orderObjectId, session = null) => {
+  const { path, arrayFilters, guard } = lineTarget(productObjectId, variantId);
+  let current = batchGroup;
+
+  for (let attempt = 0; attempt < ALLOCATION_ATTEMPTS && current; attempt++) {
+    const line = findLine(current, productObjectId, variantId);
+    const quantity = Math.min(line?.availableQuantity || 0, wanted);
+    if (quantity <= 0) return null;
+
+    const result = await BatchGroup.updateOne(
+      { _id: current._id, status: 'Active', ...guard({ availableQuantity: { $gte: quantity } }) },
+      {
+        $inc: { [`${path}.availableQuantity`]: -quantity, [`${path}.allocatedQuantity`]: quantity },
+        $push: {
+          orderAllocations: {
+            orderId: orderObjectId,
+            allocatedAt: new Date(),
+            items: [{ productId: productObjectId, variantId: variantId || null, quantity }]
+          }
+        }
+      },
+      { arrayFilters, session }
+    );
+    if (result.modifiedCount > 0) return { quantity, line };
+
+    current = await BatchGroup.findOne({ _id: current._id, status: 'Active' }).session(session);
+  }
+  return null;
+};
+
 // Allocate batch groups for a single order item using FEFO
-export const allocateBatchGroupsForOrderItem = async (productId, variantId, quantityNeeded, orderId) => {
+export const allocateBatchGroupsForOrderItem = async (productId, variantId, quantityNeeded, orderId, session = null, warehouseId = null) => {
   try {
     // Convert productId to ObjectId if it's a string
     const productObjectId = typeof productId === 'string' ? new mongoose.Types.ObjectId(productId) : productId;
@@ -209,7 +276,7 @@ export const allocateBatchGroupsForOrderItem = async (productId, variantId, quan
     console.log(`[BATCH GROUP ITEM ALLOCATION] Allocating ${quantityNeeded} units for product ${productObjectId}, variant ${variantId}`);
     
     // Get available batch groups sorted by FEFO (First Expiry, First Out)
-    const availableBatchGroups = await getBatchGroupsForFEFO(productObjectId, variantId, quantityNeeded);
+    const availableBatchGroups = await getBatchGroupsForFEFO(productObjectId, variantId, quantityNeeded, session, warehouseId);
     
     console.log(`[BATCH GROUP ITEM ALLOCATION] Found ${availableBatchGroups.length} available batch groups`);
     
@@ -221,84 +288,20 @@ export const allocateBatchGroupsForOrderItem = async (productId, variantId, quan
       
       console.log(`[BATCH GROUP ITEM ALLOCATION] Processing batch group ${batchGroup.batchGroupNumber}`);
       
-      if (variantId) {
-        // Handle variant products
-        const product = batchGroup.products.find(p => p.productId.toString() === productObjectId.toString());
-        if (product) {
-          const variant = product.variants.find(v => v.variantId === variantId);
-          if (variant && variant.availableQuantity > 0) {
-            const allocateQty = Math.min(variant.availableQuantity, remainingQuantity);
-            
-            // Update quantities
-            variant.availableQuantity -= allocateQty;
-            variant.allocatedQuantity += allocateQty;
-            
-            // Add allocation record
-            batchGroup.orderAllocations.push({
-              orderId: orderObjectId,
-              allocatedAt: new Date(),
-              items: [{
-                productId: productObjectId,
-                variantId: variantId,
-                quantity: allocateQty
-              }]
-            });
-            
-            await batchGroup.save();
-            
-            allocations.push({
-              batchGroupId: batchGroup._id,
-              batchGroupNumber: batchGroup.batchGroupNumber,
-              quantityAllocated: allocateQty,
-              expiryDate: variant.expiryDate || batchGroup.defaultExpiryDate,
-              manufacturingDate: variant.manufacturingDate || batchGroup.defaultManufacturingDate
-            });
-            
-            remainingQuantity -= allocateQty;
-            
-            console.log(`[BATCH GROUP ITEM ALLOCATION] Allocated ${allocateQty} units from batch group ${batchGroup.batchGroupNumber}, remaining: ${remainingQuantity}`);
-          }
-        }
-      } else {
-        // Handle non-variant products
-        const product = batchGroup.products.find(p => 
-          p.productId.toString() === productObjectId.toString() && 
-          (!p.variants || p.variants.length === 0)
-        );
-        
-        if (product && product.availableQuantity > 0) {
-          const allocateQty = Math.min(product.availableQuantity, remainingQuantity);
-          
-          // Update quantities
-          product.availableQuantity -= allocateQty;
-          product.allocatedQuantity += allocateQty;
-          
-          // Add allocation record
-          batchGroup.orderAllocations.push({
-            orderId: orderObjectId,
-            allocatedAt: new Date(),
-            items: [{
-              productId: productObjectId,
-              variantId: null,
-              quantity: allocateQty
-            }]
-          });
-          
-          await batchGroup.save();
-          
-          allocations.push({
-            batchGroupId: batchGroup._id,
-            batchGroupNumber: batchGroup.batchGroupNumber,
-            quantityAllocated: allocateQty,
-            expiryDate: product.expiryDate || batchGroup.defaultExpiryDate,
-            manufacturingDate: product.manufacturingDate || batchGroup.defaultManufacturingDate
-          });
-          
-          remainingQuantity -= allocateQty;
-          
-          console.log(`[BATCH GROUP ITEM ALLOCATION] Allocated ${allocateQty} units from batch group ${batchGroup.batchGroupNumber}, remaining: ${remainingQuantity}`);
-        }
-      }
+      const allocated = await allocateFromBatchGroup(batchGroup, productObjectId, variantId, remainingQuantity, orderObjectId, session);
+      if (!allocated) continue;
+      
+      allocations.push({
+        batchGroupId: batchGroup._id,
+        batchGroupNumber: batchGroup.batchGroupNumber,
+        quantityAllocated: allocated.quantity,
+        expiryDate: allocated.line.expiryDate || batchGroup.defaultExpiryDate,
+        manufacturingDate: allocated.line.manufacturingDate || batchGroup.defaultManufacturingDate
+      });
+      
+      remainingQuantity -= allocated.quantity;
+      
+      console.log(`[BATCH GROUP ITEM ALLOCATION] Allocated ${allocated.quantity} units from batch group ${batchGroup.batchGroupNumber}, remaining: ${remainingQuantity}`);
     }
     
     console.log(`[BATCH GROUP ITEM ALLOCATION] Allocation complete. Remaining quantity: ${remainingQuantity}`);
@@ -314,8 +317,8 @@ export const allocateBatchGroupsForOrderItem = async (productId, variantId, quan
   }
 };
 
-// Get batch groups for FEFO allocation
-export const getBatchGroupsForFEFO = async (productId, variantId, quantityNeeded) => {
+// Get batch groups for FEFO allocation, optionally in one warehouse only
+export const getBatchGroupsForFEFO = async (productId, variantId, quantityNeeded, session = null, warehouseId = null) => {
   try {
     // Convert productId to ObjectId if it's a string
     const productObjectId = typeof productId === 'string' ? new mongoose.Types.ObjectId(productId) : productId;
@@ -324,11 +327,12 @@ export const getBatchGroupsForFEFO = async (productId, variantId, quantityNeeded
     
     const batchGroups = await BatchGroup.find({
       'products.productId': productObjectId,
-      status: 'Active'
+      status: 'Active',
+      ...warehouseFilter(warehouseId)
     }).sort({ 
       defaultExpiryDate: 1, // Earliest expiry first
       defaultManufacturingDate: 1 // Then oldest manufacturing date
-    });
+    }).session(session);
     
     console.log(`[BATCH GROUP FEFO] Found ${batchGroups.length} batch groups`);
     
@@ -357,10 +361,261 @@ export const getBatchGroupsForFEFO = async (productId, variantId, quantityNeeded
   }
 };
 
+// Product IDs with available stock in at least one active batch group (product or any variant)
+export const getInStockProductIds = async (warehouseId = null) => {
+  try {
+    const result = await BatchGroup.aggregate([
+      { $match: { status: 'Active', ...warehouseFilter(warehouseId) } },
+      { $unwind: '$products' },
+      {
+        $project: {
+          productId: '$products.productId',
+          available: {
+            $add: [
+              { $ifNull: ['$products.availableQuantity', 0] },
+              { $sum: { $ifNull: ['$products.variants.availableQuantity', []] } }
+            ]
+          }
+        }
+      },
+      { $group: { _id: '$productId', available: { $sum: '$available' } } },
+      { $match: { available: { $gt: 0 } } }
+    ]);
+
+    return result.map(r => r._id);
+  } catch (error) {
+    console.error('[BATCH GROUP SERVICE] Error listing in-stock products:', error);
+    throw error;
+  }
+};
+
+// Filter/update pair that moves quantity between availableQuantity and reservedQuantity of one line
+const buildHoldUpdate = (batchGroupId, productObjectId, variantId, quantity, direction) => {
+  // direction 1 = hold (available -> reserved), -1 = release (reserved -> available)
+  const guardField = direction === 1 ? 'availableQuantity' : 'reservedQuantity';
+
+  if (variantId) {
+    return {
+      filter: {
+        _id: batchGroupId,
+        products: {
+          $elemMatch: {
+            productId: productObjectId,
+            variants: { $elemMatch: { variantId, [guardField]: { $gte: quantity } } }
+          }
+        }
+      },
+      update: {
+        $inc: {
+          'products.$[p].variants.$[v].availableQuantity': -quantity * direction,
+          'products.$[p].variants.$[v].reservedQuantity': quantity * direction
+        }
+      },
+      options: {
+        arrayFilters: [{ 'p.productId': productObjectId }, { 'v.variantId': variantId }]
+      }
+    };
+  }
+
+  return {
+    filter: {
+      _id: batchGroupId,
+      products: { $elemMatch: { productId: productObjectId, [guardField]: { $gte: quantity } } }
+    },
+    update: {
+      $inc: {
+        'products.$.availableQuantity': -quantity * direction,
+        'products.$.reservedQuantity': quantity * direction
+      }
+    },
+    options: {}
+  };
+};
+
+// Hold up to quantityNeeded units (FEFO) for a checkout; each batch group is updated atomically
+export const holdBatchGroupStock = async (productId, variantId, quantityNeeded) => {
+  try {
+    const productObjectId = typeof productId === 'string' ? new mongoose.Types.ObjectId(productId) : productId;
+
+    const batchGroups = await getBatchGroupsForFEFO(productObjectId, variantId, quantityNeeded);
+    const holds = [];
+    let remaining = quantityNeeded;
+
+    for (const batchGroup of batchGroups) {
+      if (remaining <= 0) break;
+
+      const found = batchGroup.findProduct(productObjectId, variantId);
+      if (!found) continue;
+
+      const target = found.variant || found.product;
+      const holdQty = Math.min(remaining, target.availableQuantity || 0);
+      if (holdQty <= 0) continue;
+
+      const { filter, update, options } = buildHoldUpdate(batchGroup._id, productObjectId, variantId, holdQty, 1);
+      const result = await BatchGroup.updateOne({ ...filter, status: 'Active' }, update, options);
+
+      // Someone else took the stock between read and update; move on to the next batch group
+      if (result.modifiedCount === 0) continue;
+
+      holds.push({ batchGroupId: batchGroup._id, quantity: holdQty });
+      remaining -= holdQty;
+    }
+
+    const heldQuantity = quantityNeeded - remaining;
+    console.log(`[BATCH GROUP HOLD] Held ${heldQuantity}/${quantityNeeded} for product ${productObjectId}, variant ${variantId}`);
+
+    return { heldQuantity, holds };
+  } catch (error) {
+    console.error('[BATCH GROUP HOLD] Error holding stock:', error);
+    throw error;
+  }
+};
+
+// Return held units to availability
+export const releaseBatchGroupHold = async ({ batchGroupId, productId, variantId, quantity }, session = null) => {
+  const productObjectId = typeof productId === 'string' ? new mongoose.Types.ObjectId(productId) : productId;
+
+  const { filter, update, options } = buildHoldUpdate(batchGroupId, productObjectId, variantId, quantity, -1);
+  const result = await BatchGroup.updateOne(filter, update, { ...options, session });
+
+  if (result.modifiedCount === 0) {
+    console.warn(`[BATCH GROUP HOLD] Nothing to release in batch group ${batchGroupId} for product ${productObjectId}, variant ${variantId}`);
+    return false;
+  }
+  return true;
+};
+
+// Add units to (positive quantity) or take available units out of (negative) one batch group line,
+// e.g. for a stock transfer; taking out fails without change when fewer units are available
+export const adjustBatchGroupQuantity = async ({ batchGroupId, productId, variantId, quantity }, session = null) => {
+  const productObjectId = toObjectId(productId);
+  const guard = quantity < 0 ? { availableQuantity: { $gte: -quantity } } : {};
+
+  const result = variantId
+    ? await BatchGroup.updateOne(
+      {
+        _id: batchGroupId,
+        products: { $elemMatch: { productId: productObjectId, variants: { $elemMatch: { variantId, ...guard } } } }
+      },
+      { $inc: { 'products.$[p].variants.$[v].quantity': quantity, 'products.$[p].variants.$[v].availableQuantity': quantity } },
+      { arrayFilters: [{ 'p.productId': productObjectId }, { 'v.variantId': variantId }], session }
+    )
+    : await BatchGroup.updateOne(
+      { _id: batchGroupId, products: { $elemMatch: { productId: productObjectId, ...guard } } },
+      { $inc: { 'products.$.quantity': quantity, 'products.$.availableQuantity': quantity } },
+      { session }
+    );
+
+  return result.modifiedCount > 0;
+};
+
+// Release every active allocation an order holds in batch groups (cancellation / rollback)
+// Pass items ([{ productId, variantId, quantity }]) to release only those units (item-level cancellation),
+// and batchGroupIds to release only what the order holds in those batch groups (batch recall)
+export const deallocateBatchGroupStockForOrder = async (orderId, session = null, items = null, batchGroupIds = null) => {
+  try {
+    const orderObjectId = typeof orderId === 'string' ? new mongoose.Types.ObjectId(orderId) : orderId;
+
+    console.log(`[BATCH GROUP DEALLOCATION] Releasing ${items ? 'item ' : ''}allocations for order ${orderObjectId}`);
+
+    // Latest-expiring batch groups first, so a partial release leaves the order its FEFO picks
+    const batchGroups = await BatchGroup.find({
+      'orderAllocations.orderId': orderObjectId,
+      ...(batchGroupIds ? { _id: { $in: batchGroupIds } } : {})
+    }).sort({ defaultExpiryDate: -1, createdAt: -1 }).session(session);
+
+    // Units still to release per product/variant (partial release only)
+    const remaining = items
+      ? items.reduce((map, item) => {
+        const key = `${item.productId}:${item.variantId || ''}`;
+        map.set(key, (map.get(key) || 0) + item.quantity);
+        return map;
+      }, new Map())
+      : null;
+
+    const released = [];
+
+    // Each allocation is released in one update guarded on it still being Allocated, so a
+    // concurrent release or delivery of it cannot count twice and other stock changes are kept
+    for (const batchGroup of batchGroups) {
+      for (const allocation of batchGroup.orderAllocations) {
+        if (allocation.orderId?.toString() !== orderObjectId.toString() || allocation.status !== 'Allocated') {
+          continue;
+        }
+
+        const lines = [];
+        for (const allocItem of allocation.items) {
+          const key = `${allocItem.productId}:${allocItem.variantId || ''}`;
+          if (remaining && !(remaining.get(key) > 0)) continue;
+
+          const target = findLine(batchGroup, allocItem.productId, allocItem.variantId || null);
+          if (!target) continue;
+
+          const wanted = remaining ? Math.min(remaining.get(key), allocItem.quantity) : allocItem.quantity;
+          lines.push({ allocItem, key, wanted, releaseQty: Math.min(wanted, target.allocatedQuantity || 0) });
+        }
+
+        const fullyReleased = !remaining || allocation.items.every(allocItem =>
+          allocItem.quantity - (lines.find(line => line.allocItem === allocItem)?.wanted || 0) <= 0);
+        if (lines.length === 0 && !fullyReleased) continue;
+
+        const update = { $inc: {} };
+        const arrayFilters = [{ 'a._id': allocation._id }];
+        lines.forEach((line, index) => {
+          const target = lineTarget(line.allocItem.productId, line.allocItem.variantId || null, index);
+          update.$inc[`${target.path}.allocatedQuantity`] = -line.releaseQty;
+          update.$inc[`${target.path}.availableQuantity`] = line.releaseQty;
+          arrayFilters.push(...target.arrayFilters);
+          if (remaining) {
+            update.$inc[`orderAllocations.$[a].items.$[i${index}].quantity`] = -line.wanted;
+            arrayFilters.push({ [`i${index}._id`]: line.allocItem._id });
+          }
+        });
+        if (fullyReleased) {
+          update.$set = { 'orderAllocations.$[a].status': 'Cancelled' };
+        }
+
+        const result = await BatchGroup.updateOne(
+          { _id: batchGroup._id, orderAllocations: { $elemMatch: { _id: allocation._id, status: 'Allocated' } } },
+          update,
+          { arrayFilters, session }
+        );
+        if (result.modifiedCount === 0) {
+          console.warn(`[BATCH GROUP DEALLOCATION] Allocation ${allocation._id} in batch group ${batchGroup.batchGroupNumber} is no longer allocated; skipped`);
+          continue;
+        }
+
+        for (const line of lines) {
+          if (remaining) remaining.set(line.key, remaining.get(line.key) - line.wanted);
+          released.push({
+            batchGroupId: batchGroup._id,
+            batchGroupNumber: batchGroup.batchGroupNumber,
+            productId: line.allocItem.productId,
+            variantId: line.allocItem.variantId || null,
+            quantity: line.releaseQty
+          });
+        }
+      }
+    }
+
+    console.log(`[BATCH GROUP DEALLOCATION] Released ${released.length} allocation line(s) for order ${orderObjectId}`);
+
+    return { success: true, released };
+  } catch (error) {
+    console.error('[BATCH GROUP DEALLOCATION] Error releasing allocations:', error);
+    throw error;
+  }
+};
+
 export default {
   calculateBatchGroupStock,
   checkBatchGroupStockAvailability,
   allocateBatchGroupStockForOrder,
   allocateBatchGroupsForOrderItem,
-  getBatchGroupsForFEFO
+  getBatchGroupsForFEFO,
+  getInStockProductIds,
+  holdBatchGroupStock,
+  releaseBatchGroupHold,
+  adjustBatchGroupQuantity,
+  deallocateBatchGroupStockForOrder
 };
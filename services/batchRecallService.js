@@ -0,0 +1,833 @@
+import mongoose from 'mongoose';
+import BatchGroup from '../models/BatchGroup.js';
+import Order from '../models/Order.js';
+import Return from '../models/Return.js';
+import StockTransfer from '../models/StockTransfer.js';
+import InventoryReservation from '../models/InventoryReservation.js';
+import notificationService from './notificationService.js';
+import orderLifecycleService from './orderLifecycleService.js';
+import batchGroupStockService from './batchGroupStockService.js';
+import { closeReservation } from './reservationService.js';
+import batchStockUtils from '../utils/batchStockUtils.js';
+import { ACTORS } from '../utils/orderLifecycle.js';
+
+/**
+ * Batch Recall Service
+ * A recall takes a batch group out of stock at once. Groups that got its units through stock
+ * transfers are recalled with it. The service then traces every order that got units from them,
+ * warns those customers and the admins, can raise free-pickup returns, and builds the report
+ * regulators ask for.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const RECALL_CLASSIFICATIONS = ['class_i', 'class_ii', 'class_iii'];
+
+// Recall returns stay open this long after the recall, whatever the order's normal return window
+const RECALL_RETURN_DAYS = Number(process.env.RECALL_RETURN_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Return statuses in which the recalled units have left the customer
+const COLLECTED_RETURN_STATUSES = ['picked_up', 'in_warehouse', 'quality_checked', 'refund_approved', 'refund_processed', 'completed'];
+
+const IN_TRANSIT_TRANSFER_STATUSES = ['dispatched', 'in_transit'];
+
+const orderNumber = (order) => order._id.toString().slice(-8).toUpperCase();
+
+const idOf = (value) => value?._id || value;
+
+const sameLine = (line, productId, variantId) =>
+  idOf(line.productId)?.toString() === idOf(productId)?.toString() && (line.variantId || null) === (variantId || null);
+
+// Stock lines of a batch group: its variants, or the product itself when it has none
+const stockLines = (batchGroup) => batchGroup.products.flatMap(product => (product.variants?.length
+  ? product.variants.map(variant => ({ product, variant, line: variant }))
+  : [{ product, variant: null, line: product }]));
+
+const unitTotals = (batchGroup) => stockLines(batchGroup).reduce((totals, { line }) => {
+  totals.received += line.quantity || 0;
+  totals.available += line.availableQuantity || 0;
+  totals.reserved += line.reservedQuantity || 0;
+  totals.allocated += line.allocatedQuantity || 0;
+  totals.used += line.usedQuantity || 0;
+  return totals;
+}, { received: 0, available: 0, reserved: 0, allocated: 0, used: 0 });
+
+// Batch groups that received this group's units through stock transfers, however many hops away
+const findTransferDescendants = async (batchGroupId) => {
+  const found = [];
+  let frontier = [batchGroupId];
+  while (frontier.length) {
+    const children = await BatchGroup.find({ 'transferredFrom.batchGroupId': { $in: frontier } }).populate('warehouseId', 'name code');
+    found.push(...children);
+    frontier = children.map(child => child._id);
+  }
+  return found;
+};
+
+// Allocation and checkout holds only take from Active groups, so the status flip blocks them at once.
+// Conditional on the status, so a group is only ever recalled once.
+const flipToRecalled = (batchGroup, recall) => BatchGroup.findOneAndUpdate(
+  { _id: batchGroup._id, status: { $ne: 'Recalled' } },
+  {
+    $set: {
+      status: 'Recalled',
+      recall: { ...recall, previousStatus: batchGroup.status, unitsAtRecall: unitTotals(batchGroup) },
+      lastModifiedBy: recall.recalledBy
+    }
+  },
+  { new: true }
+);
+
+// Checkout holds in recalled groups go back; the customer's next checkout holds other stock
+const releaseReservations = async (batchGroupIds) => {
+  const reservations = await InventoryReservation.find({
+    status: 'active',
+    'items.holds.batchGroupId': { $in: batchGroupIds }
+  }).select('_id');
+
+  let released = 0;
+  for (const { _id } of reservations) {
+    if (await closeReservation(_id, { status: 'released', reason: 'Batch recalled' })) released++;
+  }
+  return released;
+};
+
+const syncProductStock = async (batchGroups) => {
+  const lines = new Map();
+  for (const batchGroup of batchGroups) {
+    for (const { product, variant } of stockLines(batchGroup)) {
+      const productId = idOf(product.productId);
+      lines.set(`${productId}:${variant?.variantId || ''}`, { productId, variantId: variant?.variantId || null });
+    }
+  }
+  for (const { productId, variantId } of lines.values()) {
+    try {
+      await batchStockUtils.updateProductStockFromBatches(productId, variantId);
+    } catch (error) {
+      console.error(`[BATCH RECALL] Failed to sync product stock for ${productId}:`, error);
+    }
+  }
+};
+
+/**
+ * Orders that got units from these batch groups
+ * @returns {Array} - [{ orderId, batchGroupNumbers, items: [{ productId, variantId, deliveredQuantity, allocatedQuantity }] }]
+ *   deliveredQuantity reached the customer; allocatedQuantity is picked for the order but not delivered yet
+ */
+const traceOrders = (batchGroups) => {
+  const byOrder = new Map();
+
+  for (const batchGroup of batchGroups) {
+    for (const allocation of batchGroup.orderAllocations) {
+      if (allocation.status === 'Cancelled' || !allocation.orderId) continue;
+
+      const key = allocation.orderId.toString();
+      if (!byOrder.has(key)) {
+        byOrder.set(key, { orderId: allocation.orderId, batchGroupNumbers: new Set(), items: [] });
+      }
+      const entry = byOrder.get(key);
+      entry.batchGroupNumbers.add(batchGroup.batchGroupNumber);
+
+      for (const item of allocation.items) {
+        let line = entry.items.find(existing => sameLine(existing, item.productId, item.variantId));
+        if (!line) {
+          line = { productId: item.productId, variantId: item.variantId || null, deliveredQuantity: 0, allocatedQuantity: 0 };
+          entry.items.push(line);
+        }
+        if (allocation.status === 'Delivered') line.deliveredQuantity += item.quantity;
+        else line.allocatedQuantity += item.quantity;
+      }
+    }
+  }
+
+  return [...byOrder.values()].map(entry => ({ ...entry, batchGroupNumbers: [...entry.batchGroupNumbers] }));
+};
+
+const loadOrders = async (entries) => {
+  const orders = await Order.find({ _id: { $in: entries.map(entry => entry.orderId) } })
+    .select('userId status items shipping warehouseId createdAt delivery.deliveredAt')
+    .populate('userId', 'name email phone');
+  return new Map(orders.map(order => [order._id.toString(), order]));
+};
+
+/**
+ * Order lines holding the recalled units, with how many of each line to take back
+ * A combo line is returned whole: enough combos to cover the recalled units inside it.
+ */
+const matchOrderLines = (order, recalledItems) => {
+  const matched = new Map();
+
+  for (const item of recalledItems) {
+    let remaining = item.deliveredQuantity;
+
+    for (const orderItem of order.items) {
+      if (remaining <= 0) break;
+      const key = orderItem._id.toString();
+      const alreadyTaken = matched.get(key)?.quantity || 0;
+
+      if ((orderItem.itemType || 'product') === 'product') {
+        if (!sameLine({ productId: orderItem.id, variantId: orderItem.variantId }, item.productId, item.variantId)) continue;
+        const quantity = Math.min(remaining, (orderItem.qty || 0) - alreadyTaken);
+        if (quantity <= 0) continue;
+        matched.set(key, { orderItem, quantity: alreadyTaken + quantity });
+        remaining -= quantity;
+        continue;
+      }
+
+      const component = orderItem.comboProducts?.find(comboProduct => sameLine(comboProduct, item.productId, item.variantId));
+      if (!component?.quantity) continue;
+      const combos = Math.min(Math.ceil(remaining / component.quantity), (orderItem.qty || 0) - alreadyTaken);
+      if (combos <= 0) continue;
+      matched.set(key, { orderItem, quantity: alreadyTaken + combos });
+      remaining -= combos * component.quantity;
+    }
+  }
+
+  return [...matched.values()];
+};
+
+/**
+ * Approved return with free pickup for the recalled lines of a delivered order
+ * An order with an open return keeps it; that return is reported instead.
+ * @returns {object|null} - { returnRequest, created }
+ */
+const createRecallReturn = async (order, lines, batchGroup, actor) => {
+  const existing = await Return.findOne({
+    orderId: order._id,
+    status: { $nin: ['cancelled', 'completed', 'rejected'] }
+  });
+  if (existing) return { returnRequest: existing, created: false };
+  if (lines.length === 0) return null;
+
+  const now = new Date();
+  const comment = `Product recall of batch ${batchGroup.batchGroupNumber}: ${batchGroup.recall.reason}`.slice(0, 500);
+  const returnRequest = new Return({
+    orderId: order._id,
+    customerId: idOf(order.userId),
+    items: lines.map(({ orderItem, quantity }) => ({
+      orderItemId: orderItem._id.toString(),
+      productId: orderItem.id,
+      productName: orderItem.name,
+      variantId: orderItem.variantId,
+      variantName: orderItem.variantName,
+      quantity,
+      originalPrice: orderItem.price,
+      itemType: orderItem.itemType || 'product'
+    })),
+    returnReason: 'product_recall',
+    customerComments: comment,
+    eligibility: {
+      eligibilityExpiry: new Date(now.getTime() + RECALL_RETURN_DAYS * DAY_MS),
+      daysRemaining: RECALL_RETURN_DAYS,
+      isEligible: true
+    },
+    adminReview: {
+      reviewedBy: actor.id,
+      reviewedAt: now,
+      approved: true,
+      adminComments: comment,
+      pickupCharge: { isFree: true, amount: 0, reason: 'Product recall', toggledBy: actor.id, toggledAt: now }
+    }
+  });
+  returnRequest.updateStatus('approved', actor.id, `Raised by the recall of batch group ${batchGroup.batchGroupNumber}`, true);
+  await returnRequest.save();
+
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: { 'returnInfo.hasActiveReturn': true },
+      $push: { 'returnInfo.returnHistory': { returnId: returnRequest._id, status: 'approved', createdAt: now } }
+    }
+  );
+
+  return { returnRequest, created: true };
+};
+
+// Names of the order lines holding these products, combo lines included
+const lineNames = (order, items) => [...new Set(order.items
+  .filter(orderItem => items.some(item => ((orderItem.itemType || 'product') === 'product'
+    ? sameLine({ productId: orderItem.id, variantId: orderItem.variantId }, item.productId, item.variantId)
+    : orderItem.comboProducts?.some(comboProduct => sameLine(comboProduct, item.productId, item.variantId)))))
+  .map(orderItem => orderItem.name)
+  .filter(Boolean))];
+
+const customerMessage = (order, names, progress) => {
+  const items = names.length ? names.join(', ') : 'Items';
+  const plural = names.length > 1;
+  switch (progress.action) {
+    case 'customer_return':
+      return `${items} delivered in your order #${orderNumber(order)} ${plural ? 'are' : 'is'} being recalled. Please stop using ${plural ? 'them' : 'it'}. `
+        + (progress.returnId && !progress.existingReturn
+          ? `We have approved return ${progress.returnRequestId} with free pickup and a full refund.`
+          : 'We will contact you about a free return and refund.');
+    case 'reallocated':
+      return `${items} in your order #${orderNumber(order)} came from a batch that is being recalled. We have packed ${plural ? 'them' : 'it'} from another batch instead; your delivery is not affected.`;
+    case 'cancelled':
+      return `${items} in your order #${orderNumber(order)} came from a batch that is being recalled and we have no other stock to replace ${plural ? 'them' : 'it'}, so the order has been cancelled. Any payment will be refunded.`;
+    default:
+      return `${items} in your order #${orderNumber(order)} came from a batch that is being recalled. Please do not accept or use ${plural ? 'them' : 'it'}; we will contact you about your delivery.`;
+  }
+};
+
+const notifyCustomer = async (order, names, batchGroup, progress) => {
+  const showReturn = progress.action === 'customer_return' && progress.returnId && !progress.existingReturn;
+
+  try {
+    await notificationService.createNotification({
+      title: 'Product Recall',
+      message: customerMessage(order, names, progress),
+      type: progress.action === 'reallocated' ? 'info' : 'warning',
+      category: 'order_updates',
+      priority: progress.action === 'reallocated' ? 'high' : 'urgent',
+      userId: idOf(order.userId),
+      channels: ['in_app', 'push', 'email'],
+      actionUrl: showReturn ? `/returns/${progress.returnId}` : `/orders/${order._id}`,
+      actionText: showReturn ? 'View Return' : 'View Order',
+      relatedOrderId: order._id,
+      data: { batchGroupId: batchGroup._id, batchGroupNumber: batchGroup.batchGroupNumber, returnId: showReturn ? progress.returnId : undefined },
+      createdBy: { system: true }
+    });
+    return true;
+  } catch (error) {
+    console.error(`[BATCH RECALL] Failed to notify customer for order ${order._id}:`, error);
+    return false;
+  }
+};
+
+const notifyAdmins = async (batchGroup, summary, actor) => {
+  const followUps = [
+    summary.ordersAwaitingDelivery ? `${summary.ordersAwaitingDelivery} order(s) out for delivery hold units from it and must be stopped` : null,
+    summary.ordersCancelled ? `${summary.ordersCancelled} undelivered order(s) were cancelled for lack of other stock` : null,
+    summary.transfersInTransit ? `${summary.transfersInTransit} stock transfer(s) of it are in transit` : null
+  ].filter(Boolean);
+
+  try {
+    await notificationService.sendBroadcastNotification({
+      title: `Batch ${batchGroup.batchGroupNumber} recalled`,
+      message: `${batchGroup.recall.reason}. ${summary.deliveredOrders} delivered order(s) affected, ${summary.customersNotified} customer(s) notified, ${summary.returnsCreated} return(s) raised, ${summary.ordersReallocated} undelivered order(s) repacked from other stock.`
+        + (followUps.length ? ` ${followUps.join('; ')}.` : ''),
+      type: 'admin',
+      recipientType: 'admin',
+      filters: { isActive: true },
+      category: 'inventory',
+      priority: 'urgent',
+      channels: ['in_app', 'push'],
+      data: { batchGroupId: batchGroup._id, batchGroupNumber: batchGroup.batchGroupNumber, ...summary },
+      createdBy: { adminId: actor.id }
+    });
+  } catch (error) {
+    console.error(`[BATCH RECALL] Failed to notify admins of recall ${batchGroup.batchGroupNumber}:`, error);
+  }
+};
+
+// Record an order's follow-up on the root group's recall as soon as each step is done
+const startProgress = async (root, orderId, action, items = []) => {
+  const progress = { orderId, action, items, startedAt: new Date(), customerNotified: false };
+  await BatchGroup.updateOne(
+    { _id: root._id, 'recall.orders.orderId': { $ne: orderId } },
+    { $push: { 'recall.orders': progress } }
+  );
+  return progress;
+};
+
+const saveProgress = async (root, progress, fields) => {
+  Object.assign(progress, fields);
+  const $set = Object.fromEntries(Object.entries(fields).map(([field, value]) => [`recall.orders.$.${field}`, value]));
+  await BatchGroup.updateOne({ _id: root._id, 'recall.orders.orderId': progress.orderId }, { $set });
+};
+
+const lifecycleActor = (actor) => ({ role: actor.type === 'subadmin' ? ACTORS.SUB_ADMIN : ACTORS.ADMIN, id: actor.id });
+
+/**
+ * Take an undelivered order's units out of the recalled groups and pack it from other stock
+ * Units replaced by an earlier, interrupted run are found from the allocations made since the
+ * order's follow-up started, so resuming never allocates them twice.
+ * @returns {number} - Units that no other stock could replace
+ */
+const replaceRecalledUnits = async (order, progress, recalledIds) => {
+  await batchGroupStockService.deallocateBatchGroupStockForOrder(order._id, null, null, recalledIds);
+
+  const replaced = new Map();
+  const groups = await BatchGroup.find({
+    _id: { $nin: recalledIds },
+    orderAllocations: { $elemMatch: { orderId: order._id, allocatedAt: { $gte: progress.startedAt } } }
+  }).select('orderAllocations');
+  for (const group of groups) {
+    for (const allocation of group.orderAllocations) {
+      if (!allocation.orderId?.equals(order._id) || allocation.allocatedAt < progress.startedAt || allocation.status === 'Cancelled') continue;
+      for (const item of allocation.items) {
+        const key = `${item.productId}:${item.variantId || ''}`;
+        replaced.set(key, (replaced.get(key) || 0) + item.quantity);
+      }
+    }
+  }
+
+  let shortfall = 0;
+  for (const item of progress.items) {
+    const needed = item.quantity - (replaced.get(`${item.productId}:${item.variantId || ''}`) || 0);
+    if (needed <= 0) continue;
+    const result = await batchGroupStockService.allocateBatchGroupsForOrderItem(
+      item.productId, item.variantId || null, needed, order._id, null, order.warehouseId || null
+    );
+    shortfall += result.shortfall;
+  }
+  return shortfall;
+};
+
+// An order not yet shipped is packed from other stock; one already packed with recalled units,
+// or with no other stock to replace them, is cancelled (its stock goes back and a prepaid order is
+// refunded). Orders out for delivery cannot be cancelled by staff, so they stay with
+// stop_delivery for the admins to intercept and are tried again on every resume.
+const followUpUndeliveredOrder = async (order, progress, root, recalledIds, actor) => {
+  if (order.status === 'Cancelled') {
+    await saveProgress(root, progress, { action: 'cancelled' });
+  } else if (progress.action !== 'reallocated' && progress.action !== 'cancelled') {
+    const shortfall = order.status === 'Pending' ? await replaceRecalledUnits(order, progress, recalledIds) : undefined;
+    if (shortfall === 0) {
+      await saveProgress(root, progress, { action: 'reallocated', shortfall: 0 });
+    } else {
+      try {
+        await orderLifecycleService.transitionOrder(order._id, {
+          to: 'Cancelled',
+          actor: lifecycleActor(actor),
+          reason: shortfall
+            ? `Batch ${root.batchGroupNumber} recalled and no other stock to replace it`
+            : `Batch ${root.batchGroupNumber} recalled after the order was packed`
+        });
+        await saveProgress(root, progress, { action: 'cancelled', ...(shortfall ? { shortfall } : {}) });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        await saveProgress(root, progress, { action: 'stop_delivery', note: error.message });
+      }
+    }
+  }
+
+  if (root.recall.notifyCustomers && !progress.customerNotified) {
+    const customerNotified = await notifyCustomer(order, lineNames(order, progress.items), root, progress);
+    if (customerNotified) await saveProgress(root, progress, { customerNotified });
+  }
+  return progress.action !== 'stop_delivery';
+};
+
+// A delivered order gets its recall return (when asked for) and its customer is told
+const followUpDeliveredOrder = async (order, progress, root, received, actor) => {
+  if (root.recall.createReturns && !progress.returnId) {
+    const recallReturn = await createRecallReturn(order, matchOrderLines(order, received), root, actor);
+    if (recallReturn) {
+      await saveProgress(root, progress, {
+        returnId: recallReturn.returnRequest._id,
+        returnRequestId: recallReturn.returnRequest.returnRequestId,
+        // A recall return found open was raised by an interrupted earlier run
+        existingReturn: !recallReturn.created && recallReturn.returnRequest.returnReason !== 'product_recall'
+      });
+    }
+  }
+
+  if (root.recall.notifyCustomers && !progress.customerNotified) {
+    const customerNotified = await notifyCustomer(order, lineNames(order, received), root, progress);
+    if (customerNotified) await saveProgress(root, progress, { customerNotified });
+  }
+  return true;
+};
+
+/**
+ * Everything a recall does after the status flip
+ * Safe to run again: every step either does nothing the second time or is skipped through the
+ * per-order progress on the root group's recall. Orders whose follow-up failed are retried.
+ */
+const runRecallFollowUp = async (root, actor) => {
+  const recalled = [root];
+  for (const child of await findTransferDescendants(root._id)) {
+    if (child.status === 'Recalled') {
+      if (child.recall?.parentBatchGroupId?.equals(root._id)) recalled.push(child);
+      continue;
+    }
+    const { recalledAt, recalledBy, recalledByType, reason, classification, reference, notes } = root.recall;
+    const flipped = await flipToRecalled(child, {
+      recalledAt, recalledBy, recalledByType, reason, classification, reference, notes, parentBatchGroupId: root._id
+    });
+    if (flipped) recalled.push(flipped);
+  }
+
+  const batchGroupIds = recalled.map(group => group._id);
+  const reservationsReleased = await releaseReservations(batchGroupIds);
+
+  const entries = traceOrders(recalled);
+  const progressByOrder = new Map(root.recall.orders.map(progress => [progress.orderId.toString(), progress.toObject()]));
+  // Undelivered orders already taken out of the recalled groups no longer trace to them
+  for (const progress of progressByOrder.values()) {
+    if (!entries.some(entry => entry.orderId.equals(progress.orderId))) {
+      entries.push({ orderId: progress.orderId, items: [] });
+    }
+  }
+  const orders = await loadOrders(entries);
+  const transfersInTransit = await StockTransfer.countDocuments({
+    'items.sourceBatchGroupId': { $in: batchGroupIds },
+    status: { $in: IN_TRANSIT_TRANSFER_STATUSES }
+  });
+
+  const results = [];
+  const customers = new Set();
+  let failed = 0;
+  let open = 0;
+
+  for (const entry of entries) {
+    const order = orders.get(entry.orderId.toString());
+    if (!order) continue;
+
+    const received = entry.items.filter(item => item.deliveredQuantity > 0);
+    let progress = progressByOrder.get(order._id.toString());
+    if (!progress) {
+      progress = received.length
+        ? await startProgress(root, order._id, 'customer_return')
+        : await startProgress(root, order._id, undefined, entry.items
+          .filter(item => item.allocatedQuantity > 0)
+          .map(item => ({ productId: item.productId, variantId: item.variantId, quantity: item.allocatedQuantity })));
+    }
+
+    if (!progress.completedAt) {
+      try {
+        // An order stopped while out for delivery may have been delivered since
+        if (progress.action === 'stop_delivery' && received.length) {
+          await saveProgress(root, progress, { action: 'customer_return', customerNotified: false });
+        }
+        const done = progress.action === 'customer_return'
+          ? await followUpDeliveredOrder(order, progress, root, received, actor)
+          : await followUpUndeliveredOrder(order, progress, root, batchGroupIds, actor);
+        if (done) await saveProgress(root, progress, { completedAt: new Date() });
+        else open++;
+      } catch (error) {
+        failed++;
+        console.error(`[BATCH RECALL] Follow-up of order ${order._id} for recall ${root.batchGroupNumber} failed:`, error);
+      }
+    }
+
+    if (progress.customerNotified) customers.add(idOf(order.userId).toString());
+    results.push({
+      orderId: order._id,
+      orderNumber: orderNumber(order),
+      action: progress.action || 'pending',
+      customerNotified: progress.customerNotified,
+      returnId: progress.returnId,
+      returnRequestId: progress.returnRequestId,
+      existingReturn: progress.returnId ? progress.existingReturn : undefined,
+      shortfall: progress.shortfall || undefined,
+      completed: Boolean(progress.completedAt)
+    });
+  }
+
+  await syncProductStock(recalled);
+
+  const countOf = (action) => results.filter(result => result.action === action).length;
+  const summary = {
+    batchGroupsRecalled: recalled.length,
+    affectedOrders: results.length,
+    deliveredOrders: countOf('customer_return'),
+    ordersReallocated: countOf('reallocated'),
+    ordersCancelled: countOf('cancelled'),
+    ordersAwaitingDelivery: countOf('stop_delivery'),
+    customersNotified: customers.size,
+    returnsCreated: results.filter(result => result.returnId && !result.existingReturn).length,
+    reservationsReleased: (root.recall.reservationsReleased || 0) + reservationsReleased,
+    transfersInTransit,
+    ordersFailed: failed
+  };
+
+  // The follow-up is finished once every order is; until then it can be resumed
+  const finished = failed === 0 && open === 0;
+  await BatchGroup.updateOne(
+    { _id: root._id },
+    {
+      $set: {
+        'recall.customersNotified': summary.customersNotified,
+        'recall.returnsCreated': summary.returnsCreated,
+        'recall.reservationsReleased': summary.reservationsReleased,
+        ...(finished ? { 'recall.followUpCompletedAt': new Date() } : {})
+      }
+    }
+  );
+  recalled[0] = await BatchGroup.findById(root._id);
+
+  await notifyAdmins(root, summary, actor);
+
+  return { batchGroups: recalled, summary, orders: results };
+};
+
+/**
+ * Recall a batch group
+ * The group and every group that got its units through stock transfers stop being allocated at
+ * once. Checkout holds on them are released. Customers who received units are notified, and
+ * with createReturns each delivered order gets an approved, free-pickup return. Undelivered
+ * orders holding units are packed from other stock, or cancelled when there is none; their
+ * customers are told. Orders already out for delivery are left for the admins to stop.
+ * If a follow-up step fails, the recall stays in place; resumeRecall finishes it.
+ * @param {string} batchGroupId
+ * @param {object} data - { reason, classification, reference, notes, createReturns, notifyCustomers }
+ * @param {object} actor - { id, type }
+ * @returns {object} - { batchGroups, summary, orders: [{ orderId, orderNumber, action, customerNotified, returnId, returnRequestId }] }
+ */
+export const recallBatchGroup = async (batchGroupId, data = {}, actor) => {
+  const { classification, reference, notes, createReturns = false, notifyCustomers = true } = data;
+  const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+
+  if (!mongoose.Types.ObjectId.isValid(batchGroupId)) {
+    throw httpError('Invalid batch group ID', 400);
+  }
+  if (!reason) {
+    throw httpError('A recall reason is required', 400);
+  }
+  if (classification && !RECALL_CLASSIFICATIONS.includes(classification)) {
+    throw httpError(`classification must be one of ${RECALL_CLASSIFICATIONS.join(', ')}`, 400);
+  }
+
+  const batchGroup = await BatchGroup.findById(batchGroupId);
+  if (!batchGroup) {
+    throw httpError('Batch group not found', 404);
+  }
+
+  const recall = {
+    recalledAt: new Date(),
+    recalledBy: actor.id,
+    recalledByType: actor.type,
+    reason,
+    classification,
+    reference,
+    notes,
+    createReturns: Boolean(createReturns),
+    notifyCustomers: notifyCustomers !== false
+  };
+
+  const root = await flipToRecalled(batchGroup, recall);
+  if (!root) {
+    throw httpError(`Batch group ${batchGroup.batchGroupNumber} has already been recalled; use resume to finish its follow-up`, 409);
+  }
+  console.log(`[BATCH RECALL] ${root.batchGroupNumber} recalled: ${reason}`);
+
+  return runRecallFollowUp(root, actor);
+};
+
+/**
+ * Run a recall's follow-up again, for orders it has not finished with
+ * Also catches groups that received the recalled units since, and orders placed on them
+ * before the flip. Uses the options the recall was made with.
+ * @param {string} batchGroupId - The recalled batch group (not one recalled along with it)
+ * @param {object} actor - { id, type }
+ */
+export const resumeRecall = async (batchGroupId, actor) => {
+  if (!mongoose.Types.ObjectId.isValid(batchGroupId)) {
+    throw httpError('Invalid batch group ID', 400);
+  }
+  const batchGroup = await BatchGroup.findById(batchGroupId);
+  if (!batchGroup) {
+    throw httpError('Batch group not found', 404);
+  }
+  if (batchGroup.status !== 'Recalled') {
+    throw httpError(`Batch group ${batchGroup.batchGroupNumber} has not been recalled`, 400);
+  }
+  if (batchGroup.recall?.parentBatchGroupId) {
+    throw httpError(`Batch group ${batchGroup.batchGroupNumber} was recalled with batch group ${batchGroup.recall.parentBatchGroupId}; resume that recall`, 400);
+  }
+
+  console.log(`[BATCH RECALL] Resuming the follow-up of recall ${batchGroup.batchGroupNumber}`);
+  return runRecallFollowUp(batchGroup, actor);
+};
+
+/**
+ * Recall report for regulators
+ * Built from the live data, so it also shows how far the recall has got: units still with
+ * customers, units collected back and units still in stock.
+ * @param {string} batchGroupId - A recalled batch group; groups recalled along with it are included
+ */
+export const getRecallReport = async (batchGroupId) => {
+  if (!mongoose.Types.ObjectId.isValid(batchGroupId)) {
+    throw httpError('Invalid batch group ID', 400);
+  }
+  const batchGroup = await BatchGroup.findById(batchGroupId)
+    .populate('warehouseId', 'name code')
+    .populate('purchaseOrderId', 'poNumber orderedAt')
+    .populate('products.productId', 'name');
+  if (!batchGroup) {
+    throw httpError('Batch group not found', 404);
+  }
+  if (batchGroup.status !== 'Recalled') {
+    throw httpError(`Batch group ${batchGroup.batchGroupNumber} has not been recalled`, 400);
+  }
+
+  const related = await findTransferDescendants(batchGroup._id);
+  const groups = [batchGroup, ...related];
+  const batchGroupIds = groups.map(group => group._id);
+
+  const entries = traceOrders(groups);
+  // Undelivered orders taken off the recalled stock no longer trace to it; their follow-up does
+  const followUps = batchGroup.recall?.orders || [];
+  for (const progress of followUps) {
+    if (progress.items.length && !entries.some(entry => entry.orderId.equals(progress.orderId))) {
+      entries.push({
+        orderId: progress.orderId,
+        batchGroupNumbers: [batchGroup.batchGroupNumber],
+        items: progress.items.map(item => ({ productId: item.productId, variantId: item.variantId || null, deliveredQuantity: 0, allocatedQuantity: 0 }))
+      });
+    }
+  }
+  const [orders, returns, transfers] = await Promise.all([
+    loadOrders(entries),
+    Return.find({ orderId: { $in: entries.map(entry => entry.orderId) }, returnReason: 'product_recall' })
+      .select('orderId returnRequestId status requestedAt completedAt')
+      .sort({ requestedAt: -1 })
+      .lean(),
+    StockTransfer.find({ 'items.sourceBatchGroupId': { $in: batchGroupIds }, status: { $in: IN_TRANSIT_TRANSFER_STATUSES } })
+      .select('transferNumber status fromWarehouseId toWarehouseId dispatchedAt items')
+      .populate('fromWarehouseId toWarehouseId', 'name code')
+      .lean()
+  ]);
+
+  const productNames = new Map(batchGroup.products.map(product => [idOf(product.productId).toString(), product.productId?.name]));
+  const customers = new Set();
+  const summary = {
+    batchGroups: groups.length,
+    unitsReceived: 0,
+    unitsInStock: 0,
+    unitsInTransit: 0,
+    unitsDelivered: 0,
+    unitsAwaitingDelivery: 0,
+    unitsCollected: 0,
+    affectedOrders: 0,
+    affectedCustomers: 0,
+    recallReturns: returns.length
+  };
+
+  for (const group of groups) {
+    const totals = unitTotals(group);
+    summary.unitsReceived += totals.received;
+    summary.unitsInStock += totals.available + totals.reserved;
+  }
+
+  const affectedOrders = entries.map(entry => {
+    const order = orders.get(entry.orderId.toString());
+    const recallReturn = returns.find(returnRequest => returnRequest.orderId.toString() === entry.orderId.toString());
+    const progress = followUps.find(followUp => followUp.orderId.equals(entry.orderId));
+    const delivered = entry.items.reduce((sum, item) => sum + item.deliveredQuantity, 0);
+    const awaiting = entry.items.reduce((sum, item) => sum + item.allocatedQuantity, 0);
+    // A recall return covers every recalled unit the order received
+    const collected = recallReturn && COLLECTED_RETURN_STATUSES.includes(recallReturn.status) ? delivered : 0;
+
+    summary.unitsDelivered += delivered;
+    summary.unitsAwaitingDelivery += awaiting;
+    summary.unitsCollected += collected;
+    if (order?.userId) customers.add(idOf(order.userId).toString());
+
+    return {
+      orderId: entry.orderId,
+      orderNumber: order ? orderNumber(order) : null,
+      status: order?.status,
+      placedAt: order?.createdAt,
+      deliveredAt: order?.delivery?.deliveredAt,
+      customer: order?.userId?._id
+        ? { _id: order.userId._id, name: order.userId.name, email: order.userId.email, phone: order.userId.phone }
+        : null,
+      shipping: order
+        ? { name: order.shipping?.name, phone: order.shipping?.phone, city: order.shipping?.city, state: order.shipping?.state, pincode: order.shipping?.pincode }
+        : null,
+      batchGroupNumbers: entry.batchGroupNumbers,
+      items: entry.items.map(item => {
+        const orderItem = order?.items.find(line => sameLine({ productId: line.id, variantId: line.variantId }, item.productId, item.variantId));
+        return {
+          ...item,
+          productName: productNames.get(item.productId.toString()) || orderItem?.name,
+          variantName: orderItem?.variantName
+        };
+      }),
+      unitsCollected: collected,
+      followUp: progress
+        ? { action: progress.action, shortfall: progress.shortfall, customerNotified: progress.customerNotified, note: progress.note, completedAt: progress.completedAt }
+        : null,
+      recallReturn: recallReturn
+        ? { _id: recallReturn._id, returnRequestId: recallReturn.returnRequestId, status: recallReturn.status, requestedAt: recallReturn.requestedAt, completedAt: recallReturn.completedAt }
+        : null
+    };
+  });
+
+  summary.affectedOrders = affectedOrders.length;
+  summary.affectedCustomers = customers.size;
+
+  const transfersInTransit = transfers.map(transfer => {
+    const units = transfer.items
+      .filter(item => batchGroupIds.some(id => id.equals(item.sourceBatchGroupId)))
+      .reduce((sum, item) => sum + item.quantity, 0);
+    summary.unitsInTransit += units;
+    return {
+      _id: transfer._id,
+      transferNumber: transfer.transferNumber,
+      status: transfer.status,
+      from: transfer.fromWarehouseId,
+      to: transfer.toWarehouseId,
+      dispatchedAt: transfer.dispatchedAt,
+      units
+    };
+  });
+
+  return {
+    generatedAt: new Date(),
+    batchGroup: {
+      _id: batchGroup._id,
+      batchGroupNumber: batchGroup.batchGroupNumber,
+      groupType: batchGroup.groupType,
+      status: batchGroup.status,
+      warehouse: batchGroup.warehouseId,
+      location: batchGroup.location,
+      manufacturingDate: batchGroup.defaultManufacturingDate,
+      expiryDate: batchGroup.defaultExpiryDate,
+      bestBeforeDate: batchGroup.defaultBestBeforeDate,
+      supplier: {
+        supplierId: batchGroup.supplierId,
+        name: batchGroup.supplierInfo?.supplierName,
+        contactInfo: batchGroup.supplierInfo?.contactInfo,
+        invoiceNumber: batchGroup.supplierInfo?.invoiceNumber,
+        purchaseOrderNumber: batchGroup.purchaseOrderId?.poNumber || batchGroup.supplierInfo?.purchaseOrderNumber,
+        receivedDate: batchGroup.supplierInfo?.receivedDate
+      },
+      transferredFrom: batchGroup.transferredFrom?.batchGroupId ? batchGroup.transferredFrom : undefined,
+      qualityChecked: batchGroup.qualityChecked,
+      qualityCheckDate: batchGroup.qualityCheckDate,
+      qualityNotes: batchGroup.qualityNotes
+    },
+    recall: batchGroup.recall,
+    products: stockLines(batchGroup).map(({ product, variant, line }) => ({
+      productId: idOf(product.productId),
+      productName: product.productId?.name,
+      variantId: variant?.variantId || null,
+      variantName: variant?.variantName,
+      manufacturingDate: line.manufacturingDate || batchGroup.defaultManufacturingDate,
+      expiryDate: line.expiryDate || batchGroup.defaultExpiryDate,
+      received: line.quantity || 0,
+      available: line.availableQuantity || 0,
+      reserved: line.reservedQuantity || 0,
+      allocated: line.allocatedQuantity || 0,
+      used: line.usedQuantity || 0
+    })),
+    relatedBatchGroups: related.map(group => ({
+      _id: group._id,
+      batchGroupNumber: group.batchGroupNumber,
+      status: group.status,
+      warehouse: group.warehouseId,
+      transferredFrom: group.transferredFrom,
+      units: unitTotals(group)
+    })),
+    transfersInTransit,
+    orders: affectedOrders,
+    summary
+  };
+};
+
+export default {
+  RECALL_CLASSIFICATIONS,
+  recallBatchGroup,
+  resumeRecall,
+  getRecallReport
+};
@@ -263,34 +263,77 @@ export const updateExpiredBatches = async () => {
 };
 
 // Deallocate batch quantities (for cancelled orders)
-export const deallocateBatchQuantities = async (orderId) => {
+// Pass items ([{ productId, variantId, quantity }]) to release only part of the order (item-level cancellation)
+export const deallocateBatchQuantities = async (orderId, items = null) => {
   try {
     // Convert orderId to ObjectId if it's a string
     const orderObjectId = typeof orderId === 'string' ? new mongoose.Types.ObjectId(orderId) : orderId;
-    
-    const batches = await Batch.find({
-      'orderAllocations.orderId': orderObjectId,
-      'orderAllocations.status': 'Allocated'
-    });
+    const released = [];
 
-    for (const batch of batches) {
-      const allocation = batch.orderAllocations.find(
-        alloc => alloc.orderId.toString() === orderObjectId.toString() && alloc.status === 'Allocated'
-      );
+    if (!items) {
+      const batches = await Batch.find({
+        'orderAllocations.orderId': orderObjectId,
+        'orderAllocations.status': 'Allocated'
+      });
+
+      for (const batch of batches) {
+        const allocation = batch.orderAllocations.find(
+          alloc => alloc.orderId.toString() === orderObjectId.toString() && alloc.status === 'Allocated'
+        );
+
+        if (allocation) {
+          // Move quantity back to available
+          batch.availableQuantity += allocation.quantityAllocated;
+          batch.allocatedQuantity -= allocation.quantityAllocated;
+          
+          // Update allocation status
+          allocation.status = 'Cancelled';
+          
+          await batch.save();
+
+          released.push({ batchId: batch._id, productId: batch.productId, variantId: batch.variantId, quantity: allocation.quantityAllocated });
+        }
+      }
+
+      console.log(`[BATCH SERVICE] Deallocated batches for cancelled order ${orderId}`);
+      return { released };
+    }
+
+    for (const item of items) {
+      let remaining = item.quantity;
+
+      // Give back the latest-expiring units first so the order keeps its FEFO picks
+      const batches = await Batch.find({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        orderAllocations: { $elemMatch: { orderId: orderObjectId, status: 'Allocated' } }
+      }).sort({ expiryDate: -1, createdAt: -1 });
+
+      for (const batch of batches) {
+        if (remaining <= 0) break;
+
+        const allocation = batch.orderAllocations.find(
+          alloc => alloc.orderId.toString() === orderObjectId.toString() && alloc.status === 'Allocated'
+        );
+        if (!allocation) continue;
+
+        const releaseQty = Math.min(remaining, allocation.quantityAllocated);
+        batch.availableQuantity += releaseQty;
+        batch.allocatedQuantity -= releaseQty;
+        allocation.quantityAllocated -= releaseQty;
+        if (allocation.quantityAllocated === 0) {
+          allocation.status = 'Cancelled';
+        }
 
-      if (allocation) {
-        // Move quantity back to available
-        batch.availableQuantity += allocation.quantityAllocated;
-        batch.allocatedQuantity -= allocation.quantityAllocated;
-        
-        // Update allocation status
-        allocation.status = 'Cancelled';
-        
         await batch.save();
+
+        released.push({ batchId: batch._id, productId: batch.productId, variantId: batch.variantId, quantity: releaseQty });
+        remaining -= releaseQty;
       }
     }
 
-    console.log(`[BATCH SERVICE] Deallocated batches for cancelled order ${orderId}`);
+    console.log(`[BATCH SERVICE] Deallocated ${released.length} batch line(s) for items of order ${orderId}`);
+    return { released };
   } catch (error) {
     console.error('[BATCH SERVICE] Error deallocating batches:', error);
     throw error;
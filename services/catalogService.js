@@ -0,0 +1,237 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import batchGroupStockService from './batchGroupStockService.js';
+
+/**
+ * Catalog Service
+ * Product listing with text search, filters, sorting, cursor pagination and facet counts
+ */
+
+export const CATALOG_CONSTANTS = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+  PRICE_BUCKETS: [0, 100, 250, 500, 1000, 2500]
+};
+
+// Sort key each option orders by; ties are broken by _id so cursors stay stable
+const SORT_OPTIONS = {
+  relevance: { field: '_textScore', direction: -1 },
+  'price-asc': { field: 'minPrice', direction: 1 },
+  'price-desc': { field: 'minPrice', direction: -1 },
+  popular: { field: 'purchaseCount', direction: -1 },
+  'most-viewed': { field: 'viewCount', direction: -1 },
+  rating: { field: 'averageRating', direction: -1 },
+  newest: { field: 'createdAt', direction: -1 }
+};
+
+export const SORT_KEYS = Object.keys(SORT_OPTIONS);
+
+// Opaque cursor: base64 of the last row's sort value and id
+export const encodeCursor = (sortValue, id) => {
+  const value = sortValue instanceof Date ? { date: sortValue.toISOString() } : sortValue;
+  return Buffer.from(JSON.stringify({ v: value, id: id.toString() })).toString('base64url');
+};
+
+export const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const value = v && typeof v === 'object' && v.date ? new Date(v.date) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (_err) {
+    return null;
+  }
+};
+
+// Effective selling prices: variant prices for variant products, base price otherwise
+const effectivePricesExpr = {
+  $cond: [
+    { $and: ['$hasVariants', { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] }] },
+    '$variants.price',
+    ['$price']
+  ]
+};
+
+// True when any effective price falls inside [minPrice, maxPrice]
+const buildPriceMatch = (minPrice, maxPrice) => {
+  if (minPrice == null && maxPrice == null) return null;
+
+  const conditions = [];
+  if (minPrice != null) conditions.push({ $gte: ['$$p', minPrice] });
+  if (maxPrice != null) conditions.push({ $lte: ['$$p', maxPrice] });
+
+  return {
+    $expr: {
+      $anyElementTrue: [{
+        $map: { input: '$_prices', as: 'p', in: { $and: conditions } }
+      }]
+    }
+  };
+};
+
+const buildCategoryMatch = (categories) => {
+  if (!categories || categories.length === 0) return null;
+  return {
+    category: {
+      $in: categories.map(c => new RegExp(`^${c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'))
+    }
+  };
+};
+
+const buildCursorMatch = (cursor, { field, direction }) => {
+  if (!cursor) return null;
+  const comparator = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [comparator]: cursor.value } },
+      { [field]: cursor.value, _id: { $gt: cursor.id } }
+    ]
+  };
+};
+
+const toMatchStages = (...matches) => matches.filter(Boolean).map(match => ({ $match: match }));
+
+const formatPriceBuckets = (buckets) => {
+  const boundaries = CATALOG_CONSTANTS.PRICE_BUCKETS;
+  const upper = boundaries[boundaries.length - 1];
+
+  return buckets.map(bucket => {
+    if (bucket._id === 'other') {
+      return { label: `${upper}+`, min: upper, max: null, count: bucket.count };
+    }
+    const index = boundaries.indexOf(bucket._id);
+    return {
+      label: `${bucket._id}-${boundaries[index + 1]}`,
+      min: bucket._id,
+      max: boundaries[index + 1],
+      count: bucket.count
+    };
+  });
+};
+
+/**
+ * Search and list catalog products
+ * @param {object} params
+ * @param {string} [params.search] - Full-text query over name, description and category
+ * @param {Array<string>} [params.categories] - Category names (case-insensitive)
+ * @param {number} [params.minPrice] - Lower bound on any effective (variant) price
+ * @param {number} [params.maxPrice] - Upper bound on any effective (variant) price
+ * @param {boolean} [params.inStock] - Only products with available batch stock
+ * @param {string} [params.sort] - One of SORT_KEYS
+ * @param {number} [params.limit] - Page size
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @returns {object} - { products, pagination, facets }
+ */
+export const searchProducts = async ({
+  search,
+  categories = [],
+  minPrice,
+  maxPrice,
+  inStock = false,
+  sort,
+  limit = CATALOG_CONSTANTS.DEFAULT_LIMIT,
+  cursor
+} = {}) => {
+  const searchText = typeof search === 'string' ? search.trim() : '';
+  const sortKey = SORT_OPTIONS[sort] ? sort : (searchText ? 'relevance' : 'newest');
+  // Relevance only means something for a text query
+  const sortOption = sortKey === 'relevance' && !searchText ? SORT_OPTIONS.newest : SORT_OPTIONS[sortKey];
+
+  const decodedCursor = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !decodedCursor) {
+    const error = new Error('Invalid cursor');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const pipeline = [];
+  if (searchText) {
+    pipeline.push({ $match: { $text: { $search: searchText } } });
+  }
+
+  if (inStock) {
+    const inStockIds = await batchGroupStockService.getInStockProductIds();
+    pipeline.push({ $match: { _id: { $in: inStockIds } } });
+  }
+
+  pipeline.push({
+    $addFields: {
+      _prices: effectivePricesExpr,
+      _textScore: searchText ? { $meta: 'textScore' } : 0,
+      averageRating: { $ifNull: [{ $avg: '$reviews.rating' }, 0] },
+      reviewCount: { $size: { $ifNull: ['$reviews', []] } }
+    }
+  });
+  pipeline.push({
+    $addFields: {
+      minPrice: { $min: '$_prices' },
+      maxPrice: { $max: '$_prices' }
+    }
+  });
+
+  const categoryMatch = buildCategoryMatch(categories);
+  const priceMatch = buildPriceMatch(minPrice, maxPrice);
+  const cursorMatch = buildCursorMatch(decodedCursor, sortOption);
+
+  // Each facet ignores its own filter so the storefront can show the alternatives
+  pipeline.push({
+    $facet: {
+      results: [
+        ...toMatchStages(categoryMatch, priceMatch, cursorMatch),
+        { $sort: { [sortOption.field]: sortOption.direction, _id: 1 } },
+        { $limit: limit + 1 }
+      ],
+      total: [
+        ...toMatchStages(categoryMatch, priceMatch),
+        { $count: 'count' }
+      ],
+      categories: [
+        ...toMatchStages(priceMatch),
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      priceBuckets: [
+        ...toMatchStages(categoryMatch),
+        {
+          $bucket: {
+            groupBy: '$minPrice',
+            boundaries: CATALOG_CONSTANTS.PRICE_BUCKETS,
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ]
+    }
+  });
+
+  const [result] = await Product.aggregate(pipeline);
+
+  const hasMore = result.results.length > limit;
+  const page = hasMore ? result.results.slice(0, limit) : result.results;
+  const last = page[page.length - 1];
+
+  const products = page.map(({ _prices, _textScore, ...product }) => product);
+
+  return {
+    products,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore && last ? encodeCursor(last[sortOption.field], last._id) : null,
+      total: result.total[0]?.count || 0,
+      sort: sortKey
+    },
+    facets: {
+      categories: result.categories.map(c => ({ category: c._id, count: c.count })),
+      priceBuckets: formatPriceBuckets(result.priceBuckets)
+    }
+  };
+};
+
+export default {
+  CATALOG_CONSTANTS,
+  SORT_KEYS,
+  encodeCursor,
+  decodeCursor,
+  searchProducts
+};
@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import CouponCampaign from '../models/CouponCampaign.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import User from '../models/User.js';
+
+/**
+ * Coupon Campaign Service
+ * Generates bulk single-use codes from a campaign template, tracks distribution
+ * and rolls redemptions up to campaign level
+ */
+
+export const CAMPAIGN_CONSTANTS = {
+  MAX_CODES_PER_REQUEST: 20000,
+  INSERT_CHUNK_SIZE: 1000,
+  MAX_GENERATION_ATTEMPTS: 5,
+  // No 0/O or 1/I/L so codes survive being read out over SMS/WhatsApp
+  CODE_ALPHABET: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+};
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Random code body from the unambiguous alphabet
+export const generateCodeBody = (length) => {
+  const alphabet = CAMPAIGN_CONSTANTS.CODE_ALPHABET;
+  const bytes = crypto.randomBytes(length);
+  let body = '';
+  for (let i = 0; i < length; i++) {
+    body += alphabet[bytes[i] % alphabet.length];
+  }
+  return body;
+};
+
+// Coupon fields every code in the campaign shares
+const buildCouponFromTemplate = (campaign, code) => ({
+  code,
+  description: campaign.description || campaign.name,
+  type: campaign.template.type,
+  amount: campaign.template.amount,
+  expiry: campaign.template.expiry || null,
+  minOrder: campaign.template.minOrder || 0,
+  maxDiscount: campaign.template.maxDiscount || null,
+  usageLimit: 1,
+  perUserLimit: 1,
+  active: campaign.status === 'active',
+  applicableCategories: campaign.template.applicableCategories || [],
+  applicableProducts: campaign.template.applicableProducts || [],
+  applicableComboPacks: campaign.template.applicableComboPacks || [],
+  firstOrderOnly: campaign.template.firstOrderOnly,
+  referredUsersOnly: campaign.template.referredUsersOnly,
+  stackableWithCoins: campaign.template.stackableWithCoins,
+  campaignId: campaign._id
+});
+
+/**
+ * Generate unique codes for a campaign
+ * @param {object} campaign - CouponCampaign document
+ * @param {number} count - Number of codes to add
+ * @returns {object} - { generated, codes }
+ */
+export const generateCampaignCodes = async (campaign, count) => {
+  const prefix = campaign.template.prefix;
+  const length = campaign.template.codeLength || 8;
+  const created = [];
+  let remaining = count;
+  let attempts = 0;
+
+  while (remaining > 0 && attempts < CAMPAIGN_CONSTANTS.MAX_GENERATION_ATTEMPTS) {
+    attempts++;
+
+    // Unique within this batch first, then let the unique index reject clashes with existing codes
+    const batch = new Set();
+    while (batch.size < remaining) {
+      batch.add(`${prefix}${generateCodeBody(length)}`);
+    }
+    const codes = [...batch];
+
+    for (let i = 0; i < codes.length; i += CAMPAIGN_CONSTANTS.INSERT_CHUNK_SIZE) {
+      const chunk = codes
+        .slice(i, i + CAMPAIGN_CONSTANTS.INSERT_CHUNK_SIZE)
+        .map(code => buildCouponFromTemplate(campaign, code));
+
+      try {
+        const inserted = await Coupon.insertMany(chunk, { ordered: false });
+        created.push(...inserted.map(c => c.code));
+      } catch (error) {
+        // Duplicate keys are skipped; everything else is a real failure
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+        const insertedDocs = error.insertedDocs || [];
+        created.push(...insertedDocs.map(c => c.code));
+        console.warn(`[COUPON CAMPAIGN] ${chunk.length - insertedDocs.length} duplicate code(s) skipped, retrying`);
+      }
+    }
+
+    remaining = count - created.length;
+  }
+
+  campaign.totalCodes += created.length;
+  await campaign.save();
+
+  console.log(`[COUPON CAMPAIGN] Generated ${created.length}/${count} codes for campaign ${campaign._id}`);
+
+  return { generated: created.length, requested: count, codes: created };
+};
+
+// Create a campaign and its first batch of codes
+export const createCampaign = async ({ name, description, template, channel, count }, createdBy) => {
+  const campaign = await CouponCampaign.create({
+    name,
+    description,
+    template,
+    channel,
+    createdBy
+  });
+
+  const generation = await generateCampaignCodes(campaign, count);
+  return { campaign, generation };
+};
+
+/**
+ * Assign unsent codes to users and record the channel they were sent through
+ * @param {object} campaign - CouponCampaign document
+ * @param {Array<string>} userIds - Recipients (users that already hold a code are skipped)
+ * @param {object} options - { channel, sentBy }
+ * @returns {object} - { assigned, skippedUsers, shortfall }
+ */
+export const assignCodesToUsers = async (campaign, userIds, { channel, sentBy } = {}) => {
+  const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+
+  const users = await User.find({ _id: { $in: uniqueIds } }).select('_id');
+  const existingIds = new Set(users.map(u => u._id.toString()));
+
+  const alreadyAssigned = await Coupon.find({
+    campaignId: campaign._id,
+    assignedTo: { $in: uniqueIds }
+  }).select('assignedTo');
+  const assignedIds = new Set(alreadyAssigned.map(c => c.assignedTo.toString()));
+
+  const recipients = uniqueIds.filter(id => existingIds.has(id) && !assignedIds.has(id));
+  const skippedUsers = uniqueIds.filter(id => !recipients.includes(id));
+
+  const freeCodes = await Coupon.find({
+    campaignId: campaign._id,
+    assignedTo: null,
+    usedCount: 0
+  }).select('_id code').limit(recipients.length);
+
+  const sentAt = new Date();
+  const assignments = [];
+  const operations = freeCodes.map((coupon, index) => {
+    assignments.push({ userId: recipients[index], code: coupon.code });
+    return {
+      updateOne: {
+        filter: { _id: coupon._id, assignedTo: null },
+        update: {
+          $set: {
+            assignedTo: recipients[index],
+            distribution: { channel: channel || campaign.channel, sentAt, sentBy }
+          }
+        }
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await Coupon.bulkWrite(operations, { ordered: false });
+  }
+
+  return {
+    assigned: assignments.length,
+    assignments,
+    skippedUsers,
+    shortfall: recipients.length - assignments.length
+  };
+};
+
+// Campaign-level roll-up of generated, sent and redeemed codes
+export const getCampaignStats = async (campaignId) => {
+  const campaignObjectId = typeof campaignId === 'string' ? new mongoose.Types.ObjectId(campaignId) : campaignId;
+
+  const [codeStats] = await Coupon.aggregate([
+    { $match: { campaignId: campaignObjectId } },
+    {
+      $group: {
+        _id: null,
+        totalCodes: { $sum: 1 },
+        assignedCodes: { $sum: { $cond: [{ $ifNull: ['$assignedTo', false] }, 1, 0] } },
+        redeemedCodes: { $sum: { $cond: [{ $gt: ['$usedCount', 0] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  // Start from the campaign's codes so the ledger is read through its couponId index
+  const codeIds = await Coupon.distinct('_id', { campaignId: campaignObjectId });
+  const [redemptionStats] = await CouponRedemption.aggregate([
+    { $match: { couponId: { $in: codeIds }, status: 'applied' } },
+    {
+      $group: {
+        _id: null,
+        redemptions: { $sum: 1 },
+        uniqueUsers: { $addToSet: '$userId' },
+        totalDiscount: { $sum: '$discountAmount' },
+        grossRevenue: { $sum: '$orderTotal' }
+      }
+    }
+  ]);
+
+  const totalCodes = codeStats?.totalCodes || 0;
+  const assignedCodes = codeStats?.assignedCodes || 0;
+  const redemptions = redemptionStats?.redemptions || 0;
+
+  return {
+    totalCodes,
+    assignedCodes,
+    unassignedCodes: totalCodes - assignedCodes,
+    redeemedCodes: codeStats?.redeemedCodes || 0,
+    redemptions,
+    uniqueCustomers: redemptionStats?.uniqueUsers.length || 0,
+    totalDiscount: roundAmount(redemptionStats?.totalDiscount),
+    grossRevenue: roundAmount(redemptionStats?.grossRevenue),
+    redemptionRate: assignedCodes > 0 ? roundAmount((redemptions / assignedCodes) * 100) : 0
+  };
+};
+
+// Rows for the campaign CSV export
+export const getCampaignExportRows = async (campaignId) => {
+  const coupons = await Coupon.find({ campaignId })
+    .populate('assignedTo', 'name phone email')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const redemptions = await CouponRedemption.find({
+    couponId: { $in: coupons.map(c => c._id) },
+    status: 'applied'
+  }).lean();
+  const redemptionByCoupon = new Map(redemptions.map(r => [r.couponId.toString(), r]));
+
+  return coupons.map(coupon => {
+    const redemption = redemptionByCoupon.get(coupon._id.toString());
+    return {
+      code: coupon.code,
+      type: coupon.type,
+      amount: coupon.amount,
+      expiry: coupon.expiry,
+      active: coupon.active,
+      assignedUserId: coupon.assignedTo?._id,
+      assignedUserName: coupon.assignedTo?.name,
+      assignedUserPhone: coupon.assignedTo?.phone,
+      assignedUserEmail: coupon.assignedTo?.email,
+      channel: coupon.distribution?.channel,
+      sentAt: coupon.distribution?.sentAt,
+      redeemed: redemption ? 'yes' : 'no',
+      redeemedAt: redemption?.createdAt,
+      orderId: redemption?.orderId,
+      discountAmount: redemption?.discountAmount
+    };
+  });
+};
+
+// Pause/resume/end a campaign; codes follow the campaign's active flag
+export const updateCampaignStatus = async (campaign, status) => {
+  campaign.status = status;
+  await campaign.save();
+
+  const result = await Coupon.updateMany(
+    { campaignId: campaign._id },
+    { $set: { active: status === 'active' } }
+  );
+
+  return { campaign, updatedCodes: result.modifiedCount };
+};
+
+export default {
+  CAMPAIGN_CONSTANTS,
+  generateCodeBody,
+  generateCampaignCodes,
+  createCampaign,
+  assignCodesToUsers,
+  getCampaignStats,
+  getCampaignExportRows,
+  updateCampaignStatus
+};
@@ -0,0 +1,332 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+
+/**
+ * Coupon Service
+ * Single place for coupon eligibility, discount calculation and the redemption ledger,
+ * shared by couponController.validateCoupon and order placement
+ */
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Find a coupon by ObjectId or by code
+export const resolveCoupon = async (couponRef, session = null) => {
+  if (!couponRef) return null;
+
+  if (typeof couponRef === 'object' && couponRef._id) {
+    couponRef = couponRef._id.toString();
+  }
+
+  if (mongoose.Types.ObjectId.isValid(couponRef) && String(couponRef).length === 24) {
+    const byId = await Coupon.findById(couponRef).session(session);
+    if (byId) return byId;
+  }
+
+  return Coupon.findOne({ code: String(couponRef).trim().toUpperCase() }).session(session);
+};
+
+// Whether a priced cart line falls inside the coupon's scope
+export const isItemInScope = (coupon, item) => {
+  if (!coupon.isScoped()) return true;
+
+  const itemId = item.id?.toString();
+  if (item.itemType === 'combo') {
+    if (coupon.applicableComboPacks.some(id => id.toString() === itemId)) return true;
+  } else if (coupon.applicableProducts.some(id => id.toString() === itemId)) {
+    return true;
+  }
+
+  return Boolean(item.category) && coupon.applicableCategories
+    .some(category => category.toLowerCase() === item.category.toLowerCase());
+};
+
+// Sum of line totals the coupon applies to
+export const calculateEligibleSubtotal = (coupon, items = []) => {
+  return roundAmount(items
+    .filter(item => isItemInScope(coupon, item))
+    .reduce((sum, item) => sum + (item.lineTotal ?? item.price * item.qty), 0));
+};
+
+/**
+ * Check every coupon rule for a user and cart, and compute the discount
+ * @param {object} params
+ * @param {object} params.coupon - Coupon document
+ * @param {string} [params.userId] - Redeeming user (user-level rules are skipped without it)
+ * @param {Array} [params.items] - Priced cart lines (from pricingService.priceOrderItems)
+ * @param {number} params.subtotal - Cart subtotal
+ * @param {number} [params.coinsUsed] - Coins the user wants to redeem on the same order
+ * @returns {object} - { isValid, errors, discountAmount, eligibleSubtotal, eligibleItemsOnly }; a
+ *   scoped coupon checked without items has no amount (null) and eligibleItemsOnly set
+ */
+export const evaluateCoupon = async ({ coupon, userId = null, items = null, subtotal, coinsUsed = 0, session = null, now = new Date() }) => {
+  const invalid = (errors) => ({ isValid: false, errors, discountAmount: 0, eligibleSubtotal: 0 });
+
+  if (!coupon) {
+    return invalid(['Invalid coupon']);
+  }
+
+  const errors = [];
+
+  if (!coupon.active) {
+    errors.push('Coupon is not active');
+  }
+  if (coupon.expiry && new Date(coupon.expiry) < now) {
+    errors.push('Coupon has expired');
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    errors.push('Coupon usage limit reached');
+  }
+  if (coupon.minOrder && subtotal < coupon.minOrder) {
+    errors.push(`Minimum order of ₹${coupon.minOrder} required for this coupon`);
+  }
+  if (!coupon.stackableWithCoins && coinsUsed > 0) {
+    errors.push('This coupon cannot be combined with coin redemption');
+  }
+
+  // Scope: without cart lines we can only trust the subtotal for unscoped coupons
+  let eligibleSubtotal = subtotal;
+  if (items) {
+    eligibleSubtotal = calculateEligibleSubtotal(coupon, items);
+    if (eligibleSubtotal <= 0) {
+      errors.push('Coupon is not applicable to any item in your cart');
+    }
+  } else if (coupon.isScoped()) {
+    eligibleSubtotal = null;
+  }
+
+  // User-level rules
+  if (userId) {
+    if (coupon.perUserLimit != null) {
+      const userRedemptions = await CouponRedemption.countDocuments({
+        couponId: coupon._id,
+        userId,
+        status: 'applied'
+      }).session(session);
+      if (userRedemptions >= coupon.perUserLimit) {
+        errors.push(`You have already used this coupon ${userRedemptions} time(s)`);
+      }
+    }
+
+    if (coupon.firstOrderOnly) {
+      const previousOrders = await Order.countDocuments({
+        userId,
+        status: { $ne: 'Cancelled' }
+      }).session(session);
+      if (previousOrders > 0) {
+        errors.push('This coupon is valid on your first order only');
+      }
+    }
+
+    if (coupon.referredUsersOnly) {
+      const user = await User.findById(userId).select('referredBy').session(session);
+      if (!user?.referredBy) {
+        errors.push('This coupon is only for customers who joined through a referral');
+      }
+    }
+  } else if (coupon.perUserLimit != null || coupon.firstOrderOnly || coupon.referredUsersOnly) {
+    errors.push('Please log in to use this coupon');
+  }
+
+  if (errors.length > 0) {
+    return invalid(errors);
+  }
+  if (eligibleSubtotal === null) {
+    return { isValid: true, errors: [], discountAmount: null, eligibleSubtotal: null, eligibleItemsOnly: true };
+  }
+
+  return { isValid: true, errors: [], discountAmount: calculateDiscount(coupon, eligibleSubtotal), eligibleSubtotal };
+};
+
+// Discount a coupon gives on its eligible subtotal
+const calculateDiscount = (coupon, eligibleSubtotal) => {
+  let discountAmount = coupon.type === 'percent'
+    ? (eligibleSubtotal * coupon.amount) / 100
+    : coupon.amount;
+
+  if (coupon.maxDiscount) {
+    discountAmount = Math.min(discountAmount, coupon.maxDiscount);
+  }
+  return roundAmount(Math.min(discountAmount, eligibleSubtotal));
+};
+
+/**
+ * Re-check a coupon already redeemed on an order whose items changed
+ * Only the cart rules (minimum order and scope) are checked again; activity, expiry,
+ * usage and user rules were met when the order was placed and still hold for it.
+ * @param {object} params - { coupon, items, subtotal }
+ * @returns {object} - { isValid, errors, discountAmount, eligibleSubtotal }
+ */
+export const evaluateCouponForEdit = ({ coupon, items, subtotal }) => {
+  const errors = [];
+
+  if (coupon.minOrder && subtotal < coupon.minOrder) {
+    errors.push(`Minimum order of ₹${coupon.minOrder} required for this coupon`);
+  }
+  const eligibleSubtotal = calculateEligibleSubtotal(coupon, items);
+  if (eligibleSubtotal <= 0) {
+    errors.push('Coupon is not applicable to any remaining item');
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, discountAmount: 0, eligibleSubtotal: 0 };
+  }
+  return { isValid: true, errors: [], discountAmount: calculateDiscount(coupon, eligibleSubtotal), eligibleSubtotal };
+};
+
+// Write the ledger entry for an order that used a coupon
+export const recordRedemption = async ({ coupon, userId, order, eligibleSubtotal }, session = null) => {
+  const [redemption] = await CouponRedemption.create([{
+    couponId: coupon.id || coupon._id,
+    code: coupon.code,
+    userId,
+    orderId: order._id,
+    discountAmount: order.couponDiscount,
+    orderSubtotal: order.subtotal,
+    eligibleSubtotal,
+    orderTotal: order.totalAmount
+  }], { session });
+
+  return redemption;
+};
+
+// Bring an order's redemption ledger entry in line with its edited totals
+export const updateRedemptionAmounts = async (orderId, { discountAmount, orderSubtotal, eligibleSubtotal, orderTotal }) => {
+  return CouponRedemption.findOneAndUpdate(
+    { orderId, status: 'applied' },
+    { $set: { discountAmount, orderSubtotal, eligibleSubtotal, orderTotal } },
+    { new: true }
+  );
+};
+
+// Reverse an order's redemption (cancellation) and give the usage back to the coupon
+export const reverseRedemption = async (orderId, reason = 'Order cancelled') => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { orderId, status: 'applied' },
+    { status: 'reversed', reversedAt: new Date(), reversalReason: reason },
+    { new: true }
+  );
+
+  if (!redemption) return null;
+
+  await Coupon.updateOne(
+    { _id: redemption.couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+
+  console.log(`[COUPON SERVICE] Reversed redemption of ${redemption.code} for order ${orderId}`);
+  return redemption;
+};
+
+// Paginated redemption history for one coupon
+export const getRedemptionHistory = async (couponId, { page = 1, limit = 20, status } = {}) => {
+  const query = { couponId };
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+  const [redemptions, total] = await Promise.all([
+    CouponRedemption.find(query)
+      .populate('userId', 'name email phone')
+      .populate('orderId', 'status paymentStatus totalAmount placedAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    CouponRedemption.countDocuments(query)
+  ]);
+
+  return {
+    redemptions,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    }
+  };
+};
+
+// Revenue impact of a coupon from its applied redemptions
+export const getCouponImpact = async (couponId) => {
+  const couponObjectId = typeof couponId === 'string' ? new mongoose.Types.ObjectId(couponId) : couponId;
+
+  const [summary] = await CouponRedemption.aggregate([
+    { $match: { couponId: couponObjectId, status: 'applied' } },
+    {
+      $lookup: {
+        from: 'orders',
+        localField: 'orderId',
+        foreignField: '_id',
+        as: 'order'
+      }
+    },
+    { $unwind: { path: '$order', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: null,
+        redemptions: { $sum: 1 },
+        uniqueUsers: { $addToSet: '$userId' },
+        totalDiscount: { $sum: '$discountAmount' },
+        grossRevenue: { $sum: '$orderTotal' },
+        deliveredRevenue: {
+          $sum: { $cond: [{ $eq: ['$order.status', 'Delivered'] }, '$orderTotal', 0] }
+        },
+        deliveredOrders: {
+          $sum: { $cond: [{ $eq: ['$order.status', 'Delivered'] }, 1, 0] }
+        },
+        firstRedeemedAt: { $min: '$createdAt' },
+        lastRedeemedAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  const reversed = await CouponRedemption.countDocuments({ couponId: couponObjectId, status: 'reversed' });
+
+  if (!summary) {
+    return {
+      redemptions: 0,
+      reversedRedemptions: reversed,
+      uniqueUsers: 0,
+      totalDiscount: 0,
+      grossRevenue: 0,
+      deliveredRevenue: 0,
+      deliveredOrders: 0,
+      averageOrderValue: 0,
+      averageDiscount: 0,
+      discountToRevenueRatio: 0,
+      firstRedeemedAt: null,
+      lastRedeemedAt: null
+    };
+  }
+
+  return {
+    redemptions: summary.redemptions,
+    reversedRedemptions: reversed,
+    uniqueUsers: summary.uniqueUsers.length,
+    totalDiscount: roundAmount(summary.totalDiscount),
+    grossRevenue: roundAmount(summary.grossRevenue),
+    deliveredRevenue: roundAmount(summary.deliveredRevenue),
+    deliveredOrders: summary.deliveredOrders,
+    averageOrderValue: roundAmount(summary.grossRevenue / summary.redemptions),
+    averageDiscount: roundAmount(summary.totalDiscount / summary.redemptions),
+    discountToRevenueRatio: summary.grossRevenue > 0
+      ? roundAmount((summary.totalDiscount / summary.grossRevenue) * 100)
+      : 0,
+    firstRedeemedAt: summary.firstRedeemedAt,
+    lastRedeemedAt: summary.lastRedeemedAt
+  };
+};
+
+export default {
+  resolveCoupon,
+  isItemInScope,
+  calculateEligibleSubtotal,
+  evaluateCoupon,
+  evaluateCouponForEdit,
+  recordRedemption,
+  updateRedemptionAmounts,
+  reverseRedemption,
+  getRedemptionHistory,
+  getCouponImpact
+};
@@ -0,0 +1,64 @@
+/**
+ * Geocoding Service
+ * Turns a saved address into coordinates for delivery routing.
+ * Provider is picked with GEOCODING_PROVIDER (google | nominatim | none); a failed lookup
+ * never blocks saving an address, it just leaves the coordinates empty.
+ */
+import axios from 'axios';
+
+const PROVIDER = (process.env.GEOCODING_PROVIDER || (process.env.GOOGLE_MAPS_API_KEY ? 'google' : 'none')).toLowerCase();
+const GOOGLE_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+const NOMINATIM_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org/search';
+const TIMEOUT_MS = 5000;
+
+const geocodeWithGoogle = async (text) => {
+  const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+    params: { address: text, region: 'in', key: GOOGLE_API_KEY },
+    timeout: TIMEOUT_MS
+  });
+  const result = response.data?.results?.[0];
+  if (response.data?.status !== 'OK' || !result) return null;
+  return { lat: result.geometry.location.lat, lng: result.geometry.location.lng };
+};
+
+const geocodeWithNominatim = async (text) => {
+  const response = await axios.get(NOMINATIM_URL, {
+    params: { q: text, format: 'json', limit: 1, countrycodes: 'in' },
+    headers: { 'User-Agent': process.env.NOMINATIM_USER_AGENT || 'ecommerce-backend' },
+    timeout: TIMEOUT_MS
+  });
+  const result = response.data?.[0];
+  if (!result) return null;
+  return { lat: Number(result.lat), lng: Number(result.lon) };
+};
+
+/**
+ * Geocode an address
+ * @param {string} text - Full address text
+ * @returns {Promise<Object|null>} { lat, lng } or null when not configured or not found
+ */
+export const geocodeAddress = async (text) => {
+  if (!text || PROVIDER === 'none') return null;
+
+  try {
+    if (PROVIDER === 'google') {
+      if (!GOOGLE_API_KEY) return null;
+      return await geocodeWithGoogle(text);
+    }
+    if (PROVIDER === 'nominatim') {
+      return await geocodeWithNominatim(text);
+    }
+    console.warn(`[Geocoding] Unknown provider "${PROVIDER}"`);
+    return null;
+  } catch (error) {
+    console.error('[Geocoding] Lookup failed:', error.message);
+    return null;
+  }
+};
+
+export const isGeocodingEnabled = () => PROVIDER !== 'none' && (PROVIDER !== 'google' || Boolean(GOOGLE_API_KEY));
+
+export default {
+  geocodeAddress,
+  isGeocodingEnabled
+};
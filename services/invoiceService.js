@@ -0,0 +1,405 @@
+import Invoice from '../models/Invoice.js';
+import DocumentSequence from '../models/DocumentSequence.js';
+import Order from '../models/Order.js';
+import Return from '../models/Return.js';
+import Product from '../models/Product.js';
+import ComboPack from '../models/ComboPack.js';
+import { renderTaxDocumentPdf } from '../utils/invoicePdf.js';
+import {
+  resolveState,
+  findStateInAddress,
+  getFinancialYear,
+  splitInclusiveTax
+} from '../utils/gstUtils.js';
+
+/**
+ * Invoice Service
+ * GST tax invoices (issued when an order is delivered) and credit notes (issued when a
+ * return's refund is processed). Documents are numbered per financial year and store a
+ * snapshot of every printed value, so the PDF renders the same whenever it is downloaded.
+ */
+
+export const INVOICE_CONSTANTS = {
+  INVOICE_PREFIX: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+  CREDIT_NOTE_PREFIX: process.env.CREDIT_NOTE_NUMBER_PREFIX || 'CN',
+  DEFAULT_GST_RATE: Number(process.env.INVOICE_DEFAULT_GST_RATE ?? 5),
+  SHIPPING_SAC: '996812' // Courier services
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const getSeller = () => {
+  const state = resolveState(process.env.INVOICE_SELLER_STATE || 'Andhra Pradesh');
+  return {
+    name: process.env.INVOICE_SELLER_NAME || 'Indiraa Foods Pvt Ltd',
+    gstin: process.env.INVOICE_SELLER_GSTIN || '',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    phone: process.env.INVOICE_SELLER_PHONE || '',
+    stateCode: state?.code,
+    stateName: state?.name
+  };
+};
+
+// A claimed document still without a number after this long was left by a request that died
+const CLAIM_STALE_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Next number in the series, e.g. INV/2627/000123; the counter is atomic so numbers never repeat
+const nextDocumentNumber = async (prefix, date) => {
+  const financialYear = getFinancialYear(date);
+  const series = `${prefix}/${financialYear.short}`;
+  const { seq } = await DocumentSequence.findOneAndUpdate(
+    { _id: series },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return { number: `${series}/${String(seq).padStart(6, '0')}`, financialYear: financialYear.label };
+};
+
+// Give a claimed document its number; the guard keeps a number that is already set
+const numberDocument = async (document, prefix) => {
+  const { number, financialYear } = await nextDocumentNumber(prefix, document.issuedAt);
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: document._id, number: null },
+    { $set: { number, financialYear } },
+    { new: true }
+  );
+  if (!numbered) return Invoice.findById(document._id);
+  console.log(`[INVOICE] Issued ${numbered.number} for ${numbered.returnId ? `return ${numbered.returnId}` : `order ${numbered.orderId}`}`);
+  return numbered;
+};
+
+// Wait for the request that claimed the document to number it, or finish a claim it abandoned
+const awaitNumber = async (document, prefix) => {
+  for (let attempt = 0; !document.number && attempt < 10; attempt++) {
+    if (Date.now() - document.issuedAt.getTime() > CLAIM_STALE_MS) {
+      return numberDocument(document, prefix);
+    }
+    await sleep(200);
+    document = await Invoice.findById(document._id);
+  }
+  if (!document.number) {
+    throw httpError('This document is being issued; try again shortly', 409);
+  }
+  return document;
+};
+
+/**
+ * Issue the one document for a key (an order's invoice, a return's credit note)
+ * The document is claimed by an upsert before it is numbered, and only the request whose
+ * upsert inserted it draws from the series, so a lost race or a failed insert never
+ * leaves a gap in the numbering.
+ * @param {object} key - { orderId, documentType } or { returnId, documentType }
+ * @param {Function} build - Resolves to the document's fields other than the key and number
+ * @param {string} prefix - Number series
+ * @returns {object} - The numbered document
+ */
+const issueDocument = async (key, build, prefix) => {
+  const existing = await Invoice.findOne(key);
+  if (existing) return existing.number ? existing : awaitNumber(existing, prefix);
+
+  const fields = await build();
+  try {
+    const claim = await Invoice.findOneAndUpdate(
+      key,
+      { $setOnInsert: fields },
+      { upsert: true, new: true, rawResult: true }
+    );
+    if (claim.lastErrorObject?.updatedExisting) {
+      return claim.value.number ? claim.value : awaitNumber(claim.value, prefix);
+    }
+    return numberDocument(claim.value, prefix);
+  } catch (error) {
+    // Claimed concurrently by another request
+    if (error.code === 11000) {
+      return awaitNumber(await Invoice.findOne(key), prefix);
+    }
+    throw error;
+  }
+};
+
+// Place of supply is the delivery state; without one the supply is treated as intra-state
+const getPlaceOfSupply = (order, seller) => {
+  const state = resolveState(order.shipping?.state) || findStateInAddress(order.shipping?.address);
+  return state || { code: seller.stateCode, name: seller.stateName };
+};
+
+// HSN and GST rate of each ordered product / combo pack, from the catalogue
+const loadTaxProfiles = async (items) => {
+  const productIds = items.filter(i => i.itemType !== 'combo').map(i => i.id);
+  const comboIds = items.filter(i => i.itemType === 'combo').map(i => i.id);
+  const [products, combos] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('hsnCode gstRate').lean(),
+    ComboPack.find({ _id: { $in: comboIds } }).select('hsnCode gstRate').lean()
+  ]);
+
+  const profiles = new Map();
+  for (const doc of [...products, ...combos]) {
+    profiles.set(doc._id.toString(), {
+      hsnCode: doc.hsnCode || '',
+      gstRate: doc.gstRate ?? INVOICE_CONSTANTS.DEFAULT_GST_RATE
+    });
+  }
+  return profiles;
+};
+
+/**
+ * Build tax lines from tax-inclusive amounts, spreading the discount in proportion to each line
+ * @param {Array} items - [{ itemId, variantId, description, hsnCode, gstRate, quantity, unitPrice }]
+ * @param {number} discount - Total discount to apportion
+ */
+const buildLines = (items, discount, interState) => {
+  const gross = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+  let remaining = round2(discount);
+
+  return items.map((item, index) => {
+    const lineGross = round2(item.unitPrice * item.quantity);
+    const lineDiscount = index === items.length - 1
+      ? remaining
+      : round2(gross > 0 ? discount * lineGross / gross : 0);
+    remaining = round2(remaining - lineDiscount);
+
+    const total = round2(Math.max(0, lineGross - lineDiscount));
+    return {
+      ...item,
+      discount: lineDiscount,
+      ...splitInclusiveTax(total, item.gstRate, interState),
+      total
+    };
+  });
+};
+
+const sumTotals = (lines, grandTotal) => {
+  const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, discount: 0 };
+  let lineTotal = 0;
+  for (const line of lines) {
+    totals.taxableValue += line.taxableValue;
+    totals.cgst += line.cgst;
+    totals.sgst += line.sgst;
+    totals.igst += line.igst;
+    totals.discount += line.discount || 0;
+    lineTotal += line.total;
+  }
+  for (const key of Object.keys(totals)) totals[key] = round2(totals[key]);
+
+  totals.totalTax = round2(totals.cgst + totals.sgst + totals.igst);
+  totals.grandTotal = round2(grandTotal);
+  totals.roundOff = round2(grandTotal - lineTotal);
+  return totals;
+};
+
+// Everything printed on a delivered order's invoice
+const buildInvoice = async (orderId) => {
+  const order = await Order.findById(orderId).populate('userId', 'name email phone');
+  if (!order) {
+    throw httpError('Order not found', 404);
+  }
+  if (order.status !== 'Delivered' && order.delivery?.status !== 'delivered') {
+    throw httpError('An invoice is issued once the order is delivered', 400);
+  }
+
+  const seller = getSeller();
+  const placeOfSupply = getPlaceOfSupply(order, seller);
+  const interState = Boolean(seller.stateCode) && placeOfSupply.code !== seller.stateCode;
+  const profiles = await loadTaxProfiles(order.items);
+
+  const items = order.items.map(item => {
+    const profile = profiles.get(item.id.toString()) || { hsnCode: '', gstRate: INVOICE_CONSTANTS.DEFAULT_GST_RATE };
+    return {
+      itemId: item.id,
+      variantId: item.variantId,
+      description: item.variantName ? `${item.name} (${item.variantName})` : item.name,
+      hsnCode: profile.hsnCode,
+      gstRate: profile.gstRate,
+      quantity: item.qty,
+      unitPrice: round2(item.price)
+    };
+  });
+
+  // Shipping follows the principal supply, so it takes the highest rate on the order
+  if (order.shippingFee > 0) {
+    items.push({
+      description: 'Shipping charges',
+      hsnCode: INVOICE_CONSTANTS.SHIPPING_SAC,
+      gstRate: Math.max(...items.map(i => i.gstRate), 0),
+      quantity: 1,
+      unitPrice: round2(order.shippingFee)
+    });
+  }
+
+  const discount = (order.couponDiscount || 0) + (order.coinDiscount?.amount || 0);
+  const lines = buildLines(items, discount, interState);
+  const issuedAt = new Date();
+
+  return {
+    financialYear: getFinancialYear(issuedAt).label,
+    issuedAt,
+    userId: order.userId._id,
+    seller,
+    buyer: {
+      name: order.shipping?.name || order.userId.name,
+      address: order.shipping?.address,
+      phone: order.shipping?.phone || order.userId.phone,
+      stateCode: placeOfSupply.code,
+      stateName: placeOfSupply.name
+    },
+    placeOfSupply,
+    interState,
+    lines,
+    totals: sumTotals(lines, order.totalAmount),
+    paymentMethod: order.paymentMethod
+  };
+};
+
+/**
+ * Issue the tax invoice of a delivered order (returns the existing one if already issued)
+ * @param {string} orderId
+ * @returns {object} - Invoice document
+ */
+export const ensureOrderInvoice = (orderId) =>
+  issueDocument({ orderId, documentType: 'invoice' }, () => buildInvoice(orderId), INVOICE_CONSTANTS.INVOICE_PREFIX);
+
+// Everything printed on a refunded return's credit note
+const buildCreditNote = async (returnId) => {
+  const returnRequest = await Return.findById(returnId);
+  if (!returnRequest) {
+    throw httpError('Return request not found', 404);
+  }
+  const refundAmount = returnRequest.refund?.processing?.finalAmount ?? returnRequest.refund?.adminDecision?.finalAmount;
+  if (!['refund_processed', 'completed'].includes(returnRequest.status) || !(refundAmount > 0)) {
+    throw httpError('A credit note is issued once a refund has been processed', 400);
+  }
+
+  const invoice = await ensureOrderInvoice(returnRequest.orderId);
+  const invoiceLine = (item) => invoice.lines.find(line =>
+    line.itemId?.toString() === item.productId?.toString() && (line.variantId || null) === (item.variantId || null)
+  ) || invoice.lines.find(line => line.itemId?.toString() === item.productId?.toString());
+
+  const items = returnRequest.items.map(item => {
+    const line = invoiceLine(item);
+    return {
+      itemId: item.productId,
+      variantId: item.variantId,
+      description: item.variantName ? `${item.productName} (${item.variantName})` : item.productName,
+      hsnCode: line?.hsnCode || '',
+      gstRate: line?.gstRate ?? INVOICE_CONSTANTS.DEFAULT_GST_RATE,
+      quantity: item.quantity,
+      unitPrice: round2(item.originalPrice)
+    };
+  });
+
+  // Deductions (pickup charge, damage...) reduce the credit, like a discount on the returned goods
+  const gross = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+  const lines = buildLines(items, Math.max(0, gross - refundAmount), invoice.interState);
+  const issuedAt = new Date();
+
+  return {
+    financialYear: getFinancialYear(issuedAt).label,
+    issuedAt,
+    orderId: invoice.orderId,
+    userId: invoice.userId,
+    originalInvoiceId: invoice._id,
+    originalInvoiceNumber: invoice.number,
+    reason: `Sales return ${returnRequest.returnRequestId} (${returnRequest.returnReason})`,
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    placeOfSupply: invoice.placeOfSupply,
+    interState: invoice.interState,
+    lines,
+    totals: sumTotals(lines, refundAmount),
+    paymentMethod: invoice.paymentMethod
+  };
+};
+
+/**
+ * Issue the credit note of a return whose refund has been processed
+ * The refunded amount is spread over the returned lines at their invoiced GST rates.
+ * @param {string} returnId
+ * @returns {object} - Credit note document
+ */
+export const createCreditNote = (returnId) =>
+  issueDocument({ returnId, documentType: 'credit_note' }, () => buildCreditNote(returnId), INVOICE_CONSTANTS.CREDIT_NOTE_PREFIX);
+
+// Issue in the background from a status change; failures are logged and can be re-run by an admin
+export const issueInvoiceInBackground = (orderId) => {
+  ensureOrderInvoice(orderId).catch(error => {
+    console.error(`[INVOICE] Failed to issue invoice for order ${orderId}:`, error.message);
+  });
+};
+
+export const issueCreditNoteInBackground = (returnId) => {
+  createCreditNote(returnId).catch(error => {
+    console.error(`[INVOICE] Failed to issue credit note for return ${returnId}:`, error.message);
+  });
+};
+
+// Invoice and credit notes of an order, oldest first
+export const getOrderDocuments = async (orderId) =>
+  Invoice.find({ orderId }).sort({ issuedAt: 1 }).select('-lines');
+
+/**
+ * Admin listing with filters
+ * @param {object} filters - { documentType, financialYear, startDate, endDate, search, warehouseId, page, limit }
+ */
+export const listDocuments = async ({ documentType, financialYear, startDate, endDate, search, warehouseId, page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (documentType) query.documentType = documentType;
+  if (warehouseId) query.orderId = { $in: await Order.distinct('_id', { warehouseId }) };
+  if (financialYear) query.financialYear = financialYear;
+  if (startDate || endDate) {
+    query.issuedAt = {};
+    if (startDate) query.issuedAt.$gte = new Date(startDate);
+    if (endDate) query.issuedAt.$lte = new Date(endDate);
+  }
+  if (search) {
+    query.number = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const [documents, total] = await Promise.all([
+    Invoice.find(query).sort({ issuedAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize).select('-lines'),
+    Invoice.countDocuments(query)
+  ]);
+
+  return {
+    documents,
+    pagination: { currentPage: pageNumber, totalPages: Math.ceil(total / pageSize), total }
+  };
+};
+
+/**
+ * Render a document as PDF
+ * @param {string} documentId
+ * @param {string} [userId] - When given, the document must belong to this user
+ * @param {string} [warehouseId] - When given, the document's order must ship from this warehouse
+ * @returns {object} - { document, pdf } where pdf is a Buffer
+ */
+export const getDocumentPdf = async (documentId, userId = null, warehouseId = null) => {
+  const document = await Invoice.findById(documentId);
+  if (!document ||
+    (userId && document.userId.toString() !== userId.toString()) ||
+    (warehouseId && !(await Order.exists({ _id: document.orderId, warehouseId })))) {
+    throw httpError('Document not found', 404);
+  }
+  const pdf = await renderTaxDocumentPdf(document);
+  return { document, pdf };
+};
+
+export default {
+  INVOICE_CONSTANTS,
+  ensureOrderInvoice,
+  createCreditNote,
+  issueInvoiceInBackground,
+  issueCreditNoteInBackground,
+  getOrderDocuments,
+  listDocuments,
+  getDocumentPdf
+};
@@ -0,0 +1,19 @@
+/**
+ * Manual Refund Provider
+ * UPI orders paid by UTR have no gateway payment to refund against. Their refunds
+ * are sent by the finance team from the bank account, so the refund stays
+ * 'processing' until an admin records the bank reference (or marks it failed).
+ */
+
+export const name = 'manual';
+
+export const createRefund = async () => ({ providerRefundId: null, status: 'processing' });
+
+// Nothing to ask: only an admin can settle a manual refund
+export const fetchRefundStatus = async () => ({ status: 'processing' });
+
+export default {
+  name,
+  createRefund,
+  fetchRefundStatus
+};
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+
+/**
+ * Mock Payment Provider
+ * Local stand-in with the same interface and signing scheme as the Razorpay provider,
+ * so the whole create -> verify -> webhook flow can run without a gateway account.
+ * State is in memory; orders created before a restart read as unpaid.
+ * Refunds start as 'processing' and settle the first time their status is fetched.
+ * MOCK_PAYMENT_SECRET must be set; there is no built-in secret anyone could sign with.
+ */
+
+const SECRET = process.env.MOCK_PAYMENT_SECRET;
+
+const orders = new Map(); // providerOrderId -> { amount, currency, receipt, payments: [] }
+const refunds = new Map(); // providerRefundId -> { paymentId, amount, status }
+
+const hmac = (payload) => {
+  if (!SECRET) throw new Error('MOCK_PAYMENT_SECRET not configured');
+  return crypto.createHmac('sha256', SECRET).update(payload).digest('hex');
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+
+const signaturesMatch = (expected, received) => {
+  if (!received || typeof received !== 'string' || expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+export const name = 'mock';
+
+export const createOrder = async ({ amount, currency = 'INR', receipt }) => {
+  const providerOrderId = randomId('mock_order');
+  orders.set(providerOrderId, { amount, currency, receipt, payments: [] });
+
+  return {
+    providerOrderId,
+    checkout: { keyId: 'mock_key', orderId: providerOrderId, amount: Math.round(Number(amount) * 100), currency }
+  };
+};
+
+export const verifyCheckoutSignature = ({ providerOrderId, providerPaymentId, signature }) =>
+  signaturesMatch(hmac(`${providerOrderId}|${providerPaymentId}`), signature);
+
+export const verifyWebhookSignature = (rawBody, headers = {}) =>
+  signaturesMatch(hmac(rawBody || ''), headers['x-mock-signature']);
+
+export const parseWebhook = (body = {}, headers = {}) => ({
+  eventId: headers['x-mock-event-id'] || null,
+  event: body.event,
+  status: { 'payment.captured': 'paid', 'payment.failed': 'failed' }[body.event] || null,
+  providerOrderId: body.payment?.orderId || null,
+  providerPaymentId: body.payment?.id || null,
+  amount: body.payment?.amount || 0,
+  currency: body.payment?.currency || null,
+  method: body.payment?.method || null,
+  failureReason: body.payment?.failureReason || null,
+  refund: body.refund ? {
+    providerRefundId: body.refund.id,
+    providerPaymentId: body.refund.paymentId || null,
+    status: { 'refund.processed': 'processed', 'refund.failed': 'failed' }[body.event] || null,
+    amount: body.refund.amount || 0,
+    failureReason: body.refund.failureReason || null
+  } : null
+});
+
+export const fetchOrderStatus = async (providerOrderId) => {
+  const order = orders.get(providerOrderId);
+  const captured = order?.payments.find(p => p.status === 'captured');
+  if (captured) {
+    return { status: 'paid', providerPaymentId: captured.id, amount: captured.amount, currency: captured.currency, method: captured.method };
+  }
+
+  const failed = order?.payments[order.payments.length - 1];
+  if (failed) return { status: 'failed', providerPaymentId: failed.id, failureReason: failed.failureReason };
+
+  return { status: 'created' };
+};
+
+const findPayment = (providerPaymentId) => {
+  for (const order of orders.values()) {
+    const payment = order.payments.find(p => p.id === providerPaymentId);
+    if (payment) return payment;
+  }
+  return null;
+};
+
+export const createRefund = async ({ providerPaymentId, amount }) => {
+  const payment = findPayment(providerPaymentId);
+  if (!payment || payment.status !== 'captured') {
+    throw new Error(`Unknown or uncaptured mock payment ${providerPaymentId}`);
+  }
+
+  const refunded = [...refunds.values()]
+    .filter(r => r.paymentId === providerPaymentId && r.status !== 'failed')
+    .reduce((sum, r) => sum + r.amount, 0);
+  if (refunded + Number(amount) > Number(payment.amount)) {
+    throw new Error('Refund amount exceeds the captured amount');
+  }
+
+  const providerRefundId = randomId('mock_rfnd');
+  refunds.set(providerRefundId, { paymentId: providerPaymentId, amount: Number(amount), status: 'processing' });
+  return { providerRefundId, status: 'processing' };
+};
+
+export const fetchRefundStatus = async (providerRefundId) => {
+  const refund = refunds.get(providerRefundId);
+  if (!refund) return { status: 'failed', failureReason: 'Unknown mock refund' };
+
+  if (refund.status === 'processing') refund.status = 'processed';
+  return { status: refund.status };
+};
+
+/**
+ * Settle (or fail) a mock refund and build the signed webhook the gateway would send
+ * @returns {object} - { body, rawBody, headers }
+ */
+export const simulateRefund = (providerRefundId, { succeed = true } = {}) => {
+  const refund = refunds.get(providerRefundId);
+  if (!refund) {
+    throw new Error(`Unknown mock refund ${providerRefundId}`);
+  }
+  refund.status = succeed ? 'processed' : 'failed';
+
+  const body = {
+    event: succeed ? 'refund.processed' : 'refund.failed',
+    refund: {
+      id: providerRefundId,
+      paymentId: refund.paymentId,
+      amount: refund.amount,
+      failureReason: succeed ? null : 'Refund rejected by mock provider'
+    }
+  };
+  const rawBody = JSON.stringify(body);
+
+  return {
+    body,
+    rawBody,
+    headers: { 'x-mock-signature': hmac(rawBody), 'x-mock-event-id': randomId('mock_evt') }
+  };
+};
+
+/**
+ * Pay (or fail) a mock order the way a customer would at the gateway
+ * @returns {object} - { checkout, webhook } - the checkout handler response and the signed webhook the gateway would send
+ */
+export const simulatePayment = (providerOrderId, { succeed = true, method = 'upi' } = {}) => {
+  const order = orders.get(providerOrderId);
+  if (!order) {
+    throw new Error(`Unknown mock order ${providerOrderId}`);
+  }
+
+  const payment = {
+    id: randomId('mock_pay'),
+    orderId: providerOrderId,
+    amount: order.amount,
+    currency: order.currency,
+    method,
+    status: succeed ? 'captured' : 'failed',
+    failureReason: succeed ? null : 'Payment declined by mock provider'
+  };
+  order.payments.push(payment);
+
+  const body = { event: succeed ? 'payment.captured' : 'payment.failed', payment };
+  const rawBody = JSON.stringify(body);
+
+  return {
+    checkout: {
+      providerOrderId,
+      providerPaymentId: payment.id,
+      signature: hmac(`${providerOrderId}|${payment.id}`)
+    },
+    webhook: {
+      body,
+      rawBody,
+      headers: { 'x-mock-signature': hmac(rawBody), 'x-mock-event-id': randomId('mock_evt') }
+    }
+  };
+};
+
+export default {
+  name,
+  createOrder,
+  verifyCheckoutSignature,
+  verifyWebhookSignature,
+  parseWebhook,
+  fetchOrderStatus,
+  createRefund,
+  fetchRefundStatus,
+  simulatePayment,
+  simulateRefund
+};
@@ -227,6 +227,11 @@ class NotificationService {
         message: `Great news! Your order #${orderId} has been shipped and is on its way.`,
         type: 'order'
       },
+      'dispatched': {
+        title: 'Order Dispatched',
+        message: `Your order #${orderId} has left our warehouse with the delivery partner.`,
+        type: 'order'
+      },
       'out_for_delivery': {
         title: 'Out for Delivery',
         message: `Your order #${orderId} is out for delivery and will reach you soon.`,
@@ -237,6 +242,11 @@ class NotificationService {
         message: `Your order #${orderId} has been delivered successfully. Enjoy your purchase!`,
         type: 'order'
       },
+      'failed': {
+        title: 'Delivery Attempt Failed',
+        message: `We could not deliver your order #${orderId}. Our team will contact you to arrange another attempt.`,
+        type: 'order'
+      },
       'cancelled': {
         title: 'Order Cancelled',
         message: `Your order #${orderId} has been cancelled. Refund will be processed if applicable.`,
@@ -0,0 +1,632 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import ComboPack from '../models/ComboPack.js';
+import Coupon from '../models/Coupon.js';
+import Transaction from '../models/Transaction.js';
+import PaymentAttempt from '../models/PaymentAttempt.js';
+import batchService from './batchService.js';
+import batchGroupStockService from './batchGroupStockService.js';
+import couponService from './couponService.js';
+import pricingService from './pricingService.js';
+import shippingService from './shippingService.js';
+import notificationService from './notificationService.js';
+import returnRefundService from './returnRefundService.js';
+import batchStockUtils from '../utils/batchStockUtils.js';
+import { calculateMaxDiscount, REDEMPTION_CONSTANTS } from '../utils/coinRedemption.js';
+import { calculateOrderReward } from '../utils/rewardCalculator.js';
+
+/**
+ * Order Edit Service
+ * Item-level cancellation (customer or admin) and substitution (admin) while an order
+ * is Pending. Kept lines keep the price they were ordered at; the subtotal, coupon,
+ * coin discount and shipping are recalculated, only the units that left the order are
+ * released from their batches, and every edit is appended to order.editHistory.
+ * On prepaid orders the difference goes back to the original payment, or to the
+ * wallet as coins when the customer asks for coins.
+ */
+
+export const EDIT_CONSTANTS = {
+  COIN_RATE: REDEMPTION_CONSTANTS.COINS_PER_RUPEE, // Prepaid difference taken as coins (1 Rupee = 5 Coins)
+  REFUND_METHODS: ['original_payment', 'coins']
+};
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const orderNumber = (order) => order._id.toString().slice(-8).toUpperCase();
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+const totalsOf = ({ subtotal, couponDiscount, coinDiscount, shippingFee, totalAmount }) => ({
+  subtotal,
+  couponDiscount: couponDiscount || 0,
+  coinDiscount: coinDiscount?.amount || 0,
+  coinsUsed: coinDiscount?.coinsUsed || 0,
+  shippingFee: shippingFee || 0,
+  totalAmount,
+  rewardCoins: calculateOrderReward(totalAmount)
+});
+
+// Batch lines behind a number of units of an order line (combo lines expand to their products)
+const getBatchLines = async (item, quantity) => {
+  if (item.itemType !== 'combo') {
+    return [{ productId: item.id, variantId: item.hasVariant ? item.variantId : null, quantity }];
+  }
+
+  let comboProducts = item.comboProducts || [];
+  if (!comboProducts.length) {
+    const comboPack = await ComboPack.findById(item.id).select('products');
+    comboProducts = comboPack?.products || [];
+  }
+  return comboProducts.map(product => ({
+    productId: product.productId,
+    variantId: product.variantId || null,
+    quantity: (product.quantity || 1) * quantity
+  }));
+};
+
+// Merge batch lines per product/variant
+const mergeBatchLines = (lines) => {
+  const merged = new Map();
+  for (const line of lines) {
+    const key = lineKey(line.productId, line.variantId);
+    const existing = merged.get(key);
+    if (existing) {
+      existing.quantity += line.quantity;
+    } else {
+      merged.set(key, { ...line });
+    }
+  }
+  return [...merged.values()].filter(line => line.quantity > 0);
+};
+
+// Price a substitute product at today's catalogue price
+const priceSubstitute = async (substitute) => {
+  if (!substitute?.id || !mongoose.Types.ObjectId.isValid(substitute.id)) {
+    throw httpError('Substitute product id is required', 400);
+  }
+
+  const pricing = await pricingService.priceOrderItems([{
+    id: substitute.id,
+    qty: substitute.qty,
+    hasVariant: Boolean(substitute.variantId),
+    variantId: substitute.variantId
+  }]);
+  if (!pricing.success) {
+    throw httpError(pricing.errors.join(', '), 400);
+  }
+
+  const [priced] = pricing.items;
+  const product = await Product.findById(priced.id).select('images variants');
+  const variant = priced.hasVariant ? product?.variants.find(v => v.id === priced.variantId) : null;
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    id: priced.id,
+    name: priced.name,
+    price: priced.price,
+    qty: priced.qty,
+    image: variant?.images?.[0] || product?.images?.[0],
+    itemType: 'product',
+    variantId: priced.variantId,
+    variantName: priced.variantName,
+    variantPrice: priced.variantPrice,
+    hasVariant: priced.hasVariant
+  };
+};
+
+// Add catalogue categories to order lines so scoped coupons can be checked
+const withCategories = async (items) => {
+  return Promise.all(items.map(async (item) => {
+    const Model = item.itemType === 'combo' ? ComboPack : Product;
+    const doc = await Model.findById(item.id).select('category');
+    return { ...item, category: doc?.category, lineTotal: roundAmount(item.price * item.qty) };
+  }));
+};
+
+/**
+ * Work out the edited order without changing anything
+ * @returns {object} - { items, changes, substitutes, released, combosReleased, totals, coupon, coinsReturned, refundDue }
+ */
+const planEdit = async (order, { changes, actor }) => {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw httpError('At least one item change is required', 400);
+  }
+  if (order.status !== 'Pending') {
+    throw httpError('Items can only be changed before the order is shipped', 400);
+  }
+  if (order.paymentStatus === 'UnderReview') {
+    throw httpError('The payment for this order is being verified; items cannot be changed until it is confirmed', 400);
+  }
+  if (order.paymentStatus === 'Failed') {
+    throw httpError('Payment for this order failed; it can no longer be changed', 400);
+  }
+  if (order.paymentMethod === 'ONLINE' && order.paymentStatus !== 'Paid') {
+    const inFlight = await PaymentAttempt.exists({ orderId: order._id, status: 'authorized' });
+    if (inFlight) {
+      throw httpError('A payment for this order is being confirmed; please try again in a few minutes', 409);
+    }
+  }
+
+  const items = order.items.map(item => item.toObject());
+  const seen = new Set();
+  const history = [];
+  const substitutes = [];
+  const released = [];
+  const combosReleased = [];
+
+  for (const change of changes) {
+    const lineId = change.lineId?.toString();
+    const index = items.findIndex(item => item._id.toString() === lineId);
+    if (index === -1) {
+      throw httpError(`Order line ${change.lineId} not found`, 404);
+    }
+    if (seen.has(lineId)) {
+      throw httpError(`Order line ${change.lineId} is listed more than once`, 400);
+    }
+    seen.add(lineId);
+
+    const item = items[index];
+    const entry = {
+      lineId: item._id,
+      itemId: item.id,
+      itemType: item.itemType,
+      name: item.name,
+      variantId: item.variantId,
+      variantName: item.variantName,
+      price: item.price,
+      fromQty: item.qty
+    };
+
+    if (change.substitute) {
+      if (actor.role !== 'admin') {
+        throw httpError('Only an admin can substitute items', 403);
+      }
+      const substitute = await priceSubstitute({ ...change.substitute, qty: change.substitute.qty ?? item.qty });
+      if (substitute.id.toString() === item.id.toString() && (substitute.variantId || null) === (item.variantId || null)) {
+        throw httpError(`${item.name} cannot be substituted with itself`, 400);
+      }
+
+      items[index] = substitute;
+      substitutes.push(substitute);
+      released.push(...await getBatchLines(item, item.qty));
+      if (item.itemType === 'combo') combosReleased.push({ id: item.id, qty: item.qty });
+
+      history.push({
+        ...entry,
+        action: 'substituted',
+        toQty: 0,
+        substitute: {
+          lineId: substitute._id,
+          itemId: substitute.id,
+          name: substitute.name,
+          variantId: substitute.variantId,
+          variantName: substitute.variantName,
+          price: substitute.price,
+          qty: substitute.qty
+        }
+      });
+      continue;
+    }
+
+    const qty = Number(change.qty);
+    if (!Number.isInteger(qty) || qty < 0) {
+      throw httpError(`Invalid quantity for ${item.name}`, 400);
+    }
+    if (qty >= item.qty) {
+      throw httpError(`Quantity of ${item.name} can only be reduced (currently ${item.qty})`, 400);
+    }
+
+    const removedQty = item.qty - qty;
+    released.push(...await getBatchLines(item, removedQty));
+    if (item.itemType === 'combo') combosReleased.push({ id: item.id, qty: removedQty });
+
+    item.qty = qty;
+    history.push({ ...entry, action: qty === 0 ? 'cancelled' : 'quantity_reduced', toQty: qty });
+  }
+
+  const remainingItems = items.filter(item => item.qty > 0);
+  if (remainingItems.length === 0) {
+    throw httpError('This would remove every item; cancel the order instead', 400);
+  }
+
+  const subtotal = roundAmount(remainingItems.reduce((sum, item) => sum + item.price * item.qty, 0));
+
+  // Coupon: re-check the cart rules against what is left
+  let couponDiscount = 0;
+  let couponEligibleSubtotal = 0;
+  let couponRemovedReason = null;
+  if (order.coupon) {
+    const coupon = await Coupon.findById(order.coupon);
+    if (coupon) {
+      const scopedItems = coupon.isScoped()
+        ? await withCategories(remainingItems)
+        : remainingItems.map(item => ({ ...item, lineTotal: roundAmount(item.price * item.qty) }));
+      const evaluation = couponService.evaluateCouponForEdit({ coupon, items: scopedItems, subtotal });
+      if (evaluation.isValid) {
+        couponDiscount = evaluation.discountAmount;
+        couponEligibleSubtotal = evaluation.eligibleSubtotal;
+      } else {
+        couponRemovedReason = evaluation.errors.join(', ');
+      }
+    } else {
+      // Coupon deleted since the order was placed: keep the discount it gave, within the new subtotal
+      couponDiscount = Math.min(order.couponDiscount || 0, subtotal);
+      couponEligibleSubtotal = subtotal;
+    }
+  }
+
+  // Coins: the discount may not exceed the redemption cap on the smaller order; the excess goes back
+  const coinOrderValue = roundAmount(subtotal - couponDiscount);
+  const previousCoinAmount = order.coinDiscount?.amount || 0;
+  const previousCoinsUsed = order.coinDiscount?.coinsUsed || 0;
+  const coinAmount = Math.min(previousCoinAmount, calculateMaxDiscount(coinOrderValue));
+  const coinsUsed = coinAmount < previousCoinAmount
+    ? Math.min(previousCoinsUsed, coinAmount * REDEMPTION_CONSTANTS.COINS_PER_RUPEE)
+    : previousCoinsUsed;
+
+  // Same shipping rules as at checkout, as they stood when the order was placed
+  const shipping = await shippingService.calculateShipping({
+    items: remainingItems,
+    subtotal,
+    pincode: order.shipping?.pincode,
+    deliveryType: order.deliveryType,
+    timeSlot: order.deliverySlot?.timeSlot,
+    now: order.createdAt
+  });
+  const shippingFee = shipping.shippingFee;
+  const totalAmount = roundAmount(subtotal - couponDiscount - coinAmount + shippingFee);
+
+  const isPrepaid = order.paymentStatus === 'Paid';
+  if (isPrepaid && totalAmount > order.totalAmount) {
+    throw httpError(
+      `This change would raise the total of a prepaid order from ₹${order.totalAmount} to ₹${totalAmount}`,
+      400
+    );
+  }
+
+  return {
+    items: remainingItems,
+    changes: history,
+    substitutes,
+    released: mergeBatchLines(released),
+    combosReleased,
+    totals: {
+      subtotal,
+      couponDiscount,
+      coinDiscount: { amount: coinAmount, coinsUsed },
+      shippingFee,
+      shippingBreakdown: { base: shipping.base, surcharges: shipping.surcharges, promo: shipping.promo || undefined, zone: shipping.zone || undefined },
+      totalAmount
+    },
+    coupon: order.coupon
+      ? { removed: Boolean(couponRemovedReason), reason: couponRemovedReason, eligibleSubtotal: couponEligibleSubtotal }
+      : null,
+    coinsReturned: previousCoinsUsed - coinsUsed,
+    refundDue: isPrepaid ? roundAmount(order.totalAmount - totalAmount) : 0
+  };
+};
+
+// Reserve batch stock for substitute lines from the order's warehouse; anything reserved is given back if one of them falls short
+const allocateSubstitutes = async (order, substitutes) => {
+  const lines = mergeBatchLines(substitutes.map(item => ({
+    productId: item.id,
+    variantId: item.hasVariant ? item.variantId : null,
+    quantity: item.qty
+  })));
+  if (!lines.length) return [];
+
+  for (const line of lines) {
+    const stockCheck = await batchStockUtils.checkStockAvailability(line.productId, line.variantId, line.quantity, order.warehouseId || null);
+    if (!stockCheck.available) {
+      const name = substitutes.find(item => item.id.toString() === line.productId.toString())?.name;
+      throw httpError(`Insufficient stock for ${name}. Available: ${stockCheck.availableQuantity}, Required: ${line.quantity}`, 400);
+    }
+  }
+
+  const result = await batchGroupStockService.allocateBatchGroupStockForOrder(lines, order._id, null, order.warehouseId || null);
+  if (!result.success) {
+    // Lines that fell short may still have taken part of their quantity
+    const partial = result.errors
+      .filter(error => error.shortfall != null)
+      .map(error => ({ productId: error.productId, variantId: error.variantId, quantity: error.requestedQuantity - error.shortfall }));
+    await releaseBatchLines(order._id, mergeBatchLines([...result.allocations, ...partial]));
+    throw httpError(result.errors.map(error => error.message).join(', '), 400);
+  }
+  return lines;
+};
+
+// Give units back to their batches and refresh product stock
+const releaseBatchLines = async (orderId, lines) => {
+  if (!lines.length) return;
+
+  await batchGroupStockService.deallocateBatchGroupStockForOrder(orderId, null, lines);
+  await batchService.deallocateBatchQuantities(orderId, lines);
+
+  for (const line of lines) {
+    try {
+      await batchStockUtils.updateProductStockFromBatches(line.productId, line.variantId);
+    } catch (syncError) {
+      console.error(`[ORDER EDIT] Failed to sync product stock for ${line.productId}:`, syncError);
+    }
+  }
+};
+
+// Credit coins to the customer's wallet and record the transaction
+const creditWallet = async (order, { coins, description, inc, metadata }) => {
+  const user = await User.findOneAndUpdate(
+    { _id: order.userId },
+    { $inc: { 'wallet.balance': coins, ...inc } },
+    { new: true }
+  );
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+
+  return Transaction.create({
+    userId: order.userId,
+    type: 'REFUND',
+    amount: coins,
+    description,
+    orderId: order._id,
+    balanceAfter: user.wallet.balance,
+    metadata,
+    status: 'COMPLETED'
+  });
+};
+
+const notifyCustomer = async (order, entry) => {
+  const summary = entry.changes.map(change => {
+    if (change.action === 'substituted') return `${change.name} replaced with ${change.substitute.name}`;
+    if (change.action === 'cancelled') return `${change.name} removed`;
+    return `${change.name} reduced to ${change.toQty}`;
+  }).join('; ');
+
+  try {
+    await notificationService.createNotification({
+      title: 'Order Updated',
+      message: `Your order #${orderNumber(order)} was updated: ${summary}. New total: ₹${order.totalAmount}.`,
+      type: 'order',
+      category: 'order_updates',
+      userId: order.userId,
+      channels: ['in_app', 'push'],
+      actionUrl: `/orders/${order._id}`,
+      actionText: 'View Order',
+      relatedOrderId: order._id,
+      createdBy: { system: true }
+    });
+  } catch (error) {
+    console.error(`[ORDER EDIT] Failed to notify customer for order ${order._id}:`, error);
+  }
+};
+
+/**
+ * Cancel, reduce or substitute items of a Pending order
+ * @param {string} orderId
+ * @param {object} params
+ * @param {Array} params.changes - [{ lineId, qty }] to reduce/cancel (qty 0), or [{ lineId, substitute: { id, variantId, qty } }]
+ * @param {string} [params.reason]
+ * @param {object} params.actor - { role: 'user' | 'admin', id }
+ * @param {string} [params.warehouseId] - Warehouse managers: the order must ship from this warehouse
+ * @param {string} [params.refundMethod] - Prepaid orders: 'original_payment' (default) or 'coins'
+ * @param {boolean} [params.preview] - Return the recalculated order without applying it
+ * @returns {object} - { order, edit, preview }
+ */
+export const editOrderItems = async (orderId, { changes, reason, actor, warehouseId = null, refundMethod = 'original_payment', preview = false }) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw httpError('Invalid order ID', 400);
+  }
+  if (!EDIT_CONSTANTS.REFUND_METHODS.includes(refundMethod)) {
+    throw httpError(`refundMethod must be one of: ${EDIT_CONSTANTS.REFUND_METHODS.join(', ')}`, 400);
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order ||
+    (actor.role === 'user' && order.userId.toString() !== actor.id.toString()) ||
+    (warehouseId && order.warehouseId?.toString() !== warehouseId.toString())) {
+    throw httpError('Order not found', 404);
+  }
+
+  const plan = await planEdit(order, { changes, actor });
+  const before = totalsOf(order);
+  const after = totalsOf(plan.totals);
+
+  // Money goes back where it came from; coins only when asked for (or when there is no payment to refund to)
+  if (plan.refundDue > 0 && refundMethod === 'original_payment' && !(await returnRefundService.getOriginalPayment(order))) {
+    refundMethod = 'coins';
+  }
+
+  if (preview) {
+    return {
+      preview: true,
+      items: plan.items,
+      changes: plan.changes,
+      before,
+      after,
+      couponRemoved: Boolean(plan.coupon?.removed),
+      couponRemovedReason: plan.coupon?.reason || null,
+      coinsReturned: plan.coinsReturned,
+      refundDue: plan.refundDue,
+      refundMethod: plan.refundDue > 0 ? refundMethod : null
+    };
+  }
+
+  const substituteLines = await allocateSubstitutes(order, plan.substitutes);
+
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    editedAt: new Date(),
+    editedBy: {
+      role: actor.role,
+      id: mongoose.Types.ObjectId.isValid(actor.id) ? actor.id : undefined
+    },
+    reason,
+    changes: plan.changes,
+    before,
+    after,
+    couponRemoved: Boolean(plan.coupon?.removed),
+    couponRemovedReason: plan.coupon?.reason || undefined,
+    coinsReturned: plan.coinsReturned,
+    refund: plan.refundDue > 0
+      ? {
+        amount: plan.refundDue,
+        method: refundMethod,
+        ...(refundMethod === 'coins' ? { coins: Math.round(plan.refundDue * EDIT_CONSTANTS.COIN_RATE) } : {})
+      }
+      : undefined
+  };
+
+  // Apply only if nobody shipped or edited the order since it was read
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'Pending', updatedAt: order.updatedAt },
+    {
+      $set: {
+        items: plan.items,
+        subtotal: plan.totals.subtotal,
+        couponDiscount: plan.totals.couponDiscount,
+        'coinDiscount.amount': plan.totals.coinDiscount.amount,
+        'coinDiscount.coinsUsed': plan.totals.coinDiscount.coinsUsed,
+        shippingFee: plan.totals.shippingFee,
+        shippingBreakdown: plan.totals.shippingBreakdown,
+        totalAmount: plan.totals.totalAmount,
+        ...(plan.coupon?.removed ? { coupon: null } : {})
+      },
+      $push: { editHistory: entry }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await releaseBatchLines(order._id, substituteLines);
+    throw httpError('The order changed while it was being edited; please reload and try again', 409);
+  }
+
+  const settle = async (stage, fn) => {
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`[ORDER EDIT] Failed to settle ${stage} for order ${order._id}:`, error);
+    }
+  };
+
+  await settle('batches', () => releaseBatchLines(order._id, plan.released));
+
+  for (const combo of plan.combosReleased) {
+    await settle('combo', () => ComboPack.updateOne(
+      { _id: combo.id },
+      { $inc: { stock: combo.qty, purchaseCount: -combo.qty } }
+    ));
+  }
+
+  for (const line of substituteLines) {
+    await settle('substitute stock', () => batchStockUtils.updateProductStockFromBatches(line.productId, line.variantId));
+  }
+
+  if (plan.coupon) {
+    await settle('coupon', () => (plan.coupon.removed
+      ? couponService.reverseRedemption(order._id, `Order edited: ${plan.coupon.reason}`)
+      : couponService.updateRedemptionAmounts(order._id, {
+        discountAmount: plan.totals.couponDiscount,
+        orderSubtotal: plan.totals.subtotal,
+        eligibleSubtotal: plan.coupon.eligibleSubtotal,
+        orderTotal: plan.totals.totalAmount
+      })));
+  }
+
+  if (plan.coinsReturned > 0) {
+    await settle('coins', () => creditWallet(order, {
+      coins: plan.coinsReturned,
+      inc: { 'wallet.totalSpent': -plan.coinsReturned },
+      description: `Redeemed coins returned after editing order #${orderNumber(order)}`
+    }));
+  }
+
+  if (entry.refund?.method === 'original_payment') {
+    await settle('refund', async () => {
+      const refund = await returnRefundService.refundOrderPayment(order, {
+        amount: entry.refund.amount,
+        source: 'order_edit',
+        orderEditId: entry._id,
+        processedBy: mongoose.Types.ObjectId.isValid(actor.id) ? actor.id : undefined
+      });
+      await Order.updateOne(
+        { _id: order._id, 'editHistory._id': entry._id },
+        { $set: { 'editHistory.$.refund.refundId': refund._id } }
+      );
+      entry.refund.refundId = refund._id;
+    });
+  } else if (entry.refund) {
+    await settle('refund', async () => {
+      const transaction = await creditWallet(order, {
+        coins: entry.refund.coins,
+        inc: { 'wallet.totalEarned': entry.refund.coins },
+        description: `Refund of ₹${entry.refund.amount} for items removed from order #${orderNumber(order)}`,
+        metadata: {
+          refundDetails: {
+            originalAmount: order.totalAmount,
+            refundAmount: entry.refund.amount,
+            conversionRate: EDIT_CONSTANTS.COIN_RATE,
+            ...(actor.role === 'admin' && mongoose.Types.ObjectId.isValid(actor.id) ? { processedBy: actor.id } : {})
+          }
+        }
+      });
+      await Order.updateOne(
+        { _id: order._id, 'editHistory._id': entry._id },
+        { $set: { 'editHistory.$.refund.transactionId': transaction._id } }
+      );
+      entry.refund.transactionId = transaction._id;
+    });
+  }
+
+  // Unpaid online orders: the open checkout was for the old total
+  let paymentRestartRequired = false;
+  if (order.paymentMethod === 'ONLINE' && order.paymentStatus !== 'Paid' && plan.totals.totalAmount !== order.totalAmount) {
+    await settle('payment attempts', async () => {
+      const result = await PaymentAttempt.updateMany(
+        { orderId: order._id, status: 'created' },
+        { $set: { status: 'superseded' } }
+      );
+      paymentRestartRequired = result.modifiedCount > 0;
+    });
+  }
+
+  if (actor.role === 'admin') {
+    await notifyCustomer(updated, entry);
+  }
+
+  console.log(`[ORDER EDIT] Order ${order._id} edited by ${actor.role}: ${plan.changes.length} change(s), total ₹${before.totalAmount} -> ₹${after.totalAmount}`);
+  return {
+    preview: false,
+    order: updated,
+    edit: entry,
+    paymentRestartRequired
+  };
+};
+
+// Edit history of an order, newest first
+export const getEditHistory = async (orderId, { userId = null, warehouseId = null } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw httpError('Invalid order ID', 400);
+  }
+
+  const order = await Order.findById(orderId).select('userId warehouseId editHistory totalAmount status');
+  if (!order ||
+    (userId && order.userId.toString() !== userId.toString()) ||
+    (warehouseId && order.warehouseId?.toString() !== warehouseId.toString())) {
+    throw httpError('Order not found', 404);
+  }
+  return [...order.editHistory].reverse();
+};
+
+export default {
+  EDIT_CONSTANTS,
+  editOrderItems,
+  getEditHistory
+};
@@ -0,0 +1,285 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import batchGroupService from './batchGroupService.js';
+import invoiceService from './invoiceService.js';
+import notificationService from './notificationService.js';
+import orderPlacementService from './orderPlacementService.js';
+import returnRefundService from './returnRefundService.js';
+import { notifyOrderStatusUpdate as notifyOrderStatusWeb } from './webPushService.js';
+import * as notifications from '../notifications.js';
+import { processOrderRewards } from '../middleware/rewardMiddleware.js';
+import {
+  ACTORS,
+  STATUS_HOOKS,
+  ORDER_TO_DELIVERY_STATUS,
+  DELIVERY_TO_ORDER_STATUS,
+  normalizeOrderStatus,
+  normalizeDeliveryStatus,
+  checkTransition,
+  canChangeDeliveryStatus,
+  getNextStatuses
+} from '../utils/orderLifecycle.js';
+
+/**
+ * Order Lifecycle Service
+ * Applies the transitions declared in utils/orderLifecycle.js: checks the actor may make
+ * the change, keeps Order.status and Order.delivery.status in step, records who/when/why
+ * in order.statusHistory and runs the status hooks once the change is saved.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Who is making a request, from the token the auth middleware decoded
+export const getRequestActor = (req) => {
+  if (req.agentId) {
+    return { role: ACTORS.DELIVERY_AGENT, id: req.agentId };
+  }
+  const user = req.user || {};
+  if (user.isAdmin && user.adminId) {
+    return { role: ACTORS.ADMIN, id: user.adminId };
+  }
+  if (user.type === 'sub_admin' || user.isSubAdmin) {
+    return { role: ACTORS.SUB_ADMIN, id: user.id || user.subAdminId, name: user.name };
+  }
+  return { role: ACTORS.USER, id: user.id };
+};
+
+/**
+ * Apply a status change to an order document (not saved)
+ * Pass `to` for an order status change or `deliveryStatus` for a delivery app update;
+ * the other status follows. The save only succeeds if the order still has its old status.
+ * @param {object} order - Order document
+ * @param {object} params - { to, deliveryStatus, actor: { role, id, name }, reason }
+ * @returns {object} - { from, to, deliveryFrom, deliveryTo, statusChanged }
+ */
+export const applyTransition = (order, { to, deliveryStatus, actor, reason }) => {
+  if (!actor?.role) {
+    throw httpError('Actor is required for an order status change', 500);
+  }
+
+  const from = normalizeOrderStatus(order.status) || order.status;
+  const deliveryFrom = normalizeDeliveryStatus(order.delivery?.status) || 'pending';
+
+  let target = from;
+  let deliveryTarget = deliveryFrom;
+
+  if (deliveryStatus) {
+    deliveryTarget = normalizeDeliveryStatus(deliveryStatus);
+    if (!deliveryTarget) {
+      throw httpError(`Unknown delivery status: ${deliveryStatus}`, 400);
+    }
+    if (!canChangeDeliveryStatus(deliveryFrom, deliveryTarget)) {
+      throw httpError(`Delivery cannot move from ${deliveryFrom} to ${deliveryTarget}`, 400);
+    }
+    target = DELIVERY_TO_ORDER_STATUS[deliveryTarget] || from;
+  } else {
+    target = normalizeOrderStatus(to);
+    if (!target) {
+      throw httpError(`Unknown order status: ${to}`, 400);
+    }
+    deliveryTarget = ORDER_TO_DELIVERY_STATUS[target] || deliveryFrom;
+  }
+
+  const statusChanged = target !== from;
+  if (!statusChanged && deliveryTarget === deliveryFrom && deliveryTarget !== 'assigned') {
+    throw httpError(`Order is already ${from}`, 400);
+  }
+
+  if (statusChanged) {
+    const check = checkTransition(from, target, actor.role);
+    if (!check.allowed) {
+      throw httpError(check.reason, check.transition ? 403 : 400);
+    }
+  }
+
+  order.status = target;
+  if (order.delivery) {
+    order.delivery.status = deliveryTarget;
+  }
+  order.statusHistory.push({
+    from,
+    to: target,
+    deliveryFrom,
+    deliveryTo: deliveryTarget,
+    actor: {
+      role: actor.role,
+      id: mongoose.Types.ObjectId.isValid(actor.id) ? actor.id : undefined,
+      name: actor.name
+    },
+    reason,
+    at: new Date()
+  });
+
+  // Guard the save: someone else moving the order first makes it fail instead of overwrite
+  order.$where = { ...(order.$where || {}), status: from };
+
+  return { from, to: target, deliveryFrom, deliveryTo: deliveryTarget, statusChanged, reason };
+};
+
+const notifyKey = (status) => status.toLowerCase().replace(/\s+/g, '_');
+
+const hooks = {
+  // Allocated batch stock becomes used stock once the goods are with the customer
+  consumeBatches: async (order) => {
+    const result = await batchGroupService.moveAllocatedToUsed(order._id);
+    if (!result.success) {
+      console.error(`[ORDER LIFECYCLE] Failed to update batch allocations for order ${order._id}:`, result.errors);
+    }
+  },
+
+  issueInvoice: async (order) => {
+    invoiceService.issueInvoiceInBackground(order._id);
+  },
+
+  rewards: async (order) => {
+    // Callers may have populated the customer; rewards need the plain user id
+    const rewardResult = await processOrderRewards({ ...order.toObject(), userId: order.userId?._id || order.userId });
+    if (rewardResult) {
+      console.log(`[ORDER LIFECYCLE] Order rewards processed for order ${order._id}`);
+    }
+  },
+
+  releaseStock: async (order, change) => {
+    await orderPlacementService.releaseOrderResources(order, change.reason || `Order cancelled from ${change.from}`);
+  },
+
+  // A prepaid order that is cancelled gets back whatever of its payment was not refunded yet
+  refundPayment: async (order) => {
+    if (order.paymentStatus !== 'Paid') return;
+
+    const refund = await returnRefundService.refundOrderPayment(order, {
+      source: 'order_cancellation',
+      processedBy: order.statusHistory[order.statusHistory.length - 1]?.actor?.id
+    });
+    if (refund) {
+      console.log(`[ORDER LIFECYCLE] Refund ${refund._id} of ₹${refund.amount} for cancelled order ${order._id}: ${refund.status}`);
+    }
+  },
+
+  notify: async (order, change) => {
+    const userId = order.userId?._id || order.userId;
+    const key = notifyKey(change.to);
+
+    await notificationService.sendOrderNotification(order._id.toString(), key, userId.toString());
+    await notifications.notifyOrderStatus(userId.toString(), order._id.toString(), key);
+    try {
+      await notifyOrderStatusWeb(userId.toString(), { orderId: order._id.toString(), status: key });
+    } catch (e) {
+      console.warn('[WEB PUSH] order status failed:', e?.message || e);
+    }
+  }
+};
+
+/**
+ * Run the hooks of the status an order just entered
+ * Each hook is isolated: a failing hook is logged and the others still run.
+ */
+export const runTransitionHooks = async (order, change) => {
+  if (!change.statusChanged) return;
+
+  for (const name of STATUS_HOOKS[change.to] || []) {
+    try {
+      await hooks[name](order, change);
+    } catch (error) {
+      console.error(`[ORDER LIFECYCLE] Hook "${name}" failed for order ${order._id} (${change.from} -> ${change.to}):`, error);
+    }
+  }
+};
+
+// Save an order changed by applyTransition, then run its hooks
+export const commitTransition = async (order, change) => {
+  try {
+    await order.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      throw httpError('The order status changed in the meantime; please reload and try again', 409);
+    }
+    throw error;
+  } finally {
+    // Later saves of this document are not status changes
+    delete order.$where.status;
+  }
+
+  console.log(`[ORDER LIFECYCLE] Order ${order._id}: ${change.from} -> ${change.to} (delivery ${change.deliveryFrom} -> ${change.deliveryTo})`);
+  await runTransitionHooks(order, change);
+  return change;
+};
+
+/**
+ * Move an order to a new status in one call
+ * @param {string|object} orderOrId - Order id or document
+ * @param {object} params - { to, deliveryStatus, actor, reason }
+ * @returns {object} - { order, change }
+ */
+export const transitionOrder = async (orderOrId, params) => {
+  const order = typeof orderOrId === 'object' && orderOrId?.save
+    ? orderOrId
+    : await Order.findById(orderOrId);
+  if (!order) {
+    throw httpError('Order not found', 404);
+  }
+
+  const change = applyTransition(order, params);
+  await commitTransition(order, change);
+  return { order, change };
+};
+
+/**
+ * Status timeline of an order, oldest first
+ * Orders placed before status history existed start from their placement time.
+ * @param {string} orderId
+ * @param {object} options - { userId } to restrict to the customer's own order, { warehouseId } to a warehouse's orders
+ * @returns {object} - { orderId, status, deliveryStatus, nextStatuses, timeline }
+ */
+export const getStatusTimeline = async (orderId, { userId = null, warehouseId = null, actorRole = null } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw httpError('Invalid order ID', 400);
+  }
+
+  const order = await Order.findById(orderId).select('userId warehouseId status delivery.status statusHistory placedAt createdAt');
+  if (!order ||
+    (userId && order.userId.toString() !== userId.toString()) ||
+    (warehouseId && order.warehouseId?.toString() !== warehouseId.toString())) {
+    throw httpError('Order not found', 404);
+  }
+
+  const history = order.statusHistory.map(entry => entry.toObject());
+  const timeline = [
+    {
+      from: null,
+      to: 'Pending',
+      actor: { role: ACTORS.USER, id: order.userId },
+      reason: 'Order placed',
+      at: order.placedAt || order.createdAt
+    },
+    ...history
+  ];
+
+  // Customers see who acted by role only
+  if (userId) {
+    timeline.forEach(entry => {
+      entry.actor = { role: entry.actor?.role };
+    });
+  }
+
+  return {
+    orderId: order._id,
+    status: order.status,
+    deliveryStatus: order.delivery?.status,
+    nextStatuses: getNextStatuses(normalizeOrderStatus(order.status), actorRole),
+    timeline
+  };
+};
+
+export default {
+  getRequestActor,
+  applyTransition,
+  runTransitionHooks,
+  commitTransition,
+  transitionOrder,
+  getStatusTimeline
+};
@@ -0,0 +1,585 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import ComboPack from '../models/ComboPack.js';
+import Product from '../models/Product.js';
+import Transaction from '../models/Transaction.js';
+import InventoryReservation from '../models/InventoryReservation.js';
+import BatchGroup from '../models/BatchGroup.js';
+import batchGroupStockService from './batchGroupStockService.js';
+import couponService from './couponService.js';
+import reservationService from './reservationService.js';
+import warehouseService from './warehouseService.js';
+import batchStockUtils from '../utils/batchStockUtils.js';
+import { redeemCoinsForOrder } from '../controllers/walletController.js';
+
+/**
+ * Order Placement Service
+ * Runs coin debit, coupon usage, order insert, batch allocation and combo stock
+ * decrement as one unit. Uses a MongoDB transaction when the deployment supports it
+ * (replica set / mongos) and falls back to compensating each completed step otherwise.
+ */
+
+let transactionSupport = null;
+
+// Transactions need a replica set member or mongos; cache the answer per process
+export const supportsTransactions = async () => {
+  if (transactionSupport !== null) return transactionSupport;
+
+  try {
+    const info = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(info.setName) || info.msg === 'isdbgrid';
+  } catch (error) {
+    console.warn('[ORDER PLACEMENT] Could not detect transaction support:', error.message);
+    transactionSupport = false;
+  }
+
+  console.log(`[ORDER PLACEMENT] MongoDB transactions ${transactionSupport ? 'enabled' : 'unavailable, using compensation'}`);
+  return transactionSupport;
+};
+
+// Business failure of a placement step (maps to a 400 response)
+const stepFailure = (stage, message, errors = []) => {
+  const error = new Error(message);
+  error.stage = stage;
+  error.errors = errors;
+  error.isStepFailure = true;
+  return error;
+};
+
+// Build the ordered list of placement steps; each step knows how to undo itself
+const buildPlacementSteps = ({ order, userId, quote, batchOrderItems, comboUpdates, reservationId }) => {
+  const steps = [];
+
+  if (quote.coinDiscount.coinsUsed > 0) {
+    steps.push({
+      stage: 'coins',
+      run: async (session) => {
+        const result = await redeemCoinsForOrder(
+          userId,
+          quote.coinDiscount.orderValue,
+          quote.coinDiscount.coinsUsed,
+          order._id,
+          session
+        );
+        if (!result.success) {
+          throw stepFailure('coins', `Coin redemption failed: ${result.message}`, result.errors || []);
+        }
+        order.coinDiscount.transactionId = result.transactionId;
+        return result;
+      },
+      undo: async (result) => {
+        const coins = result.coinsRedeemed;
+        await User.updateOne(
+          { _id: userId },
+          { $inc: { 'wallet.balance': coins, 'wallet.totalSpent': -coins } }
+        );
+        if (result.transactionId) {
+          await Transaction.findByIdAndUpdate(result.transactionId, { status: 'REVERSED' });
+        }
+      }
+    });
+  }
+
+  if (quote.coupon) {
+    steps.push({
+      stage: 'coupon',
+      run: async (session) => {
+        // The quote checked the coupon without a lock, so its user rules (per-user limit, first
+        // order, referred users) are checked again here. In a transaction a concurrent checkout
+        // with the same coupon conflicts on the usedCount update below and is retried, and its
+        // retry sees this redemption.
+        const current = await couponService.resolveCoupon(quote.coupon.id, session);
+        const evaluation = await couponService.evaluateCoupon({
+          coupon: current,
+          userId,
+          items: quote.items,
+          subtotal: quote.subtotal,
+          coinsUsed: quote.coinDiscount.coinsUsed,
+          session
+        });
+        if (!evaluation.isValid) {
+          throw stepFailure('coupon', evaluation.errors[0] || 'Coupon is no longer available', evaluation.errors);
+        }
+
+        const updated = await Coupon.findOneAndUpdate(
+          {
+            _id: quote.coupon.id,
+            active: true,
+            $or: [
+              { usageLimit: null },
+              { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+          },
+          { $inc: { usedCount: 1 } },
+          { new: true, session }
+        );
+        if (!updated) {
+          throw stepFailure('coupon', 'Coupon is no longer available');
+        }
+        const redemption = await couponService.recordRedemption({
+          coupon: updated,
+          userId,
+          order,
+          eligibleSubtotal: quote.coupon.eligibleSubtotal
+        }, session);
+
+        // Without a transaction two checkouts can both pass the check above; count the ledger
+        // again now that this redemption is in it and back out if the user went over the limit
+        const userLimit = current.firstOrderOnly ? 1 : current.perUserLimit;
+        if (!session && userLimit != null) {
+          const userRedemptions = await CouponRedemption.countDocuments({
+            couponId: updated._id,
+            userId,
+            status: 'applied'
+          });
+          if (userRedemptions > userLimit) {
+            await CouponRedemption.findByIdAndDelete(redemption._id);
+            await Coupon.updateOne({ _id: updated._id }, { $inc: { usedCount: -1 } });
+            throw stepFailure('coupon', `You have already used this coupon ${userLimit} time(s)`);
+          }
+        }
+        return { coupon: updated, redemption };
+      },
+      undo: async (result) => {
+        await Coupon.updateOne({ _id: quote.coupon.id }, { $inc: { usedCount: -1 } });
+        if (result?.redemption) {
+          await CouponRedemption.findByIdAndDelete(result.redemption._id);
+        }
+      }
+    });
+  }
+
+  steps.push({
+    stage: 'order',
+    run: async (session) => {
+      await order.save({ session });
+      return order;
+    },
+    undo: async () => {
+      await Order.findByIdAndDelete(order._id);
+    }
+  });
+
+  // Held checkout stock goes back to availability right before the order allocates it
+  if (reservationId) {
+    steps.push({
+      stage: 'reservation',
+      run: async (session) => {
+        return reservationService.closeReservation(reservationId, {
+          status: 'converted',
+          reason: 'Converted to order',
+          orderId: order._id
+        }, session);
+      },
+      // The released units cannot be taken back, so just record that the hold ended
+      undo: async (reservation) => {
+        if (!reservation) return;
+        await InventoryReservation.updateOne(
+          { _id: reservation._id, status: 'converted' },
+          { $set: { status: 'released', releaseReason: 'Order placement failed' }, $unset: { orderId: 1 } }
+        );
+      }
+    });
+  }
+
+  if (batchOrderItems.length > 0) {
+    steps.push({
+      stage: 'batches',
+      run: async (session) => {
+        const result = await batchGroupStockService.allocateBatchGroupStockForOrder(batchOrderItems, order._id, session, order.warehouseId || null);
+        if (!result.success) {
+          throw stepFailure('batches', 'Failed to allocate stock from batches', result.errors);
+        }
+        return result;
+      },
+      // Partial allocations are released too, so undo runs even when this step fails
+      undoOnFailure: true,
+      undo: async () => {
+        await batchGroupStockService.deallocateBatchGroupStockForOrder(order._id);
+      }
+    });
+  }
+
+  for (const update of comboUpdates) {
+    steps.push({
+      stage: 'combo',
+      run: async (session) => {
+        const result = await ComboPack.updateOne(
+          { _id: update.id, stock: { $gte: update.quantity } },
+          { $inc: { stock: -update.quantity, purchaseCount: update.quantity } },
+          { session }
+        );
+        if (result.matchedCount === 0) {
+          throw stepFailure('combo', `Insufficient stock for combo pack ${update.name || update.id}`);
+        }
+        return result;
+      },
+      undo: async () => {
+        await ComboPack.updateOne(
+          { _id: update.id },
+          { $inc: { stock: update.quantity, purchaseCount: -update.quantity } }
+        );
+      }
+    });
+  }
+
+  return steps;
+};
+
+// Undo completed steps in reverse order; keep going if one undo fails
+const compensate = async (completed, orderId) => {
+  for (const { step, result } of [...completed].reverse()) {
+    try {
+      await step.undo(result);
+      console.log(`[ORDER PLACEMENT] Compensated step "${step.stage}" for order ${orderId}`);
+    } catch (undoError) {
+      console.error(`[ORDER PLACEMENT] Compensation failed for step "${step.stage}" of order ${orderId}:`, undoError);
+    }
+  }
+};
+
+// connection.transaction() runs the steps through session.withTransaction(): the whole attempt is
+// retried on TransientTransactionError (e.g. a write conflict with another checkout on the same
+// batch group) and the commit on UnknownTransactionCommitResult. Documents inserted by an aborted
+// attempt (the order) are reset so the retry inserts them again.
+const runWithTransaction = async (steps) => {
+  await mongoose.connection.transaction(async (session) => {
+    for (const step of steps) {
+      await step.run(session);
+    }
+  });
+};
+
+const runWithCompensation = async (steps, orderId) => {
+  const completed = [];
+  try {
+    for (const step of steps) {
+      const result = await step.run(null);
+      completed.push({ step, result });
+    }
+  } catch (error) {
+    const failedStep = steps[completed.length];
+    if (failedStep?.undoOnFailure) {
+      completed.push({ step: failedStep, result: null });
+    }
+    await compensate(completed, orderId);
+    throw error;
+  }
+};
+
+// Combos a warehouse can make from the component stock it holds
+const comboStockInWarehouse = async (comboPack, warehouseId) => {
+  let available = comboPack.stock;
+  for (const comboProduct of comboPack.products) {
+    const { totalAvailable } = await batchGroupStockService.calculateBatchGroupStock(
+      comboProduct.productId,
+      comboProduct.variantId || null,
+      warehouseId
+    );
+    available = Math.min(available, Math.floor(totalAvailable / comboProduct.quantity));
+  }
+  return Math.max(0, available);
+};
+
+/**
+ * Check stock for priced order lines and build what placeOrder allocates
+ * Every line is checked; units the user holds in an active checkout count as available.
+ * @param {Array} orderItems - Priced lines from pricingService
+ * @param {object} [reservation] - The user's active InventoryReservation
+ * @param {object} [options] - { warehouseId }: check stock in that warehouse only
+ * @returns {object} - { success, message, shortages, batchOrderItems, comboUpdates }
+ */
+export const prepareStockAllocation = async (orderItems, reservation = null, { warehouseId = null } = {}) => {
+  const shortages = [];
+  const batchOrderItems = [];
+  const comboUpdates = [];
+
+  // Held units only count when they sit in the warehouse being checked
+  const heldBatchGroupIds = reservation && warehouseId
+    ? new Set((await BatchGroup.distinct('_id', {
+      _id: { $in: reservation.items.flatMap(item => item.holds.map(hold => hold.batchGroupId)) },
+      warehouseId
+    })).map(id => id.toString()))
+    : null;
+
+  const shortage = (item, available, message) => {
+    shortages.push({
+      id: item.id,
+      variantId: item.variantId || null,
+      name: item.name,
+      requested: item.qty,
+      available: Math.max(0, available),
+      message
+    });
+  };
+
+  for (const item of orderItems) {
+    if (item.type === 'combo') {
+      const comboPack = await ComboPack.findById(item.id);
+      if (!comboPack) {
+        shortage(item, 0, `Combo pack ${item.name} not found`);
+        continue;
+      }
+
+      const availableStock = warehouseId
+        ? await comboStockInWarehouse(comboPack, warehouseId)
+        : await comboPack.calculateAvailableStock();
+      if (availableStock < item.qty) {
+        shortage(item, availableStock, `Insufficient stock for combo pack ${item.name}. Available: ${availableStock}, Required: ${item.qty}`);
+        continue;
+      }
+
+      comboUpdates.push({ id: item.id, quantity: item.qty, name: comboPack.name });
+
+      // Products inside the combo are allocated from their own batches
+      for (const comboProduct of comboPack.products) {
+        const product = await Product.findById(comboProduct.productId);
+        if (product) {
+          batchOrderItems.push({
+            productId: comboProduct.productId,
+            variantId: comboProduct.variantId || null,
+            quantity: comboProduct.quantity * item.qty,
+            type: 'combo-item',
+            parentComboId: item.id
+          });
+        }
+      }
+      continue;
+    }
+
+    const product = await Product.findById(item.id);
+    if (!product) {
+      shortage(item, 0, `Product ${item.name} not found`);
+      continue;
+    }
+
+    const variantId = item.hasVariant && item.variantId ? item.variantId : null;
+    const stockCheck = await batchStockUtils.checkStockAvailability(item.id, variantId, item.qty, warehouseId);
+
+    const heldQty = reservationService.getHeldQuantity(reservation, item.id, variantId, heldBatchGroupIds);
+    if (heldQty > 0) {
+      stockCheck.availableQuantity += heldQty;
+      stockCheck.available = stockCheck.availableQuantity >= item.qty;
+    }
+
+    if (!stockCheck.available) {
+      const label = variantId ? `${item.name} - ${item.variantName}` : item.name;
+      shortage(item, stockCheck.availableQuantity, `Insufficient batch stock for ${label}. Available: ${stockCheck.availableQuantity}, Required: ${item.qty}`);
+      continue;
+    }
+
+    batchOrderItems.push({
+      productId: item.id,
+      variantId,
+      quantity: item.qty,
+      type: variantId ? 'variant' : 'product'
+    });
+  }
+
+  return {
+    success: shortages.length === 0,
+    message: shortages[0]?.message || null,
+    shortages,
+    batchOrderItems,
+    comboUpdates
+  };
+};
+
+/**
+ * Pick the warehouse that fulfils an order and check its stock
+ * Warehouses serving the pincode are tried first, then those serving its zone, then the rest;
+ * the first one that has every line in stock wins, so an order always ships from one place.
+ * @param {Array} orderItems - Priced lines from pricingService
+ * @param {object} [reservation] - The user's active InventoryReservation
+ * @param {object} [delivery] - { pincode, zone }
+ * @returns {object} - prepareStockAllocation's result plus { warehouseId, warehouseRouting };
+ *   when no warehouse can fulfil the order, the shortages of the best-placed one
+ */
+export const routeStockAllocation = async (orderItems, reservation = null, { pincode = null, zone = undefined } = {}) => {
+  const candidates = await warehouseService.getCandidateWarehouses({ pincode, zone });
+
+  let preferred = null;
+  for (const { warehouse, routing } of candidates) {
+    const stock = await prepareStockAllocation(orderItems, reservation, { warehouseId: warehouse._id });
+    if (stock.success) {
+      console.log(`[ORDER PLACEMENT] Routed order for pincode ${pincode || '-'} to ${warehouse.name} (${routing})`);
+      return { ...stock, warehouseId: warehouse._id, warehouseRouting: routing };
+    }
+    preferred = preferred || stock;
+  }
+
+  return { ...preferred, warehouseId: null, warehouseRouting: null };
+};
+
+/**
+ * Place an order atomically
+ * @param {object} params
+ * @param {string} params.userId - Ordering user
+ * @param {object} params.quote - Server quote from pricingService.buildOrderQuote
+ * @param {object} params.orderData - Remaining order fields (shipping, payment, otp, warehouseId...)
+ * @param {Array} params.batchOrderItems - Items to allocate from batch groups
+ * @param {Array} params.comboUpdates - Combo packs whose stock must be decremented
+ * @param {string} [params.reservationId] - Active checkout hold to convert
+ * @returns {object} - { success, order } or { success: false, stage, message, errors }
+ */
+export const placeOrder = async ({ userId, quote, orderData, batchOrderItems = [], comboUpdates = [], reservationId = null }) => {
+  const order = new Order({
+    ...orderData,
+    userId,
+    items: quote.items,
+    subtotal: quote.subtotal,
+    couponDiscount: quote.couponDiscount,
+    coinDiscount: {
+      amount: quote.coinDiscount.amount,
+      coinsUsed: quote.coinDiscount.coinsUsed,
+      transactionId: null
+    },
+    shippingFee: quote.shippingFee,
+    shippingBreakdown: quote.shipping ? {
+      base: quote.shipping.base,
+      surcharges: quote.shipping.surcharges,
+      promo: quote.shipping.promo || undefined,
+      zone: quote.shipping.zone || undefined
+    } : undefined,
+    deliveryType: quote.shipping?.deliveryType || orderData.deliveryType,
+    totalAmount: quote.totalAmount,
+    coupon: quote.coupon ? quote.coupon.id : null
+  });
+
+  const steps = buildPlacementSteps({ order, userId, quote, batchOrderItems, comboUpdates, reservationId });
+  const useTransaction = await supportsTransactions();
+
+  try {
+    if (useTransaction) {
+      await runWithTransaction(steps);
+    } else {
+      await runWithCompensation(steps, order._id);
+    }
+  } catch (error) {
+    if (error.isStepFailure) {
+      console.error(`[ORDER PLACEMENT] Step "${error.stage}" failed for order ${order._id}:`, error.message);
+      return { success: false, stage: error.stage, message: error.message, errors: error.errors };
+    }
+    console.error(`[ORDER PLACEMENT] Unexpected error placing order ${order._id}:`, error);
+    throw error;
+  }
+
+  // Link the coin transaction to the order number shown to customers
+  if (order.coinDiscount.transactionId) {
+    try {
+      await Transaction.findByIdAndUpdate(order.coinDiscount.transactionId, {
+        $set: {
+          'metadata.orderId': order._id.toString(),
+          'metadata.orderNumber': order._id.toString().slice(-8).toUpperCase()
+        }
+      });
+    } catch (updateError) {
+      console.error('[ORDER PLACEMENT] Failed to update transaction metadata:', updateError);
+    }
+  }
+
+  // Product stock mirrors batch availability; refresh it once the allocation is committed
+  for (const item of batchOrderItems) {
+    try {
+      await batchStockUtils.updateProductStockFromBatches(item.productId, item.variantId);
+    } catch (syncError) {
+      console.error(`[ORDER PLACEMENT] Failed to sync product stock for ${item.productId}:`, syncError);
+    }
+  }
+
+  console.log(`[ORDER PLACEMENT] Order ${order._id} placed (${useTransaction ? 'transaction' : 'compensation'} mode)`);
+  return { success: true, order };
+};
+
+/**
+ * Give back everything a cancelled order was holding: batch allocations, combo stock,
+ * coupon usage and redeemed coins. Each part is attempted even if another fails.
+ * @param {object} order - The order, already marked Cancelled
+ * @param {string} reason
+ */
+export const releaseOrderResources = async (order, reason = 'Order released') => {
+  const release = async (stage, fn) => {
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`[ORDER PLACEMENT] Failed to release ${stage} for order ${order._id}:`, error);
+    }
+  };
+
+  await release('batches', async () => {
+    const { released } = await batchGroupStockService.deallocateBatchGroupStockForOrder(order._id);
+    const lines = new Map(released.map(line => [`${line.productId}:${line.variantId || ''}`, line]));
+    for (const line of lines.values()) {
+      await batchStockUtils.updateProductStockFromBatches(line.productId, line.variantId);
+    }
+  });
+
+  for (const item of order.items.filter(i => i.itemType === 'combo')) {
+    await release('combo', () => ComboPack.updateOne(
+      { _id: item.id },
+      { $inc: { stock: item.qty, purchaseCount: -item.qty } }
+    ));
+  }
+
+  if (order.coupon) {
+    await release('coupon', () => couponService.reverseRedemption(order._id, reason));
+  }
+
+  const coins = order.coinDiscount?.coinsUsed || 0;
+  if (coins > 0) {
+    await release('coins', async () => {
+      await User.updateOne(
+        { _id: order.userId },
+        { $inc: { 'wallet.balance': coins, 'wallet.totalSpent': -coins } }
+      );
+      if (order.coinDiscount.transactionId) {
+        await Transaction.findByIdAndUpdate(order.coinDiscount.transactionId, { status: 'REVERSED' });
+      }
+    });
+  }
+};
+
+/**
+ * Undo a placed order that will never be fulfilled (e.g. its online payment failed)
+ * Cancels the order, then returns batch allocations, combo stock, coupon usage and coins.
+ * The status claim is atomic, so running this twice releases nothing the second time.
+ * @param {string} orderId
+ * @param {object} options - { reason, paymentStatus }
+ * @returns {object|null} - The cancelled order, or null if it was no longer pending
+ */
+export const releaseOrder = async (orderId, { reason = 'Order released', paymentStatus } = {}) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: 'Pending', paymentStatus: { $ne: 'Paid' } },
+    {
+      $set: { status: 'Cancelled', 'delivery.status': 'cancelled', ...(paymentStatus ? { paymentStatus } : {}) },
+      $push: {
+        statusHistory: {
+          from: 'Pending',
+          to: 'Cancelled',
+          actor: { role: 'system' },
+          reason,
+          at: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!order) return null;
+
+  await releaseOrderResources(order, reason);
+
+  console.log(`[ORDER PLACEMENT] Order ${order._id} released: ${reason}`);
+  return order;
+};
+
+export default {
+  supportsTransactions,
+  prepareStockAllocation,
+  routeStockAllocation,
+  placeOrder,
+  releaseOrderResources,
+  releaseOrder
+};
@@ -0,0 +1,318 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Return from '../models/Return.js';
+import PaymentAttempt from '../models/PaymentAttempt.js';
+import { ACTORS, getNextStatuses, normalizeOrderStatus } from '../utils/orderLifecycle.js';
+
+/**
+ * Order Tracking Service
+ * Customer-facing tracking view of an order: one chronological timeline built from the
+ * order's status history, payment confirmation, delivery attempts, slot changes and
+ * return requests, plus the assigned agent (masked) and an ETA inside the delivery slot.
+ */
+
+export const TRACKING_CONSTANTS = {
+  AGENT_ONLINE_MINUTES: 15, // Agent counts as online if active this recently
+  OUT_FOR_DELIVERY_LEAD_MINUTES: 30 // Earliest arrival once the agent has left
+};
+
+const MINUTE = 60 * 1000;
+const IST_OFFSET = 330 * MINUTE; // Slots are Indian wall-clock times, whatever the server's timezone
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// "Ravi Kumar" -> "Ravi K."
+export const maskName = (name) => {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+  return `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.`;
+};
+
+// "9876543210" -> "******3210"
+export const maskPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 4) return null;
+  return `${'*'.repeat(Math.max(digits.length - 4, 2))}${digits.slice(-4)}`;
+};
+
+// "10:00", "9:00 AM" -> [hours, minutes]
+const parseClock = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const meridiem = match[3]?.toUpperCase();
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+  return [hours, Number(match[2])];
+};
+
+// The IST calendar day of `date` at an IST clock time
+const atClock = (date, clock) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), clock[0], clock[1]) - IST_OFFSET);
+};
+
+/**
+ * Delivery window of an order
+ * The slot set when the agent was assigned wins over the slot the customer picked.
+ * @returns {object|null} - { start, end, label }
+ */
+export const getDeliveryWindow = (order) => {
+  const agentSlot = order.delivery?.slot;
+  if (agentSlot?.date && agentSlot.startTime && agentSlot.endTime) {
+    const start = parseClock(agentSlot.startTime);
+    const end = parseClock(agentSlot.endTime);
+    if (start && end) {
+      return {
+        start: atClock(agentSlot.date, start),
+        end: atClock(agentSlot.date, end),
+        label: `${agentSlot.startTime} - ${agentSlot.endTime}`
+      };
+    }
+  }
+
+  const customerSlot = order.deliverySlot;
+  if (customerSlot?.date && customerSlot.timeSlot) {
+    const [from, to] = customerSlot.timeSlot.split('-').map(part => parseClock(part));
+    if (from && to) {
+      return {
+        start: atClock(customerSlot.date, from),
+        end: atClock(customerSlot.date, to),
+        label: customerSlot.timeSlot
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Expected arrival, kept inside the delivery window
+ * @returns {object|null} - { windowStart, windowEnd, window, earliestAt, expectedBy, isLate }
+ */
+export const estimateArrival = (order, now = new Date()) => {
+  const deliveryStatus = order.delivery?.status;
+  if (['delivered', 'cancelled'].includes(deliveryStatus) || ['Delivered', 'Cancelled'].includes(order.status)) {
+    return null;
+  }
+
+  const window = getDeliveryWindow(order);
+  const lead = deliveryStatus === 'out_for_delivery' ? TRACKING_CONSTANTS.OUT_FOR_DELIVERY_LEAD_MINUTES * MINUTE : 0;
+  const earliest = new Date(now.getTime() + lead);
+
+  if (!window) {
+    const estimated = order.delivery?.metrics?.estimatedTime;
+    return estimated
+      ? { windowStart: null, windowEnd: null, window: null, earliestAt: earliest, expectedBy: estimated, isLate: estimated < now }
+      : null;
+  }
+
+  // Past the window the agent is running late: the best estimate is the earliest arrival
+  const isLate = earliest > window.end;
+  return {
+    windowStart: window.start,
+    windowEnd: window.end,
+    window: window.label,
+    earliestAt: isLate ? earliest : new Date(Math.max(window.start.getTime(), earliest.getTime())),
+    expectedBy: isLate ? earliest : window.end,
+    isLate
+  };
+};
+
+const ATTEMPT_EVENTS = {
+  dispatched: { type: 'dispatched', title: 'Dispatched' },
+  out_for_delivery: { type: 'out_for_delivery', title: 'Out for delivery' },
+  delivered: { type: 'delivered', title: 'Delivered' },
+  failed: { type: 'delivery_failed', title: 'Delivery attempt failed' }
+};
+
+const STATUS_EVENTS = {
+  Shipped: { type: 'shipped', title: 'Shipped' },
+  Dispatched: { type: 'dispatched', title: 'Dispatched' },
+  'Out for Delivery': { type: 'out_for_delivery', title: 'Out for delivery' },
+  Delivered: { type: 'delivered', title: 'Delivered' },
+  Failed: { type: 'delivery_failed', title: 'Delivery failed' },
+  Cancelled: { type: 'cancelled', title: 'Order cancelled' }
+};
+
+const PAYMENT_CONFIRMATIONS = {
+  gateway: 'Online payment confirmed',
+  upi_statement: 'UPI payment verified',
+  admin: 'Payment verified'
+};
+
+const titleCase = (value) => String(value || '').replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+const orderEvents = (order) => {
+  const events = [{ type: 'order_placed', at: order.placedAt || order.createdAt, title: 'Order placed' }];
+
+  if (order.paymentMethod === 'UPI' && order.upiTransactionId) {
+    events.push({
+      type: 'payment_submitted',
+      at: order.placedAt || order.createdAt,
+      title: 'UPI payment submitted for verification'
+    });
+  }
+  if (order.paymentStatus === 'Paid' && order.paidAt) {
+    events.push({
+      type: 'payment_verified',
+      at: order.paidAt,
+      title: PAYMENT_CONFIRMATIONS[order.paymentConfirmedVia] || 'Payment received'
+    });
+  }
+
+  let assignmentRecorded = false;
+  for (const entry of order.statusHistory || []) {
+    // Agent updates are shown from their delivery attempt, which has the location and notes
+    if (entry.actor?.role === ACTORS.DELIVERY_AGENT) continue;
+
+    if (entry.from === entry.to) {
+      if (entry.deliveryTo === 'assigned') {
+        assignmentRecorded = true;
+        events.push({ type: 'agent_assigned', at: entry.at, title: 'Delivery agent assigned' });
+      }
+      continue;
+    }
+
+    const event = STATUS_EVENTS[entry.to];
+    if (event) {
+      events.push({
+        ...event,
+        at: entry.at,
+        ...(entry.to === 'Cancelled' && entry.reason ? { description: entry.reason } : {})
+      });
+    }
+  }
+
+  // Orders assigned before status history was kept
+  if (!assignmentRecorded && order.delivery?.assignedAt) {
+    events.push({ type: 'agent_assigned', at: order.delivery.assignedAt, title: 'Delivery agent assigned' });
+  }
+
+  for (const attempt of order.delivery?.attempts || []) {
+    const event = ATTEMPT_EVENTS[attempt.status];
+    if (!event || !attempt.timestamp) continue;
+    const location = (attempt.location?.address || attempt.location?.lat != null)
+      ? { address: attempt.location.address, lat: attempt.location.lat, lng: attempt.location.lng }
+      : null;
+    events.push({
+      ...event,
+      at: attempt.timestamp,
+      ...(attempt.notes ? { notes: attempt.notes } : {}),
+      ...(location ? { location } : {})
+    });
+  }
+
+  for (const change of order.slotChanges || []) {
+    events.push({
+      type: 'slot_changed',
+      at: change.at,
+      title: change.from?.date ? 'Delivery slot changed' : 'Delivery slot scheduled',
+      from: change.from?.date ? { date: change.from.date, window: change.from.window } : null,
+      to: { date: change.to?.date, window: change.to?.window },
+      changedBy: change.changedBy?.role
+    });
+  }
+
+  return events;
+};
+
+const returnEvents = (returns) => returns.flatMap(returnRequest => {
+  const events = [{
+    type: 'return_requested',
+    at: returnRequest.requestedAt,
+    title: 'Return requested',
+    returnId: returnRequest.returnRequestId
+  }];
+  for (const update of returnRequest.warehouseManagement?.statusUpdates || []) {
+    if (update.toStatus === 'requested') continue;
+    events.push({
+      type: `return_${update.toStatus}`,
+      at: update.updatedAt,
+      title: `Return ${titleCase(update.toStatus).toLowerCase()}`,
+      returnId: returnRequest.returnRequestId,
+      ...(update.notes ? { notes: update.notes } : {})
+    });
+  }
+  return events;
+});
+
+const agentView = (agent, order, now) => {
+  if (!agent) return null;
+  const lastAttempt = [...(order.delivery?.attempts || [])].reverse().find(attempt => attempt.location?.lat != null);
+  const onTheWay = ['dispatched', 'out_for_delivery'].includes(order.delivery?.status);
+
+  return {
+    name: maskName(agent.name),
+    phone: maskPhone(agent.phone),
+    vehicleType: agent.vehicleInfo?.type || null,
+    isOnline: !!agent.lastActiveAt && now - agent.lastActiveAt <= TRACKING_CONSTANTS.AGENT_ONLINE_MINUTES * MINUTE,
+    lastActiveAt: agent.lastActiveAt || null,
+    // Only while the order is on its way to the customer
+    lastKnownLocation: onTheWay && lastAttempt
+      ? { lat: lastAttempt.location.lat, lng: lastAttempt.location.lng, at: lastAttempt.timestamp }
+      : null
+  };
+};
+
+/**
+ * Tracking view of a customer's order
+ * @param {string} orderId
+ * @param {object} options - { userId } owner of the order
+ * @returns {object} - { orderId, status, deliveryStatus, paymentStatus, agent, eta, timeline }
+ */
+export const getOrderTracking = async (orderId, { userId, now = new Date() } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw httpError('Invalid order ID', 400);
+  }
+
+  const order = await Order.findById(orderId)
+    .select('userId status paymentMethod paymentStatus paidAt paymentConfirmedVia upiTransactionId placedAt createdAt delivery deliverySlot statusHistory slotChanges')
+    .populate('delivery.agent', 'name phone vehicleInfo lastActiveAt');
+  if (!order || (userId && order.userId.toString() !== userId.toString())) {
+    throw httpError('Order not found', 404);
+  }
+
+  const [returns, paidAttempt] = await Promise.all([
+    Return.find({ orderId: order._id })
+      .select('returnRequestId status requestedAt warehouseManagement.statusUpdates')
+      .lean(),
+    // Online orders paid before the confirmation time was kept on the order
+    order.paymentStatus === 'Paid' && !order.paidAt && order.paymentMethod === 'ONLINE'
+      ? PaymentAttempt.findOne({ orderId: order._id, status: 'paid' }).select('paidAt').lean()
+      : null
+  ]);
+
+  const timeline = [...orderEvents(order), ...returnEvents(returns)];
+  if (paidAttempt?.paidAt) {
+    timeline.push({ type: 'payment_verified', at: paidAttempt.paidAt, title: PAYMENT_CONFIRMATIONS.gateway });
+  }
+  timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    orderId: order._id,
+    status: order.status,
+    deliveryStatus: order.delivery?.status,
+    paymentStatus: order.paymentStatus,
+    canCancel: getNextStatuses(normalizeOrderStatus(order.status), ACTORS.USER).includes('Cancelled'),
+    agent: agentView(order.delivery?.agent, order, now),
+    deliveredAt: order.delivery?.deliveredAt || null,
+    eta: estimateArrival(order, now),
+    timeline,
+    returns: returns.map(({ returnRequestId, status }) => ({ returnId: returnRequestId, status }))
+  };
+};
+
+export default {
+  TRACKING_CONSTANTS,
+  maskName,
+  maskPhone,
+  getDeliveryWindow,
+  estimateArrival,
+  getOrderTracking
+};
@@ -0,0 +1,375 @@
+import Order from '../models/Order.js';
+import PaymentAttempt from '../models/PaymentAttempt.js';
+import notificationService from './notificationService.js';
+import orderPlacementService from './orderPlacementService.js';
+import razorpayPaymentProvider from './razorpayPaymentProvider.js';
+import mockPaymentProvider from './mockPaymentProvider.js';
+import returnRefundService from './returnRefundService.js';
+
+/**
+ * Payment Service
+ * Online payments for ONLINE orders through a pluggable provider. Each try is a
+ * PaymentAttempt; the order becomes Paid on a verified capture webhook (or when
+ * reconciliation finds the capture), and orders whose payment fails or whose
+ * window runs out are released so their stock goes back on sale.
+ */
+
+export const PAYMENT_CONSTANTS = {
+  PROVIDER: process.env.PAYMENT_PROVIDER || null, // Required: 'razorpay', or 'mock' outside production
+  PAYMENT_WINDOW_MINUTES: Number(process.env.PAYMENT_WINDOW_MINUTES) || 15
+};
+
+const providers = {
+  [razorpayPaymentProvider.name]: razorpayPaymentProvider,
+  [mockPaymentProvider.name]: mockPaymentProvider
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const getProvider = (name = PAYMENT_CONSTANTS.PROVIDER) => {
+  if (!name) {
+    throw httpError('Online payments are not configured (PAYMENT_PROVIDER)', 503);
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw httpError(`Unknown payment provider: ${name}`, 400);
+  }
+  // The mock provider settles payments on request, so it must never see real traffic
+  if (provider === mockPaymentProvider && process.env.NODE_ENV === 'production') {
+    throw httpError('Mock payment provider is disabled in production', 400);
+  }
+  return provider;
+};
+
+// Deadline for paying a new ONLINE order
+export const getPaymentDueAt = (from = new Date()) =>
+  new Date(from.getTime() + PAYMENT_CONSTANTS.PAYMENT_WINDOW_MINUTES * 60 * 1000);
+
+const addEvent = (attempt, { eventId = null, event, source }) => {
+  attempt.events.push({ eventId, event, source, receivedAt: new Date() });
+};
+
+/**
+ * Start a payment for an ONLINE order; any earlier unfinished attempt is superseded
+ * @returns {object} - { attempt, checkout }
+ */
+export const createPaymentAttempt = async (orderId, userId) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.userId.toString() !== userId.toString()) {
+    throw httpError('Order not found', 404);
+  }
+  if (order.paymentMethod !== 'ONLINE') {
+    throw httpError('Order is not an online payment order', 400);
+  }
+  if (order.paymentStatus === 'Paid') {
+    throw httpError('Order is already paid', 400);
+  }
+  if (order.status !== 'Pending' || order.paymentStatus === 'Failed') {
+    throw httpError('Order can no longer be paid', 400);
+  }
+  if (order.paymentDueAt && order.paymentDueAt <= new Date()) {
+    throw httpError('Payment window for this order has closed', 400);
+  }
+
+  const provider = getProvider();
+  const { providerOrderId, checkout } = await provider.createOrder({
+    amount: order.totalAmount,
+    currency: 'INR',
+    receipt: order._id.toString(),
+    notes: { orderId: order._id.toString(), userId: userId.toString() }
+  });
+
+  await PaymentAttempt.updateMany(
+    { orderId: order._id, status: 'created' },
+    { $set: { status: 'superseded' } }
+  );
+
+  const attempt = await PaymentAttempt.create({
+    orderId: order._id,
+    userId,
+    provider: provider.name,
+    providerOrderId,
+    amount: order.totalAmount,
+    currency: 'INR',
+    expiresAt: order.paymentDueAt
+  });
+
+  console.log(`[PAYMENT] Attempt ${attempt._id} (${provider.name} ${providerOrderId}) created for order ${order._id}`);
+  return { attempt, checkout: { ...checkout, provider: provider.name, attemptId: attempt._id } };
+};
+
+// Notify the customer once their payment is confirmed
+export const notifyPaymentReceived = async (order) => {
+  try {
+    await notificationService.createNotification({
+      title: 'Payment Received',
+      message: `Your payment of ₹${order.totalAmount} for order #${order._id.toString().slice(-8).toUpperCase()} was successful.`,
+      type: 'order',
+      category: 'payment',
+      userId: order.userId,
+      channels: ['in_app', 'push'],
+      actionUrl: `/orders/${order._id}`,
+      actionText: 'View Order',
+      relatedOrderId: order._id,
+      createdBy: { system: true }
+    });
+  } catch (error) {
+    console.error(`[PAYMENT] Failed to notify payment for order ${order._id}:`, error);
+  }
+};
+
+// The capture must be for exactly what this attempt asked for
+const captureMatchesAttempt = (attempt, { amount, currency }) =>
+  Math.round(Number(amount) * 100) === Math.round(attempt.amount * 100) &&
+  String(currency || '').toUpperCase() === (attempt.currency || 'INR');
+
+/**
+ * Record a confirmed capture and mark the order Paid
+ * A capture for an order that was already cancelled or released is refunded to the customer
+ * A capture whose amount or currency differs from the attempt never pays the order
+ */
+const markAttemptPaid = async (attempt, { providerPaymentId, method, amount, currency }) => {
+  if (attempt.status === 'paid') return { attempt, order: null, duplicate: true };
+
+  if (!captureMatchesAttempt(attempt, { amount, currency })) {
+    if (providerPaymentId) attempt.providerPaymentId = providerPaymentId;
+    attempt.failureReason = `Captured ${amount} ${currency || 'unknown currency'} does not match ${attempt.amount} ${attempt.currency} - review required`;
+    await attempt.save();
+    console.warn(`[PAYMENT] Attempt ${attempt._id} capture mismatch for order ${attempt.orderId}: ${attempt.failureReason}`);
+    return { attempt, order: null, mismatch: true };
+  }
+
+  attempt.status = 'paid';
+  attempt.paidAt = new Date();
+  if (providerPaymentId) attempt.providerPaymentId = providerPaymentId;
+  if (method) attempt.method = method;
+
+  const order = await Order.findOneAndUpdate(
+    { _id: attempt.orderId, status: { $ne: 'Cancelled' }, paymentStatus: { $ne: 'Paid' } },
+    { $set: { paymentStatus: 'Paid', paidAt: attempt.paidAt, paymentConfirmedVia: 'gateway' } },
+    { new: true }
+  );
+
+  let lateCapture = false;
+  if (!order) {
+    const current = await Order.findById(attempt.orderId).select('status paymentStatus');
+    if (current?.status === 'Cancelled') {
+      lateCapture = true;
+      attempt.failureReason = 'Captured after the order was cancelled - refunded';
+      console.warn(`[PAYMENT] Attempt ${attempt._id} captured for cancelled order ${attempt.orderId}; refunding`);
+    }
+  }
+  await attempt.save();
+
+  // A failed refund stays on the refund reconciliation report, where an admin can retry it
+  if (lateCapture) {
+    const refund = await returnRefundService.refundLateCapture(attempt);
+    return { attempt, order: null, refund };
+  }
+
+  if (order) {
+    console.log(`[PAYMENT] Order ${order._id} paid via ${attempt.provider} (${attempt.providerPaymentId})`);
+    await notifyPaymentReceived(order);
+  }
+  return { attempt, order };
+};
+
+// A failed payment ends the order: it is cancelled and its stock released
+const markAttemptFailed = async (attempt, { providerPaymentId, failureReason }) => {
+  if (['paid', 'failed'].includes(attempt.status)) return { attempt, order: null, duplicate: true };
+
+  // A newer attempt is in progress; only that one decides the order
+  const superseded = attempt.status === 'superseded';
+  attempt.status = 'failed';
+  attempt.failedAt = new Date();
+  attempt.failureReason = failureReason || 'Payment failed';
+  if (providerPaymentId) attempt.providerPaymentId = providerPaymentId;
+  await attempt.save();
+  if (superseded) return { attempt, order: null };
+
+  const order = await orderPlacementService.releaseOrder(attempt.orderId, {
+    reason: `Online payment failed: ${attempt.failureReason}`,
+    paymentStatus: 'Failed'
+  });
+  return { attempt, order };
+};
+
+/**
+ * Verify the signature the checkout returns to the browser
+ * This proves the customer completed checkout; the order turns Paid on the capture webhook
+ */
+export const verifyCheckout = async ({ userId, providerOrderId, providerPaymentId, signature }) => {
+  if (!providerOrderId || !providerPaymentId || !signature) {
+    throw httpError('providerOrderId, providerPaymentId and signature are required', 400);
+  }
+
+  const attempt = await PaymentAttempt.findOne({ providerOrderId });
+  if (!attempt || attempt.userId.toString() !== userId.toString()) {
+    throw httpError('Payment attempt not found', 404);
+  }
+
+  const provider = getProvider(attempt.provider);
+  if (!provider.verifyCheckoutSignature({ providerOrderId, providerPaymentId, signature })) {
+    throw httpError('Invalid payment signature', 400);
+  }
+
+  attempt.signatureVerified = true;
+  attempt.providerPaymentId = providerPaymentId;
+  if (['created', 'superseded'].includes(attempt.status)) {
+    attempt.status = 'authorized';
+  }
+  addEvent(attempt, { event: 'checkout.verified', source: 'checkout' });
+  await attempt.save();
+
+  const order = await Order.findById(attempt.orderId).select('status paymentStatus totalAmount');
+  return { attempt, order };
+};
+
+/**
+ * Handle a provider webhook
+ * @param {string} providerName - From the webhook URL
+ * @param {string} rawBody - Exact request body, needed for the signature
+ * @param {object} headers
+ * @param {object} body - Parsed body
+ * @returns {object} - { handled, duplicate, ignored, attempt }
+ */
+export const handleWebhook = async (providerName, rawBody, headers, body) => {
+  const provider = getProvider(providerName);
+  if (!provider.verifyWebhookSignature(rawBody, headers)) {
+    throw httpError('Invalid webhook signature', 401);
+  }
+
+  const event = provider.parseWebhook(body, headers);
+  // Refund events share the endpoint; they belong to return refunds, not payment attempts
+  if (event.refund) {
+    return returnRefundService.handleRefundWebhook(provider.name, event);
+  }
+  if (!event.providerOrderId) {
+    return { handled: false, ignored: true, reason: `No order reference in ${event.event}` };
+  }
+
+  const attempt = await PaymentAttempt.findOne({ provider: provider.name, providerOrderId: event.providerOrderId });
+  if (!attempt) {
+    console.warn(`[PAYMENT] Webhook ${event.event} for unknown ${provider.name} order ${event.providerOrderId}`);
+    return { handled: false, ignored: true, reason: 'Unknown payment' };
+  }
+
+  // Providers retry webhooks; each event is applied once
+  if (event.eventId && attempt.events.some(e => e.eventId === event.eventId)) {
+    return { handled: true, duplicate: true, attempt };
+  }
+  addEvent(attempt, { eventId: event.eventId, event: event.event, source: 'webhook' });
+
+  if (event.status === 'paid') {
+    await markAttemptPaid(attempt, event);
+  } else if (event.status === 'failed') {
+    await markAttemptFailed(attempt, event);
+  } else {
+    if (event.status === 'authorized' && attempt.status === 'created') attempt.status = 'authorized';
+    await attempt.save();
+  }
+
+  return { handled: true, attempt };
+};
+
+/**
+ * Scheduled job: close ONLINE orders whose payment window has passed
+ * Each open attempt is checked with the provider first, so a capture whose webhook
+ * was lost still marks the order Paid instead of releasing it
+ * @returns {object} - { checked, paid, released }
+ */
+export const expireUnpaidOrders = async (now = new Date()) => {
+  const overdue = await Order.find({
+    paymentMethod: 'ONLINE',
+    paymentStatus: 'Pending',
+    status: 'Pending',
+    paymentDueAt: { $lte: now }
+  }).select('_id');
+
+  let paid = 0;
+  let released = 0;
+
+  for (const { _id } of overdue) {
+    try {
+      const attempts = await PaymentAttempt.find({
+        orderId: _id,
+        status: { $in: ['created', 'authorized', 'superseded'] }
+      }).sort({ createdAt: -1 });
+
+      let capturedAttempt = null;
+      for (const attempt of attempts) {
+        try {
+          const remote = await getProvider(attempt.provider).fetchOrderStatus(attempt.providerOrderId);
+          if (remote.status === 'paid') {
+            addEvent(attempt, { event: 'reconciliation.paid', source: 'reconciliation' });
+            const { mismatch } = await markAttemptPaid(attempt, remote);
+            if (mismatch) continue;
+            capturedAttempt = attempt;
+            break;
+          }
+        } catch (error) {
+          console.error(`[PAYMENT] Could not reconcile attempt ${attempt._id}:`, error.message);
+        }
+      }
+
+      if (capturedAttempt) {
+        paid++;
+        continue;
+      }
+
+      await PaymentAttempt.updateMany(
+        { orderId: _id, status: { $in: ['created', 'authorized'] } },
+        { $set: { status: 'expired', failureReason: 'Payment window expired' } }
+      );
+      const order = await orderPlacementService.releaseOrder(_id, {
+        reason: 'Online payment not completed in time',
+        paymentStatus: 'Failed'
+      });
+      if (order) released++;
+    } catch (error) {
+      console.error(`[PAYMENT] Failed to expire order ${_id}:`, error);
+    }
+  }
+
+  return { checked: overdue.length, paid, released };
+};
+
+// All attempts for an order, newest first
+export const getOrderPaymentAttempts = async (orderId) =>
+  PaymentAttempt.find({ orderId }).sort({ createdAt: -1 });
+
+/**
+ * Complete a mock checkout the way a customer would at the gateway
+ * The signed webhook is delivered through handleWebhook, exactly like a real one
+ */
+export const simulateMockPayment = async (attemptId, userId, { succeed = true, method } = {}) => {
+  const attempt = await PaymentAttempt.findById(attemptId);
+  if (!attempt || attempt.userId.toString() !== userId.toString()) {
+    throw httpError('Payment attempt not found', 404);
+  }
+  if (attempt.provider !== mockPaymentProvider.name) {
+    throw httpError('Only mock payments can be simulated', 400);
+  }
+
+  const { checkout, webhook } = mockPaymentProvider.simulatePayment(attempt.providerOrderId, { succeed, method });
+  await handleWebhook(mockPaymentProvider.name, webhook.rawBody, webhook.headers, webhook.body);
+
+  return { checkout, attempt: await PaymentAttempt.findById(attemptId) };
+};
+
+export default {
+  PAYMENT_CONSTANTS,
+  getProvider,
+  getPaymentDueAt,
+  createPaymentAttempt,
+  verifyCheckout,
+  handleWebhook,
+  expireUnpaidOrders,
+  getOrderPaymentAttempts,
+  notifyPaymentReceived,
+  simulateMockPayment
+};
@@ -0,0 +1,308 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import PriceHistory from '../models/PriceHistory.js';
+import ScheduledPrice from '../models/ScheduledPrice.js';
+import wishlistAlertService from './wishlistAlertService.js';
+
+/**
+ * Price Service
+ * Keeps a change log of product/variant prices, applies scheduled prices and sale
+ * windows, and notifies interested customers when a price actually falls
+ */
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Current selling prices keyed by variant id (null key = base price)
+export const snapshotPrices = (product) => {
+  const prices = new Map([[null, { price: product.price, variantName: null }]]);
+  for (const variant of product.variants || []) {
+    prices.set(variant.id, { price: variant.price, variantName: variant.name });
+  }
+  return prices;
+};
+
+// The price-bearing line of a product: the variant, or the product itself
+const getPriceLine = (product, variantId) => {
+  if (!variantId) return product;
+  return (product.variants || []).find(v => v.id === variantId) || null;
+};
+
+/**
+ * Log every price that differs between a snapshot and the saved product
+ * @param {Map} before - snapshotPrices() taken before the change
+ * @param {object} product - Saved Product document
+ * @param {object} context - { changeType, changedBy, reason, scheduledPriceId }
+ * @returns {Array} - Created PriceHistory entries
+ */
+export const recordPriceChanges = async (before, product, context = {}) => {
+  const after = snapshotPrices(product);
+  const entries = [];
+
+  for (const [variantId, { price: newPrice, variantName }] of after) {
+    // Variant products are priced per variant; their base price is only a fallback
+    if (variantId === null && product.hasVariants && product.variants.length > 0) continue;
+
+    const previous = before.get(variantId);
+    if (!previous || previous.price == null || roundAmount(previous.price) === roundAmount(newPrice)) continue;
+
+    entries.push({
+      productId: product._id,
+      variantId,
+      variantName,
+      oldPrice: previous.price,
+      newPrice,
+      changeType: context.changeType || 'manual',
+      scheduledPriceId: context.scheduledPriceId,
+      changedBy: context.changedBy,
+      reason: context.reason
+    });
+  }
+
+  if (entries.length === 0) return [];
+
+  const created = await PriceHistory.insertMany(entries);
+
+  const drops = entries.filter(entry => entry.newPrice < entry.oldPrice);
+  if (drops.length > 0) {
+    wishlistAlertService.handlePriceDrop(product, drops).catch(error =>
+      console.error('[PRICE SERVICE] Failed to send price drop alerts:', error));
+  }
+
+  return created;
+};
+
+// Price history, newest first
+export const getPriceHistory = async (productId, { variantId, page = 1, limit = 50 } = {}) => {
+  const filter = { productId };
+  if (variantId !== undefined) filter.variantId = variantId || null;
+
+  const [history, total] = await Promise.all([
+    PriceHistory.find(filter)
+      .populate('changedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    PriceHistory.countDocuments(filter)
+  ]);
+
+  return { history, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * Schedule a future price for a product or variant
+ * @returns {object} - { success, errors, scheduledPrice }
+ */
+export const schedulePriceChange = async ({ productId, variantId = null, price, startAt, endAt = null, note }, createdBy) => {
+  const errors = [];
+
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return { success: false, errors: ['Invalid product ID'] };
+  }
+  const product = await Product.findById(productId);
+  if (!product) {
+    return { success: false, errors: ['Product not found'] };
+  }
+
+  const line = getPriceLine(product, variantId);
+  if (!line) errors.push(`Variant ${variantId} not found`);
+  if (product.hasVariants && product.variants.length > 0 && !variantId) {
+    errors.push('Select a variant; variant products are priced per variant');
+  }
+
+  const newPrice = Number(price);
+  if (price == null || isNaN(newPrice) || newPrice <= 0) errors.push('Price must be a positive number');
+
+  const start = startAt ? new Date(startAt) : new Date();
+  const end = endAt ? new Date(endAt) : null;
+  if (isNaN(start.getTime())) errors.push('Invalid start date');
+  if (end && isNaN(end.getTime())) errors.push('Invalid end date');
+  if (end && end <= start) errors.push('End date must be after start date');
+  if (end && end <= new Date()) errors.push('End date must be in the future');
+
+  if (errors.length > 0) return { success: false, errors };
+
+  // Windows for the same line may not overlap
+  const overlapping = await ScheduledPrice.findOne({
+    productId: product._id,
+    variantId: variantId || null,
+    status: { $in: ['scheduled', 'active'] },
+    startAt: end ? { $lt: end } : { $exists: true },
+    $or: [{ endAt: null }, { endAt: { $gt: start } }]
+  });
+  if (overlapping) {
+    return {
+      success: false,
+      errors: [`Overlaps an existing ${overlapping.status} price window (${overlapping._id})`]
+    };
+  }
+
+  const scheduledPrice = await ScheduledPrice.create({
+    productId: product._id,
+    variantId: variantId || null,
+    variantName: variantId ? line.name : null,
+    price: roundAmount(newPrice),
+    startAt: start,
+    endAt: end,
+    note,
+    createdBy
+  });
+
+  // Windows starting now take effect immediately instead of waiting for the job
+  if (start <= new Date()) {
+    await startScheduledPrice(scheduledPrice._id);
+  }
+
+  return { success: true, errors: [], scheduledPrice: await ScheduledPrice.findById(scheduledPrice._id) };
+};
+
+// Apply a due scheduled price; the status claim makes this safe to run from several workers
+export const startScheduledPrice = async (scheduledPriceId) => {
+  const scheduled = await ScheduledPrice.findOneAndUpdate(
+    { _id: scheduledPriceId, status: 'scheduled' },
+    { $set: { status: 'active', appliedAt: new Date() } },
+    { new: true }
+  );
+  if (!scheduled) return null;
+
+  const product = await Product.findById(scheduled.productId);
+  const line = product ? getPriceLine(product, scheduled.variantId) : null;
+  if (!line) {
+    scheduled.status = 'cancelled';
+    scheduled.note = [scheduled.note, 'Product or variant no longer exists'].filter(Boolean).join(' - ');
+    await scheduled.save();
+    return scheduled;
+  }
+
+  const before = snapshotPrices(product);
+  scheduled.revertPrice = line.price;
+  scheduled.revertOriginalPrice = line.originalPrice;
+
+  // During a sale the regular price shows as the struck-through original
+  if (scheduled.endAt && scheduled.price < line.price && !(line.originalPrice > line.price)) {
+    line.originalPrice = line.price;
+  }
+  line.price = scheduled.price;
+  await product.save();
+
+  // Permanent changes are done once applied
+  if (!scheduled.endAt) {
+    scheduled.status = 'completed';
+  }
+  await scheduled.save();
+
+  await recordPriceChanges(before, product, {
+    changeType: 'scheduled_start',
+    scheduledPriceId: scheduled._id,
+    changedBy: scheduled.createdBy,
+    reason: scheduled.note
+  });
+
+  console.log(`[PRICE SERVICE] Scheduled price ${scheduled._id} applied to ${product.name}${scheduled.variantId ? ` (${scheduled.variantId})` : ''}`);
+  return scheduled;
+};
+
+/**
+ * Restore the price from before a sale window
+ * If the price was edited by hand during the window, that edit wins and nothing is reverted
+ */
+const revertScheduledPrice = async (scheduled, { changeType, changedBy, reason }) => {
+  const product = await Product.findById(scheduled.productId);
+  const line = product ? getPriceLine(product, scheduled.variantId) : null;
+  if (!line) return false;
+
+  if (roundAmount(line.price) !== roundAmount(scheduled.price)) {
+    console.log(`[PRICE SERVICE] Price of ${product.name} changed during window ${scheduled._id}; not reverting`);
+    return false;
+  }
+
+  const before = snapshotPrices(product);
+  line.price = scheduled.revertPrice;
+  line.originalPrice = scheduled.revertOriginalPrice;
+  await product.save();
+
+  await recordPriceChanges(before, product, {
+    changeType,
+    scheduledPriceId: scheduled._id,
+    changedBy,
+    reason
+  });
+  return true;
+};
+
+// End a running sale window
+export const endScheduledPrice = async (scheduledPriceId) => {
+  const scheduled = await ScheduledPrice.findOneAndUpdate(
+    { _id: scheduledPriceId, status: 'active' },
+    { $set: { status: 'completed', revertedAt: new Date() } },
+    { new: true }
+  );
+  if (!scheduled) return null;
+
+  await revertScheduledPrice(scheduled, {
+    changeType: 'scheduled_end',
+    changedBy: scheduled.createdBy,
+    reason: 'Sale window ended'
+  });
+  return scheduled;
+};
+
+// Cancel a pending window, or end a running one early
+export const cancelScheduledPrice = async (scheduledPriceId, cancelledBy) => {
+  const current = await ScheduledPrice.findById(scheduledPriceId);
+  if (!current || !['scheduled', 'active'].includes(current.status)) return null;
+
+  const wasActive = current.status === 'active';
+  const cancelled = await ScheduledPrice.findOneAndUpdate(
+    { _id: scheduledPriceId, status: current.status },
+    { $set: { status: 'cancelled', cancelledBy, ...(wasActive ? { revertedAt: new Date() } : {}) } },
+    { new: true }
+  );
+  if (!cancelled) return null;
+
+  if (wasActive) {
+    await revertScheduledPrice(cancelled, {
+      changeType: 'scheduled_cancel',
+      changedBy: cancelledBy,
+      reason: 'Sale window cancelled'
+    });
+  }
+  return cancelled;
+};
+
+// Scheduled job: start due windows and end finished sales
+export const processScheduledPrices = async () => {
+  const now = new Date();
+  let started = 0;
+  let ended = 0;
+
+  const due = await ScheduledPrice.find({ status: 'scheduled', startAt: { $lte: now } }).sort({ startAt: 1 }).select('_id');
+  for (const { _id } of due) {
+    try {
+      if (await startScheduledPrice(_id)) started++;
+    } catch (error) {
+      console.error(`[PRICE SERVICE] Failed to apply scheduled price ${_id}:`, error);
+    }
+  }
+
+  const finished = await ScheduledPrice.find({ status: 'active', endAt: { $ne: null, $lte: now } }).select('_id');
+  for (const { _id } of finished) {
+    try {
+      if (await endScheduledPrice(_id)) ended++;
+    } catch (error) {
+      console.error(`[PRICE SERVICE] Failed to end scheduled price ${_id}:`, error);
+    }
+  }
+
+  return { started, ended };
+};
+
+export default {
+  snapshotPrices,
+  recordPriceChanges,
+  getPriceHistory,
+  schedulePriceChange,
+  startScheduledPrice,
+  endScheduledPrice,
+  cancelScheduledPrice,
+  processScheduledPrices
+};
@@ -0,0 +1,307 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import ComboPack from '../models/ComboPack.js';
+import User from '../models/User.js';
+import { validateRedemption } from '../utils/coinRedemption.js';
+import couponService from './couponService.js';
+import shippingService from './shippingService.js';
+import addressService from './addressService.js';
+import serviceAreaService from './serviceAreaService.js';
+
+/**
+ * Pricing Service
+ * Recomputes order totals from catalog prices so the server never trusts client amounts
+ */
+
+export const PRICING_CONSTANTS = {
+  PRICE_TOLERANCE: 1 // Allowed rounding difference (₹) between client and server totals
+};
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Price every cart line from Product.variants[].price / Product.price / ComboPack.comboPrice
+export const priceOrderItems = async (items = []) => {
+  const errors = [];
+  const pricedItems = [];
+  let subtotal = 0;
+
+  for (const item of items) {
+    const qty = Number(item.qty);
+    if (!Number.isInteger(qty) || qty <= 0) {
+      errors.push(`Invalid quantity for ${item.name || item.id}`);
+      continue;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(item.id)) {
+      errors.push(`Invalid item id for ${item.name || item.id}`);
+      continue;
+    }
+
+    if (item.type === 'combo' || item.itemType === 'combo') {
+      const comboPack = await ComboPack.findById(item.id);
+      if (!comboPack || !comboPack.isActive) {
+        errors.push(`Combo pack ${item.name || item.id} is not available`);
+        continue;
+      }
+
+      const unitPrice = roundAmount(comboPack.comboPrice);
+      pricedItems.push({
+        ...item,
+        id: comboPack._id,
+        name: comboPack.name,
+        type: 'combo',
+        itemType: 'combo',
+        category: comboPack.category,
+        qty,
+        price: unitPrice,
+        clientPrice: item.price,
+        lineTotal: roundAmount(unitPrice * qty),
+        weight: comboPack.weight || 0,
+        originalTotalPrice: comboPack.originalTotalPrice,
+        discountAmount: comboPack.discountAmount,
+        discountPercentage: comboPack.discountPercentage
+      });
+      subtotal += unitPrice * qty;
+      continue;
+    }
+
+    const product = await Product.findById(item.id);
+    if (!product) {
+      errors.push(`Product ${item.name || item.id} not found`);
+      continue;
+    }
+
+    let unitPrice = product.price;
+    let weight = product.weight || 0;
+    let variantFields = { hasVariant: false, variantId: undefined, variantName: undefined, variantPrice: undefined };
+
+    if (item.hasVariant && item.variantId) {
+      const variant = product.hasVariants
+        ? product.variants.find(v => v.id === item.variantId)
+        : null;
+      if (!variant) {
+        errors.push(`Variant ${item.variantName || item.variantId} of ${product.name} not found`);
+        continue;
+      }
+      unitPrice = variant.price;
+      weight = variant.weight ?? weight;
+      variantFields = {
+        hasVariant: true,
+        variantId: variant.id,
+        variantName: variant.name,
+        variantPrice: variant.price
+      };
+    } else if (product.hasVariants && product.variants.length > 0) {
+      errors.push(`Please select a variant for ${product.name}`);
+      continue;
+    }
+
+    unitPrice = roundAmount(unitPrice);
+    pricedItems.push({
+      ...item,
+      ...variantFields,
+      id: product._id,
+      name: product.name,
+      itemType: 'product',
+      category: product.category,
+      qty,
+      price: unitPrice,
+      clientPrice: item.price,
+      lineTotal: roundAmount(unitPrice * qty),
+      weight
+    });
+    subtotal += unitPrice * qty;
+  }
+
+  return {
+    success: errors.length === 0,
+    errors,
+    items: pricedItems,
+    subtotal: roundAmount(subtotal)
+  };
+};
+
+/**
+ * Build the full server-side price breakdown for an order
+ * @param {object} params
+ * @param {string} params.userId - Ordering user (needed for coin balance)
+ * @param {Array} params.items - Cart lines as sent by the storefront
+ * @param {string} [params.coupon] - Coupon ObjectId or code
+ * @param {object} [params.coinDiscount] - { coinsUsed }
+ * @param {object} [params.delivery] - { pincode, deliveryType, timeSlot } for the shipping rules
+ * @returns {object} - { success, errors, quote }
+ */
+export const buildOrderQuote = async ({ userId, items, coupon, coinDiscount, delivery = {} }) => {
+  if (!items || !items.length) {
+    return { success: false, errors: ['Items are required'], quote: null };
+  }
+
+  const pricing = await priceOrderItems(items);
+  if (!pricing.success) {
+    return { success: false, errors: pricing.errors, quote: null };
+  }
+
+  const subtotal = pricing.subtotal;
+
+  const coinsUsed = Number(coinDiscount?.coinsUsed) || 0;
+
+  // Coupon (scope, per-user limits and stacking rules are checked by the coupon service)
+  let couponDoc = null;
+  let couponDiscount = 0;
+  let couponEligibleSubtotal = 0;
+  if (coupon) {
+    couponDoc = await couponService.resolveCoupon(coupon);
+    const couponResult = await couponService.evaluateCoupon({
+      coupon: couponDoc,
+      userId,
+      items: pricing.items,
+      subtotal,
+      coinsUsed
+    });
+    if (!couponResult.isValid) {
+      return { success: false, errors: couponResult.errors, quote: null };
+    }
+    couponDiscount = couponResult.discountAmount;
+    couponEligibleSubtotal = couponResult.eligibleSubtotal;
+  }
+
+  // Coins are redeemed against the amount left after the coupon
+  const coinOrderValue = roundAmount(subtotal - couponDiscount);
+  let coinDiscountAmount = 0;
+  if (coinsUsed > 0) {
+    const user = await User.findById(userId).select('wallet');
+    if (!user) {
+      return { success: false, errors: ['User not found'], quote: null };
+    }
+    const redemption = validateRedemption(coinOrderValue, coinsUsed, user.wallet.balance);
+    if (!redemption.isValid) {
+      return { success: false, errors: redemption.errors, quote: null };
+    }
+    coinDiscountAmount = redemption.discountAmount;
+  }
+
+  const shipping = await shippingService.calculateShipping({
+    items: pricing.items,
+    subtotal,
+    pincode: delivery.pincode,
+    deliveryType: delivery.deliveryType,
+    timeSlot: delivery.timeSlot
+  });
+  const shippingFee = shipping.shippingFee;
+  const totalAmount = roundAmount(subtotal - couponDiscount - coinDiscountAmount + shippingFee);
+
+  return {
+    success: true,
+    errors: [],
+    quote: {
+      items: pricing.items,
+      subtotal,
+      coupon: couponDoc ? {
+        id: couponDoc._id,
+        code: couponDoc.code,
+        type: couponDoc.type,
+        amount: couponDoc.amount,
+        eligibleSubtotal: couponEligibleSubtotal
+      } : null,
+      couponDiscount,
+      coinDiscount: {
+        amount: coinDiscountAmount,
+        coinsUsed: coinDiscountAmount > 0 ? coinsUsed : 0,
+        orderValue: coinOrderValue
+      },
+      shippingFee,
+      shipping: {
+        base: shipping.base,
+        surcharges: shipping.surcharges,
+        promo: shipping.promo,
+        zone: shipping.zone,
+        deliveryType: shipping.deliveryType
+      },
+      freeShippingThreshold: shipping.freeShippingThreshold,
+      amountToFreeShipping: shipping.amountToFreeShipping,
+      totalAmount
+    }
+  };
+};
+
+// Saved cart lines in the shape priceOrderItems takes
+const cartLines = (cart = []) => cart
+  .filter(line => (line.type === 'combo' ? line.comboPackId : line.product) && line.quantity > 0)
+  .map(line => (line.type === 'combo'
+    ? { id: line.comboPackId, type: 'combo', qty: line.quantity }
+    : { id: line.product, type: 'product', hasVariant: Boolean(line.variantId), variantId: line.variantId || undefined, variantName: line.variantName, qty: line.quantity }));
+
+/**
+ * Delivery charge estimate for the cart (or the lines given), before checkout
+ * @param {object} params - { userId, items?, addressId | pincode, deliveryType, timeSlot }
+ * @returns {object} - { success, errors, estimate }
+ */
+export const estimateShipping = async ({ userId, items, addressId, pincode, deliveryType, timeSlot }) => {
+  let lines = items;
+  if (!lines || !lines.length) {
+    const user = await User.findById(userId).select('cart');
+    lines = cartLines(user?.cart);
+  }
+  if (!lines.length) {
+    return { success: false, errors: ['Your cart is empty'], estimate: null };
+  }
+
+  const pricing = await priceOrderItems(lines);
+  if (!pricing.success) {
+    return { success: false, errors: pricing.errors, estimate: null };
+  }
+
+  const deliveryPincode = addressId
+    ? (await addressService.resolveShippingAddress(userId, { addressId })).pincode
+    : pincode;
+  const serviceability = deliveryPincode ? await serviceAreaService.checkServiceability(deliveryPincode) : null;
+
+  const shipping = await shippingService.calculateShipping({
+    items: pricing.items,
+    subtotal: pricing.subtotal,
+    pincode: deliveryPincode,
+    zone: serviceability ? serviceability.zone : undefined,
+    deliveryType,
+    timeSlot
+  });
+
+  return {
+    success: true,
+    errors: [],
+    estimate: {
+      subtotal: pricing.subtotal,
+      ...shipping,
+      serviceable: serviceability ? serviceability.serviceable : null,
+      serviceabilityMessage: serviceability?.message || null
+    }
+  };
+};
+
+// Compare client-submitted totals to the server quote
+export const reconcileClientTotals = (quote, { subtotal, totalAmount } = {}) => {
+  const mismatches = [];
+  const differs = (clientValue, serverValue) =>
+    clientValue != null && Math.abs(Number(clientValue) - serverValue) > PRICING_CONSTANTS.PRICE_TOLERANCE;
+
+  for (const item of quote.items) {
+    if (differs(item.clientPrice, item.price)) {
+      mismatches.push({ field: 'price', itemId: item.id, variantId: item.variantId || null, client: Number(item.clientPrice), server: item.price });
+    }
+  }
+  if (differs(subtotal, quote.subtotal)) {
+    mismatches.push({ field: 'subtotal', client: Number(subtotal), server: quote.subtotal });
+  }
+  if (differs(totalAmount, quote.totalAmount)) {
+    mismatches.push({ field: 'totalAmount', client: Number(totalAmount), server: quote.totalAmount });
+  }
+
+  return { matches: mismatches.length === 0, mismatches };
+};
+
+export default {
+  PRICING_CONSTANTS,
+  priceOrderItems,
+  buildOrderQuote,
+  estimateShipping,
+  reconcileClientTotals
+};
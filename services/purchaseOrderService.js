@@ -0,0 +1,485 @@
+import mongoose from 'mongoose';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import Product from '../models/Product.js';
+import Warehouse from '../models/Warehouse.js';
+import BatchGroup from '../models/BatchGroup.js';
+import batchStockUtils from '../utils/batchStockUtils.js';
+
+/**
+ * Purchase Order Service
+ * Orders stock from a supplier for one warehouse and receives it. Every delivery is booked
+ * into a new SUPPLIER_DELIVERY batch group in that warehouse; units rejected at the quality
+ * check are recorded on the order but never reach stock. Short and excess deliveries show up
+ * per line as pending and excess quantities.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+
+const toDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(`Invalid date "${value}"`, 400);
+  }
+  return date;
+};
+
+const findOrder = async (purchaseOrderId, scope = null) => {
+  if (!mongoose.Types.ObjectId.isValid(purchaseOrderId)) {
+    throw httpError('Invalid purchase order ID', 400);
+  }
+  const order = await PurchaseOrder.findById(purchaseOrderId);
+  if (!order || (scope && !sameId(order.warehouseId, scope))) {
+    throw httpError('Purchase order not found', 404);
+  }
+  return order;
+};
+
+const requireStatus = (order, statuses, action) => {
+  if (!statuses.includes(order.status)) {
+    throw httpError(`Cannot ${action} a purchase order that is ${order.status.replace('_', ' ')}`, 409);
+  }
+};
+
+// Save, turning a clash with another update into a 409
+const saveOrder = async (order) => {
+  try {
+    await order.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw httpError('This purchase order was just updated by someone else. Please reload it.', 409);
+    }
+    throw error;
+  }
+};
+
+// Check the requested lines and name them from the catalogue
+const buildItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError('At least one item is required', 400);
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const orderedQuantity = Number(item.orderedQuantity ?? item.quantity);
+    const unitCost = Number(item.unitCost ?? item.costPrice);
+    if (!Number.isInteger(orderedQuantity) || orderedQuantity <= 0) {
+      throw httpError('Each item needs a whole, positive quantity', 400);
+    }
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      throw httpError('Each item needs a cost price of 0 or more', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(item.productId)) {
+      throw httpError('Each item needs a productId', 400);
+    }
+
+    const product = await Product.findById(item.productId).select('name hasVariants variants');
+    if (!product) {
+      throw httpError(`Product ${item.productId} not found`, 404);
+    }
+    let variant = null;
+    if (item.variantId) {
+      variant = product.variants.find(v => v.id === item.variantId);
+      if (!variant) {
+        throw httpError(`${product.name} has no variant ${item.variantId}`, 400);
+      }
+    } else if (product.hasVariants && product.variants.length > 0) {
+      throw httpError(`Choose a variant of ${product.name}`, 400);
+    }
+    if (lines.some(line => sameId(line.productId, product._id) && line.variantId === (item.variantId || null))) {
+      throw httpError(`${product.name}${variant ? ` - ${variant.name}` : ''} is listed twice`, 400);
+    }
+
+    lines.push({
+      productId: product._id,
+      productName: product.name,
+      variantId: item.variantId || null,
+      variantName: variant?.name,
+      orderedQuantity,
+      unitCost
+    });
+  }
+  return lines;
+};
+
+const checkSupplier = async (supplierId) => {
+  if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+    throw httpError('supplierId is required', 400);
+  }
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) {
+    throw httpError('Supplier not found', 404);
+  }
+  if (!supplier.isActive) {
+    throw httpError(`${supplier.name} is not active`, 400);
+  }
+  return supplier;
+};
+
+const checkWarehouse = async (warehouseId) => {
+  if (!mongoose.Types.ObjectId.isValid(warehouseId)) {
+    throw httpError('warehouseId is required', 400);
+  }
+  const warehouse = await Warehouse.findById(warehouseId);
+  if (!warehouse) {
+    throw httpError('Warehouse not found', 404);
+  }
+  if (!warehouse.isActive) {
+    throw httpError(`${warehouse.name} is not active`, 400);
+  }
+  return warehouse;
+};
+
+// Refresh product stock for every product/variant delivered
+const syncProductStock = async (lines) => {
+  const unique = new Map(lines.map(line => [`${line.productId}:${line.variantId || ''}`, line]));
+  for (const line of unique.values()) {
+    try {
+      await batchStockUtils.updateProductStockFromBatches(line.productId, line.variantId || null);
+    } catch (error) {
+      console.error(`[PURCHASE ORDER] Failed to sync product stock for ${line.productId}:`, error);
+    }
+  }
+};
+
+/**
+ * Fetch one purchase order
+ * @param {string} purchaseOrderId
+ * @param {string} [scope] - Warehouse a warehouse manager is limited to
+ */
+export const getPurchaseOrder = async (purchaseOrderId, scope = null) => {
+  const order = await findOrder(purchaseOrderId, scope);
+  return order.populate([
+    { path: 'supplierId', select: 'name code contactName phone email' },
+    { path: 'warehouseId', select: 'code name' }
+  ]);
+};
+
+/**
+ * List purchase orders
+ * @param {object} filters - { status, supplierId, warehouseId, page, limit }
+ * @param {string} [scope] - Warehouse a warehouse manager is limited to
+ */
+export const listPurchaseOrders = async ({ status, supplierId, warehouseId, page = 1, limit = 20 } = {}, scope = null) => {
+  const query = {};
+  if (status) query.status = status;
+  if (mongoose.Types.ObjectId.isValid(supplierId)) query.supplierId = supplierId;
+  if (scope) query.warehouseId = scope;
+  else if (mongoose.Types.ObjectId.isValid(warehouseId)) query.warehouseId = warehouseId;
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [purchaseOrders, total] = await Promise.all([
+    PurchaseOrder.find(query)
+      .select('-receipts')
+      .populate('supplierId', 'name code')
+      .populate('warehouseId', 'code name')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    PurchaseOrder.countDocuments(query)
+  ]);
+
+  return {
+    purchaseOrders,
+    pagination: { currentPage: pageNum, totalPages: Math.ceil(total / limitNum), total, limit: limitNum }
+  };
+};
+
+/**
+ * Draft a purchase order
+ * @param {object} data - { supplierId, warehouseId, items: [{ productId, variantId, orderedQuantity, unitCost }], expectedDeliveryDate, notes }
+ */
+export const createPurchaseOrder = async (data, adminId) => {
+  const { supplierId, warehouseId, items, expectedDeliveryDate, notes } = data || {};
+  await checkSupplier(supplierId);
+  await checkWarehouse(warehouseId);
+
+  const order = new PurchaseOrder({
+    poNumber: PurchaseOrder.generatePoNumber(),
+    supplierId,
+    warehouseId,
+    items: await buildItems(items),
+    expectedDeliveryDate: toDate(expectedDeliveryDate),
+    notes,
+    createdBy: adminId,
+    updatedBy: adminId
+  });
+  await order.save();
+
+  console.log(`[PURCHASE ORDER] ${order.poNumber} drafted with ${order.items.length} line(s)`);
+  return order;
+};
+
+// Drafts can still change anything; once ordered only the due date and notes can
+export const updatePurchaseOrder = async (purchaseOrderId, data, adminId) => {
+  const order = await findOrder(purchaseOrderId);
+  const { supplierId, warehouseId, items, expectedDeliveryDate, notes } = data || {};
+  requireStatus(order, ['draft', 'ordered', 'partially_received'], 'change');
+
+  if (order.status !== 'draft' && (supplierId || warehouseId || items)) {
+    throw httpError('Only the expected delivery date and notes can change once the order is placed', 409);
+  }
+  if (supplierId && !sameId(supplierId, order.supplierId)) {
+    await checkSupplier(supplierId);
+    order.supplierId = supplierId;
+  }
+  if (warehouseId && !sameId(warehouseId, order.warehouseId)) {
+    await checkWarehouse(warehouseId);
+    order.warehouseId = warehouseId;
+  }
+  if (items) order.items = await buildItems(items);
+  if (expectedDeliveryDate !== undefined) order.expectedDeliveryDate = toDate(expectedDeliveryDate);
+  if (notes !== undefined) order.notes = notes;
+  order.updatedBy = adminId;
+
+  await saveOrder(order);
+  return order;
+};
+
+// Send a draft to the supplier; lead time is measured from here
+export const placePurchaseOrder = async (purchaseOrderId, { expectedDeliveryDate } = {}, adminId) => {
+  const order = await findOrder(purchaseOrderId);
+  requireStatus(order, ['draft'], 'place');
+  const supplier = await checkSupplier(order.supplierId);
+
+  order.status = 'ordered';
+  order.orderedAt = new Date();
+  if (expectedDeliveryDate) order.expectedDeliveryDate = toDate(expectedDeliveryDate);
+  if (!order.expectedDeliveryDate && supplier.leadTimeDays != null) {
+    order.expectedDeliveryDate = new Date(order.orderedAt.getTime() + supplier.leadTimeDays * 24 * 60 * 60 * 1000);
+  }
+  order.updatedBy = adminId;
+
+  await saveOrder(order);
+  console.log(`[PURCHASE ORDER] ${order.poNumber} placed with ${supplier.name}`);
+  return order;
+};
+
+/**
+ * Book a delivery against the order
+ * Accepted units (received minus rejected) go into a new SUPPLIER_DELIVERY batch group in the
+ * order's warehouse. More than ordered may be received; it shows as excess on the line.
+ * @param {object} data - { items: [{ itemId, receivedQuantity, rejectedQuantity, rejectionReason,
+ *   manufacturingDate, expiryDate, bestBeforeDate }], invoiceNumber, manufacturingDate, expiryDate, bestBeforeDate,
+ *   landedCosts: [{ type, amount, note }], notes }
+ * @param {object} actor - { id, type }
+ * @param {string} [scope] - Warehouse a warehouse manager is limited to
+ */
+export const receivePurchaseOrder = async (purchaseOrderId, data, actor, scope = null) => {
+  const order = await findOrder(purchaseOrderId, scope);
+  requireStatus(order, ['ordered', 'partially_received'], 'receive');
+  const { items = [], invoiceNumber, notes } = data || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError('List what was received', 400);
+  }
+
+  const defaults = {
+    manufacturingDate: toDate(data.manufacturingDate),
+    expiryDate: toDate(data.expiryDate),
+    bestBeforeDate: toDate(data.bestBeforeDate)
+  };
+  const lines = [];
+  for (const received of items) {
+    const item = order.items.id(received.itemId);
+    if (!item) {
+      throw httpError(`Purchase order item ${received.itemId} not found`, 400);
+    }
+    if (lines.some(line => line.item === item)) {
+      throw httpError(`${item.productName} is listed twice`, 400);
+    }
+    const receivedQuantity = Number(received.receivedQuantity);
+    const rejectedQuantity = Number(received.rejectedQuantity || 0);
+    if (!Number.isInteger(receivedQuantity) || receivedQuantity < 0) {
+      throw httpError(`Received quantity of ${item.productName} must be a whole number of 0 or more`, 400);
+    }
+    if (!Number.isInteger(rejectedQuantity) || rejectedQuantity < 0 || rejectedQuantity > receivedQuantity) {
+      throw httpError(`Rejected quantity of ${item.productName} must be between 0 and ${receivedQuantity}`, 400);
+    }
+    if (rejectedQuantity > 0 && !String(received.rejectionReason || '').trim()) {
+      throw httpError(`Add a reason for the ${rejectedQuantity} rejected ${item.productName}`, 400);
+    }
+
+    lines.push({
+      item,
+      receivedQuantity,
+      rejectedQuantity,
+      rejectionReason: received.rejectionReason?.trim() || undefined,
+      manufacturingDate: toDate(received.manufacturingDate) || defaults.manufacturingDate,
+      expiryDate: toDate(received.expiryDate) || defaults.expiryDate,
+      bestBeforeDate: toDate(received.bestBeforeDate) || defaults.bestBeforeDate
+    });
+  }
+  if (!lines.some(line => line.receivedQuantity > 0)) {
+    throw httpError('Nothing was received', 400);
+  }
+
+  const landedCosts = parseLandedCosts(data.landedCosts);
+  const receivedAt = new Date();
+  const batchGroup = await createDeliveryGroup(order, lines, { invoiceNumber, notes, receivedAt, defaults, landedCosts }, actor);
+
+  for (const line of lines) {
+    line.item.receivedQuantity += line.receivedQuantity;
+    line.item.rejectedQuantity += line.rejectedQuantity;
+  }
+  order.receipts.push({
+    receivedAt,
+    batchGroupId: batchGroup?._id,
+    batchGroupNumber: batchGroup?.batchGroupNumber,
+    invoiceNumber,
+    lines: lines.map(line => ({
+      itemId: line.item._id,
+      receivedQuantity: line.receivedQuantity,
+      rejectedQuantity: line.rejectedQuantity,
+      rejectionReason: line.rejectionReason,
+      manufacturingDate: line.manufacturingDate,
+      expiryDate: line.expiryDate
+    })),
+    notes,
+    receivedBy: actor.id,
+    receivedByType: actor.type
+  });
+  if (!order.firstReceivedAt) order.firstReceivedAt = receivedAt;
+
+  const complete = order.items.every(item => item.pendingQuantity === 0);
+  order.status = complete ? 'received' : 'partially_received';
+  if (complete) order.completedAt = receivedAt;
+
+  try {
+    await saveOrder(order);
+  } catch (error) {
+    if (batchGroup) await BatchGroup.deleteOne({ _id: batchGroup._id });
+    throw error;
+  }
+  if (batchGroup) await syncProductStock(lines.map(line => line.item));
+
+  console.log(`[PURCHASE ORDER] ${order.poNumber} ${order.status}${batchGroup ? ` into ${batchGroup.batchGroupNumber}` : ''}`);
+  return { purchaseOrder: order, batchGroup };
+};
+
+// Freight, duty and other charges paid on a delivery
+const parseLandedCosts = (landedCosts) => {
+  if (landedCosts === undefined) return [];
+  if (!Array.isArray(landedCosts)) {
+    throw httpError('landedCosts must be a list', 400);
+  }
+  return landedCosts.map(cost => {
+    const amount = Number(cost?.amount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw httpError('Each landed cost needs an amount of 0 or more', 400);
+    }
+    return { type: cost.type || 'other', amount, note: cost.note };
+  });
+};
+
+// The batch group for one delivery, costed at the order's unit costs; null when every unit was rejected
+const createDeliveryGroup = async (order, lines, { invoiceNumber, notes, receivedAt, defaults, landedCosts }, actor) => {
+  const accepted = lines.filter(line => line.receivedQuantity - line.rejectedQuantity > 0);
+  if (accepted.length === 0) return null;
+
+  const supplier = await Supplier.findById(order.supplierId).select('name contactName phone email');
+  const products = [];
+  for (const line of accepted) {
+    const quantity = line.receivedQuantity - line.rejectedQuantity;
+    const dates = { manufacturingDate: line.manufacturingDate, expiryDate: line.expiryDate, bestBeforeDate: line.bestBeforeDate };
+    const costPrice = line.item.unitCost;
+
+    let product = products.find(p => sameId(p.productId, line.item.productId));
+    if (!product) {
+      product = { productId: line.item.productId, variants: [] };
+      products.push(product);
+    }
+    if (line.item.variantId) {
+      product.variants.push({
+        variantId: line.item.variantId,
+        variantName: line.item.variantName || line.item.variantId,
+        quantity,
+        availableQuantity: quantity,
+        costPrice,
+        ...dates
+      });
+    } else {
+      Object.assign(product, { quantity, availableQuantity: quantity, costPrice, ...dates });
+    }
+  }
+
+  const rejected = lines.filter(line => line.rejectedQuantity > 0);
+  const batchGroup = new BatchGroup({
+    batchGroupNumber: BatchGroup.generateBatchGroupNumber(),
+    groupType: 'SUPPLIER_DELIVERY',
+    products,
+    defaultManufacturingDate: defaults.manufacturingDate || accepted[0].manufacturingDate || receivedAt,
+    defaultExpiryDate: defaults.expiryDate || accepted[0].expiryDate,
+    defaultBestBeforeDate: defaults.bestBeforeDate || accepted[0].bestBeforeDate,
+    supplierInfo: {
+      supplierName: supplier?.name || 'Unknown supplier',
+      contactInfo: [supplier?.contactName, supplier?.phone, supplier?.email].filter(Boolean).join(', ') || undefined,
+      purchaseOrderNumber: order.poNumber,
+      receivedDate: receivedAt,
+      invoiceNumber,
+      notes
+    },
+    landedCosts,
+    supplierId: order.supplierId,
+    purchaseOrderId: order._id,
+    warehouseId: order.warehouseId,
+    qualityChecked: true,
+    qualityCheckDate: receivedAt,
+    qualityNotes: rejected.length
+      ? rejected.map(line => `${line.rejectedQuantity} ${line.item.productName}${line.item.variantName ? ` - ${line.item.variantName}` : ''} rejected: ${line.rejectionReason}`).join('; ')
+      : undefined,
+    status: 'Active',
+    createdBy: actor.id
+  });
+  await batchGroup.save();
+  return batchGroup;
+};
+
+// Accept a short delivery as final; what is still pending will not come
+export const closePurchaseOrder = async (purchaseOrderId, { reason } = {}, adminId) => {
+  const order = await findOrder(purchaseOrderId);
+  requireStatus(order, ['partially_received'], 'close');
+  if (!String(reason || '').trim()) {
+    throw httpError('Give a reason for closing the order short', 400);
+  }
+
+  order.status = 'closed';
+  order.completedAt = new Date();
+  order.closeReason = reason.trim();
+  order.updatedBy = adminId;
+  await saveOrder(order);
+  return order;
+};
+
+// Only orders nothing has been received against can be cancelled
+export const cancelPurchaseOrder = async (purchaseOrderId, { reason } = {}, adminId) => {
+  const order = await findOrder(purchaseOrderId);
+  requireStatus(order, ['draft', 'ordered'], 'cancel');
+
+  order.status = 'cancelled';
+  order.cancelledAt = new Date();
+  order.cancelReason = reason;
+  order.updatedBy = adminId;
+  await saveOrder(order);
+  return order;
+};
+
+export default {
+  getPurchaseOrder,
+  listPurchaseOrders,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder
+};
@@ -0,0 +1,177 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+/**
+ * Razorpay Payment Provider
+ * create-order -> checkout -> verify-signature -> webhook, amounts in paise on the wire
+ * Refunds go against the captured payment and settle asynchronously (refund.* webhooks)
+ */
+
+const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+const KEY_ID = process.env.RAZORPAY_KEY_ID;
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET;
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+const fromPaise = (paise) => Math.round(Number(paise) || 0) / 100;
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, received) => {
+  if (!received || typeof received !== 'string' || expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+const assertConfigured = () => {
+  if (!KEY_ID || !KEY_SECRET) {
+    throw new Error('Razorpay keys not configured');
+  }
+};
+
+const api = () => axios.create({
+  baseURL: RAZORPAY_API_URL,
+  auth: { username: KEY_ID, password: KEY_SECRET },
+  timeout: 15000
+});
+
+export const name = 'razorpay';
+
+/**
+ * Create a Razorpay order for the amount due
+ * @returns {object} - { providerOrderId, checkout } where checkout is what the client SDK needs
+ */
+export const createOrder = async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+  assertConfigured();
+  const { data } = await api().post('/orders', {
+    amount: toPaise(amount),
+    currency,
+    receipt,
+    notes
+  });
+
+  return {
+    providerOrderId: data.id,
+    checkout: { keyId: KEY_ID, orderId: data.id, amount: data.amount, currency: data.currency }
+  };
+};
+
+// Signature the checkout handler returns: HMAC(order_id|payment_id, key secret)
+export const verifyCheckoutSignature = ({ providerOrderId, providerPaymentId, signature }) => {
+  assertConfigured();
+  return signaturesMatch(hmac(KEY_SECRET, `${providerOrderId}|${providerPaymentId}`), signature);
+};
+
+// Webhooks are signed over the raw request body with the webhook secret
+export const verifyWebhookSignature = (rawBody, headers = {}) => {
+  if (!WEBHOOK_SECRET) {
+    throw new Error('Razorpay webhook secret not configured');
+  }
+  return signaturesMatch(hmac(WEBHOOK_SECRET, rawBody || ''), headers['x-razorpay-signature']);
+};
+
+/**
+ * Normalise a webhook into { eventId, event, status, providerOrderId, providerPaymentId, amount, currency, method, failureReason }
+ * status is 'paid', 'failed', 'authorized' or null for events we do not act on
+ */
+export const parseWebhook = (body = {}, headers = {}) => {
+  const payment = body.payload?.payment?.entity || {};
+  const order = body.payload?.order?.entity || {};
+
+  const statusByEvent = {
+    'payment.captured': 'paid',
+    'order.paid': 'paid',
+    'payment.failed': 'failed',
+    'payment.authorized': 'authorized'
+  };
+
+  const refund = body.payload?.refund?.entity;
+  const refundStatusByEvent = {
+    'refund.processed': 'processed',
+    'refund.failed': 'failed'
+  };
+
+  return {
+    eventId: headers['x-razorpay-event-id'] || null,
+    event: body.event,
+    status: statusByEvent[body.event] || null,
+    providerOrderId: payment.order_id || order.id || null,
+    providerPaymentId: payment.id || null,
+    amount: fromPaise(payment.amount ?? order.amount_paid),
+    currency: payment.currency || order.currency || null,
+    method: payment.method || null,
+    failureReason: payment.error_description || null,
+    refund: refund ? {
+      providerRefundId: refund.id,
+      providerPaymentId: refund.payment_id || null,
+      status: refundStatusByEvent[body.event] || null,
+      amount: fromPaise(refund.amount),
+      failureReason: body.event === 'refund.failed' ? 'Refund failed at gateway' : null
+    } : null
+  };
+};
+
+// Current state of a Razorpay order, from its payments (used when a webhook never arrived)
+export const fetchOrderStatus = async (providerOrderId) => {
+  assertConfigured();
+  const { data } = await api().get(`/orders/${providerOrderId}/payments`);
+  const payments = data.items || [];
+
+  const captured = payments.find(p => p.status === 'captured');
+  if (captured) {
+    return {
+      status: 'paid',
+      providerPaymentId: captured.id,
+      amount: fromPaise(captured.amount),
+      currency: captured.currency,
+      method: captured.method
+    };
+  }
+
+  const authorized = payments.find(p => p.status === 'authorized');
+  if (authorized) return { status: 'authorized', providerPaymentId: authorized.id, method: authorized.method };
+
+  if (payments.length > 0 && payments.every(p => p.status === 'failed')) {
+    const last = payments[payments.length - 1];
+    return { status: 'failed', providerPaymentId: last.id, failureReason: last.error_description };
+  }
+
+  return { status: 'created' };
+};
+
+// Razorpay refund states are pending -> processed | failed
+const toRefundStatus = (status) => ({ processed: 'processed', failed: 'failed' }[status] || 'processing');
+
+/**
+ * Refund (part of) a captured payment
+ * @returns {object} - { providerRefundId, status } with status 'processing', 'processed' or 'failed'
+ */
+export const createRefund = async ({ providerPaymentId, amount, receipt, notes = {} }) => {
+  assertConfigured();
+  const { data } = await api().post(`/payments/${providerPaymentId}/refund`, {
+    amount: toPaise(amount),
+    speed: 'normal',
+    receipt,
+    notes
+  });
+
+  return { providerRefundId: data.id, status: toRefundStatus(data.status) };
+};
+
+// Current state of a refund (used when a refund webhook never arrived)
+export const fetchRefundStatus = async (providerRefundId) => {
+  assertConfigured();
+  const { data } = await api().get(`/refunds/${providerRefundId}`);
+  return { status: toRefundStatus(data.status) };
+};
+
+export default {
+  name,
+  createOrder,
+  verifyCheckoutSignature,
+  verifyWebhookSignature,
+  parseWebhook,
+  fetchOrderStatus,
+  createRefund,
+  fetchRefundStatus
+};
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import pricingService from './pricingService.js';
+import orderPlacementService from './orderPlacementService.js';
+
+/**
+ * Reorder Service
+ * Turns a past order back into cart lines at today's prices, keeping only what is still
+ * sold and in stock. Also used to copy an order's basket into a subscription.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Order lines as storefront cart lines (the shape pricingService prices)
+export const basketFromOrder = (order) => order.items.map(item => ({
+  id: item.id,
+  type: item.itemType === 'combo' ? 'combo' : 'product',
+  itemType: item.itemType || 'product',
+  name: item.name,
+  hasVariant: Boolean(item.hasVariant && item.variantId),
+  variantId: item.variantId || undefined,
+  variantName: item.variantName || undefined,
+  qty: item.qty
+}));
+
+/**
+ * Revalidate lines against the catalogue and stock
+ * Lines that are no longer sold are dropped; lines short of stock are cut to what is left.
+ * @param {Array} lines - Cart lines ({ id, type, hasVariant, variantId, qty, price? })
+ * @returns {object} - { items, unavailable, priceChanges, subtotal }
+ */
+export const revalidateLines = async (lines) => {
+  const priced = [];
+  const unavailable = [];
+
+  // One line at a time so a discontinued product does not hide the others
+  for (const line of lines) {
+    const pricing = await pricingService.priceOrderItems([line]);
+    if (!pricing.success) {
+      unavailable.push({ id: line.id, name: line.name, variantName: line.variantName, requested: line.qty, available: 0, reason: pricing.errors[0] });
+      continue;
+    }
+    priced.push({ ...pricing.items[0], previousPrice: line.price });
+  }
+
+  const stock = await orderPlacementService.prepareStockAllocation(priced);
+  const shortageOf = (item) => stock.shortages.find(shortage =>
+    shortage.id.toString() === item.id.toString() && (shortage.variantId || null) === (item.variantId || null));
+
+  const items = [];
+  for (const item of priced) {
+    const shortage = shortageOf(item);
+    if (shortage && shortage.available <= 0) {
+      unavailable.push({ id: item.id, name: item.name, variantName: item.variantName, requested: item.qty, available: 0, reason: 'Out of stock' });
+      continue;
+    }
+
+    const qty = shortage ? Math.floor(shortage.available) : item.qty;
+    items.push({ ...item, requestedQty: item.qty, qty, lineTotal: Math.round(item.price * qty * 100) / 100 });
+    if (shortage) {
+      unavailable.push({ id: item.id, name: item.name, variantName: item.variantName, requested: item.qty, available: qty, reason: `Only ${qty} available` });
+    }
+  }
+
+  const priceChanges = items
+    .filter(item => item.previousPrice != null && Math.abs(item.previousPrice - item.price) >= 0.01)
+    .map(item => ({ id: item.id, name: item.name, variantName: item.variantName, previousPrice: item.previousPrice, price: item.price }));
+
+  return {
+    items,
+    unavailable,
+    priceChanges,
+    subtotal: Math.round(items.reduce((sum, item) => sum + item.lineTotal, 0) * 100) / 100
+  };
+};
+
+// Add revalidated lines to the user's cart, on top of what is already there
+const addLinesToCart = async (userId, items) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+
+  for (const item of items) {
+    if (item.type === 'combo') {
+      const existing = user.cart.find(line => line.type === 'combo' && line.comboPackId?.toString() === item.id.toString());
+      if (existing) {
+        existing.quantity += item.qty;
+      } else {
+        user.cart.push({ type: 'combo', comboPackId: item.id, quantity: item.qty });
+      }
+      continue;
+    }
+
+    const existing = user.cart.find(line => line.type === 'product' &&
+      line.product?.toString() === item.id.toString() &&
+      (line.variantId || null) === (item.variantId || null));
+    if (existing) {
+      existing.quantity += item.qty;
+      if (item.variantId) existing.variantPrice = item.price;
+    } else {
+      user.cart.push({
+        type: 'product',
+        product: item.id,
+        quantity: item.qty,
+        ...(item.variantId ? { variantId: item.variantId, variantName: item.variantName, variantPrice: item.price } : {})
+      });
+    }
+  }
+
+  await user.save();
+  return user.cart;
+};
+
+/**
+ * Reorder a past order into the cart
+ * Nothing is added when no line is available (items comes back empty).
+ * @param {string} orderId
+ * @param {string} userId - Owner of the order
+ * @param {object} options - { preview } to only revalidate without touching the cart
+ * @returns {object} - { items, unavailable, priceChanges, subtotal, addedToCart, cart }
+ */
+export const reorder = async (orderId, userId, { preview = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw httpError('Invalid order ID', 400);
+  }
+
+  const order = await Order.findById(orderId).select('userId items');
+  if (!order || order.userId.toString() !== userId.toString()) {
+    throw httpError('Order not found', 404);
+  }
+
+  // Previous prices let the customer see what changed since they ordered
+  const lines = basketFromOrder(order).map((line, index) => ({ ...line, price: order.items[index].price }));
+  const result = await revalidateLines(lines);
+
+  const addToCart = !preview && result.items.length > 0;
+  const cart = addToCart ? await addLinesToCart(userId, result.items) : null;
+  return {
+    orderId: order._id,
+    items: result.items.map(item => ({
+      id: item.id,
+      itemType: item.itemType,
+      name: item.name,
+      variantId: item.variantId,
+      variantName: item.variantName,
+      qty: item.qty,
+      requestedQty: item.requestedQty,
+      price: item.price,
+      previousPrice: item.previousPrice,
+      lineTotal: item.lineTotal
+    })),
+    unavailable: result.unavailable,
+    priceChanges: result.priceChanges,
+    subtotal: result.subtotal,
+    addedToCart: addToCart,
+    ...(cart ? { cart } : {})
+  };
+};
+
+export default {
+  basketFromOrder,
+  revalidateLines,
+  reorder
+};
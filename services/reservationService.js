@@ -0,0 +1,237 @@
+import mongoose from 'mongoose';
+import InventoryReservation from '../models/InventoryReservation.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import batchGroupStockService from './batchGroupStockService.js';
+
+/**
+ * Reservation Service
+ * Optional checkout holds: units move from availableQuantity to reservedQuantity in
+ * batch groups while the customer pays, and go back if no order is placed in time.
+ * Combo packs are not held; their stock is checked when the order is placed.
+ */
+
+export const RESERVATION_CONSTANTS = {
+  HOLD_MINUTES: Number(process.env.RESERVATION_HOLD_MINUTES) || 10
+};
+
+const toObjectId = (id) => (typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id);
+
+const sameLine = (item, productId, variantId) =>
+  item.productId.toString() === productId.toString() && (item.variantId || null) === (variantId || null);
+
+// The user's unexpired hold, if any
+export const getActiveReservation = async (userId, session = null) => {
+  return InventoryReservation.findOne({
+    userId,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  }).session(session);
+};
+
+// Units of a product/variant held by this reservation
+// Pass batchGroupIds (a Set of ID strings) to count only units held in those batch groups
+export const getHeldQuantity = (reservation, productId, variantId = null, batchGroupIds = null) => {
+  if (!reservation) return 0;
+  const item = reservation.items.find(i => sameLine(i, productId, variantId));
+  if (!item) return 0;
+  if (!batchGroupIds) return item.heldQuantity;
+  return item.holds
+    .filter(hold => batchGroupIds.has(hold.batchGroupId.toString()))
+    .reduce((sum, hold) => sum + hold.quantity, 0);
+};
+
+// Put every hold of a reservation back into availability
+const releaseHolds = async (reservation, session = null) => {
+  for (const item of reservation.items) {
+    for (const hold of item.holds) {
+      await batchGroupStockService.releaseBatchGroupHold({
+        batchGroupId: hold.batchGroupId,
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: hold.quantity
+      }, session);
+    }
+  }
+};
+
+/**
+ * Close an active reservation and return its stock
+ * The status flip is atomic, so a reservation is only ever released once
+ * @param {string} reservationId
+ * @param {object} options - { status: 'released'|'expired'|'converted', reason, orderId }
+ * @param {object} session - Optional MongoDB session
+ * @returns {object|null} - The closed reservation, or null if it was no longer active
+ */
+export const closeReservation = async (reservationId, { status = 'released', reason, orderId = null } = {}, session = null) => {
+  const reservation = await InventoryReservation.findOneAndUpdate(
+    { _id: reservationId, status: 'active' },
+    {
+      $set: {
+        status,
+        releasedAt: new Date(),
+        releaseReason: reason,
+        ...(orderId ? { orderId } : {})
+      }
+    },
+    { new: true, session }
+  );
+  if (!reservation) return null;
+
+  await releaseHolds(reservation, session);
+  console.log(`[RESERVATION] Reservation ${reservation._id} ${status}${reason ? ` (${reason})` : ''}`);
+  return reservation;
+};
+
+/**
+ * Hold the product lines of the user's cart for RESERVATION_CONSTANTS.HOLD_MINUTES
+ * Any previous hold is released first, so calling this again refreshes the hold. A user has
+ * one active reservation at most (unique index); the loser of a concurrent refresh gives its
+ * units back and gets a 409.
+ * @param {string} userId
+ * @returns {object} - { reservation, fullyReserved, shortages }
+ */
+export const reserveCart = async (userId) => {
+  const user = await User.findById(userId).select('cart');
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Also an expired hold the scheduled job has not released yet, which still counts as active
+  const existing = await InventoryReservation.findOne({ userId, status: 'active' });
+  if (existing) {
+    await closeReservation(existing._id, { status: 'released', reason: 'Replaced by a new checkout hold' });
+  }
+
+  // Same product/variant may appear more than once; hold the combined quantity
+  const lines = [];
+  for (const cartItem of user.cart || []) {
+    if (cartItem.type !== 'product' || !cartItem.product) continue;
+    const variantId = cartItem.variantId || null;
+    const line = lines.find(l => sameLine(l, cartItem.product, variantId));
+    if (line) {
+      line.requestedQuantity += cartItem.quantity;
+    } else {
+      lines.push({
+        productId: toObjectId(cartItem.product),
+        variantId,
+        variantName: cartItem.variantName,
+        requestedQuantity: cartItem.quantity
+      });
+    }
+  }
+
+  if (lines.length === 0) {
+    return { reservation: null, fullyReserved: true, shortages: [] };
+  }
+
+  const items = [];
+  const shortages = [];
+  for (const line of lines) {
+    const product = await Product.findById(line.productId).select('name');
+    if (!product) continue;
+
+    const { heldQuantity, holds } = await batchGroupStockService.holdBatchGroupStock(
+      line.productId,
+      line.variantId,
+      line.requestedQuantity
+    );
+
+    items.push({ ...line, name: product.name, heldQuantity, holds });
+    if (heldQuantity < line.requestedQuantity) {
+      shortages.push({
+        productId: line.productId,
+        variantId: line.variantId,
+        name: product.name,
+        variantName: line.variantName,
+        requestedQuantity: line.requestedQuantity,
+        heldQuantity
+      });
+    }
+  }
+
+  let reservation;
+  try {
+    reservation = await InventoryReservation.create({
+      userId,
+      items,
+      expiresAt: new Date(Date.now() + RESERVATION_CONSTANTS.HOLD_MINUTES * 60 * 1000)
+    });
+  } catch (error) {
+    await releaseHolds({ items });
+    if (error.code === 11000) {
+      const conflict = new Error('Your cart is already being reserved. Please try again.');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  console.log(`[RESERVATION] Reservation ${reservation._id} created for user ${userId} (${shortages.length} short line(s))`);
+
+  return { reservation, fullyReserved: shortages.length === 0, shortages };
+};
+
+// Release the user's hold without ordering (checkout abandoned or cart changed)
+export const releaseUserReservation = async (userId, reason = 'Released by customer') => {
+  const reservation = await getActiveReservation(userId);
+  if (!reservation) return null;
+  return closeReservation(reservation._id, { status: 'released', reason });
+};
+
+// Scheduled job: release holds whose time ran out
+export const expireReservations = async () => {
+  const expired = await InventoryReservation.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  let released = 0;
+  for (const { _id } of expired) {
+    try {
+      const reservation = await closeReservation(_id, { status: 'expired', reason: 'Hold expired' });
+      if (reservation) released++;
+    } catch (error) {
+      console.error(`[RESERVATION] Failed to expire reservation ${_id}:`, error);
+    }
+  }
+
+  return { checked: expired.length, released };
+};
+
+/**
+ * Stock status of one cart line for the checkout page
+ * availableQuantity is what is left for anyone; the user's own hold is added on top
+ * @returns {object} - { status, requestedQuantity, reservedQuantity, availableQuantity }
+ */
+export const getLineStockStatus = async ({ productId, variantId = null, quantity }, reservation) => {
+  const reservedQuantity = Math.min(getHeldQuantity(reservation, productId, variantId), quantity);
+  const { totalAvailable } = await batchGroupStockService.calculateBatchGroupStock(productId, variantId);
+
+  let status = 'available';
+  if (reservedQuantity >= quantity) {
+    status = 'reserved';
+  } else if (reservedQuantity + totalAvailable < quantity) {
+    status = 'insufficient';
+  }
+
+  return {
+    status,
+    requestedQuantity: quantity,
+    reservedQuantity,
+    availableQuantity: totalAvailable
+  };
+};
+
+export default {
+  RESERVATION_CONSTANTS,
+  getActiveReservation,
+  getHeldQuantity,
+  closeReservation,
+  reserveCart,
+  releaseUserReservation,
+  expireReservations,
+  getLineStockStatus
+};
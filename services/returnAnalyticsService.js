@@ -3,10 +3,11 @@
  * Provides comprehensive analytics and reporting capabilities for the return system
  */
 
-import { Return } from '../models/Return.js';
-import { Order } from '../models/Order.js';
-import { Transaction } from '../models/Transaction.js';
-import { User } from '../models/User.js';
+import Return from '../models/Return.js';
+import Order from '../models/Order.js';
+import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+import ReturnRefund from '../models/ReturnRefund.js';
 
 class ReturnAnalyticsService {
   /**
@@ -323,7 +324,8 @@ class ReturnAnalyticsService {
           _id: null,
           totalRefunds: { $sum: 1 },
           totalRefundAmount: { $sum: '$refund.processing.finalAmount' },
-          totalCoinRefunds: { $sum: '$refund.processing.coinRefund' },
+          totalCoinRefunds: { $sum: '$refund.processing.coinsCredited' },
+          totalMoneyRefunds: { $sum: '$refund.processing.moneyRefunded' },
           avgRefundAmount: { $avg: '$refund.processing.finalAmount' },
           fullRefunds: {
             $sum: {
@@ -361,6 +363,7 @@ class ReturnAnalyticsService {
       totalRefunds: 0,
       totalRefundAmount: 0,
       totalCoinRefunds: 0,
+      totalMoneyRefunds: 0,
       avgRefundAmount: 0,
       fullRefunds: 0,
       partialRefunds: 0,
@@ -628,6 +631,128 @@ class ReturnAnalyticsService {
     return await Return.aggregate(pipeline);
   }
 
+  /**
+   * Reconcile return refunds: coins vs money, provider refunds still outstanding,
+   * and returns whose refund legs do not add up to the approved amount
+   */
+  async getRefundReconciliation({ timeframe = '30d', startDate, endDate } = {}) {
+    const createdAt = startDate && endDate
+      ? { $gte: new Date(startDate), $lte: new Date(endDate) }
+      : this._getDateFilter(timeframe).requestedAt;
+    const staleBefore = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const [legs, outstanding, coinLedger, walletLedger, returns] = await Promise.all([
+      ReturnRefund.aggregate([
+        { $match: { createdAt } },
+        {
+          $group: {
+            _id: { method: '$method', provider: '$provider', status: '$status' },
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' },
+            coins: { $sum: '$coins' }
+          }
+        },
+        { $sort: { '_id.method': 1, '_id.provider': 1, '_id.status': 1 } }
+      ]),
+      ReturnRefund.find({
+        method: 'original_payment',
+        $or: [
+          { status: { $in: ['pending', 'processing'] } },
+          { status: 'failed', retriedBy: { $exists: false } }
+        ]
+      })
+        .sort({ createdAt: 1 })
+        .limit(200)
+        .populate('returnId', 'returnRequestId status')
+        .lean(),
+      ReturnRefund.aggregate([
+        // Legs of order edits and cancellations have no return; the wallet side only counts returns
+        { $match: { createdAt, method: 'coins', status: 'processed', returnId: { $exists: true } } },
+        { $group: { _id: null, coins: { $sum: '$coins' }, legs: { $sum: 1 } } }
+      ]),
+      Transaction.aggregate([
+        { $match: { createdAt, type: 'REFUND', status: 'COMPLETED', returnId: { $exists: true } } },
+        { $group: { _id: null, coins: { $sum: '$amount' }, transactions: { $sum: 1 } } }
+      ]),
+      Return.find({
+        'refund.processing.processedAt': createdAt,
+        'refund.processing.refundIds.0': { $exists: true }
+      })
+        .select('returnRequestId status refund.processing')
+        .lean()
+    ]);
+
+    const summary = {
+      coinRefunds: { count: 0, amount: 0, coins: 0 },
+      moneyRefunded: { count: 0, amount: 0 },
+      moneyPending: { count: 0, amount: 0 },
+      moneyFailed: { count: 0, amount: 0 }
+    };
+    for (const leg of legs) {
+      const { method, status } = leg._id;
+      let bucket = null;
+      if (method === 'coins') bucket = summary.coinRefunds;
+      else if (status === 'processed') bucket = summary.moneyRefunded;
+      else if (status === 'failed') bucket = summary.moneyFailed;
+      else bucket = summary.moneyPending;
+
+      bucket.count += leg.count;
+      bucket.amount += leg.amount;
+      if (bucket.coins !== undefined) bucket.coins += leg.coins;
+    }
+
+    // Failed legs refunded nothing; a return with an unretried failure shows up as short
+    const liveLegs = await ReturnRefund.find({
+      returnId: { $in: returns.map(r => r._id) },
+      status: { $ne: 'failed' }
+    }).select('returnId amount status').lean();
+    const legTotals = new Map();
+    for (const leg of liveLegs) {
+      const key = leg.returnId.toString();
+      legTotals.set(key, (legTotals.get(key) || 0) + leg.amount);
+    }
+    const mismatchedReturns = returns
+      .map(r => ({
+        returnId: r._id,
+        returnRequestId: r.returnRequestId,
+        status: r.status,
+        approvedAmount: r.refund.processing.finalAmount || 0,
+        refundedAmount: Math.round((legTotals.get(r._id.toString()) || 0) * 100) / 100
+      }))
+      .filter(r => Math.abs(r.approvedAmount - r.refundedAmount) >= 0.01);
+
+    const coinsByLegs = coinLedger[0]?.coins || 0;
+    const coinsByWallet = walletLedger[0]?.coins || 0;
+
+    return {
+      period: { from: createdAt.$gte, to: createdAt.$lte },
+      summary,
+      byMethod: legs.map(leg => ({ ...leg._id, count: leg.count, amount: leg.amount, coins: leg.coins })),
+      wallet: {
+        coinsByRefundRecords: coinsByLegs,
+        coinsByWalletTransactions: coinsByWallet,
+        // Wallet transactions also include coin refunds issued before refund records existed
+        difference: coinsByWallet - coinsByLegs
+      },
+      outstanding: outstanding.map(r => ({
+        refundId: r._id,
+        source: r.source || 'return',
+        orderId: r.orderId,
+        returnId: r.returnId?._id || r.returnId,
+        returnRequestId: r.returnId?.returnRequestId,
+        provider: r.provider,
+        providerRefundId: r.providerRefundId,
+        amount: r.amount,
+        status: r.status,
+        failureReason: r.failureReason,
+        createdAt: r.createdAt,
+        stale: r.status !== 'failed' && r.createdAt < staleBefore
+      })),
+      mismatchedReturns,
+      generatedAt: new Date()
+    };
+  }
+
   /**
    * Helper method to get date filter based on timeframe
    */
@@ -0,0 +1,830 @@
+import mongoose from 'mongoose';
+import Return from '../models/Return.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import PaymentAttempt from '../models/PaymentAttempt.js';
+import ReturnRefund from '../models/ReturnRefund.js';
+import notificationService from './notificationService.js';
+import invoiceService from './invoiceService.js';
+import razorpayPaymentProvider from './razorpayPaymentProvider.js';
+import mockPaymentProvider from './mockPaymentProvider.js';
+import manualRefundProvider from './manualRefundProvider.js';
+
+/**
+ * Return Refund Service
+ * Issues the refund of an approved return as coins, as money back to the original
+ * payment method, or split between the two. Every leg is a ReturnRefund record;
+ * provider legs settle asynchronously (webhook, status poll, or admin confirmation
+ * for manual UPI refunds) and the return completes once every leg has settled.
+ * Money given back when an order edit removes prepaid items, or when a prepaid order is
+ * cancelled, goes through the same legs.
+ */
+
+export const REFUND_CONSTANTS = {
+  COIN_RATE: 5, // 1 Rupee = 5 Coins
+  METHODS: ['coins', 'original_payment', 'split']
+};
+
+const refundProviders = {
+  [razorpayPaymentProvider.name]: razorpayPaymentProvider,
+  [mockPaymentProvider.name]: mockPaymentProvider,
+  [manualRefundProvider.name]: manualRefundProvider
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getRefundProvider = (name) => {
+  const provider = refundProviders[name];
+  if (!provider) {
+    throw httpError(`Refunds are not supported for provider: ${name}`, 400);
+  }
+  return provider;
+};
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const refId = (value) => value?._id || value;
+
+const orderNumber = (orderId) => orderId.toString().slice(-8).toUpperCase();
+
+// What a refund leg is for, as shown to the customer
+const refundSubject = (refund, returnRequestId) => (refund.returnId
+  ? `return ${returnRequestId || ''}`.trim()
+  : `order #${orderNumber(refund.orderId)}`);
+
+const addEvent = (refund, { eventId = null, event, source }) => {
+  refund.events.push({ eventId, event, source, receivedAt: new Date() });
+};
+
+/**
+ * The payment a money refund goes back to
+ * ONLINE orders refund against the captured gateway payment; UPI orders settled by UTR
+ * are refunded manually from the bank account. COD and unpaid orders have none.
+ * @returns {object|null} - { provider, paymentAttemptId, providerPaymentId, paidAmount }
+ */
+export const getOriginalPayment = async (order) => {
+  if (!order || order.paymentStatus !== 'Paid') return null;
+
+  if (order.paymentMethod === 'ONLINE') {
+    const attempt = await PaymentAttempt.findOne({ orderId: order._id, status: 'paid' }).sort({ paidAt: -1 });
+    if (!attempt?.providerPaymentId) return null;
+    return {
+      provider: attempt.provider,
+      paymentAttemptId: attempt._id,
+      providerPaymentId: attempt.providerPaymentId,
+      paidAmount: attempt.amount
+    };
+  }
+
+  if (order.paymentMethod === 'UPI') {
+    return {
+      provider: manualRefundProvider.name,
+      paymentAttemptId: null,
+      providerPaymentId: order.upiTransactionId || null,
+      paidAmount: order.totalAmount
+    };
+  }
+
+  return null;
+};
+
+// Money already refunded (or on its way) to the order's original payment
+const getMoneyRefunded = async (orderId) => {
+  const [result] = await ReturnRefund.aggregate([
+    { $match: { orderId, method: 'original_payment', status: { $ne: 'failed' } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return result?.total || 0;
+};
+
+/**
+ * Refund methods available for a return and how much can still go back to the original payment
+ * @returns {object} - { methods, originalPayment: { provider, paidAmount, refundable } | null }
+ */
+export const getRefundOptions = async (returnRequest) => {
+  const order = await Order.findById(refId(returnRequest.orderId)).select('paymentMethod paymentStatus totalAmount upiTransactionId');
+  const originalPayment = await getOriginalPayment(order);
+  if (!originalPayment) {
+    return { methods: ['coins'], originalPayment: null };
+  }
+
+  const refundable = roundMoney(Math.max(0, originalPayment.paidAmount - await getMoneyRefunded(order._id)));
+  return {
+    methods: refundable > 0 ? REFUND_CONSTANTS.METHODS : ['coins'],
+    originalPayment: {
+      provider: originalPayment.provider,
+      paidAmount: originalPayment.paidAmount,
+      refundable
+    }
+  };
+};
+
+// Send one money leg to the provider; the record is saved whatever the outcome
+const submitProviderRefund = async (refund, receipt) => {
+  const provider = getRefundProvider(refund.provider);
+  try {
+    const result = await provider.createRefund({
+      providerPaymentId: refund.providerPaymentId,
+      amount: refund.amount,
+      receipt,
+      notes: {
+        ...(refund.returnId ? { returnId: refund.returnId.toString() } : { orderId: refund.orderId.toString() }),
+        refundId: refund._id.toString()
+      }
+    });
+    refund.providerRefundId = result.providerRefundId || undefined;
+    refund.status = result.status;
+    if (result.status === 'processed') refund.processedAt = new Date();
+    if (result.status === 'failed') {
+      refund.failedAt = new Date();
+      refund.failureReason = result.failureReason || 'Refund rejected by provider';
+    }
+  } catch (error) {
+    refund.status = 'failed';
+    refund.failedAt = new Date();
+    refund.failureReason = error.response?.data?.error?.description || error.message;
+    console.error(`[RETURN REFUND] ${refund.provider} refund ${refund._id} failed:`, refund.failureReason);
+  }
+  addEvent(refund, { event: `refund.${refund.status}`, source: 'api' });
+  await refund.save();
+  return refund;
+};
+
+// Credit refund coins to the wallet and record the wallet transaction
+const creditWallet = async ({ userId, coins, description, orderId, returnId, refundDetails }) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { 'wallet.balance': coins, 'wallet.totalEarned': coins } },
+    { new: true }
+  );
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+
+  const transaction = await Transaction.create({
+    userId,
+    type: 'REFUND',
+    amount: coins,
+    description,
+    orderId,
+    returnId,
+    balanceAfter: user.wallet.balance,
+    metadata: { refundDetails },
+    status: 'COMPLETED'
+  });
+  return { transaction, newWalletBalance: user.wallet.balance };
+};
+
+// Coins leg of a return refund; a retry passes the id it claimed the failed leg with
+const creditCoins = async (returnRequest, { coins, amount, processedBy, metadata = {}, refundId, retryOf }) => {
+  const userId = refId(returnRequest.customerId);
+  const { transaction, newWalletBalance } = await creditWallet({
+    userId,
+    coins,
+    description: `Refund for return request ${returnRequest.returnRequestId}`,
+    orderId: refId(returnRequest.orderId),
+    returnId: returnRequest._id,
+    refundDetails: {
+      originalAmount: returnRequest.calculateRefund().originalAmount,
+      refundAmount: amount,
+      conversionRate: REFUND_CONSTANTS.COIN_RATE,
+      deductions: returnRequest.refund.adminDecision?.deductions,
+      processedBy,
+      returnReason: returnRequest.returnReason,
+      ...metadata
+    }
+  });
+
+  const refund = await ReturnRefund.create({
+    ...(refundId && { _id: refundId }),
+    returnId: returnRequest._id,
+    orderId: refId(returnRequest.orderId),
+    userId,
+    method: 'coins',
+    amount,
+    coins,
+    provider: 'wallet',
+    transactionId: transaction._id,
+    status: 'processed',
+    events: [{ event: 'refund.processed', source: 'api' }],
+    retryOf,
+    createdBy: processedBy,
+    processedAt: new Date()
+  });
+
+  return { refund, transaction, newWalletBalance };
+};
+
+// Close the order's active-return flag once the return is done
+const closeOrderReturn = async (returnRequest) => {
+  const order = await Order.findById(refId(returnRequest.orderId));
+  if (!order?.returnInfo) return;
+
+  order.returnInfo.hasActiveReturn = false;
+  const historyEntry = order.returnInfo.returnHistory?.find(
+    h => h.returnId?.toString() === returnRequest._id.toString()
+  );
+  if (historyEntry) {
+    historyEntry.status = 'completed';
+    historyEntry.completedAt = new Date();
+  }
+  await order.save();
+};
+
+const notifyMoneyRefund = async (refund, subject, settled) => {
+  try {
+    await notificationService.createNotification({
+      title: settled ? 'Refund Completed' : 'Refund Initiated',
+      message: settled
+        ? `₹${refund.amount} for ${subject} has been refunded to your original payment method.`
+        : `₹${refund.amount} for ${subject} is being refunded to your original payment method. Banks usually take 5-7 working days.`,
+      type: 'order',
+      category: 'payment',
+      userId: refund.userId,
+      channels: ['in_app', 'push'],
+      actionUrl: `/orders/${refund.orderId}`,
+      actionText: 'View Order',
+      relatedOrderId: refund.orderId,
+      data: { returnId: refund.returnId, refundId: refund._id },
+      createdBy: { system: true }
+    });
+  } catch (error) {
+    console.error(`[RETURN REFUND] Failed to notify refund ${refund._id}:`, error);
+  }
+};
+
+/**
+ * Issue the refund of an approved return
+ * Money goes to the provider first: if the provider rejects it nothing is credited and
+ * the return stays refund_approved so it can be processed again. Money that went out is
+ * recorded on the return before coins are credited; if the credit then fails the return is
+ * left partially_processed, and processing it again credits only the coins.
+ * @param {object} returnRequest - Return document in refund_approved
+ * @param {object} params
+ * @param {string} [params.method] - 'coins', 'original_payment' or 'split'
+ * @param {number} params.finalAmount - Approved refund in rupees
+ * @param {number} params.finalCoins - Approved refund in coins (used for coins-only refunds)
+ * @param {number} [params.originalPaymentAmount] - Rupees to the original payment for a split
+ * @param {string} params.processedBy - Admin or warehouse manager id
+ * @param {object} [params.transactionMetadata] - Extra refundDetails for the coin transaction
+ * @returns {object} - { refunds, transaction, coinsCredited, moneyRefunded, newWalletBalance, settled }
+ */
+export const processReturnRefund = async (returnRequest, {
+  method = 'coins',
+  finalAmount,
+  finalCoins,
+  originalPaymentAmount,
+  processedBy,
+  transactionMetadata = {}
+}) => {
+  // A split whose coin credit failed after the money went out resumes with the coins only
+  const resumed = returnRequest.refund.processing?.processingStatus === 'partially_processed';
+  if (resumed) {
+    ({ refundMethod: method, finalAmount } = returnRequest.refund.processing);
+  }
+  if (!REFUND_CONSTANTS.METHODS.includes(method)) {
+    throw httpError(`Refund method must be one of: ${REFUND_CONSTANTS.METHODS.join(', ')}`, 400);
+  }
+
+  finalAmount = roundMoney(finalAmount);
+  let moneyAmount = 0;
+  if (resumed) {
+    moneyAmount = roundMoney(returnRequest.refund.processing.moneyRefunded);
+  } else if (method === 'original_payment') {
+    moneyAmount = finalAmount;
+  } else if (method === 'split') {
+    moneyAmount = roundMoney(originalPaymentAmount);
+    if (!(moneyAmount > 0) || moneyAmount >= finalAmount) {
+      throw httpError('A split refund needs an original payment amount greater than 0 and less than the refund amount', 400);
+    }
+  }
+  const coinAmount = roundMoney(finalAmount - moneyAmount);
+  const coins = method === 'coins' ? finalCoins : Math.round(coinAmount * REFUND_CONSTANTS.COIN_RATE);
+
+  let originalPayment = null;
+  if (moneyAmount > 0 && !resumed) {
+    const order = await Order.findById(refId(returnRequest.orderId));
+    originalPayment = await getOriginalPayment(order);
+    if (!originalPayment) {
+      throw httpError('This order was not prepaid online or by verified UPI; refund it as coins', 400);
+    }
+    const refundable = roundMoney(originalPayment.paidAmount - await getMoneyRefunded(order._id));
+    if (moneyAmount > refundable) {
+      throw httpError(`Only ₹${refundable} can still be refunded to the original payment`, 400);
+    }
+  }
+
+  // Claim the return so a double submit cannot refund twice
+  const claimed = await Return.findOneAndUpdate(
+    {
+      _id: returnRequest._id,
+      status: 'refund_approved',
+      'refund.processing.processingStatus': resumed
+        ? 'partially_processed'
+        : { $nin: ['processing', 'partially_processed', 'completed'] }
+    },
+    { $set: { 'refund.processing.processingStatus': 'processing' } }
+  );
+  if (!claimed) {
+    throw httpError('Refund is already being processed', 409);
+  }
+
+  // Legs already issued by the run being resumed
+  const refunds = resumed
+    ? await ReturnRefund.find({ _id: { $in: returnRequest.refund.processing.refundIds } })
+    : [];
+  let moneyIssued = resumed;
+  let transaction = null;
+  let newWalletBalance = null;
+  try {
+    if (moneyAmount > 0 && !resumed) {
+      const moneyRefund = new ReturnRefund({
+        returnId: returnRequest._id,
+        orderId: refId(returnRequest.orderId),
+        userId: refId(returnRequest.customerId),
+        method: 'original_payment',
+        amount: moneyAmount,
+        provider: originalPayment.provider,
+        paymentAttemptId: originalPayment.paymentAttemptId,
+        providerPaymentId: originalPayment.providerPaymentId,
+        createdBy: processedBy
+      });
+      await submitProviderRefund(moneyRefund, returnRequest.returnRequestId);
+      if (moneyRefund.status === 'failed') {
+        throw httpError(`Original payment refund failed: ${moneyRefund.failureReason}`, 502);
+      }
+      refunds.push(moneyRefund);
+      moneyIssued = true;
+
+      await Return.updateOne(
+        { _id: returnRequest._id },
+        {
+          $set: {
+            'refund.processing.processedBy': processedBy,
+            'refund.processing.refundMethod': method,
+            'refund.processing.finalAmount': finalAmount,
+            'refund.processing.moneyRefunded': moneyAmount,
+            'refund.processing.refundIds': [moneyRefund._id]
+          }
+        }
+      );
+      await notifyMoneyRefund(moneyRefund, refundSubject(moneyRefund, returnRequest.returnRequestId), moneyRefund.status === 'processed');
+    }
+
+    if (coins > 0) {
+      const credit = await creditCoins(returnRequest, {
+        coins,
+        amount: coinAmount,
+        processedBy,
+        metadata: transactionMetadata
+      });
+      refunds.push(credit.refund);
+      transaction = credit.transaction;
+      newWalletBalance = credit.newWalletBalance;
+    }
+  } catch (error) {
+    await Return.updateOne(
+      { _id: returnRequest._id },
+      { $set: { 'refund.processing.processingStatus': moneyIssued ? 'partially_processed' : 'failed' } }
+    );
+    if (moneyIssued) {
+      throw httpError(`₹${moneyAmount} went back to the original payment but crediting ${coins} coins failed: ${error.message}. Process the refund again to credit the coins`, error.statusCode || 500);
+    }
+    throw error;
+  }
+
+  const settled = refunds.every(r => r.status === 'processed');
+  returnRequest.refund.processing = {
+    processedBy,
+    processedAt: new Date(),
+    walletTransactionId: transaction?._id,
+    conversionRate: REFUND_CONSTANTS.COIN_RATE,
+    originalAmount: returnRequest.calculateRefund().originalAmount,
+    finalAmount,
+    coinsCredited: transaction ? coins : 0,
+    refundMethod: method,
+    moneyRefunded: moneyAmount,
+    refundIds: refunds.map(r => r._id),
+    processingStatus: settled ? 'completed' : 'processing'
+  };
+
+  const note = moneyAmount > 0
+    ? `Refund issued: ₹${moneyAmount} to original payment${coins > 0 ? `, ${coins} coins` : ''}`
+    : 'Refund processed successfully';
+  returnRequest.updateStatus('refund_processed', processedBy, note, true);
+  if (settled) {
+    returnRequest.updateStatus('completed', processedBy, 'Return process completed', true);
+    returnRequest.completedAt = new Date();
+  }
+  await returnRequest.save();
+
+  // The credit note reverses the returned goods on the order's tax invoice
+  invoiceService.issueCreditNoteInBackground(returnRequest._id);
+  if (settled) await closeOrderReturn(returnRequest);
+
+  return { refunds, transaction, coinsCredited: transaction ? coins : 0, moneyRefunded: moneyAmount, newWalletBalance, settled };
+};
+
+/**
+ * Refund (part of) a prepaid order to its original payment outside a return
+ * (items removed by an order edit, the order cancelled). The leg settles like a
+ * return leg: webhook, status poll or admin confirmation, and a failed leg can be retried.
+ * @param {object} order
+ * @param {object} params - { amount, source, orderEditId, processedBy }; no amount refunds all that is left
+ * @returns {object|null} - The refund leg (status 'failed' if the provider rejected it), null if nothing is left
+ */
+export const refundOrderPayment = async (order, { amount, source, orderEditId, processedBy }) => {
+  const originalPayment = await getOriginalPayment(order);
+  if (!originalPayment) {
+    throw httpError('This order was not prepaid online or by verified UPI; refund it as coins', 400);
+  }
+  const refundable = roundMoney(originalPayment.paidAmount - await getMoneyRefunded(order._id));
+  if (amount === undefined) {
+    if (!(refundable > 0)) return null;
+    amount = refundable;
+  }
+  amount = roundMoney(amount);
+  if (!(amount > 0) || amount > refundable) {
+    throw httpError(`Only ₹${refundable} can still be refunded to the original payment`, 400);
+  }
+
+  const refund = new ReturnRefund({
+    source,
+    orderEditId,
+    orderId: order._id,
+    userId: order.userId,
+    method: 'original_payment',
+    amount,
+    provider: originalPayment.provider,
+    paymentAttemptId: originalPayment.paymentAttemptId,
+    providerPaymentId: originalPayment.providerPaymentId,
+    createdBy: processedBy
+  });
+  await submitProviderRefund(refund, order._id.toString());
+
+  if (refund.status === 'failed') {
+    console.warn(`[RETURN REFUND] Refund ${refund._id} for ${refundSubject(refund)} failed: ${refund.failureReason}`);
+  } else {
+    await notifyMoneyRefund(refund, refundSubject(refund), refund.status === 'processed');
+  }
+  return refund;
+};
+
+/**
+ * Give back a gateway capture that arrived after its order was cancelled or released
+ * The capture never paid the order, so it is refunded in full against its own payment.
+ * The leg settles and can be retried like any other; one attempt is refunded once.
+ * @param {object} attempt - The captured PaymentAttempt
+ * @returns {object} - The refund leg (status 'failed' if the provider rejected it)
+ */
+export const refundLateCapture = async (attempt) => {
+  const existing = await ReturnRefund.findOne({ source: 'late_capture', paymentAttemptId: attempt._id });
+  if (existing) return existing;
+
+  const refund = new ReturnRefund({
+    source: 'late_capture',
+    orderId: attempt.orderId,
+    userId: attempt.userId,
+    method: 'original_payment',
+    amount: attempt.amount,
+    provider: attempt.provider,
+    paymentAttemptId: attempt._id,
+    providerPaymentId: attempt.providerPaymentId
+  });
+  await submitProviderRefund(refund, attempt.orderId.toString());
+
+  if (refund.status === 'failed') {
+    console.warn(`[RETURN REFUND] Refund ${refund._id} of the late payment for ${refundSubject(refund)} failed: ${refund.failureReason}`);
+  } else {
+    await notifyMoneyRefund(refund, refundSubject(refund), refund.status === 'processed');
+  }
+  return refund;
+};
+
+/**
+ * Complete the return once none of its refund legs is outstanding
+ * A failed leg that has not been retried keeps the return open and marks processing failed
+ */
+const settleReturn = async (returnId) => {
+  const refunds = await ReturnRefund.find({ returnId });
+  const open = refunds.filter(r => r.status === 'failed' ? !r.retriedBy : r.status !== 'processed');
+  const returnRequest = await Return.findById(returnId);
+  // Only an issued refund settles; a partially processed one still owes its coins
+  if (!returnRequest || returnRequest.status !== 'refund_processed') return returnRequest;
+
+  if (open.some(r => r.status === 'failed')) {
+    returnRequest.refund.processing.processingStatus = 'failed';
+    await returnRequest.save();
+    return returnRequest;
+  }
+  if (open.length > 0) return returnRequest;
+
+  returnRequest.refund.processing.processingStatus = 'completed';
+  returnRequest.updateStatus('completed', returnRequest.refund.processing.processedBy, 'All refunds settled', true);
+  returnRequest.completedAt = new Date();
+  await returnRequest.save();
+  await closeOrderReturn(returnRequest);
+  return returnRequest;
+};
+
+/**
+ * Apply a provider status update to a refund leg (webhook, poll or admin confirmation)
+ * Settled legs do not change again; each provider event is applied once.
+ */
+const applyRefundStatus = async (refund, { status, failureReason, reference, eventId = null, event, source }) => {
+  if (eventId && refund.events.some(e => e.eventId === eventId)) {
+    return { refund, duplicate: true };
+  }
+  addEvent(refund, { eventId, event, source });
+
+  const settledBefore = ['processed', 'failed'].includes(refund.status);
+  if (!settledBefore && status === 'processed') {
+    refund.status = 'processed';
+    refund.processedAt = new Date();
+    if (reference) refund.reference = reference;
+  } else if (!settledBefore && status === 'failed') {
+    refund.status = 'failed';
+    refund.failedAt = new Date();
+    refund.failureReason = failureReason || 'Refund failed';
+  }
+  await refund.save();
+
+  if (!settledBefore && ['processed', 'failed'].includes(refund.status)) {
+    const returnRequest = refund.returnId ? await settleReturn(refund.returnId) : null;
+    if (refund.status === 'processed') {
+      await notifyMoneyRefund(refund, refundSubject(refund, returnRequest?.returnRequestId), true);
+    } else {
+      console.warn(`[RETURN REFUND] Refund ${refund._id} for ${refundSubject(refund, refund.returnId)} failed: ${refund.failureReason}`);
+    }
+  }
+  return { refund };
+};
+
+/**
+ * Refund event from a payment gateway webhook (routed here by paymentService.handleWebhook)
+ * @param {string} providerName
+ * @param {object} event - Parsed webhook with a `refund` part
+ * @returns {object} - { handled, duplicate, ignored, refund }
+ */
+export const handleRefundWebhook = async (providerName, event) => {
+  const { providerRefundId, status, failureReason } = event.refund;
+  if (!providerRefundId || !status) {
+    return { handled: false, ignored: true, reason: `Refund event ${event.event} not tracked` };
+  }
+
+  const refund = await ReturnRefund.findOne({ provider: providerName, providerRefundId });
+  if (!refund) {
+    console.warn(`[RETURN REFUND] Webhook ${event.event} for unknown ${providerName} refund ${providerRefundId}`);
+    return { handled: false, ignored: true, reason: 'Unknown refund' };
+  }
+
+  const result = await applyRefundStatus(refund, {
+    status,
+    failureReason,
+    eventId: event.eventId,
+    event: event.event,
+    source: 'webhook'
+  });
+  return { handled: true, duplicate: Boolean(result.duplicate), refund: result.refund };
+};
+
+/**
+ * Scheduled job: ask gateways about refunds still processing (a webhook may never arrive)
+ * Manual refunds are skipped; they are settled by an admin.
+ * @returns {object} - { checked, processed, failed }
+ */
+export const syncPendingRefunds = async () => {
+  const pending = await ReturnRefund.find({
+    method: 'original_payment',
+    status: 'processing',
+    provider: { $ne: manualRefundProvider.name },
+    providerRefundId: { $exists: true }
+  });
+
+  let processed = 0;
+  let failed = 0;
+  for (const refund of pending) {
+    try {
+      const remote = await getRefundProvider(refund.provider).fetchRefundStatus(refund.providerRefundId);
+      if (!['processed', 'failed'].includes(remote.status)) continue;
+
+      await applyRefundStatus(refund, {
+        status: remote.status,
+        failureReason: remote.failureReason,
+        event: `reconciliation.${remote.status}`,
+        source: 'poll'
+      });
+      if (remote.status === 'processed') processed++;
+      else failed++;
+    } catch (error) {
+      console.error(`[RETURN REFUND] Could not check refund ${refund._id}:`, error.message);
+    }
+  }
+
+  return { checked: pending.length, processed, failed };
+};
+
+/**
+ * Record the outcome of a manual (bank transfer) refund
+ * @param {string} refundId
+ * @param {object} params - { status: 'processed' | 'failed', reference, note }
+ */
+export const updateManualRefund = async (refundId, { status, reference, note }) => {
+  if (!['processed', 'failed'].includes(status)) {
+    throw httpError('Status must be processed or failed', 400);
+  }
+  if (status === 'processed' && !reference) {
+    throw httpError('Bank reference is required to mark a refund processed', 400);
+  }
+
+  const refund = await ReturnRefund.findById(refundId);
+  if (!refund || refund.provider !== manualRefundProvider.name) {
+    throw httpError('Manual refund not found', 404);
+  }
+  if (refund.status !== 'processing') {
+    throw httpError(`Refund is already ${refund.status}`, 400);
+  }
+
+  const { refund: updated } = await applyRefundStatus(refund, {
+    status,
+    reference,
+    failureReason: note,
+    event: `manual.${status}`,
+    source: 'manual'
+  });
+  return updated;
+};
+
+/**
+ * Claim a failed leg for a retry, so two retries of the same leg cannot both refund it
+ * @returns {ObjectId} - Id for the retry leg, already recorded as the failed leg's retriedBy
+ */
+const claimRetry = async (failed) => {
+  const retryId = new mongoose.Types.ObjectId();
+  const claimed = await ReturnRefund.findOneAndUpdate(
+    { _id: failed._id, status: 'failed', retriedBy: null },
+    { $set: { retriedBy: retryId } }
+  );
+  if (!claimed) {
+    throw httpError('This refund is already being retried', 409);
+  }
+  return retryId;
+};
+
+// Give the leg back when the retry failed before a new leg was recorded
+const releaseRetry = (failed, retryId) => ReturnRefund.updateOne(
+  { _id: failed._id, retriedBy: retryId },
+  { $unset: { retriedBy: 1 } }
+);
+
+// Retry of a failed leg that belongs to an order rather than a return
+const retryOrderRefund = async (failed, { method, processedBy }) => {
+  const retryId = await claimRetry(failed);
+  if (method === 'coins') {
+    const coins = Math.round(failed.amount * REFUND_CONSTANTS.COIN_RATE);
+    try {
+      const { transaction } = await creditWallet({
+        userId: failed.userId,
+        coins,
+        description: `Refund for order #${orderNumber(failed.orderId)}`,
+        orderId: failed.orderId,
+        refundDetails: { refundAmount: failed.amount, conversionRate: REFUND_CONSTANTS.COIN_RATE, processedBy }
+      });
+      return await ReturnRefund.create({
+        _id: retryId,
+        source: failed.source,
+        orderEditId: failed.orderEditId,
+        orderId: failed.orderId,
+        userId: failed.userId,
+        method: 'coins',
+        amount: failed.amount,
+        coins,
+        provider: 'wallet',
+        transactionId: transaction._id,
+        status: 'processed',
+        events: [{ event: 'refund.processed', source: 'api' }],
+        retryOf: failed._id,
+        createdBy: processedBy,
+        processedAt: new Date()
+      });
+    } catch (error) {
+      await releaseRetry(failed, retryId);
+      throw error;
+    }
+  }
+
+  const retry = new ReturnRefund({
+    _id: retryId,
+    source: failed.source,
+    orderEditId: failed.orderEditId,
+    orderId: failed.orderId,
+    userId: failed.userId,
+    method: 'original_payment',
+    amount: failed.amount,
+    provider: failed.provider,
+    paymentAttemptId: failed.paymentAttemptId,
+    providerPaymentId: failed.providerPaymentId,
+    retryOf: failed._id,
+    createdBy: processedBy
+  });
+  return submitProviderRefund(retry, failed.orderId.toString());
+};
+
+/**
+ * Retry a failed original-payment leg, either with the provider again or as coins
+ * The failed leg is claimed before anything is submitted or credited.
+ * @param {string} refundId
+ * @param {object} params - { method: 'original_payment' | 'coins', processedBy }
+ * @returns {object} - The new refund leg
+ */
+export const retryRefund = async (refundId, { method = 'original_payment', processedBy }) => {
+  if (!['original_payment', 'coins'].includes(method)) {
+    throw httpError('Retry method must be original_payment or coins', 400);
+  }
+
+  const failed = await ReturnRefund.findById(refundId);
+  if (!failed || failed.method !== 'original_payment') {
+    throw httpError('Refund not found', 404);
+  }
+  if (failed.status !== 'failed' || failed.retriedBy) {
+    throw httpError('Only a failed refund that has not been retried can be retried', 400);
+  }
+  if (!failed.returnId) {
+    return retryOrderRefund(failed, { method, processedBy });
+  }
+
+  const returnRequest = await Return.findById(failed.returnId);
+  if (!returnRequest) {
+    throw httpError('Return request not found', 404);
+  }
+  if (returnRequest.refund.processing.processingStatus === 'partially_processed') {
+    throw httpError('Process the return refund again to credit its coins before retrying this refund', 400);
+  }
+
+  const retryId = await claimRetry(failed);
+  let retry;
+  if (method === 'coins') {
+    let credit;
+    try {
+      credit = await creditCoins(returnRequest, {
+        coins: Math.round(failed.amount * REFUND_CONSTANTS.COIN_RATE),
+        amount: failed.amount,
+        processedBy,
+        refundId: retryId,
+        retryOf: failed._id
+      });
+    } catch (error) {
+      await releaseRetry(failed, retryId);
+      throw error;
+    }
+    retry = credit.refund;
+    returnRequest.refund.processing.walletTransactionId = credit.transaction._id;
+    returnRequest.refund.processing.coinsCredited = (returnRequest.refund.processing.coinsCredited || 0) + retry.coins;
+    returnRequest.refund.processing.moneyRefunded = roundMoney((returnRequest.refund.processing.moneyRefunded || 0) - failed.amount);
+  } else {
+    retry = new ReturnRefund({
+      _id: retryId,
+      returnId: failed.returnId,
+      orderId: failed.orderId,
+      userId: failed.userId,
+      method: 'original_payment',
+      amount: failed.amount,
+      provider: failed.provider,
+      paymentAttemptId: failed.paymentAttemptId,
+      providerPaymentId: failed.providerPaymentId,
+      retryOf: failed._id,
+      createdBy: processedBy
+    });
+    await submitProviderRefund(retry, returnRequest.returnRequestId);
+  }
+
+  returnRequest.refund.processing.refundIds.push(retry._id);
+  returnRequest.refund.processing.processingStatus = 'processing';
+  await returnRequest.save();
+  await settleReturn(returnRequest._id);
+
+  return retry;
+};
+
+// All refund legs of a return, oldest first
+export const getReturnRefunds = async (returnId) =>
+  ReturnRefund.find({ returnId }).sort({ createdAt: 1 });
+
+export default {
+  REFUND_CONSTANTS,
+  getOriginalPayment,
+  getRefundOptions,
+  refundOrderPayment,
+  refundLateCapture,
+  processReturnRefund,
+  handleRefundWebhook,
+  syncPendingRefunds,
+  updateManualRefund,
+  retryRefund,
+  getReturnRefunds
+};
@@ -2,6 +2,8 @@ import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import BatchGroup from '../models/BatchGroup.js';
 import ComboPack from '../models/ComboPack.js';
+import Return from '../models/Return.js';
+import ReturnRefund from '../models/ReturnRefund.js';
 import mongoose from 'mongoose';
 
 /**
@@ -291,39 +293,22 @@ export const calculateInventoryAnalytics = async () => {
 };
 
 // Calculate profitability analytics
+// Uses the cost of goods recorded on delivered orders from the batches they consumed, against
+// those orders' product revenue after discounts, over the profitability report's default period
 export const calculateProfitabilityAnalytics = async (revenueData) => {
   try {
     console.log('[PROFITABILITY ANALYTICS] Starting profitability calculation...');
     
-    // Get cost data from batch groups (this is simplified - you might want to track actual cost prices)
-    const batchGroups = await BatchGroup.find({})
-      .populate('products.productId', 'price')
-      .lean();
-    
-    let totalCostOfGoodsSold = 0;
-    let totalProductsSold = 0;
-    
-    for (const batchGroup of batchGroups) {
-      for (const product of batchGroup.products || []) {
-        const usedQuantity = product.usedQuantity || 0;
-        const productPrice = product.productId?.price || 0;
-        // Assume cost is 60% of selling price (you should track actual cost)
-        const estimatedCost = productPrice * 0.6;
-        
-        totalCostOfGoodsSold += usedQuantity * estimatedCost;
-        totalProductsSold += usedQuantity;
-      }
-    }
-    
-    const grossProfit = revenueData.summary.receivedRevenue - totalCostOfGoodsSold;
-    const grossProfitMargin = revenueData.summary.receivedRevenue > 0 ? 
-      (grossProfit / revenueData.summary.receivedRevenue) * 100 : 0;
+    const { summary } = await getProfitabilityReport({ groupBy: 'month' });
     
     return {
-      totalCostOfGoodsSold: Math.round(totalCostOfGoodsSold * 100) / 100,
-      grossProfit: Math.round(grossProfit * 100) / 100,
-      grossProfitMargin: Math.round(grossProfitMargin * 100) / 100,
-      totalProductsSold,
+      revenue: summary.revenue,
+      totalCostOfGoodsSold: summary.cogs,
+      grossProfit: summary.grossProfit,
+      grossProfitMargin: summary.grossMargin,
+      totalProductsSold: summary.unitsSold,
+      uncostedUnits: summary.uncostedUnits,
+      ordersWithoutCost: summary.ordersWithoutCost,
       averageOrderValue: revenueData.summary.totalOrders > 0 ? 
         Math.round((revenueData.summary.totalRevenue / revenueData.summary.totalOrders) * 100) / 100 : 0
     };
@@ -334,6 +319,245 @@ export const calculateProfitabilityAnalytics = async (revenueData) => {
   }
 };
 
+// ---------------------------------------------------------------------------
+// Profitability from recorded cost of goods
+// ---------------------------------------------------------------------------
+
+export const PROFIT_GROUPS = ['order', 'product', 'category', 'day', 'month'];
+
+// Without a startDate the report covers this many days up to endDate (or now)
+const PROFIT_DEFAULT_DAYS = Number(process.env.PROFIT_REPORT_DEFAULT_DAYS) || 90;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Product revenue of an order split over the products in it, after coupon and coin discounts
+// and without shipping. A combo's price is split over its products by their original prices.
+// A combo's price is split over its products by their original prices; units are per combo.
+const splitItem = (item) => {
+  if (item.itemType === 'combo' && item.comboProducts?.length) {
+    const weights = item.comboProducts.map(p => (p.originalPrice || 0) * (p.quantity || 1));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    return item.comboProducts.map((p, index) => ({
+      productId: p.productId,
+      share: totalWeight > 0 ? weights[index] / totalWeight : 1 / item.comboProducts.length,
+      units: p.quantity || 1
+    }));
+  }
+  return [{ productId: item.id, share: 1, units: 1 }];
+};
+
+const productRevenueShares = (order) => {
+  const lines = [];
+  for (const item of order.items || []) {
+    const gross = (item.price || 0) * (item.qty || 0);
+    for (const part of splitItem(item)) lines.push({ productId: part.productId, gross: gross * part.share });
+  }
+
+  const grossTotal = lines.reduce((sum, line) => sum + line.gross, 0);
+  const net = Math.max(0, (order.subtotal ?? grossTotal) - (order.couponDiscount || 0) - (order.coinDiscount?.amount || 0));
+  const factor = grossTotal > 0 ? net / grossTotal : 0;
+  return lines.map(line => ({ productId: line.productId?.toString(), revenue: line.gross * factor }));
+};
+
+const emptyRow = (key, extra = {}) => ({
+  key, ...extra, orders: new Set(), revenue: 0, cogs: 0, unitsSold: 0, uncostedUnits: 0, returnedUnits: 0, refunded: 0
+});
+
+// Cost of one unit of each product as recorded on the order, for reversing returned units.
+// null when none of the order's units of that product were costed.
+const orderUnitCosts = (order) => {
+  const totals = new Map();
+  for (const line of order.costOfGoods.lines || []) {
+    if (line.unitCost == null) continue;
+    const key = line.productId?.toString();
+    const total = totals.get(key) || { cost: 0, quantity: 0 };
+    total.cost += line.cost || 0;
+    total.quantity += line.quantity || 0;
+    totals.set(key, total);
+  }
+  return (productId) => {
+    const total = totals.get(productId);
+    return total?.quantity > 0 ? total.cost / total.quantity : null;
+  };
+};
+
+// Returned units and refunded rupees of a settled return, per product. The refund is spread over
+// the returned items by their price, so coins and money legs both count.
+const returnReversals = (order, returnRequest, refunded) => {
+  const lines = [];
+  const gross = returnRequest.items.map(item => (item.originalPrice || 0) * (item.quantity || 0));
+  const grossTotal = gross.reduce((sum, value) => sum + value, 0);
+  returnRequest.items.forEach((returnItem, index) => {
+    const orderItem = (order.items || []).find(item =>
+      item._id?.toString() === returnItem.orderItemId || item.id?.toString() === returnItem.orderItemId);
+    const parts = orderItem ? splitItem(orderItem) : [{ productId: returnItem.productId, share: 1, units: 1 }];
+    const itemRefund = grossTotal > 0 ? refunded * gross[index] / grossTotal : refunded / returnRequest.items.length;
+    for (const part of parts) {
+      lines.push({
+        productId: part.productId?.toString(),
+        quantity: (returnItem.quantity || 0) * part.units,
+        refunded: itemRefund * part.share
+      });
+    }
+  });
+  return lines;
+};
+
+const finishRow = ({ orders, ...row }) => {
+  const grossProfit = row.revenue - row.cogs;
+  return {
+    ...row,
+    orders: orders.size,
+    revenue: round2(row.revenue),
+    cogs: round2(row.cogs),
+    refunded: round2(row.refunded),
+    grossProfit: round2(grossProfit),
+    grossMargin: row.revenue > 0 ? round2(grossProfit / row.revenue * 100) : 0
+  };
+};
+
+/**
+ * Gross profit from what delivered orders actually cost
+ * Only orders with recorded cost of goods count; ordersWithoutCost are delivered orders from
+ * before costs were recorded. Units from uncosted batches add revenue but no cost, so check
+ * uncostedUnits before trusting a margin. Settled returns on those orders take their processed
+ * refunds off revenue and their units, at the order's recorded unit cost, off cost of goods.
+ * @param {object} options - { startDate, endDate, groupBy: 'order'|'product'|'category'|'day'|'month', limit, warehouseId }
+ *   startDate/endDate and day/month buckets go by order date; startDate defaults to
+ *   PROFIT_DEFAULT_DAYS before endDate. warehouseId limits the report to that warehouse's orders.
+ * @returns {object} - { summary, groupBy, rows, dateRange }
+ */
+export const getProfitabilityReport = async ({ startDate, endDate, groupBy = 'product', limit = 50, warehouseId = null } = {}) => {
+  if (!PROFIT_GROUPS.includes(groupBy)) {
+    const error = new Error(`groupBy must be one of ${PROFIT_GROUPS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const to = endDate ? new Date(endDate) : new Date();
+  const from = startDate ? new Date(startDate) : new Date(to.getTime() - PROFIT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    const error = new Error('startDate and endDate must be valid dates');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const query = { status: 'Delivered', createdAt: { $gte: from, $lte: to } };
+  if (warehouseId) query.warehouseId = warehouseId;
+
+  const orders = await Order.find(query)
+    .select('items subtotal couponDiscount coinDiscount createdAt +costOfGoods')
+    .lean();
+  const costed = orders.filter(order => order.costOfGoods?.recordedAt);
+
+  const productIds = new Set();
+  for (const order of costed) {
+    for (const line of order.costOfGoods.lines || []) productIds.add(line.productId?.toString());
+    for (const line of productRevenueShares(order)) productIds.add(line.productId);
+  }
+  const products = await Product.find({ _id: { $in: [...productIds].filter(id => mongoose.Types.ObjectId.isValid(id)) } })
+    .select('name category')
+    .lean();
+  const productInfo = new Map(products.map(product => [product._id.toString(), product]));
+
+  const keyFor = (order, productId) => {
+    switch (groupBy) {
+      case 'order': return order._id.toString();
+      case 'product': return productId || 'unknown';
+      case 'category': return productInfo.get(productId)?.category || 'Uncategorised';
+      case 'day': return new Date(order.createdAt).toISOString().slice(0, 10);
+      default: return new Date(order.createdAt).toISOString().slice(0, 7);
+    }
+  };
+
+  const rows = new Map();
+  const rowFor = (order, productId) => {
+    const key = keyFor(order, productId);
+    if (!rows.has(key)) {
+      const extra = groupBy === 'order' ? { orderId: order._id, createdAt: order.createdAt }
+        : groupBy === 'product' ? { productId, name: productInfo.get(productId)?.name || 'Unknown product' }
+          : {};
+      rows.set(key, emptyRow(key, extra));
+    }
+    return rows.get(key);
+  };
+  const summary = emptyRow('all');
+
+  for (const order of costed) {
+    for (const line of productRevenueShares(order)) {
+      const row = rowFor(order, line.productId);
+      row.revenue += line.revenue;
+      row.orders.add(order._id.toString());
+      summary.revenue += line.revenue;
+    }
+    for (const line of order.costOfGoods.lines || []) {
+      const row = rowFor(order, line.productId?.toString());
+      const uncosted = line.unitCost == null ? line.quantity : 0;
+      row.cogs += line.cost || 0;
+      row.unitsSold += line.quantity || 0;
+      row.uncostedUnits += uncosted;
+      row.orders.add(order._id.toString());
+      summary.cogs += line.cost || 0;
+      summary.unitsSold += line.quantity || 0;
+      summary.uncostedUnits += uncosted;
+    }
+    summary.orders.add(order._id.toString());
+  }
+
+  // Reverse settled returns. Order edits already show in the order's items and subtotal, and
+  // cancelled orders are never delivered, so only return refunds are taken off here.
+  const returns = costed.length ? await Return.find({
+    orderId: { $in: costed.map(order => order._id) },
+    status: { $in: ['refund_processed', 'completed'] }
+  }).select('orderId items').lean() : [];
+  const refunds = returns.length ? await ReturnRefund.find({
+    returnId: { $in: returns.map(returnRequest => returnRequest._id) },
+    status: 'processed'
+  }).select('returnId amount').lean() : [];
+  const refundedByReturn = new Map();
+  for (const refund of refunds) {
+    const key = refund.returnId.toString();
+    refundedByReturn.set(key, (refundedByReturn.get(key) || 0) + (refund.amount || 0));
+  }
+  const costedById = new Map(costed.map(order => [order._id.toString(), order]));
+
+  for (const returnRequest of returns) {
+    const order = costedById.get(returnRequest.orderId.toString());
+    const unitCostOf = orderUnitCosts(order);
+    const refunded = refundedByReturn.get(returnRequest._id.toString()) || 0;
+    for (const line of returnReversals(order, returnRequest, refunded)) {
+      const row = rowFor(order, line.productId);
+      const unitCost = unitCostOf(line.productId);
+      const cost = unitCost == null ? 0 : unitCost * line.quantity;
+      const uncosted = unitCost == null ? Math.min(line.quantity, row.uncostedUnits) : 0;
+      for (const target of [row, summary]) {
+        target.revenue -= line.refunded;
+        target.refunded += line.refunded;
+        target.cogs -= cost;
+        target.unitsSold -= line.quantity;
+        target.returnedUnits += line.quantity;
+        target.uncostedUnits -= uncosted;
+      }
+    }
+  }
+
+  let result = [...rows.values()].map(finishRow);
+  if (groupBy === 'day' || groupBy === 'month') {
+    result.sort((a, b) => a.key.localeCompare(b.key));
+  } else {
+    result.sort((a, b) => (groupBy === 'order' ? b.createdAt - a.createdAt : b.grossProfit - a.grossProfit));
+    result = result.slice(0, Math.min(Math.max(parseInt(limit) || 50, 1), 500));
+  }
+
+  const { key, ...totals } = finishRow(summary);
+  return {
+    summary: { ...totals, ordersWithoutCost: orders.length - costed.length },
+    groupBy,
+    rows: result,
+    dateRange: { startDate: from, endDate: to }
+  };
+};
+
 // Main analytics aggregator
 export const getComprehensiveAnalytics = async () => {
   try {
@@ -564,5 +788,6 @@ export default {
   calculateRevenueAnalytics,
   calculateInventoryAnalytics,
   calculateProfitabilityAnalytics,
+  getProfitabilityReport,
   getComprehensiveAnalytics
 };
@@ -0,0 +1,439 @@
+import Product from '../models/Product.js';
+import ComboPack from '../models/ComboPack.js';
+import SearchSynonym from '../models/SearchSynonym.js';
+import ZeroResultQuery from '../models/ZeroResultQuery.js';
+
+/**
+ * Search Service
+ * In-memory index over products and combo packs with typo and transliteration
+ * tolerant matching, admin-managed synonyms and prefix autocomplete
+ */
+
+export const SEARCH_CONSTANTS = {
+  INDEX_TTL_MS: 5 * 60 * 1000, // Rebuild the index at most every 5 minutes
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  SUGGEST_LIMIT: 8,
+  MIN_SUGGEST_LENGTH: 2,
+  SYNONYM_WEIGHT: 0.95 // Matches through a synonym rank just below direct matches
+};
+
+// Relative weight of each field a token came from
+const FIELD_WEIGHTS = {
+  name: 3,
+  keywords: 2.5,
+  category: 2,
+  description: 0.5
+};
+
+let searchIndex = null;
+let indexBuiltAt = 0;
+let indexBuild = null;
+
+// Lowercase, strip accents and punctuation; Indic scripts are kept as-is
+export const normalizeText = (text) => {
+  if (!text) return '';
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0900-\u0dff]+/g, ' ')
+    .trim();
+};
+
+export const tokenize = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+/**
+ * Collapse spelling differences common in romanized Telugu/Hindi names so that
+ * "jeera"/"zeera"/"jira", "daal"/"dal", "chawal"/"chaaval", "moong"/"mung" share a key
+ */
+export const phoneticKey = (token) => {
+  if (!/^[a-z0-9]+$/.test(token)) return token;
+  return token
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 'j')
+    .replace(/w/g, 'v')
+    .replace(/([bcdgjkpst])h/g, '$1')
+    .replace(/ee|ii/g, 'i')
+    .replace(/oo|uu/g, 'u')
+    .replace(/aa/g, 'a')
+    .replace(/y$/, 'i')
+    .replace(/(.)\1+/g, '$1');
+};
+
+// Typos allowed for a token of this length
+const maxEdits = (length) => {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+};
+
+// Optimal string alignment distance, giving up once it exceeds max
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+// How well a query token matches one indexed token (0 = no match, 1 = exact)
+const scoreTokenMatch = (queryToken, queryKey, docToken, docKey, { allowPrefix }) => {
+  if (docToken === queryToken) return 1;
+  if (allowPrefix && queryToken.length >= 2 && docToken.startsWith(queryToken)) return 0.8;
+  if (docKey === queryKey) return 0.85;
+  if (allowPrefix && queryKey.length >= 2 && docKey.startsWith(queryKey)) return 0.7;
+
+  const allowed = maxEdits(queryToken.length);
+  if (allowed === 0) return 0;
+
+  const distance = Math.min(
+    editDistance(queryToken, docToken, allowed),
+    editDistance(queryKey, docKey, allowed)
+  );
+  if (distance <= allowed) return distance === 1 ? 0.7 : 0.55;
+
+  // A typo inside a word still being typed
+  if (allowPrefix && docToken.length > queryToken.length &&
+    editDistance(queryToken, docToken.slice(0, queryToken.length), 1) <= 1) {
+    return 0.5;
+  }
+
+  return 0;
+};
+
+// Best match for a query token across one entry's tokens, weighted by field
+const scoreTokenAgainstEntry = (queryToken, entry, options) => {
+  const queryKey = phoneticKey(queryToken);
+  let best = 0;
+  for (const { token, key, weight } of entry.tokens) {
+    const score = scoreTokenMatch(queryToken, queryKey, token, key, options) * weight;
+    if (score > best) best = score;
+  }
+  return best;
+};
+
+// Every token of a variant must match something; the entry scores the sum
+const scoreVariant = (tokens, entry, { prefixLastToken }) => {
+  let total = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const allowPrefix = !prefixLastToken || i === tokens.length - 1;
+    const score = scoreTokenAgainstEntry(tokens[i], entry, { allowPrefix });
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total;
+};
+
+const addTokens = (tokenMap, text, weight) => {
+  for (const token of tokenize(text)) {
+    if (weight < FIELD_WEIGHTS.category && token.length < 3) continue;
+    const existing = tokenMap.get(token);
+    if (!existing || existing.weight < weight) {
+      tokenMap.set(token, { token, key: phoneticKey(token), weight });
+    }
+  }
+};
+
+const getProductDisplayPrice = (product) => {
+  if (!product.hasVariants || !product.variants || product.variants.length === 0) {
+    return product.price;
+  }
+  return Math.min(...product.variants.map(v => v.price));
+};
+
+const buildProductEntry = (product) => {
+  const tokens = new Map();
+  addTokens(tokens, product.name, FIELD_WEIGHTS.name);
+  addTokens(tokens, product.category, FIELD_WEIGHTS.category);
+  addTokens(tokens, product.description, FIELD_WEIGHTS.description);
+
+  return {
+    type: 'product',
+    id: product._id.toString(),
+    name: product.name,
+    normalizedName: normalizeText(product.name),
+    category: product.category,
+    image: product.images?.[0] || null,
+    price: getProductDisplayPrice(product),
+    hasVariants: Boolean(product.hasVariants),
+    popularity: (product.purchaseCount || 0) * 5 + (product.viewCount || 0),
+    tokens: [...tokens.values()]
+  };
+};
+
+const buildComboEntry = (combo) => {
+  const tokens = new Map();
+  addTokens(tokens, combo.name, FIELD_WEIGHTS.name);
+  addTokens(tokens, (combo.keywords || []).join(' '), FIELD_WEIGHTS.keywords);
+  addTokens(tokens, (combo.tags || []).join(' '), FIELD_WEIGHTS.keywords);
+  addTokens(tokens, combo.category, FIELD_WEIGHTS.category);
+  addTokens(tokens, (combo.products || []).map(p => p.productName).join(' '), FIELD_WEIGHTS.category);
+  addTokens(tokens, combo.description, FIELD_WEIGHTS.description);
+
+  return {
+    type: 'combo',
+    id: combo._id.toString(),
+    name: combo.name,
+    normalizedName: normalizeText(combo.name),
+    category: combo.category,
+    image: combo.mainImage || null,
+    price: combo.comboPrice,
+    originalPrice: combo.originalTotalPrice,
+    slug: combo.slug,
+    popularity: (combo.purchaseCount || 0) * 5 + (combo.viewCount || 0),
+    tokens: [...tokens.values()]
+  };
+};
+
+// Each synonym group becomes a list of normalized phrases that stand in for one another
+const buildSynonymGroups = (synonymDocs) => synonymDocs
+  .map(doc => [...new Set([doc.term, ...doc.synonyms].map(normalizeText).filter(Boolean))])
+  .filter(group => group.length > 1);
+
+const buildIndex = async () => {
+  const [products, combos, synonyms] = await Promise.all([
+    Product.find()
+      .select('name description category images price hasVariants variants.price purchaseCount viewCount')
+      .lean(),
+    ComboPack.find({ isActive: true, isVisible: true })
+      .select('name description category tags keywords products.productName mainImage comboPrice originalTotalPrice slug purchaseCount viewCount')
+      .lean(),
+    SearchSynonym.find({ isActive: true }).lean()
+  ]);
+
+  const entries = [
+    ...products.map(buildProductEntry),
+    ...combos.map(buildComboEntry)
+  ];
+
+  const categories = new Map();
+  for (const entry of entries) {
+    const key = normalizeText(entry.category);
+    if (key && !categories.has(key)) categories.set(key, entry.category);
+  }
+
+  console.log(`[SEARCH] Index built: ${products.length} products, ${combos.length} combo packs, ${synonyms.length} synonym groups`);
+
+  return {
+    entries,
+    categories,
+    synonymGroups: buildSynonymGroups(synonyms)
+  };
+};
+
+// Current index, rebuilt when stale; concurrent callers share one build
+export const getSearchIndex = async () => {
+  if (searchIndex && Date.now() - indexBuiltAt < SEARCH_CONSTANTS.INDEX_TTL_MS) {
+    return searchIndex;
+  }
+
+  if (!indexBuild) {
+    indexBuild = buildIndex()
+      .then(index => {
+        searchIndex = index;
+        indexBuiltAt = Date.now();
+        return index;
+      })
+      .finally(() => {
+        indexBuild = null;
+      });
+  }
+
+  return indexBuild;
+};
+
+// Force a rebuild on the next search (after synonym or catalog changes)
+export const invalidateSearchIndex = () => {
+  searchIndex = null;
+  indexBuiltAt = 0;
+};
+
+// Does a synonym phrase match the query tokens starting at position start?
+const phraseMatchesAt = (phraseTokens, queryTokens, start) => {
+  if (start + phraseTokens.length > queryTokens.length) return false;
+  return phraseTokens.every((token, offset) => {
+    const queryToken = queryTokens[start + offset];
+    if (queryToken === token || phoneticKey(queryToken) === phoneticKey(token)) return true;
+    const allowed = maxEdits(token.length);
+    return allowed > 0 && editDistance(queryToken, token, allowed) <= allowed;
+  });
+};
+
+/**
+ * Expand a query with synonyms (typos in the query still hit the synonym)
+ * @returns {Array<{ tokens: Array<string>, weight: number }>} - Original query first
+ */
+export const expandQuery = (queryTokens, synonymGroups) => {
+  const variants = [{ tokens: queryTokens, weight: 1 }];
+  const seen = new Set([queryTokens.join(' ')]);
+
+  for (const group of synonymGroups) {
+    for (const phrase of group) {
+      const phraseTokens = phrase.split(' ');
+      for (let start = 0; start < queryTokens.length; start++) {
+        if (!phraseMatchesAt(phraseTokens, queryTokens, start)) continue;
+
+        for (const replacement of group) {
+          if (replacement === phrase) continue;
+          const tokens = [
+            ...queryTokens.slice(0, start),
+            ...replacement.split(' '),
+            ...queryTokens.slice(start + phraseTokens.length)
+          ];
+          const key = tokens.join(' ');
+          if (!seen.has(key)) {
+            seen.add(key);
+            variants.push({ tokens, weight: SEARCH_CONSTANTS.SYNONYM_WEIGHT });
+          }
+        }
+      }
+    }
+  }
+
+  return variants;
+};
+
+const scoreEntries = (entries, variants, { prefixLastToken = false } = {}) => {
+  const hits = [];
+  for (const entry of entries) {
+    let best = 0;
+    for (const variant of variants) {
+      const score = scoreVariant(variant.tokens, entry, { prefixLastToken }) * variant.weight;
+      if (score > best) best = score;
+    }
+    if (best > 0) hits.push({ entry, score: best });
+  }
+
+  return hits.sort((a, b) => b.score - a.score || b.entry.popularity - a.entry.popularity);
+};
+
+const toResult = ({ entry, score }) => {
+  const { tokens, normalizedName, popularity, ...fields } = entry;
+  return { ...fields, score: Math.round(score * 100) / 100 };
+};
+
+const filterByType = (entries, type) =>
+  type === 'product' || type === 'combo' ? entries.filter(entry => entry.type === type) : entries;
+
+/**
+ * Search products and combo packs
+ * @param {object} params
+ * @param {string} params.q - Raw query text
+ * @param {string} [params.type] - 'product', 'combo' or 'all'
+ * @param {number} [params.limit] - Maximum results
+ * @returns {object} - { query, results, total, expandedQueries }
+ */
+export const search = async ({ q, type = 'all', limit = SEARCH_CONSTANTS.DEFAULT_LIMIT }) => {
+  const queryTokens = tokenize(q);
+  if (queryTokens.length === 0) {
+    return { query: '', results: [], total: 0, expandedQueries: [] };
+  }
+
+  const index = await getSearchIndex();
+  const variants = expandQuery(queryTokens, index.synonymGroups);
+  const hits = scoreEntries(filterByType(index.entries, type), variants);
+
+  return {
+    query: queryTokens.join(' '),
+    results: hits.slice(0, limit).map(toResult),
+    total: hits.length,
+    expandedQueries: variants.slice(1).map(v => v.tokens.join(' '))
+  };
+};
+
+/**
+ * Autocomplete: the last token is treated as a prefix still being typed
+ * @returns {object} - { query, suggestions, categories }
+ */
+export const suggest = async ({ q, type = 'all', limit = SEARCH_CONSTANTS.SUGGEST_LIMIT }) => {
+  const normalized = normalizeText(q);
+  if (normalized.length < SEARCH_CONSTANTS.MIN_SUGGEST_LENGTH) {
+    return { query: normalized, suggestions: [], categories: [] };
+  }
+
+  const queryTokens = normalized.split(' ');
+  const index = await getSearchIndex();
+  const variants = expandQuery(queryTokens, index.synonymGroups);
+  const hits = scoreEntries(filterByType(index.entries, type), variants, { prefixLastToken: true });
+
+  // Names that literally start with what was typed come first
+  hits.sort((a, b) =>
+    Number(b.entry.normalizedName.startsWith(normalized)) - Number(a.entry.normalizedName.startsWith(normalized)) ||
+    b.score - a.score ||
+    b.entry.popularity - a.entry.popularity
+  );
+
+  const categories = [...index.categories.entries()]
+    .filter(([key]) => key.startsWith(normalized) || key.split(' ').some(word => word.startsWith(normalized)))
+    .slice(0, 3)
+    .map(([, name]) => name);
+
+  return {
+    query: normalized,
+    suggestions: hits.slice(0, limit).map(hit => {
+      const { id, type: itemType, name, category, image, price, slug } = hit.entry;
+      return { id, type: itemType, text: name, category, image, price, slug };
+    }),
+    categories
+  };
+};
+
+// Count a query that found nothing; resolved queries that keep failing are reopened
+export const recordZeroResultQuery = async (rawQuery, userId = null) => {
+  const query = normalizeText(rawQuery);
+  if (!query) return null;
+
+  const now = new Date();
+  const record = await ZeroResultQuery.findOneAndUpdate(
+    { query },
+    {
+      $inc: { count: 1 },
+      $set: { lastSearchedAt: now, sampleQuery: String(rawQuery).slice(0, 200), lastUserId: userId },
+      $setOnInsert: { firstSearchedAt: now }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (record.status === 'resolved') {
+    record.status = 'open';
+    await record.save();
+  }
+
+  return record;
+};
+
+export default {
+  SEARCH_CONSTANTS,
+  normalizeText,
+  tokenize,
+  phoneticKey,
+  editDistance,
+  expandQuery,
+  getSearchIndex,
+  invalidateSearchIndex,
+  search,
+  suggest,
+  recordZeroResultQuery
+};
@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+import ServiceArea from '../models/ServiceArea.js';
+import { extractPincode, isValidPincode } from '../utils/addressUtils.js';
+
+/**
+ * Service Area Service
+ * The admin-maintained table of pincodes we deliver to, and the serviceability check
+ * used when saving an address and at checkout.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check whether we deliver to a pincode
+ * Until the first service area is added every valid pincode is accepted, so existing
+ * checkouts keep working while the table is being filled in.
+ * @param {string} pincode
+ * @returns {object} - { serviceable, pincode, zone, message }
+ */
+export const checkServiceability = async (pincode) => {
+  const code = String(pincode || '').trim();
+  if (!isValidPincode(code)) {
+    return { serviceable: false, pincode: code || null, zone: null, message: 'Please enter a valid 6-digit pincode' };
+  }
+
+  const area = await ServiceArea.findOne({ pincode: code });
+  if (area?.isActive) {
+    return { serviceable: true, pincode: code, zone: area.zone, message: `We deliver to ${code}` };
+  }
+
+  if (!area && !(await ServiceArea.exists({}))) {
+    return { serviceable: true, pincode: code, zone: null, message: `We deliver to ${code}` };
+  }
+
+  return { serviceable: false, pincode: code, zone: null, message: `Sorry, we don't deliver to pincode ${code} yet` };
+};
+
+/**
+ * Serviceability of a shipping address; older addresses only have the pincode inside the text
+ * @param {object} shipping - { pincode?, address }
+ */
+export const checkAddressServiceability = async (shipping) => {
+  const pincode = shipping?.pincode || extractPincode(shipping?.address);
+  if (!pincode) {
+    return { serviceable: false, pincode: null, zone: null, message: 'Please add a pincode to the delivery address' };
+  }
+  return checkServiceability(pincode);
+};
+
+/**
+ * List service areas
+ * @param {object} filters - { zone, active, search, page, limit }
+ */
+export const listServiceAreas = async ({ zone, active, search, page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (zone) query.zone = zone;
+  if (active === 'true' || active === true) query.isActive = true;
+  if (active === 'false' || active === false) query.isActive = false;
+  if (search) {
+    const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ pincode: pattern }, { zone: pattern }, { city: pattern }];
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+
+  const [areas, total, zones] = await Promise.all([
+    ServiceArea.find(query).sort({ zone: 1, pincode: 1 }).skip((pageNum - 1) * limitNum).limit(limitNum),
+    ServiceArea.countDocuments(query),
+    ServiceArea.distinct('zone')
+  ]);
+
+  return {
+    areas,
+    zones: zones.sort(),
+    pagination: { currentPage: pageNum, totalPages: Math.ceil(total / limitNum), total, limit: limitNum }
+  };
+};
+
+const normalizeArea = (data) => {
+  const pincode = String(data?.pincode || '').trim();
+  if (!isValidPincode(pincode)) {
+    throw httpError(`Invalid pincode "${data?.pincode ?? ''}"`, 400);
+  }
+  if (!data.zone || !String(data.zone).trim()) {
+    throw httpError(`Zone is required for pincode ${pincode}`, 400);
+  }
+  return {
+    pincode,
+    zone: String(data.zone).trim(),
+    city: data.city,
+    state: data.state,
+    isActive: data.isActive !== undefined ? Boolean(data.isActive) : true,
+    notes: data.notes
+  };
+};
+
+/**
+ * Add or update service areas by pincode
+ * @param {Array} areas - [{ pincode, zone, city, state, isActive, notes }]
+ * @param {string} updatedBy - Admin/sub-admin id
+ * @returns {object} - { created, updated, areas }
+ */
+export const upsertServiceAreas = async (areas, updatedBy) => {
+  if (!Array.isArray(areas) || areas.length === 0) {
+    throw httpError('At least one service area is required', 400);
+  }
+
+  // Validate everything first so a bad row does not leave the table half-imported
+  const rows = areas.map(normalizeArea);
+  const duplicates = rows.map(row => row.pincode).filter((pincode, index, all) => all.indexOf(pincode) !== index);
+  if (duplicates.length > 0) {
+    throw httpError(`Pincode ${duplicates[0]} is listed more than once`, 400);
+  }
+
+  const existing = await ServiceArea.find({ pincode: { $in: rows.map(row => row.pincode) } }).select('pincode');
+  const existingPincodes = new Set(existing.map(area => area.pincode));
+
+  await ServiceArea.bulkWrite(rows.map(row => ({
+    updateOne: {
+      filter: { pincode: row.pincode },
+      update: { $set: { ...row, updatedBy } },
+      upsert: true
+    }
+  })));
+
+  return {
+    created: rows.filter(row => !existingPincodes.has(row.pincode)).length,
+    updated: rows.filter(row => existingPincodes.has(row.pincode)).length,
+    areas: await ServiceArea.find({ pincode: { $in: rows.map(row => row.pincode) } }).sort({ zone: 1, pincode: 1 })
+  };
+};
+
+const findArea = async (areaId) => {
+  if (!mongoose.Types.ObjectId.isValid(areaId)) {
+    throw httpError('Invalid service area ID', 400);
+  }
+  const area = await ServiceArea.findById(areaId);
+  if (!area) {
+    throw httpError('Service area not found', 404);
+  }
+  return area;
+};
+
+// Update zone, city, state, notes or the active flag of one pincode
+export const updateServiceArea = async (areaId, changes, updatedBy) => {
+  const area = await findArea(areaId);
+
+  if (changes.zone !== undefined) {
+    if (!String(changes.zone).trim()) throw httpError('Zone cannot be empty', 400);
+    area.zone = String(changes.zone).trim();
+  }
+  if (changes.city !== undefined) area.city = changes.city;
+  if (changes.state !== undefined) area.state = changes.state;
+  if (changes.notes !== undefined) area.notes = changes.notes;
+  if (changes.isActive !== undefined) area.isActive = Boolean(changes.isActive);
+  area.updatedBy = updatedBy;
+
+  await area.save();
+  return area;
+};
+
+export const deleteServiceArea = async (areaId) => {
+  const area = await findArea(areaId);
+  await area.deleteOne();
+  return area;
+};
+
+export default {
+  checkServiceability,
+  checkAddressServiceability,
+  listServiceAreas,
+  upsertServiceAreas,
+  updateServiceArea,
+  deleteServiceArea
+};
@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import ComboPack from '../models/ComboPack.js';
+import ServiceArea from '../models/ServiceArea.js';
+import ShippingRule from '../models/ShippingRule.js';
+import { isValidPincode } from '../utils/addressUtils.js';
+
+/**
+ * Shipping Service
+ * Works out the delivery charge of an order from the admin's shipping rules: the best matching
+ * rate, plus every matching surcharge, less the best matching promo. Used for quotes, order
+ * placement, order edits and slot changes, so the customer is always charged the same way.
+ */
+
+export const SHIPPING_CONSTANTS = {
+  // Charge used when no rate rule matches (the flat fee charged before rules existed)
+  DEFAULT_FEE: 100,
+  DEFAULT_FREE_ABOVE: 500,
+  DELIVERY_TYPES: ['standard', 'express']
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Unit weight (grams) of lines that were not priced from the catalogue, e.g. items of a placed order
+const weighLines = async (items) => {
+  const unweighed = items.filter(item => item.weight === undefined);
+  if (unweighed.length === 0) return items;
+
+  const idsOf = (type) => unweighed
+    .filter(item => (item.itemType === 'combo' || item.type === 'combo') === (type === 'combo'))
+    .map(item => item.id)
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const [products, combos] = await Promise.all([
+    Product.find({ _id: { $in: idsOf('product') } }).select('weight variants.id variants.weight'),
+    ComboPack.find({ _id: { $in: idsOf('combo') } }).select('weight')
+  ]);
+
+  return items.map(item => {
+    if (item.weight !== undefined) return item;
+    if (item.itemType === 'combo' || item.type === 'combo') {
+      const combo = combos.find(doc => doc._id.toString() === item.id?.toString());
+      return { ...item, weight: combo?.weight || 0 };
+    }
+    const product = products.find(doc => doc._id.toString() === item.id?.toString());
+    const variant = item.variantId ? product?.variants.find(v => v.id === item.variantId) : null;
+    return { ...item, weight: variant?.weight ?? product?.weight ?? 0 };
+  });
+};
+
+const inRange = (value, min, max) => (min == null || value >= min) && (max == null || value <= max);
+
+// How specifically a rule targets the address: pincode beats zone beats everywhere
+const specificityOf = (rule) => {
+  if (rule.conditions?.pincodes?.length) return 2;
+  if (rule.conditions?.zones?.length) return 1;
+  return 0;
+};
+
+const matches = (rule, context) => {
+  if (rule.validFrom && context.now < rule.validFrom) return false;
+  if (rule.validTo && context.now > rule.validTo) return false;
+
+  const c = rule.conditions || {};
+  if (c.pincodes?.length && !c.pincodes.includes(context.pincode)) return false;
+  if (c.zones?.length && !c.zones.includes(context.zone)) return false;
+  if (c.deliveryTypes?.length && !c.deliveryTypes.includes(context.deliveryType)) return false;
+  if (c.timeSlots?.length && !c.timeSlots.includes(context.timeSlot)) return false;
+  return inRange(context.subtotal, c.minSubtotal, c.maxSubtotal) &&
+    inRange(context.weight, c.minWeight, c.maxWeight) &&
+    inRange(context.itemCount, c.minItems, c.maxItems);
+};
+
+// fee + perKg for every started kg + perItem for every unit, waived above freeAbove
+const chargeOf = (rule, context) => {
+  if (rule.freeAbove != null && context.subtotal >= rule.freeAbove) return 0;
+  const kgs = Math.ceil(context.weight / 1000);
+  return roundAmount((rule.fee || 0) + (rule.perKg || 0) * kgs + (rule.perItem || 0) * context.itemCount);
+};
+
+const byPriority = (a, b) => (b.priority || 0) - (a.priority || 0) || specificityOf(b) - specificityOf(a);
+
+const summaryOf = (rule, amount) => ({ ruleId: rule?._id || null, name: rule?.name || 'Standard delivery', amount });
+
+/**
+ * Delivery charge of an order
+ * @param {object} params
+ * @param {Array} params.items - Lines with qty and, when priced from the catalogue, unit weight (grams)
+ * @param {number} params.subtotal - Item subtotal before discounts
+ * @param {string} [params.pincode] - Delivery pincode
+ * @param {string} [params.zone] - Delivery zone; looked up from the pincode when not given
+ * @param {string} [params.deliveryType] - standard | express
+ * @param {string} [params.timeSlot] - Delivery slot label
+ * @param {Date} [params.now] - When the order is (or was) placed; decides which rules are in force
+ * @returns {object} - { shippingFee, base, surcharges, promo, freeShippingThreshold, amountToFreeShipping, ... }
+ */
+export const calculateShipping = async ({
+  items = [],
+  subtotal = 0,
+  pincode = null,
+  zone = undefined,
+  deliveryType = 'standard',
+  timeSlot = null,
+  now = new Date()
+} = {}) => {
+  const weighed = await weighLines(items);
+  const context = {
+    subtotal: roundAmount(subtotal),
+    weight: weighed.reduce((sum, item) => sum + (Number(item.weight) || 0) * (Number(item.qty) || 0), 0),
+    itemCount: weighed.reduce((sum, item) => sum + (Number(item.qty) || 0), 0),
+    pincode: pincode || null,
+    zone: zone !== undefined ? zone : (pincode ? (await ServiceArea.findOne({ pincode }).select('zone'))?.zone || null : null),
+    deliveryType: deliveryType || 'standard',
+    timeSlot: timeSlot || null,
+    now: new Date(now)
+  };
+
+  const rules = (await ShippingRule.find({ isActive: true }).lean()).filter(rule => matches(rule, context));
+  const rates = rules.filter(rule => rule.kind === 'rate').sort(byPriority);
+  const surchargeRules = rules.filter(rule => rule.kind === 'surcharge');
+  const promoRule = rules.filter(rule => rule.kind === 'promo').sort(byPriority)[0] || null;
+
+  const rate = rates[0] || null;
+  const base = rate
+    ? summaryOf(rate, chargeOf(rate, context))
+    : summaryOf(null, context.subtotal >= SHIPPING_CONSTANTS.DEFAULT_FREE_ABOVE ? 0 : SHIPPING_CONSTANTS.DEFAULT_FEE);
+  const surcharges = surchargeRules
+    .map(rule => summaryOf(rule, chargeOf(rule, context)))
+    .filter(surcharge => surcharge.amount > 0);
+  const surchargeTotal = roundAmount(surcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0));
+
+  let promo = null;
+  if (promoRule?.promo?.type) {
+    const discountable = roundAmount(base.amount + (promoRule.promo.includeSurcharges ? surchargeTotal : 0));
+    const discount = promoRule.promo.type === 'free' ? discountable
+      : promoRule.promo.type === 'flat' ? Math.min(promoRule.promo.value || 0, discountable)
+        : roundAmount(discountable * Math.min(promoRule.promo.value || 0, 100) / 100);
+    if (discount > 0) promo = { ruleId: promoRule._id, name: promoRule.name, discount: roundAmount(discount) };
+  }
+
+  const freeShippingThreshold = rate ? (rate.freeAbove ?? null) : SHIPPING_CONSTANTS.DEFAULT_FREE_ABOVE;
+  return {
+    shippingFee: roundAmount(Math.max(0, base.amount + surchargeTotal - (promo?.discount || 0))),
+    base,
+    surcharges,
+    promo,
+    freeShippingThreshold,
+    amountToFreeShipping: freeShippingThreshold != null ? roundAmount(Math.max(0, freeShippingThreshold - context.subtotal)) : null,
+    zone: context.zone,
+    pincode: context.pincode,
+    deliveryType: context.deliveryType,
+    timeSlot: context.timeSlot,
+    weight: context.weight,
+    itemCount: context.itemCount
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Rule administration
+// ---------------------------------------------------------------------------
+
+const checkRange = (conditions, minKey, maxKey, label) => {
+  const min = conditions?.[minKey];
+  const max = conditions?.[maxKey];
+  if (min != null && max != null && Number(min) > Number(max)) {
+    throw httpError(`Minimum ${label} cannot be above the maximum`, 400);
+  }
+};
+
+const validateRule = (rule) => {
+  const c = rule.conditions || {};
+  checkRange(c, 'minSubtotal', 'maxSubtotal', 'subtotal');
+  checkRange(c, 'minWeight', 'maxWeight', 'weight');
+  checkRange(c, 'minItems', 'maxItems', 'item count');
+
+  const badPincode = (c.pincodes || []).find(pincode => !isValidPincode(pincode));
+  if (badPincode) {
+    throw httpError(`Invalid pincode "${badPincode}"`, 400);
+  }
+  if (rule.validFrom && rule.validTo && new Date(rule.validFrom) > new Date(rule.validTo)) {
+    throw httpError('validFrom must be before validTo', 400);
+  }
+  if (rule.kind === 'promo') {
+    if (!rule.promo?.type) {
+      throw httpError('A promo rule needs promo.type (free, flat or percent)', 400);
+    }
+    if (rule.promo.type !== 'free' && !(Number(rule.promo.value) > 0)) {
+      throw httpError('A flat or percent promo needs a positive promo.value', 400);
+    }
+    if (rule.promo.type === 'percent' && Number(rule.promo.value) > 100) {
+      throw httpError('A percent promo cannot exceed 100', 400);
+    }
+  }
+
+  const error = rule.validateSync();
+  if (error) {
+    throw httpError(Object.values(error.errors)[0].message, 400);
+  }
+};
+
+const RULE_FIELDS = ['name', 'description', 'kind', 'priority', 'isActive', 'validFrom', 'validTo', 'conditions', 'fee', 'perKg', 'perItem', 'freeAbove', 'promo'];
+
+const applyRuleFields = (rule, data) => {
+  for (const field of RULE_FIELDS) {
+    if (data[field] !== undefined) rule[field] = data[field];
+  }
+};
+
+/**
+ * List shipping rules
+ * @param {object} filters - { kind, active }
+ */
+export const listRules = async ({ kind, active } = {}) => {
+  const query = {};
+  if (kind) query.kind = kind;
+  if (active === 'true' || active === true) query.isActive = true;
+  if (active === 'false' || active === false) query.isActive = false;
+  return ShippingRule.find(query).sort({ kind: 1, priority: -1, createdAt: 1 });
+};
+
+const findRule = async (ruleId) => {
+  if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+    throw httpError('Invalid shipping rule ID', 400);
+  }
+  const rule = await ShippingRule.findById(ruleId);
+  if (!rule) {
+    throw httpError('Shipping rule not found', 404);
+  }
+  return rule;
+};
+
+export const getRule = findRule;
+
+export const createRule = async (data, adminId) => {
+  const rule = new ShippingRule({ createdBy: adminId, updatedBy: adminId });
+  applyRuleFields(rule, data || {});
+  validateRule(rule);
+  await rule.save();
+  return rule;
+};
+
+export const updateRule = async (ruleId, data, adminId) => {
+  const rule = await findRule(ruleId);
+  applyRuleFields(rule, data || {});
+  rule.updatedBy = adminId;
+  validateRule(rule);
+  await rule.save();
+  return rule;
+};
+
+export const deleteRule = async (ruleId) => {
+  const rule = await findRule(ruleId);
+  await rule.deleteOne();
+  return rule;
+};
+
+export default {
+  SHIPPING_CONSTANTS,
+  calculateShipping,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -0,0 +1,510 @@
+import mongoose from 'mongoose';
+import StockTransfer from '../models/StockTransfer.js';
+import BatchGroup from '../models/BatchGroup.js';
+import Warehouse from '../models/Warehouse.js';
+import batchGroupStockService from './batchGroupStockService.js';
+import batchStockUtils from '../utils/batchStockUtils.js';
+
+/**
+ * Stock Transfer Service
+ * Moves batch stock between warehouses with an audit trail. Dispatch takes the units out of
+ * the source batch groups; receipt books what arrived into new batch groups at the destination
+ * that keep the source dates, so FEFO order is the same on both sides. Units that never arrive
+ * are recorded against the line with a discrepancy note.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Who may move a transfer from one status to the next; scope is the warehouse a manager is limited to
+const TRANSITIONS = {
+  dispatch: { from: ['draft'], side: 'from' },
+  markInTransit: { from: ['dispatched'], side: 'from' },
+  receive: { from: ['dispatched', 'in_transit'], side: 'to' },
+  cancel: { from: ['draft', 'dispatched', 'in_transit'], side: 'from' }
+};
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+
+const involves = (transfer, scope) => !scope || sameId(transfer.fromWarehouseId, scope) || sameId(transfer.toWarehouseId, scope);
+
+const checkTransition = (transfer, action, scope) => {
+  const rule = TRANSITIONS[action];
+  if (!rule.from.includes(transfer.status)) {
+    throw httpError(`Cannot ${action === 'markInTransit' ? 'mark in transit' : action} a transfer that is ${transfer.status.replace('_', ' ')}`, 409);
+  }
+  const warehouseId = rule.side === 'from' ? transfer.fromWarehouseId : transfer.toWarehouseId;
+  if (scope && !sameId(warehouseId, scope)) {
+    throw httpError(rule.side === 'from'
+      ? 'Only the sending warehouse can do this'
+      : 'Only the receiving warehouse can receive this transfer', 403);
+  }
+};
+
+// Move to the next status only if nobody else moved the transfer meanwhile, so stock moves once.
+// Returns an undo for when the stock step that follows fails.
+const claim = async (transfer, status, stampField = null) => {
+  const previousStatus = transfer.status;
+  const at = new Date();
+  const result = await StockTransfer.updateOne(
+    { _id: transfer._id, status: previousStatus },
+    { $set: { status, ...(stampField && { [stampField]: at }) } }
+  );
+  if (result.modifiedCount === 0) {
+    throw httpError('This transfer was just updated by someone else. Please reload it.', 409);
+  }
+  transfer.status = status;
+  if (stampField) transfer[stampField] = at;
+
+  return () => StockTransfer.updateOne(
+    { _id: transfer._id },
+    { $set: { status: previousStatus }, ...(stampField && { $unset: { [stampField]: 1 } }) }
+  );
+};
+
+const record = (transfer, actor, note) => {
+  transfer.history.push({ status: transfer.status, at: new Date(), by: actor.id, byType: actor.type, note });
+};
+
+// Refresh product stock for every product/variant on the transfer
+const syncProductStock = async (transfer) => {
+  const lines = new Map(transfer.items.map(item => [`${item.productId}:${item.variantId || ''}`, item]));
+  for (const item of lines.values()) {
+    try {
+      await batchStockUtils.updateProductStockFromBatches(item.productId, item.variantId || null);
+    } catch (error) {
+      console.error(`[STOCK TRANSFER] Failed to sync product stock for ${item.productId}:`, error);
+    }
+  }
+};
+
+const findTransfer = async (transferId) => {
+  if (!mongoose.Types.ObjectId.isValid(transferId)) {
+    throw httpError('Invalid transfer ID', 400);
+  }
+  const transfer = await StockTransfer.findById(transferId);
+  if (!transfer) {
+    throw httpError('Stock transfer not found', 404);
+  }
+  return transfer;
+};
+
+/**
+ * Fetch one transfer
+ * @param {string} transferId
+ * @param {string} [scope] - Warehouse a warehouse manager is limited to
+ */
+export const getTransfer = async (transferId, scope = null) => {
+  const transfer = await findTransfer(transferId);
+  if (!involves(transfer, scope)) {
+    throw httpError('Stock transfer not found', 404);
+  }
+  return transfer.populate([
+    { path: 'fromWarehouseId', select: 'code name' },
+    { path: 'toWarehouseId', select: 'code name' }
+  ]);
+};
+
+/**
+ * List transfers
+ * @param {object} filters - { status, warehouseId, direction: 'in'|'out', page, limit }
+ * @param {string} [scope] - Warehouse a warehouse manager is limited to
+ */
+export const listTransfers = async ({ status, warehouseId, direction, page = 1, limit = 20 } = {}, scope = null) => {
+  const query = {};
+  if (status) query.status = status;
+
+  const warehouse = scope || (mongoose.Types.ObjectId.isValid(warehouseId) ? warehouseId : null);
+  if (warehouse) {
+    if (direction === 'in') query.toWarehouseId = warehouse;
+    else if (direction === 'out') query.fromWarehouseId = warehouse;
+    else query.$or = [{ fromWarehouseId: warehouse }, { toWarehouseId: warehouse }];
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [transfers, total] = await Promise.all([
+    StockTransfer.find(query)
+      .populate('fromWarehouseId', 'code name')
+      .populate('toWarehouseId', 'code name')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    StockTransfer.countDocuments(query)
+  ]);
+
+  return {
+    transfers,
+    pagination: { currentPage: pageNum, totalPages: Math.ceil(total / limitNum), total, limit: limitNum }
+  };
+};
+
+/**
+ * Draft a transfer of batch group lines from one warehouse to another
+ * @param {object} data - { fromWarehouseId, toWarehouseId, items: [{ batchGroupId, productId, variantId, quantity }], notes, reference }
+ * @param {object} actor - { id, type }
+ * @param {string} [scope] - Warehouse a warehouse manager is limited to; must be the sender
+ */
+export const createTransfer = async (data, actor, scope = null) => {
+  const { fromWarehouseId, toWarehouseId, items = [], notes, reference } = data || {};
+
+  if (!mongoose.Types.ObjectId.isValid(fromWarehouseId) || !mongoose.Types.ObjectId.isValid(toWarehouseId)) {
+    throw httpError('fromWarehouseId and toWarehouseId are required', 400);
+  }
+  if (sameId(fromWarehouseId, toWarehouseId)) {
+    throw httpError('Source and destination warehouse must differ', 400);
+  }
+  if (scope && !sameId(fromWarehouseId, scope)) {
+    throw httpError('You can only send stock from your own warehouse', 403);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError('At least one item is required', 400);
+  }
+
+  const [from, to] = await Promise.all([Warehouse.findById(fromWarehouseId), Warehouse.findById(toWarehouseId)]);
+  if (!from || !to) {
+    throw httpError('Warehouse not found', 404);
+  }
+  if (!to.isActive) {
+    throw httpError(`${to.name} is not active`, 400);
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw httpError('Each item needs a whole, positive quantity', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(item.batchGroupId) || !mongoose.Types.ObjectId.isValid(item.productId)) {
+      throw httpError('Each item needs a batchGroupId and productId', 400);
+    }
+
+    const batchGroup = await BatchGroup.findById(item.batchGroupId).populate('products.productId', 'name');
+    if (!batchGroup || !sameId(batchGroup.warehouseId, from._id)) {
+      throw httpError(`Batch group ${item.batchGroupId} is not in ${from.name}`, 400);
+    }
+    if (batchGroup.status !== 'Active') {
+      throw httpError(`Batch group ${batchGroup.batchGroupNumber} is ${batchGroup.status}`, 400);
+    }
+
+    const product = batchGroup.products.find(p => sameId(p.productId?._id, item.productId));
+    const variant = item.variantId ? product?.variants.find(v => v.variantId === item.variantId) : null;
+    const line = item.variantId ? variant : (product && !product.variants?.length ? product : null);
+    if (!line) {
+      throw httpError(`Batch group ${batchGroup.batchGroupNumber} has no such product${item.variantId ? ' variant' : ''}`, 400);
+    }
+    if ((line.availableQuantity || 0) < quantity) {
+      throw httpError(`Only ${line.availableQuantity || 0} of ${product.productId.name}${variant ? ` - ${variant.variantName}` : ''} available in batch group ${batchGroup.batchGroupNumber}`, 400);
+    }
+
+    lines.push({
+      sourceBatchGroupId: batchGroup._id,
+      sourceBatchGroupNumber: batchGroup.batchGroupNumber,
+      productId: product.productId._id,
+      productName: product.productId.name,
+      variantId: item.variantId || null,
+      variantName: variant?.variantName,
+      quantity,
+      unitCost: line.landedUnitCost ?? line.costPrice,
+      manufacturingDate: line.manufacturingDate || batchGroup.defaultManufacturingDate,
+      expiryDate: line.expiryDate || batchGroup.defaultExpiryDate,
+      bestBeforeDate: line.bestBeforeDate || batchGroup.defaultBestBeforeDate
+    });
+  }
+
+  const transfer = new StockTransfer({
+    transferNumber: StockTransfer.generateTransferNumber(),
+    fromWarehouseId: from._id,
+    toWarehouseId: to._id,
+    items: lines,
+    notes,
+    reference,
+    createdBy: actor.id,
+    createdByType: actor.type
+  });
+  record(transfer, actor, 'Transfer created');
+  await transfer.save();
+
+  console.log(`[STOCK TRANSFER] ${transfer.transferNumber} drafted: ${from.name} -> ${to.name}, ${lines.length} line(s)`);
+  return transfer;
+};
+
+/**
+ * Send a drafted transfer: its units leave the source batch groups
+ * All lines go or none do; lines already taken out are put back if one falls short.
+ */
+export const dispatchTransfer = async (transferId, { reference, note } = {}, actor, scope = null) => {
+  const transfer = await findTransfer(transferId);
+  checkTransition(transfer, 'dispatch', scope);
+  const undo = await claim(transfer, 'dispatched', 'dispatchedAt');
+
+  const taken = [];
+  for (const item of transfer.items) {
+    const line = { batchGroupId: item.sourceBatchGroupId, productId: item.productId, variantId: item.variantId, quantity: item.quantity };
+    const ok = await batchGroupStockService.adjustBatchGroupQuantity({ ...line, quantity: -item.quantity });
+    if (!ok) {
+      for (const done of taken) {
+        await batchGroupStockService.adjustBatchGroupQuantity(done);
+      }
+      await undo();
+      throw httpError(`Not enough ${item.productName}${item.variantName ? ` - ${item.variantName}` : ''} left in batch group ${item.sourceBatchGroupNumber}`, 409);
+    }
+    taken.push(line);
+  }
+
+  if (reference) transfer.reference = reference;
+  record(transfer, actor, note || 'Stock dispatched');
+  await transfer.save();
+  await syncProductStock(transfer);
+
+  console.log(`[STOCK TRANSFER] ${transfer.transferNumber} dispatched`);
+  return transfer;
+};
+
+// The sending warehouse hands the stock to the carrier
+export const markInTransit = async (transferId, { reference, note } = {}, actor, scope = null) => {
+  const transfer = await findTransfer(transferId);
+  checkTransition(transfer, 'markInTransit', scope);
+  await claim(transfer, 'in_transit');
+
+  if (reference) transfer.reference = reference;
+  record(transfer, actor, note || 'In transit');
+  await transfer.save();
+  return transfer;
+};
+
+/**
+ * Book what arrived into the destination warehouse
+ * One batch group is created per source batch group, with the same dates, so the received
+ * stock is picked in the same FEFO order as before the move.
+ * @param {object} data - { items: [{ itemId, receivedQuantity, discrepancyNote }], note }; unlisted lines arrived in full
+ */
+export const receiveTransfer = async (transferId, { items = [], note } = {}, actor, scope = null) => {
+  const transfer = await findTransfer(transferId);
+  checkTransition(transfer, 'receive', scope);
+
+  for (const received of items) {
+    const item = transfer.items.id(received.itemId);
+    if (!item) {
+      throw httpError(`Transfer item ${received.itemId} not found`, 400);
+    }
+    const quantity = Number(received.receivedQuantity);
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > item.quantity) {
+      throw httpError(`Received quantity of ${item.productName} must be between 0 and ${item.quantity}`, 400);
+    }
+    if (quantity < item.quantity && !String(received.discrepancyNote || '').trim()) {
+      throw httpError(`Add a discrepancy note for the ${item.quantity - quantity} missing ${item.productName}`, 400);
+    }
+    item.receivedQuantity = quantity;
+    item.discrepancyNote = received.discrepancyNote?.trim() || undefined;
+  }
+  for (const item of transfer.items) {
+    if (item.receivedQuantity == null) item.receivedQuantity = item.quantity;
+  }
+
+  const short = transfer.items.some(item => item.receivedQuantity < item.quantity);
+  const undo = await claim(transfer, short ? 'partially_received' : 'received', 'receivedAt');
+  try {
+    await bookReceipt(transfer, actor);
+  } catch (error) {
+    await undo();
+    throw error;
+  }
+  record(transfer, actor, note || (short ? 'Received with discrepancies' : 'Received in full'));
+  await transfer.save();
+  await syncProductStock(transfer);
+
+  console.log(`[STOCK TRANSFER] ${transfer.transferNumber} ${transfer.status}`);
+  return transfer;
+};
+
+// Create the destination batch groups for what arrived; none are left behind if one fails
+const bookReceipt = async (transfer, actor) => {
+  const created = [];
+  try {
+    await createDestinationGroups(transfer, actor, created);
+  } catch (error) {
+    await BatchGroup.deleteMany({ _id: { $in: created } });
+    throw error;
+  }
+};
+
+// One destination batch group per source batch group
+const createDestinationGroups = async (transfer, actor, created) => {
+  const sources = [...new Set(transfer.items.map(item => item.sourceBatchGroupId.toString()))];
+  const sourceGroups = await BatchGroup.find({ _id: { $in: sources } });
+  const baseNumber = BatchGroup.generateBatchGroupNumber();
+
+  for (const [index, sourceId] of sources.entries()) {
+    const lines = transfer.items.filter(item => item.sourceBatchGroupId.toString() === sourceId && item.receivedQuantity > 0);
+    if (lines.length === 0) continue;
+    const source = sourceGroups.find(group => group._id.toString() === sourceId);
+
+    const products = [];
+    for (const item of lines) {
+      let product = products.find(p => sameId(p.productId, item.productId));
+      if (!product) {
+        product = { productId: item.productId, variants: [] };
+        products.push(product);
+      }
+      const dates = { manufacturingDate: item.manufacturingDate, expiryDate: item.expiryDate, bestBeforeDate: item.bestBeforeDate };
+      if (item.variantId) {
+        product.variants.push({
+          variantId: item.variantId,
+          variantName: item.variantName || item.variantId,
+          quantity: item.receivedQuantity,
+          availableQuantity: item.receivedQuantity,
+          costPrice: item.unitCost,
+          ...dates
+        });
+      } else {
+        Object.assign(product, { quantity: item.receivedQuantity, availableQuantity: item.receivedQuantity, costPrice: item.unitCost, ...dates });
+      }
+    }
+
+    const batchGroup = new BatchGroup({
+      batchGroupNumber: `${baseNumber}-${index + 1}`,
+      groupType: 'STOCK_TRANSFER',
+      products,
+      defaultManufacturingDate: source?.defaultManufacturingDate || lines[0].manufacturingDate || new Date(),
+      defaultExpiryDate: source?.defaultExpiryDate || lines[0].expiryDate,
+      defaultBestBeforeDate: source?.defaultBestBeforeDate || lines[0].bestBeforeDate,
+      supplierInfo: {
+        ...(source?.toObject().supplierInfo || { supplierName: 'Stock transfer' }),
+        receivedDate: new Date(),
+        notes: `Received through transfer ${transfer.transferNumber} from batch group ${lines[0].sourceBatchGroupNumber}`
+      },
+      warehouseId: transfer.toWarehouseId,
+      transferredFrom: { transferId: transfer._id, batchGroupId: source?._id, batchGroupNumber: lines[0].sourceBatchGroupNumber },
+      qualityChecked: source?.qualityChecked || false,
+      qualityCheckDate: source?.qualityCheckDate,
+      // Units of a batch recalled while they were on the road arrive recalled
+      status: source?.status === 'Recalled' ? 'Recalled' : 'Active',
+      recall: source?.status === 'Recalled'
+        ? {
+          recalledAt: source.recall?.recalledAt,
+          reason: source.recall?.reason,
+          classification: source.recall?.classification,
+          reference: source.recall?.reference,
+          parentBatchGroupId: source.recall?.parentBatchGroupId || source._id
+        }
+        : undefined,
+      createdBy: actor.id
+    });
+    await batchGroup.save();
+    created.push(batchGroup._id);
+
+    for (const item of lines) {
+      item.destinationBatchGroupId = batchGroup._id;
+    }
+  }
+};
+
+/**
+ * Cancel a transfer; units already dispatched go back to their source batch groups
+ * A line whose source batch group no longer holds it is not put back; it keeps a discrepancy note
+ */
+export const cancelTransfer = async (transferId, { reason } = {}, actor, scope = null) => {
+  const transfer = await findTransfer(transferId);
+  checkTransition(transfer, 'cancel', scope);
+
+  const wasDispatched = transfer.status !== 'draft';
+  await claim(transfer, 'cancelled', 'cancelledAt');
+
+  const notReturned = [];
+  if (wasDispatched) {
+    for (const item of transfer.items) {
+      const ok = await batchGroupStockService.adjustBatchGroupQuantity({
+        batchGroupId: item.sourceBatchGroupId,
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity
+      });
+      if (!ok) {
+        item.discrepancyNote = `${item.quantity} not returned: batch group ${item.sourceBatchGroupNumber} no longer holds this line`;
+        notReturned.push(item);
+      }
+    }
+  }
+  if (notReturned.length > 0) {
+    console.warn(`[STOCK TRANSFER] ${transfer.transferNumber} cancelled; ${notReturned.length} line(s) could not be returned to their batch groups`);
+  }
+
+  transfer.cancelReason = reason;
+  const note = reason || 'Transfer cancelled';
+  record(transfer, actor, notReturned.length > 0
+    ? `${note} - ${notReturned.length} line(s) not returned to stock, see discrepancy notes`
+    : note);
+  await transfer.save();
+  if (wasDispatched) await syncProductStock(transfer);
+
+  return transfer;
+};
+
+/**
+ * Transfer figures for inventory analytics
+ * @param {string} [scope] - Only transfers into or out of this warehouse
+ * @returns {object} - { byStatus, inTransit: { transfers, units }, discrepancies: { lines, units } }
+ */
+export const getTransferSummary = async (scope = null) => {
+  const match = scope
+    ? { $or: [{ fromWarehouseId: new mongoose.Types.ObjectId(scope.toString()) }, { toWarehouseId: new mongoose.Types.ObjectId(scope.toString()) }] }
+    : {};
+
+  const [byStatus, lines] = await Promise.all([
+    StockTransfer.aggregate([{ $match: match }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+    StockTransfer.aggregate([
+      { $match: { ...match, status: { $in: ['dispatched', 'in_transit', 'partially_received'] } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: null,
+          inTransitTransfers: { $addToSet: { $cond: [{ $in: ['$status', ['dispatched', 'in_transit']] }, '$_id', null] } },
+          inTransitUnits: { $sum: { $cond: [{ $in: ['$status', ['dispatched', 'in_transit']] }, '$items.quantity', 0] } },
+          discrepancyLines: {
+            $sum: {
+              $cond: [{ $and: [{ $eq: ['$status', 'partially_received'] }, { $lt: ['$items.receivedQuantity', '$items.quantity'] }] }, 1, 0]
+            }
+          },
+          discrepancyUnits: {
+            $sum: {
+              $cond: [
+                { $eq: ['$status', 'partially_received'] },
+                { $subtract: ['$items.quantity', { $ifNull: ['$items.receivedQuantity', '$items.quantity'] }] },
+                0
+              ]
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const totals = lines[0] || {};
+  return {
+    byStatus: Object.fromEntries(byStatus.map(row => [row._id, row.count])),
+    inTransit: {
+      transfers: (totals.inTransitTransfers || []).filter(Boolean).length,
+      units: totals.inTransitUnits || 0
+    },
+    discrepancies: {
+      lines: totals.discrepancyLines || 0,
+      units: totals.discrepancyUnits || 0
+    }
+  };
+};
+
+export default {
+  getTransfer,
+  listTransfers,
+  createTransfer,
+  dispatchTransfer,
+  markInTransit,
+  receiveTransfer,
+  cancelTransfer,
+  getTransferSummary
+};
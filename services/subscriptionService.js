@@ -0,0 +1,606 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Subscription from '../models/Subscription.js';
+import pricingService from './pricingService.js';
+import orderPlacementService from './orderPlacementService.js';
+import reorderService from './reorderService.js';
+import addressService from './addressService.js';
+import serviceAreaService from './serviceAreaService.js';
+import notificationService from './notificationService.js';
+import * as notifications from '../notifications.js';
+import { createDeliveryOTPData } from '../utils/otpUtils.js';
+import {
+  REDEMPTION_CONSTANTS,
+  calculateMaxDiscount,
+  calculateCoinsNeeded
+} from '../utils/coinRedemption.js';
+
+/**
+ * Subscription Service
+ * Repeat deliveries of a saved basket. The scheduler places each order LEAD_DAYS before
+ * its delivery date (the earliest a delivery slot can be booked), at that day's prices,
+ * cash on delivery, optionally redeeming wallet coins. Lines out of stock are left out;
+ * a run with nothing to deliver, or without the configured coins, fails and the customer
+ * is told. Repeated failures pause the subscription.
+ */
+
+export const SUBSCRIPTION_CONSTANTS = {
+  LEAD_DAYS: 2,                 // Orders are placed this many days before delivery
+  MAX_CONSECUTIVE_FAILURES: 3,  // Pause after this many failed runs in a row
+  CLAIM_TIMEOUT_MINUTES: 30,    // A run claimed longer ago than this is retried
+  BATCH_SIZE: 50,               // Subscriptions processed per scheduler tick
+  MAX_ITEMS: 30
+};
+
+export const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+export const TIME_SLOTS = ['9:00 AM - 12:00 PM', '12:00 PM - 3:00 PM', '3:00 PM - 6:00 PM', '6:00 PM - 9:00 PM'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+// Earliest delivery date that can still be booked (same rule as Order.deliverySlot)
+const earliestDeliveryDate = (now = new Date()) => new Date(startOfDay(now).getTime() + SUBSCRIPTION_CONSTANTS.LEAD_DAYS * DAY);
+
+const runAtFor = (deliveryDate) => new Date(startOfDay(deliveryDate).getTime() - SUBSCRIPTION_CONSTANTS.LEAD_DAYS * DAY);
+
+export const addPeriod = (date, frequency) => {
+  const result = startOfDay(date);
+  if (frequency === 'monthly') {
+    // 31 Jan -> 28/29 Feb, not 3 Mar
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + 1);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+  } else {
+    result.setDate(result.getDate() + (frequency === 'biweekly' ? 14 : 7));
+  }
+  return result;
+};
+
+const setNextDelivery = (subscription, deliveryDate) => {
+  subscription.nextDeliveryDate = startOfDay(deliveryDate);
+  subscription.nextRunAt = runAtFor(deliveryDate);
+};
+
+// Move forward on the subscription's cadence until the date can still be booked
+const nextBookableDate = (subscription, now = new Date()) => {
+  const earliest = earliestDeliveryDate(now);
+  let date = startOfDay(subscription.nextDeliveryDate);
+  while (date < earliest) {
+    date = addPeriod(date, subscription.frequency);
+  }
+  return date;
+};
+
+const findOwnSubscription = async (subscriptionId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+    throw httpError('Invalid subscription ID', 400);
+  }
+  const subscription = await Subscription.findById(subscriptionId);
+  if (!subscription || (userId && subscription.userId.toString() !== userId.toString())) {
+    throw httpError('Subscription not found', 404);
+  }
+  if (subscription.status === 'cancelled') {
+    throw httpError('Subscription is cancelled', 400);
+  }
+  return subscription;
+};
+
+const storedLine = (line) => ({ ...line, type: line.itemType === 'combo' ? 'combo' : 'product' });
+
+// Check a basket against the catalogue and keep the fields a subscription stores
+const normalizeItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError('items must be a non-empty array of { id, type, variantId, qty }', 400);
+  }
+  if (items.length > SUBSCRIPTION_CONSTANTS.MAX_ITEMS) {
+    throw httpError(`A subscription can have at most ${SUBSCRIPTION_CONSTANTS.MAX_ITEMS} items`, 400);
+  }
+
+  const pricing = await pricingService.priceOrderItems(items.map(item => ({
+    ...item,
+    hasVariant: Boolean(item.variantId),
+    type: item.type === 'combo' || item.itemType === 'combo' ? 'combo' : 'product'
+  })));
+  if (!pricing.success) {
+    throw httpError(pricing.errors.join(', '), 400);
+  }
+
+  return pricing.items.map(item => ({
+    id: item.id,
+    itemType: item.itemType,
+    name: item.name,
+    variantId: item.variantId,
+    variantName: item.variantName,
+    hasVariant: Boolean(item.hasVariant),
+    qty: item.qty
+  }));
+};
+
+const normalizeCoins = (coins) => {
+  if (!coins) return undefined;
+  const coinsPerOrder = Number(coins.coinsPerOrder) || 0;
+  if (coinsPerOrder < 0 || !Number.isInteger(coinsPerOrder)) {
+    throw httpError('coins.coinsPerOrder must be a whole number of coins', 400);
+  }
+  if (coinsPerOrder > 0 && coinsPerOrder < REDEMPTION_CONSTANTS.MIN_REDEMPTION_COINS) {
+    throw httpError(`At least ${REDEMPTION_CONSTANTS.MIN_REDEMPTION_COINS} coins are needed per order`, 400);
+  }
+  return { enabled: Boolean(coins.enabled), coinsPerOrder };
+};
+
+const validateSchedule = ({ frequency, timeSlot }) => {
+  if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+    throw httpError(`frequency must be one of ${FREQUENCIES.join(', ')}`, 400);
+  }
+  if (timeSlot !== undefined && !TIME_SLOTS.includes(timeSlot)) {
+    throw httpError('Invalid time slot selected', 400);
+  }
+};
+
+const parseDeliveryDate = (value, now = new Date()) => {
+  const date = startOfDay(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError('Invalid delivery date', 400);
+  }
+  if (date < earliestDeliveryDate(now)) {
+    throw httpError(`The first delivery must be at least ${SUBSCRIPTION_CONSTANTS.LEAD_DAYS} days from today`, 400);
+  }
+  return date;
+};
+
+// A saved address (by id) or shipping details, refused when we do not deliver there
+const resolveShipping = async (userId, { addressId, shipping }) => {
+  const { shipping: resolved } = await addressService.resolveServiceableAddress(userId, { addressId, shipping });
+  return resolved;
+};
+
+/**
+ * Create a subscription
+ * @param {string} userId
+ * @param {object} data - { name, items | fromOrderId, frequency, timeSlot, startDate, addressId | shipping, coins }
+ */
+export const createSubscription = async (userId, data) => {
+  const { name, fromOrderId, frequency, timeSlot, startDate, addressId, coins } = data;
+  if (!frequency || !timeSlot) {
+    throw httpError('frequency and timeSlot are required', 400);
+  }
+  validateSchedule({ frequency, timeSlot });
+
+  // The basket and address can be copied from a past order
+  let items = data.items;
+  let shipping = data.shipping;
+  if (fromOrderId) {
+    const order = mongoose.Types.ObjectId.isValid(fromOrderId)
+      ? await Order.findById(fromOrderId).select('userId items shipping')
+      : null;
+    if (!order || order.userId.toString() !== userId.toString()) {
+      throw httpError('Order not found', 404);
+    }
+    items = items || reorderService.basketFromOrder(order);
+    shipping = shipping || order.shipping;
+  }
+
+  const deliveryDate = parseDeliveryDate(startDate || earliestDeliveryDate());
+  const subscription = new Subscription({
+    userId,
+    name,
+    items: await normalizeItems(items),
+    frequency,
+    timeSlot,
+    shipping: await resolveShipping(userId, { addressId, shipping }),
+    coins: normalizeCoins(coins),
+    sourceOrderId: fromOrderId || undefined,
+    nextDeliveryDate: deliveryDate,
+    nextRunAt: runAtFor(deliveryDate)
+  });
+  await subscription.save();
+
+  console.log(`[SUBSCRIPTION] User ${userId} created ${frequency} subscription ${subscription._id}, first delivery ${deliveryDate.toDateString()}`);
+  return subscription;
+};
+
+export const getUserSubscriptions = async (userId) => {
+  return Subscription.find({ userId, status: { $ne: 'cancelled' } }).sort({ nextDeliveryDate: 1 });
+};
+
+export const getSubscription = async (subscriptionId, userId = null) => {
+  if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+    throw httpError('Invalid subscription ID', 400);
+  }
+  const subscription = await Subscription.findById(subscriptionId).populate('runs.orderId', 'status totalAmount');
+  if (!subscription || (userId && subscription.userId.toString() !== userId.toString())) {
+    throw httpError('Subscription not found', 404);
+  }
+  return subscription;
+};
+
+// Change the basket, schedule, address or coin settings
+export const updateSubscription = async (subscriptionId, userId, changes) => {
+  const subscription = await findOwnSubscription(subscriptionId, userId);
+  validateSchedule(changes);
+
+  if (changes.items !== undefined) subscription.items = await normalizeItems(changes.items);
+  if (changes.name !== undefined) subscription.name = changes.name;
+  if (changes.frequency !== undefined) subscription.frequency = changes.frequency;
+  if (changes.timeSlot !== undefined) subscription.timeSlot = changes.timeSlot;
+  if (changes.addressId !== undefined || changes.shipping !== undefined) {
+    subscription.shipping = await resolveShipping(userId, { addressId: changes.addressId, shipping: changes.shipping });
+  }
+  if (changes.coins !== undefined) subscription.coins = normalizeCoins(changes.coins);
+  if (changes.nextDeliveryDate !== undefined) setNextDelivery(subscription, parseDeliveryDate(changes.nextDeliveryDate));
+
+  await subscription.save();
+  return subscription;
+};
+
+// Skip the next delivery; the one after it stays on schedule
+export const skipNextDelivery = async (subscriptionId, userId) => {
+  const subscription = await findOwnSubscription(subscriptionId, userId);
+  if (subscription.status !== 'active') {
+    throw httpError('Only an active subscription can skip a delivery', 400);
+  }
+  if (subscription.processingAt) {
+    throw httpError('The next order is being placed right now; cancel that order instead', 409);
+  }
+
+  const skipped = subscription.nextDeliveryDate;
+  subscription.runs.push({ deliveryDate: skipped, status: 'skipped', reason: 'Skipped by customer' });
+  setNextDelivery(subscription, addPeriod(skipped, subscription.frequency));
+  await subscription.save();
+  return subscription;
+};
+
+export const pauseSubscription = async (subscriptionId, userId, { until, reason } = {}) => {
+  const subscription = await findOwnSubscription(subscriptionId, userId);
+  if (subscription.status === 'paused') {
+    throw httpError('Subscription is already paused', 400);
+  }
+
+  let pausedUntil;
+  if (until) {
+    pausedUntil = startOfDay(until);
+    if (Number.isNaN(pausedUntil.getTime()) || pausedUntil <= new Date()) {
+      throw httpError('until must be a future date', 400);
+    }
+  }
+
+  subscription.status = 'paused';
+  subscription.pausedUntil = pausedUntil;
+  subscription.pauseReason = reason || 'Paused by customer';
+  await subscription.save();
+  return subscription;
+};
+
+// Resume on the subscription's cadence from the first date that can still be booked
+const activate = (subscription, now = new Date()) => {
+  subscription.status = 'active';
+  subscription.pausedUntil = undefined;
+  subscription.pauseReason = undefined;
+  subscription.consecutiveFailures = 0;
+  setNextDelivery(subscription, nextBookableDate(subscription, now));
+};
+
+export const resumeSubscription = async (subscriptionId, userId) => {
+  const subscription = await findOwnSubscription(subscriptionId, userId);
+  if (subscription.status !== 'paused') {
+    throw httpError('Subscription is not paused', 400);
+  }
+  activate(subscription);
+  await subscription.save();
+  return subscription;
+};
+
+export const cancelSubscription = async (subscriptionId, userId) => {
+  const subscription = await findOwnSubscription(subscriptionId, userId);
+  subscription.status = 'cancelled';
+  subscription.cancelledAt = new Date();
+  await subscription.save();
+  return subscription;
+};
+
+export const getAllSubscriptions = async ({ status, page = 1, limit = 20 } = {}) => {
+  const query = status ? { status } : {};
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [subscriptions, total] = await Promise.all([
+    Subscription.find(query)
+      .sort({ nextRunAt: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('userId', 'name email phone')
+      .select('-runs'),
+    Subscription.countDocuments(query)
+  ]);
+
+  return {
+    subscriptions,
+    pagination: { currentPage: pageNum, totalPages: Math.ceil(total / limitNum), total, limit: limitNum }
+  };
+};
+
+const notifyCustomer = async (subscription, { title, message, orderId = null }) => {
+  try {
+    await notificationService.createNotification({
+      title,
+      message,
+      type: 'order',
+      category: 'order_updates',
+      userId: subscription.userId,
+      channels: ['in_app', 'push'],
+      actionUrl: orderId ? `/orders/${orderId}` : `/subscriptions/${subscription._id}`,
+      actionText: orderId ? 'View Order' : 'View Subscription',
+      relatedOrderId: orderId,
+      data: { subscriptionId: subscription._id.toString() },
+      createdBy: { system: true }
+    });
+  } catch (error) {
+    console.error(`[SUBSCRIPTION] Failed to notify user for subscription ${subscription._id}:`, error);
+  }
+};
+
+// Coins to redeem on this run, or a failure when the wallet cannot cover a fixed amount
+const planCoins = async (subscription, subtotal) => {
+  if (!subscription.coins?.enabled) return { coinsUsed: 0 };
+
+  const maxCoins = calculateCoinsNeeded(calculateMaxDiscount(subtotal));
+  if (maxCoins < REDEMPTION_CONSTANTS.MIN_REDEMPTION_COINS) return { coinsUsed: 0 };
+
+  const user = await User.findById(subscription.userId).select('wallet');
+  const balance = user?.wallet?.balance || 0;
+  const fixed = subscription.coins.coinsPerOrder > 0;
+  const wanted = fixed ? Math.min(subscription.coins.coinsPerOrder, maxCoins) : maxCoins;
+
+  if (fixed && balance < wanted) {
+    return { failure: `Not enough coins: ${wanted} needed, ${balance} in your wallet` };
+  }
+
+  // As many as the order allows: use what the wallet has, in whole rupees
+  const coins = Math.min(wanted, balance);
+  const coinsUsed = coins - (coins % REDEMPTION_CONSTANTS.COINS_PER_RUPEE);
+  return { coinsUsed: coinsUsed >= REDEMPTION_CONSTANTS.MIN_REDEMPTION_COINS ? coinsUsed : 0 };
+};
+
+/**
+ * Place the order for a subscription's next delivery date
+ * @returns {object} - The run recorded on the subscription
+ */
+const placeSubscriptionOrder = async (subscription, now) => {
+  const deliveryDate = subscription.nextDeliveryDate;
+  const orderNumberOf = (order) => order._id.toString().slice(-8).toUpperCase();
+
+  // The pincode may have been taken off the delivery map since the subscription was set up
+  const serviceability = await serviceAreaService.checkAddressServiceability(subscription.shipping);
+  if (!serviceability.serviceable) {
+    return { deliveryDate, status: 'failed', failureCode: 'unserviceable', reason: serviceability.message, unavailableItems: [] };
+  }
+
+  const revalidated = await reorderService.revalidateLines(subscription.items.map(item => storedLine(item.toObject())));
+  const unavailableItems = revalidated.unavailable.map(line => ({
+    name: line.variantName ? `${line.name} (${line.variantName})` : line.name,
+    requested: line.requested,
+    available: line.available
+  }));
+
+  if (revalidated.items.length === 0) {
+    return { deliveryDate, status: 'failed', failureCode: 'out_of_stock', reason: 'None of the items are in stock', unavailableItems };
+  }
+
+  const coinPlan = await planCoins(subscription, revalidated.subtotal);
+  if (coinPlan.failure) {
+    return { deliveryDate, status: 'failed', failureCode: 'insufficient_coins', reason: coinPlan.failure, unavailableItems };
+  }
+
+  const lines = revalidated.items.map(item => ({
+    id: item.id,
+    type: item.type,
+    itemType: item.itemType,
+    name: item.name,
+    hasVariant: item.hasVariant,
+    variantId: item.variantId,
+    variantName: item.variantName,
+    qty: item.qty
+  }));
+  const pricing = await pricingService.buildOrderQuote({
+    userId: subscription.userId,
+    items: lines,
+    coinDiscount: coinPlan.coinsUsed > 0 ? { coinsUsed: coinPlan.coinsUsed } : null,
+    delivery: { pincode: subscription.shipping?.pincode, timeSlot: subscription.timeSlot }
+  });
+  if (!pricing.success) {
+    return { deliveryDate, status: 'failed', failureCode: 'unavailable', reason: pricing.errors.join(', '), unavailableItems };
+  }
+
+  const stock = await orderPlacementService.routeStockAllocation(pricing.quote.items, null, { pincode: subscription.shipping?.pincode });
+  if (!stock.success) {
+    return { deliveryDate, status: 'failed', failureCode: 'out_of_stock', reason: stock.message, unavailableItems };
+  }
+
+  const placement = await orderPlacementService.placeOrder({
+    userId: subscription.userId,
+    quote: pricing.quote,
+    orderData: {
+      shipping: subscription.shipping,
+      paymentMethod: 'COD',
+      paymentStatus: 'Pending',
+      deliveryOtp: createDeliveryOTPData(),
+      deliverySlot: { date: deliveryDate, timeSlot: subscription.timeSlot, isModifiable: true, lastModified: now },
+      subscriptionId: subscription._id,
+      warehouseId: stock.warehouseId,
+      warehouseRouting: stock.warehouseRouting
+    },
+    batchOrderItems: stock.batchOrderItems,
+    comboUpdates: stock.comboUpdates
+  });
+
+  if (!placement.success) {
+    const failureCode = placement.stage === 'coins' ? 'insufficient_coins'
+      : ['batches', 'combo'].includes(placement.stage) ? 'out_of_stock'
+        : 'placement_failed';
+    return { deliveryDate, status: 'failed', failureCode, reason: placement.message, unavailableItems };
+  }
+
+  const order = placement.order;
+  console.log(`[SUBSCRIPTION] Subscription ${subscription._id} placed order ${order._id} for ${deliveryDate.toDateString()}`);
+
+  const missing = unavailableItems.length > 0
+    ? ` Not included (out of stock): ${unavailableItems.map(item => item.name).join(', ')}.`
+    : '';
+  await notifyCustomer(subscription, {
+    title: 'Subscription order placed',
+    message: `Your ${subscription.name} order #${orderNumberOf(order)} of ₹${order.totalAmount} is scheduled for ${deliveryDate.toDateString()}, ${subscription.timeSlot}.${missing}`,
+    orderId: order._id
+  });
+
+  try {
+    const user = await User.findById(subscription.userId).select('name username phone');
+    await notifications.notifyAdminsNewOrder(order._id, {
+      name: user?.name,
+      username: user?.username,
+      phone: user?.phone
+    }, {
+      total: order.totalAmount,
+      itemCount: order.items.length,
+      paymentMethod: 'COD'
+    });
+  } catch (error) {
+    console.error(`[SUBSCRIPTION] Failed to notify admins of order ${order._id}:`, error);
+  }
+
+  return { deliveryDate, status: 'ordered', orderId: order._id, unavailableItems };
+};
+
+const FAILURE_MESSAGES = {
+  out_of_stock: 'the items are out of stock',
+  insufficient_coins: 'your wallet does not have enough coins',
+  unavailable: 'some items are no longer available',
+  placement_failed: 'the order could not be placed',
+  unserviceable: 'we no longer deliver to your address; please choose another one'
+};
+
+/**
+ * Run one subscription: place its order (or record why not) and move to the next date
+ * A run retried after its order was placed but never recorded records that order again.
+ */
+export const runSubscription = async (subscription, now = new Date()) => {
+  const placed = await Order.findOne({
+    subscriptionId: subscription._id,
+    'deliverySlot.date': subscription.nextDeliveryDate
+  }).select('_id');
+
+  let run;
+  if (placed) {
+    console.warn(`[SUBSCRIPTION] Order ${placed._id} was already placed for subscription ${subscription._id} on ${subscription.nextDeliveryDate.toDateString()}`);
+    run = { deliveryDate: subscription.nextDeliveryDate, status: 'ordered', orderId: placed._id, unavailableItems: [] };
+  } else if (subscription.nextDeliveryDate < earliestDeliveryDate(now)) {
+    // The scheduler was down past the booking window for this date
+    run = { deliveryDate: subscription.nextDeliveryDate, status: 'skipped', reason: 'Missed the ordering window' };
+  } else {
+    try {
+      run = await placeSubscriptionOrder(subscription, now);
+    } catch (error) {
+      console.error(`[SUBSCRIPTION] Run failed for subscription ${subscription._id}:`, error);
+      run = { deliveryDate: subscription.nextDeliveryDate, status: 'failed', failureCode: 'placement_failed', reason: error.message };
+    }
+  }
+
+  subscription.runs.push(run);
+  setNextDelivery(subscription, addPeriod(subscription.nextDeliveryDate, subscription.frequency));
+  if (subscription.nextDeliveryDate < earliestDeliveryDate(now)) {
+    setNextDelivery(subscription, nextBookableDate(subscription, now));
+  }
+
+  if (run.status === 'failed') {
+    subscription.consecutiveFailures += 1;
+    const pause = subscription.consecutiveFailures >= SUBSCRIPTION_CONSTANTS.MAX_CONSECUTIVE_FAILURES;
+    if (pause) {
+      subscription.status = 'paused';
+      subscription.pauseReason = `Paused after ${subscription.consecutiveFailures} failed deliveries in a row`;
+    }
+
+    await notifyCustomer(subscription, {
+      title: 'Subscription order not placed',
+      message: `We could not place your ${subscription.name} order for ${run.deliveryDate.toDateString()} because ${FAILURE_MESSAGES[run.failureCode]}.` +
+        (pause ? ' Your subscription is paused; resume it once this is sorted.' : ` Next delivery: ${subscription.nextDeliveryDate.toDateString()}.`)
+    });
+  } else if (run.status === 'ordered') {
+    subscription.consecutiveFailures = 0;
+  }
+
+  subscription.processingAt = undefined;
+  await subscription.save();
+  return run;
+};
+
+/**
+ * Scheduler entry point: resume finished pauses, then run every subscription that is due
+ * Each subscription is claimed atomically so overlapping ticks never order twice. A run that
+ * throws keeps its claim and is retried once the claim goes stale.
+ * @returns {object} - { resumed, ordered, failed, skipped }
+ */
+export const processDueSubscriptions = async (now = new Date()) => {
+  const summary = { resumed: 0, ordered: 0, failed: 0, skipped: 0 };
+
+  const pauseEnded = await Subscription.find({ status: 'paused', pausedUntil: { $lte: now } });
+  for (const subscription of pauseEnded) {
+    activate(subscription, now);
+    await subscription.save();
+    summary.resumed += 1;
+  }
+
+  const staleClaim = new Date(now.getTime() - SUBSCRIPTION_CONSTANTS.CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+  for (let i = 0; i < SUBSCRIPTION_CONSTANTS.BATCH_SIZE; i++) {
+    const subscription = await Subscription.findOneAndUpdate(
+      {
+        status: 'active',
+        nextRunAt: { $lte: now },
+        $or: [{ processingAt: null }, { processingAt: { $lt: staleClaim } }]
+      },
+      { $set: { processingAt: now } },
+      { sort: { nextRunAt: 1 }, new: true }
+    );
+    if (!subscription) break;
+
+    try {
+      const run = await runSubscription(subscription, now);
+      summary[run.status] += 1;
+    } catch (error) {
+      console.error(`[SUBSCRIPTION] Could not record the run of subscription ${subscription._id}:`, error);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  SUBSCRIPTION_CONSTANTS,
+  FREQUENCIES,
+  TIME_SLOTS,
+  addPeriod,
+  createSubscription,
+  getUserSubscriptions,
+  getSubscription,
+  updateSubscription,
+  skipNextDelivery,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  getAllSubscriptions,
+  runSubscription,
+  processDueSubscriptions
+};
@@ -0,0 +1,220 @@
+import mongoose from 'mongoose';
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+
+/**
+ * Supplier Service
+ * Keeps the supplier list and reports how well each supplier delivers against its purchase
+ * orders: fill rate, lead time, on-time rate and quality-rejection rate.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const SUPPLIER_FIELDS = ['name', 'code', 'contactName', 'email', 'phone', 'address', 'gstin', 'paymentTerms', 'leadTimeDays', 'isActive', 'notes'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000; // Due dates are Indian calendar days, whatever the server's timezone
+
+// Last millisecond of the IST calendar day a date falls on
+const endOfIstDay = (date) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() + 1) - IST_OFFSET_MS - 1);
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const applyFields = (supplier, data) => {
+  for (const field of SUPPLIER_FIELDS) {
+    if (data[field] !== undefined) supplier[field] = data[field];
+  }
+};
+
+const validateSupplier = async (supplier) => {
+  const error = supplier.validateSync();
+  if (error) {
+    throw httpError(Object.values(error.errors)[0].message, 400);
+  }
+
+  const clash = await Supplier.findOne({
+    _id: { $ne: supplier._id },
+    $or: [{ name: supplier.name }, ...(supplier.code ? [{ code: supplier.code }] : [])]
+  }).select('name code');
+  if (clash) {
+    throw httpError(supplier.code && clash.code === supplier.code
+      ? `Supplier code ${supplier.code} is already in use`
+      : `A supplier named "${supplier.name}" already exists`, 409);
+  }
+};
+
+/**
+ * List suppliers
+ * @param {object} filters - { active, search }
+ */
+export const listSuppliers = async ({ active, search } = {}) => {
+  const query = {};
+  if (active === 'true' || active === true) query.isActive = true;
+  if (active === 'false' || active === false) query.isActive = false;
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { code: pattern }, { contactName: pattern }];
+  }
+  return Supplier.find(query).sort({ isActive: -1, name: 1 });
+};
+
+export const getSupplier = async (supplierId) => {
+  if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+    throw httpError('Invalid supplier ID', 400);
+  }
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) {
+    throw httpError('Supplier not found', 404);
+  }
+  return supplier;
+};
+
+export const createSupplier = async (data, adminId) => {
+  const supplier = new Supplier({ createdBy: adminId, updatedBy: adminId });
+  applyFields(supplier, data || {});
+  await validateSupplier(supplier);
+  await supplier.save();
+  return supplier;
+};
+
+export const updateSupplier = async (supplierId, data, adminId) => {
+  const supplier = await getSupplier(supplierId);
+  applyFields(supplier, data || {});
+  supplier.updatedBy = adminId;
+  await validateSupplier(supplier);
+  await supplier.save();
+  return supplier;
+};
+
+// Suppliers with purchase orders stay for the history; deactivate them instead
+export const deleteSupplier = async (supplierId) => {
+  const supplier = await getSupplier(supplierId);
+  if (await PurchaseOrder.exists({ supplierId: supplier._id })) {
+    throw httpError('This supplier has purchase orders. Deactivate it instead.', 409);
+  }
+  await supplier.deleteOne();
+  return supplier;
+};
+
+// ---------------------------------------------------------------------------
+// Performance
+// ---------------------------------------------------------------------------
+
+// Figures for one supplier's purchase orders
+const summarise = (orders) => {
+  const stats = {
+    purchaseOrders: orders.length,
+    completedOrders: 0,
+    orderedUnits: 0,
+    acceptedUnits: 0,
+    receivedUnits: 0,
+    rejectedUnits: 0,
+    shortLines: 0,
+    excessLines: 0,
+    excessUnits: 0,
+    leadTimeDays: [],
+    onTime: 0,
+    withDueDate: 0
+  };
+
+  for (const order of orders) {
+    for (const item of order.items) {
+      stats.receivedUnits += item.receivedQuantity || 0;
+      stats.rejectedUnits += item.rejectedQuantity || 0;
+    }
+
+    if (order.firstReceivedAt && order.orderedAt) {
+      stats.leadTimeDays.push((order.firstReceivedAt - order.orderedAt) / DAY_MS);
+      if (order.expectedDeliveryDate) {
+        stats.withDueDate++;
+        // Anything delivered on the due date counts as on time
+        if (order.firstReceivedAt <= endOfIstDay(order.expectedDeliveryDate)) stats.onTime++;
+      }
+    }
+
+    // Fill rate and shortfalls only make sense once the supplier has finished delivering
+    if (!['received', 'closed'].includes(order.status)) continue;
+    stats.completedOrders++;
+    for (const item of order.items) {
+      const accepted = (item.receivedQuantity || 0) - (item.rejectedQuantity || 0);
+      stats.orderedUnits += item.orderedQuantity;
+      stats.acceptedUnits += Math.min(accepted, item.orderedQuantity);
+      if (accepted < item.orderedQuantity) stats.shortLines++;
+      if (accepted > item.orderedQuantity) {
+        stats.excessLines++;
+        stats.excessUnits += accepted - item.orderedQuantity;
+      }
+    }
+  }
+
+  const leadTimes = stats.leadTimeDays;
+  return {
+    purchaseOrders: stats.purchaseOrders,
+    completedOrders: stats.completedOrders,
+    fillRate: stats.orderedUnits ? round(stats.acceptedUnits / stats.orderedUnits * 100) : null,
+    orderedUnits: stats.orderedUnits,
+    acceptedUnits: stats.acceptedUnits,
+    shortLines: stats.shortLines,
+    excessLines: stats.excessLines,
+    excessUnits: stats.excessUnits,
+    averageLeadTimeDays: leadTimes.length ? round(leadTimes.reduce((sum, days) => sum + days, 0) / leadTimes.length, 1) : null,
+    maxLeadTimeDays: leadTimes.length ? round(Math.max(...leadTimes), 1) : null,
+    onTimeRate: stats.withDueDate ? round(stats.onTime / stats.withDueDate * 100) : null,
+    receivedUnits: stats.receivedUnits,
+    rejectedUnits: stats.rejectedUnits,
+    rejectionRate: stats.receivedUnits ? round(stats.rejectedUnits / stats.receivedUnits * 100) : null
+  };
+};
+
+/**
+ * Delivery performance per supplier
+ * Rates are percentages; fill rate counts accepted units against ordered units on completed
+ * orders, lead time runs from ordering to the first delivery.
+ * @param {object} filters - { supplierId, from, to } - from/to filter on the order date
+ * @returns {Array} - [{ supplier, ...figures }], worst fill rate first
+ */
+export const getSupplierPerformance = async ({ supplierId, from, to } = {}) => {
+  const query = { status: { $nin: ['draft', 'cancelled'] } };
+  if (supplierId) {
+    if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+      throw httpError('Invalid supplier ID', 400);
+    }
+    query.supplierId = supplierId;
+  }
+  if (from || to) {
+    query.orderedAt = {};
+    if (from) query.orderedAt.$gte = new Date(from);
+    if (to) query.orderedAt.$lte = new Date(to);
+  }
+
+  const [orders, suppliers] = await Promise.all([
+    PurchaseOrder.find(query).select('supplierId status items orderedAt expectedDeliveryDate firstReceivedAt').lean(),
+    Supplier.find(supplierId ? { _id: supplierId } : {}).select('name code leadTimeDays isActive').lean()
+  ]);
+
+  const bySupplier = new Map(suppliers.map(supplier => [supplier._id.toString(), []]));
+  for (const order of orders) {
+    bySupplier.get(order.supplierId.toString())?.push(order);
+  }
+
+  return suppliers
+    .map(supplier => ({ supplier, ...summarise(bySupplier.get(supplier._id.toString())) }))
+    .filter(row => supplierId || row.purchaseOrders > 0)
+    .sort((a, b) => (a.fillRate ?? 101) - (b.fillRate ?? 101));
+};
+
+export default {
+  listSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getSupplierPerformance
+};
@@ -0,0 +1,349 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import UpiStatementImport from '../models/UpiStatementImport.js';
+import UpiStatementEntry from '../models/UpiStatementEntry.js';
+import { parseCSVRecords } from '../utils/csvParser.js';
+import paymentService from './paymentService.js';
+
+/**
+ * UPI Reconciliation Service
+ * Matches bank/UPI settlement statements against the UTRs customers typed in at
+ * checkout. Exact UTR + amount matches are marked Paid; everything else lands in
+ * the review queue with the reason it could not be settled automatically.
+ */
+
+export const RECONCILIATION_CONSTANTS = {
+  MAX_ROWS: 5000,
+  AMOUNT_TOLERANCE: 0.01
+};
+
+// Header names banks commonly use, compared after lower-casing and stripping punctuation
+const COLUMN_ALIASES = {
+  utr: ['utr', 'utrnumber', 'utrno', 'rrn', 'upirefno', 'upireference', 'upitransactionid', 'referenceno', 'referencenumber', 'refno', 'transactionid', 'txnid'],
+  amount: ['amount', 'creditamount', 'credit', 'deposit', 'depositamount', 'cramount', 'amountinr', 'transactionamount'],
+  date: ['date', 'txndate', 'transactiondate', 'valuedate', 'postingdate'],
+  payer: ['payer', 'payername', 'payervpa', 'vpa', 'remitter', 'remittername', 'from'],
+  narration: ['narration', 'description', 'remarks', 'particulars', 'details']
+};
+
+// Review queue: entries an admin still has to look at
+export const REVIEW_STATUSES = ['amount_mismatch', 'duplicate_utr', 'order_cancelled', 'unmatched'];
+
+const SUMMARY_KEYS = {
+  matched: 'matched',
+  already_paid: 'alreadyPaid',
+  amount_mismatch: 'amountMismatch',
+  duplicate_utr: 'duplicateUtr',
+  order_cancelled: 'orderCancelled',
+  unmatched: 'unmatched',
+  duplicate_entry: 'duplicateEntry',
+  invalid: 'invalid'
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const normalizeUtr = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+// "1,499.00", "₹ 1499", "Rs. 1499.00 CR" -> 1499
+export const parseAmount = (value) => {
+  const match = String(value || '').match(/-?\d[\d,]*(?:\.\d+)?/);
+  const amount = match ? parseFloat(match[0].replace(/,/g, '')) : NaN;
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  // DD/MM/YYYY and DD-MM-YYYY are the usual Indian bank formats
+  const dmy = String(value).match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})/);
+  const date = dmy
+    ? new Date(Number(dmy[3].length === 2 ? `20${dmy[3]}` : dmy[3]), Number(dmy[2]) - 1, Number(dmy[1]))
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// UPI UTRs are 12 digits; statements without a UTR column usually carry it in the narration
+const utrFromNarration = (narration) => {
+  const match = String(narration || '').match(/(?:^|\D)(\d{12})(?:\D|$)/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Work out which statement column holds what
+ * @param {Array<string>} headers - Header row of the statement
+ * @param {object} overrides - Explicit { utr, amount, date, payer, narration } header names
+ * @returns {object} - Header name per field (undefined when not found)
+ */
+export const detectColumns = (headers, overrides = {}) => {
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    if (overrides[field]) {
+      if (!headers.includes(overrides[field])) {
+        throw httpError(`Column "${overrides[field]}" not found in statement`, 400);
+      }
+      columns[field] = overrides[field];
+      continue;
+    }
+    columns[field] = headers.find(h => aliases.includes(headerKey(h)));
+  }
+
+  if (!columns.amount) {
+    throw httpError('Could not find an amount column; pass columns.amount', 400);
+  }
+  if (!columns.utr && !columns.narration) {
+    throw httpError('Could not find a UTR or narration column; pass columns.utr', 400);
+  }
+  return columns;
+};
+
+// Orders carrying a UTR, ignoring case and stray spaces in what the customer typed
+const findOrdersByUtr = (utr) => Order.find({
+  paymentMethod: 'UPI',
+  upiTransactionId: { $regex: `^\\s*${escapeRegex(utr)}\\s*$`, $options: 'i' }
+}).select('_id totalAmount status paymentStatus upiTransactionId');
+
+const amountsMatch = (a, b) => Math.abs(a - b) <= RECONCILIATION_CONSTANTS.AMOUNT_TOLERANCE;
+
+// Mark an order Paid unless it already is or was cancelled; returns the order when it changed
+const markOrderPaid = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: { $ne: 'Cancelled' }, paymentStatus: { $ne: 'Paid' } },
+    { $set: { paymentStatus: 'Paid', paidAt: new Date(), paymentConfirmedVia: 'upi_statement' } },
+    { new: true }
+  );
+  if (order) await paymentService.notifyPaymentReceived(order);
+  return order;
+};
+
+// Decide what one statement line means
+const matchEntry = async (entry, seenUtrs) => {
+  if (!entry.utr || entry.amount == null || entry.amount <= 0) {
+    return { status: 'invalid', note: 'Row has no usable UTR or credit amount' };
+  }
+
+  if (seenUtrs.has(entry.utr)) {
+    return { status: 'duplicate_entry', note: 'UTR appears earlier in this statement' };
+  }
+  seenUtrs.add(entry.utr);
+
+  const previous = await UpiStatementEntry.findOne({
+    utr: entry.utr,
+    status: { $in: ['matched', 'already_paid', 'resolved'] }
+  }).select('importId orderId');
+  if (previous) {
+    return { status: 'duplicate_entry', orderId: previous.orderId, note: `UTR already settled by import ${previous.importId}` };
+  }
+
+  const orders = await findOrdersByUtr(entry.utr);
+  if (orders.length === 0) {
+    return { status: 'unmatched', note: 'No order has this UTR' };
+  }
+  if (orders.length > 1) {
+    return {
+      status: 'duplicate_utr',
+      candidateOrderIds: orders.map(o => o._id),
+      note: `UTR entered on ${orders.length} orders`
+    };
+  }
+
+  const [order] = orders;
+  if (order.paymentStatus === 'Paid') {
+    return { status: 'already_paid', orderId: order._id };
+  }
+  if (order.status === 'Cancelled') {
+    return { status: 'order_cancelled', orderId: order._id, note: 'Payment received for a cancelled order' };
+  }
+  if (!amountsMatch(order.totalAmount, entry.amount)) {
+    return {
+      status: 'amount_mismatch',
+      orderId: order._id,
+      expectedAmount: order.totalAmount,
+      note: `Statement ₹${entry.amount}, order ₹${order.totalAmount}`
+    };
+  }
+
+  const updated = await markOrderPaid(order._id);
+  return updated
+    ? { status: 'matched', orderId: order._id }
+    : { status: 'already_paid', orderId: order._id };
+};
+
+/**
+ * Import a settlement statement and settle every exact match
+ * @param {object} params - { csv, fileName, columns, importedBy }
+ * @returns {object} - { statementImport, entries }
+ */
+export const importStatement = async ({ csv, fileName, columns: overrides = {}, importedBy }) => {
+  const { headers, records } = parseCSVRecords(csv);
+  if (records.length === 0) {
+    throw httpError('Statement has no rows', 400);
+  }
+  if (records.length > RECONCILIATION_CONSTANTS.MAX_ROWS) {
+    throw httpError(`Statement has ${records.length} rows; split it into files of at most ${RECONCILIATION_CONSTANTS.MAX_ROWS}`, 400);
+  }
+
+  const columns = detectColumns(headers, overrides);
+  const statementImport = await UpiStatementImport.create({
+    fileName,
+    importedBy,
+    columns,
+    rowCount: records.length
+  });
+
+  const seenUtrs = new Set();
+  const entries = [];
+  for (const record of records) {
+    const narration = columns.narration ? record[columns.narration] : undefined;
+    const entry = {
+      importId: statementImport._id,
+      rowNumber: record._row,
+      utr: normalizeUtr(columns.utr ? record[columns.utr] : utrFromNarration(narration)) || null,
+      amount: parseAmount(record[columns.amount]),
+      transactionDate: columns.date ? parseDate(record[columns.date]) : null,
+      payer: columns.payer ? record[columns.payer] : undefined,
+      narration
+    };
+
+    Object.assign(entry, await matchEntry(entry, seenUtrs));
+    entries.push(entry);
+
+    statementImport.summary[SUMMARY_KEYS[entry.status]]++;
+    if (entry.status === 'matched') statementImport.summary.matchedAmount += entry.amount;
+  }
+
+  await UpiStatementEntry.insertMany(entries);
+  statementImport.summary.matchedAmount = Math.round(statementImport.summary.matchedAmount * 100) / 100;
+  await statementImport.save();
+
+  console.log(`[UPI RECONCILIATION] Import ${statementImport._id}: ${records.length} rows, ${statementImport.summary.matched} matched`);
+  return { statementImport, entries: await UpiStatementEntry.find({ importId: statementImport._id }).sort({ rowNumber: 1 }) };
+};
+
+// Past imports, newest first
+export const getImports = async ({ page = 1, limit = 20 } = {}) => {
+  const [imports, total] = await Promise.all([
+    UpiStatementImport.find()
+      .populate('importedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    UpiStatementImport.countDocuments()
+  ]);
+  return { imports, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+// Lines of one import, optionally by status
+export const getImportEntries = async (importId, { status } = {}) => {
+  const filter = { importId };
+  if (status) filter.status = status;
+  return UpiStatementEntry.find(filter)
+    .populate('orderId', 'totalAmount status paymentStatus upiTransactionId')
+    .sort({ rowNumber: 1 });
+};
+
+/**
+ * Everything that still needs an admin
+ * @returns {object} - { entries, pendingOrders, sharedUtrOrders }
+ *   entries: statement lines that were not settled automatically
+ *   pendingOrders: UPI orders under review that no statement has settled yet
+ *   sharedUtrOrders: pending orders whose UTR is also on another order
+ */
+export const getReviewQueue = async () => {
+  const [entries, pendingOrders] = await Promise.all([
+    UpiStatementEntry.find({ status: { $in: REVIEW_STATUSES } })
+      .populate('orderId', 'totalAmount status paymentStatus upiTransactionId userId createdAt')
+      .populate('candidateOrderIds', 'totalAmount status paymentStatus upiTransactionId userId createdAt')
+      .sort({ createdAt: -1 }),
+    Order.find({ paymentMethod: 'UPI', paymentStatus: 'UnderReview', status: { $ne: 'Cancelled' } })
+      .select('userId totalAmount status paymentStatus upiTransactionId createdAt')
+      .populate('userId', 'name phone')
+      .sort({ createdAt: 1 })
+  ]);
+
+  // Group pending orders by normalised UTR to surface the same UTR on several orders
+  const utrCounts = await Order.aggregate([
+    { $match: { paymentMethod: 'UPI', upiTransactionId: { $nin: [null, ''] } } },
+    { $group: { _id: { $toUpper: { $trim: { input: '$upiTransactionId' } } }, orders: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+  const sharedUtrs = new Map(utrCounts.map(row => [row._id, row.orders]));
+
+  const sharedUtrOrders = pendingOrders
+    .filter(order => sharedUtrs.has(normalizeUtr(order.upiTransactionId)))
+    .map(order => ({
+      orderId: order._id,
+      utr: normalizeUtr(order.upiTransactionId),
+      otherOrderIds: sharedUtrs.get(normalizeUtr(order.upiTransactionId)).filter(id => id.toString() !== order._id.toString())
+    }));
+
+  return { entries, pendingOrders, sharedUtrOrders };
+};
+
+/**
+ * Settle or dismiss a queued statement line
+ * @param {string} entryId
+ * @param {object} decision - { action: 'mark_paid'|'ignore', orderId, note }
+ * @param {string} adminId
+ */
+export const reviewEntry = async (entryId, { action, orderId, note }, adminId) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    throw httpError('Invalid entry ID', 400);
+  }
+  const entry = await UpiStatementEntry.findById(entryId);
+  if (!entry) {
+    throw httpError('Statement entry not found', 404);
+  }
+  if (!REVIEW_STATUSES.includes(entry.status)) {
+    throw httpError(`Entry is ${entry.status} and needs no review`, 400);
+  }
+
+  if (action === 'mark_paid') {
+    const targetId = orderId || entry.orderId;
+    if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+      throw httpError('orderId is required to settle this entry', 400);
+    }
+    const order = await Order.findById(targetId).select('status paymentStatus');
+    if (!order) {
+      throw httpError('Order not found', 404);
+    }
+    if (order.status === 'Cancelled') {
+      throw httpError('Cannot mark a cancelled order as paid', 400);
+    }
+
+    await markOrderPaid(targetId);
+    entry.status = 'resolved';
+    entry.orderId = targetId;
+  } else if (action === 'ignore') {
+    entry.status = 'ignored';
+  } else {
+    throw httpError('action must be mark_paid or ignore', 400);
+  }
+
+  entry.reviewedBy = adminId;
+  entry.reviewedAt = new Date();
+  entry.reviewNote = note;
+  await entry.save();
+
+  console.log(`[UPI RECONCILIATION] Entry ${entry._id} ${entry.status} by ${adminId}`);
+  return entry;
+};
+
+export default {
+  RECONCILIATION_CONSTANTS,
+  REVIEW_STATUSES,
+  normalizeUtr,
+  parseAmount,
+  detectColumns,
+  importStatement,
+  getImports,
+  getImportEntries,
+  getReviewQueue,
+  reviewEntry
+};
@@ -0,0 +1,327 @@
+import mongoose from 'mongoose';
+import Warehouse from '../models/Warehouse.js';
+import BatchGroup from '../models/BatchGroup.js';
+import ServiceArea from '../models/ServiceArea.js';
+import StockTransfer from '../models/StockTransfer.js';
+import { isValidPincode } from '../utils/addressUtils.js';
+
+/**
+ * Warehouse Service
+ * Stock locations, which warehouse should fulfil an order for a pincode, and stock per
+ * warehouse. Batch groups belong to one warehouse; BatchGroup.location holds its name.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toObjectId = (id) => (typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id);
+
+// Short upper-case code from a location name, e.g. "Main Warehouse" -> "MAIN-WAREHOUSE"
+const codeFromName = (name) => String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 20) || 'WH';
+
+export const getDefaultWarehouse = () => Warehouse.getDefault();
+
+/**
+ * Make sure every batch group belongs to a warehouse
+ * Run at startup: creates the default warehouse, turns each location name already used by
+ * batch groups into a warehouse, and links the batch groups to it.
+ */
+export const ensureDefaultWarehouse = async () => {
+  const defaultWarehouse = await Warehouse.getDefault();
+
+  const unlinked = await BatchGroup.distinct('location', { warehouseId: null });
+  for (const location of unlinked) {
+    let warehouse = location ? await Warehouse.findOne({ name: location }) : defaultWarehouse;
+    if (!warehouse) {
+      let code = codeFromName(location);
+      while (await Warehouse.exists({ code })) {
+        code = `${codeFromName(location).slice(0, 16)}-${Math.floor(Math.random() * 900 + 100)}`;
+      }
+      warehouse = await Warehouse.create({ code, name: location });
+      console.log(`[WAREHOUSE] Created warehouse ${warehouse.code} for existing location "${location}"`);
+    }
+
+    const result = await BatchGroup.updateMany(
+      { warehouseId: null, location: location ?? null },
+      { $set: { warehouseId: warehouse._id, location: warehouse.name } }
+    );
+    console.log(`[WAREHOUSE] Linked ${result.modifiedCount} batch group(s) to ${warehouse.name}`);
+  }
+
+  return defaultWarehouse;
+};
+
+/**
+ * Warehouses to try for an order, best first
+ * Warehouses serving the pincode come first, then those serving its zone, then every other
+ * active warehouse by priority.
+ * @param {object} params - { pincode, zone } (zone is looked up from the pincode when not given)
+ * @returns {Array} - [{ warehouse, routing: 'pincode'|'zone'|'fallback' }]
+ */
+export const getCandidateWarehouses = async ({ pincode = null, zone = undefined } = {}) => {
+  const resolvedZone = zone !== undefined ? zone
+    : (pincode ? (await ServiceArea.findOne({ pincode }).select('zone'))?.zone || null : null);
+
+  const warehouses = await Warehouse.find({ isActive: true }).sort({ priority: -1, isDefault: -1, createdAt: 1 });
+  if (warehouses.length === 0) {
+    return [{ warehouse: await Warehouse.getDefault(), routing: 'fallback' }];
+  }
+
+  const rank = { pincode: 0, zone: 1, fallback: 2 };
+  return warehouses
+    .map(warehouse => ({
+      warehouse,
+      routing: pincode && warehouse.servedPincodes.includes(pincode) ? 'pincode'
+        : resolvedZone && warehouse.servedZones.includes(resolvedZone) ? 'zone'
+          : 'fallback'
+    }))
+    .sort((a, b) => rank[a.routing] - rank[b.routing]);
+};
+
+// ---------------------------------------------------------------------------
+// Warehouse administration
+// ---------------------------------------------------------------------------
+
+const WAREHOUSE_FIELDS = ['code', 'name', 'address', 'city', 'state', 'pincode', 'location', 'contactPhone', 'servedPincodes', 'servedZones', 'priority', 'isActive'];
+
+const applyFields = (warehouse, data) => {
+  for (const field of WAREHOUSE_FIELDS) {
+    if (data[field] !== undefined) warehouse[field] = data[field];
+  }
+};
+
+const validateWarehouse = async (warehouse) => {
+  const badPincode = (warehouse.servedPincodes || []).find(pincode => !isValidPincode(pincode));
+  if (badPincode) {
+    throw httpError(`Invalid pincode "${badPincode}"`, 400);
+  }
+
+  const error = warehouse.validateSync();
+  if (error) {
+    throw httpError(Object.values(error.errors)[0].message, 400);
+  }
+
+  const clash = await Warehouse.findOne({
+    _id: { $ne: warehouse._id },
+    $or: [{ code: warehouse.code }, { name: warehouse.name }]
+  }).select('code name');
+  if (clash) {
+    throw httpError(clash.code === warehouse.code
+      ? `Warehouse code ${warehouse.code} is already in use`
+      : `A warehouse named "${warehouse.name}" already exists`, 409);
+  }
+};
+
+/**
+ * List warehouses with their batch group counts
+ * @param {object} filters - { active }
+ * @param {string} [scope] - Warehouse a warehouse manager is limited to
+ */
+export const listWarehouses = async ({ active } = {}, scope = null) => {
+  const query = {};
+  if (active === 'true' || active === true) query.isActive = true;
+  if (active === 'false' || active === false) query.isActive = false;
+  if (scope) query._id = scope;
+
+  const warehouses = await Warehouse.find(query).sort({ isDefault: -1, priority: -1, name: 1 }).lean();
+  const counts = await BatchGroup.aggregate([
+    { $match: { warehouseId: { $in: warehouses.map(warehouse => warehouse._id) }, status: 'Active' } },
+    { $group: { _id: '$warehouseId', batchGroupCount: { $sum: 1 } } }
+  ]);
+
+  return warehouses.map(warehouse => ({
+    ...warehouse,
+    batchGroupCount: counts.find(count => count._id.toString() === warehouse._id.toString())?.batchGroupCount || 0
+  }));
+};
+
+/**
+ * Fetch one warehouse
+ * @param {string} warehouseId
+ * @param {string} [scope] - Warehouse a warehouse manager is limited to
+ */
+export const getWarehouse = async (warehouseId, scope = null) => {
+  if (!mongoose.Types.ObjectId.isValid(warehouseId)) {
+    throw httpError('Invalid warehouse ID', 400);
+  }
+  if (scope && scope.toString() !== warehouseId.toString()) {
+    throw httpError('You can only access your own warehouse', 403);
+  }
+  const warehouse = await Warehouse.findById(warehouseId);
+  if (!warehouse) {
+    throw httpError('Warehouse not found', 404);
+  }
+  return warehouse;
+};
+
+export const createWarehouse = async (data, adminId) => {
+  const warehouse = new Warehouse({ createdBy: adminId, updatedBy: adminId });
+  applyFields(warehouse, data || {});
+  await validateWarehouse(warehouse);
+  if (data?.isDefault) {
+    await Warehouse.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+    warehouse.isDefault = true;
+  }
+  await warehouse.save();
+  return warehouse;
+};
+
+/**
+ * Change a warehouse; a rename is carried over to its batch groups' location
+ */
+export const updateWarehouse = async (warehouseId, data, adminId) => {
+  const warehouse = await getWarehouse(warehouseId);
+  const previousName = warehouse.name;
+
+  applyFields(warehouse, data || {});
+  warehouse.updatedBy = adminId;
+  if (warehouse.isDefault && warehouse.isActive === false) {
+    throw httpError('The default warehouse cannot be deactivated', 400);
+  }
+  await validateWarehouse(warehouse);
+
+  if (data?.isDefault === true && !warehouse.isDefault) {
+    await Warehouse.updateMany({ _id: { $ne: warehouse._id }, isDefault: true }, { $set: { isDefault: false } });
+    warehouse.isDefault = true;
+  }
+  await warehouse.save();
+
+  if (warehouse.name !== previousName) {
+    await BatchGroup.updateMany({ warehouseId: warehouse._id }, { $set: { location: warehouse.name } });
+  }
+  return warehouse;
+};
+
+// Only empty warehouses can go; otherwise deactivate them so they stop receiving orders
+export const deleteWarehouse = async (warehouseId) => {
+  const warehouse = await getWarehouse(warehouseId);
+  if (warehouse.isDefault) {
+    throw httpError('The default warehouse cannot be deleted', 400);
+  }
+  if (await BatchGroup.exists({ warehouseId: warehouse._id })) {
+    throw httpError('This warehouse still has batch groups. Deactivate it instead.', 409);
+  }
+  await warehouse.deleteOne();
+  return warehouse;
+};
+
+// ---------------------------------------------------------------------------
+// Stock per warehouse
+// ---------------------------------------------------------------------------
+
+// One row per warehouse, product and variant with the summed batch quantities
+const stockRows = (match) => BatchGroup.aggregate([
+  { $match: { status: 'Active', ...match } },
+  { $unwind: '$products' },
+  ...(match['products.productId'] ? [{ $match: { 'products.productId': match['products.productId'] } }] : []),
+  { $unwind: { path: '$products.variants', preserveNullAndEmptyArrays: true } },
+  {
+    $group: {
+      _id: {
+        warehouseId: '$warehouseId',
+        productId: '$products.productId',
+        variantId: { $ifNull: ['$products.variants.variantId', null] }
+      },
+      variantName: { $first: '$products.variants.variantName' },
+      available: { $sum: { $ifNull: ['$products.variants.availableQuantity', '$products.availableQuantity'] } },
+      reserved: { $sum: { $ifNull: ['$products.variants.reservedQuantity', '$products.reservedQuantity'] } },
+      allocated: { $sum: { $ifNull: ['$products.variants.allocatedQuantity', '$products.allocatedQuantity'] } },
+      batchGroupCount: { $sum: 1 }
+    }
+  }
+]);
+
+/**
+ * Stock held by one warehouse, per product and variant
+ * @param {string} warehouseId
+ * @param {object} options - { productId, scope }
+ */
+export const getWarehouseStock = async (warehouseId, { productId, scope = null } = {}) => {
+  const warehouse = await getWarehouse(warehouseId, scope);
+  const match = { warehouseId: warehouse._id };
+  if (productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) throw httpError('Invalid product ID', 400);
+    match['products.productId'] = toObjectId(productId);
+  }
+
+  const rows = await stockRows(match);
+  const products = await mongoose.model('Product')
+    .find({ _id: { $in: [...new Set(rows.map(row => row._id.productId.toString()))] } })
+    .select('name');
+  const nameOf = (id) => products.find(product => product._id.toString() === id.toString())?.name || null;
+
+  // Units on the road to or from this warehouse (dispatched transfers not yet received)
+  const moving = await StockTransfer.aggregate([
+    { $match: { status: { $in: ['dispatched', 'in_transit'] }, $or: [{ toWarehouseId: warehouse._id }, { fromWarehouseId: warehouse._id }] } },
+    { $unwind: '$items' },
+    ...(match['products.productId'] ? [{ $match: { 'items.productId': match['products.productId'] } }] : []),
+    { $group: { _id: { $cond: [{ $eq: ['$toWarehouseId', warehouse._id] }, 'inbound', 'outbound'] }, units: { $sum: '$items.quantity' } } }
+  ]);
+
+  return {
+    warehouse: { _id: warehouse._id, code: warehouse.code, name: warehouse.name },
+    inTransit: {
+      inbound: moving.find(row => row._id === 'inbound')?.units || 0,
+      outbound: moving.find(row => row._id === 'outbound')?.units || 0
+    },
+    stock: rows
+      .map(row => ({
+        productId: row._id.productId,
+        productName: nameOf(row._id.productId),
+        variantId: row._id.variantId,
+        variantName: row.variantName || null,
+        available: row.available,
+        reserved: row.reserved,
+        allocated: row.allocated,
+        batchGroupCount: row.batchGroupCount
+      }))
+      .sort((a, b) => String(a.productName).localeCompare(String(b.productName)))
+  };
+};
+
+/**
+ * Where a product's stock is: available, reserved and allocated units in each warehouse
+ * @param {string} productId
+ * @param {string} [scope] - Warehouse a warehouse manager is limited to
+ */
+export const getProductStockByWarehouse = async (productId, scope = null) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw httpError('Invalid product ID', 400);
+  }
+  const match = { 'products.productId': toObjectId(productId) };
+  if (scope) match.warehouseId = toObjectId(scope);
+
+  const rows = await stockRows(match);
+  const warehouses = await Warehouse.find(scope ? { _id: scope } : {}).select('code name isActive').lean();
+
+  return warehouses
+    .map(warehouse => {
+      const lines = rows.filter(row => row._id.warehouseId?.toString() === warehouse._id.toString());
+      return {
+        warehouse,
+        available: lines.reduce((sum, row) => sum + row.available, 0),
+        variants: lines
+          .filter(row => row._id.variantId)
+          .map(row => ({ variantId: row._id.variantId, variantName: row.variantName, available: row.available, reserved: row.reserved, allocated: row.allocated })),
+        reserved: lines.reduce((sum, row) => sum + row.reserved, 0),
+        allocated: lines.reduce((sum, row) => sum + row.allocated, 0)
+      };
+    })
+    .filter(entry => scope || entry.available + entry.reserved + entry.allocated > 0);
+};
+
+export default {
+  getDefaultWarehouse,
+  ensureDefaultWarehouse,
+  getCandidateWarehouses,
+  listWarehouses,
+  getWarehouse,
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+  getWarehouseStock,
+  getProductStockByWarehouse
+};
@@ -169,7 +169,10 @@ export async function notifyOrderStatusUpdate(userId, orderData) {
     confirmed: 'Your order has been confirmed! 📦',
     processing: 'Your order is being processed! ⚙️',
     shipped: 'Your order has been shipped! 🚚',
+    dispatched: 'Your order has been dispatched! 🚚',
+    out_for_delivery: 'Your order is out for delivery! 🛵',
     delivered: 'Your order has been delivered! ✅',
+    failed: 'We could not deliver your order. We will contact you soon.',
     cancelled: 'Your order has been cancelled. 😔'
   }
   
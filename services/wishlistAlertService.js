@@ -0,0 +1,222 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import notificationService from './notificationService.js';
+import { notifyWishlistBackInStock, notifyPriceDrop } from './webPushService.js';
+
+/**
+ * Wishlist Alert Service
+ * Tells customers when a product on their wishlist is back in stock or cheaper.
+ * Every alert is recorded in the Notification collection, which is also what the
+ * per-user throttling is checked against.
+ */
+
+export const ALERT_CONSTANTS = {
+  PRODUCT_THROTTLE_HOURS: 24, // Same alert for the same product at most once a day
+  DAILY_LIMIT: 3              // Wishlist alerts per user per day, across all products
+};
+
+export const ALERT_TYPES = {
+  BACK_IN_STOCK: 'back_in_stock',
+  PRICE_DROP: 'price_drop'
+};
+
+const DEFAULT_CHANNELS = ['in_app', 'push', 'web_push'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stock per line keyed by variant id (null key = base product)
+export const snapshotStock = (product) => {
+  const stock = new Map([[null, product.stock || 0]]);
+  for (const variant of product.variants || []) {
+    stock.set(variant.id, variant.stock || 0);
+  }
+  return stock;
+};
+
+// Lines that went from zero to positive stock
+export const findRestockedLines = (before, product) => {
+  const restocked = [];
+  const hasVariants = product.hasVariants && product.variants?.length > 0;
+
+  if (hasVariants) {
+    for (const variant of product.variants) {
+      if ((before.get(variant.id) ?? 0) <= 0 && variant.stock > 0) {
+        restocked.push({ variantId: variant.id, variantName: variant.name, stock: variant.stock });
+      }
+    }
+  } else if ((before.get(null) ?? 0) <= 0 && product.stock > 0) {
+    restocked.push({ variantId: null, variantName: null, stock: product.stock });
+  }
+
+  return restocked;
+};
+
+const preferenceKey = {
+  [ALERT_TYPES.BACK_IN_STOCK]: 'backInStock',
+  [ALERT_TYPES.PRICE_DROP]: 'priceDrop'
+};
+
+// Users with the product on their wishlist who have not switched this alert off
+const getSubscribers = async (productId, alertType) => {
+  const users = await User.find({ 'wishlist.productId': productId })
+    .select('name email phone notificationPreferences');
+
+  return users.filter(user => user.notificationPreferences?.wishlistAlerts?.[preferenceKey[alertType]] !== false);
+};
+
+// Has this user had this alert for this product recently, or too many alerts today?
+const isThrottled = async (userId, productId, alertType, now = new Date()) => {
+  const recentSameAlert = await Notification.exists({
+    userId,
+    relatedProductId: productId,
+    'data.alertType': alertType,
+    createdAt: { $gte: new Date(now.getTime() - ALERT_CONSTANTS.PRODUCT_THROTTLE_HOURS * HOUR_MS) }
+  });
+  if (recentSameAlert) return true;
+
+  const alertsToday = await Notification.countDocuments({
+    userId,
+    'data.alertType': { $in: Object.values(ALERT_TYPES) },
+    createdAt: { $gte: new Date(now.getTime() - 24 * HOUR_MS) }
+  });
+  return alertsToday >= ALERT_CONSTANTS.DAILY_LIMIT;
+};
+
+// Record the alert and send it through the user's channels
+const sendAlert = async (user, product, { alertType, title, message, category, data, webPush }) => {
+  const channels = user.notificationPreferences?.wishlistAlerts?.channels?.length
+    ? user.notificationPreferences.wishlistAlerts.channels
+    : DEFAULT_CHANNELS;
+
+  // in_app/push/email/sms go through the notification service; web push has its own sender
+  const notification = await notificationService.createNotification({
+    title,
+    message,
+    type: 'promotional',
+    category,
+    userId: user._id,
+    channels,
+    imageUrl: product.images?.[0] || null,
+    actionUrl: `/products/${product._id}`,
+    actionText: 'View Product',
+    relatedProductId: product._id,
+    data: { alertType, ...data },
+    createdBy: { system: true }
+  });
+
+  if (channels.includes('web_push')) {
+    try {
+      const result = await webPush();
+      const delivered = Boolean(result) && result.success !== false;
+      await Notification.updateOne(
+        { _id: notification._id },
+        delivered
+          ? { $addToSet: { sentChannels: 'web_push' }, $set: { status: 'sent' } }
+          : { $addToSet: { failedChannels: 'web_push' } }
+      );
+    } catch (error) {
+      console.error(`[WISHLIST ALERT] Web push failed for user ${user._id}:`, error?.message || error);
+      await Notification.updateOne({ _id: notification._id }, { $addToSet: { failedChannels: 'web_push' } });
+    }
+  }
+
+  return notification;
+};
+
+// Send one alert type to every eligible subscriber
+const dispatchAlerts = async (product, alertType, buildAlert) => {
+  const subscribers = await getSubscribers(product._id, alertType);
+  let notified = 0;
+  let throttled = 0;
+
+  for (const user of subscribers) {
+    try {
+      if (await isThrottled(user._id, product._id, alertType)) {
+        throttled++;
+        continue;
+      }
+      await sendAlert(user, product, buildAlert(user));
+      notified++;
+    } catch (error) {
+      console.error(`[WISHLIST ALERT] Failed to alert user ${user._id} about ${product.name}:`, error);
+    }
+  }
+
+  console.log(`[WISHLIST ALERT] ${alertType} for ${product.name}: ${notified} notified, ${throttled} throttled`);
+  return { notified, throttled, subscribers: subscribers.length };
+};
+
+/**
+ * Alert wishlisters that a product (or some of its variants) is available again
+ * @param {object} product - Product document after the stock change
+ * @param {Array} restocked - Lines from findRestockedLines()
+ */
+export const handleBackInStock = async (product, restocked) => {
+  if (!restocked || restocked.length === 0) return null;
+
+  const variantNames = restocked.map(line => line.variantName).filter(Boolean);
+  const displayName = variantNames.length > 0 ? `${product.name} (${variantNames.join(', ')})` : product.name;
+
+  return dispatchAlerts(product, ALERT_TYPES.BACK_IN_STOCK, (user) => ({
+    alertType: ALERT_TYPES.BACK_IN_STOCK,
+    title: 'Back in Stock! 📦',
+    message: `Good news! ${displayName} from your wishlist is available again.`,
+    category: 'inventory',
+    data: { variantIds: restocked.map(line => line.variantId) },
+    webPush: () => notifyWishlistBackInStock(user._id, { id: product._id.toString(), name: displayName })
+  }));
+};
+
+/**
+ * Alert wishlisters that a product got cheaper
+ * @param {object} product - Product document after the price change
+ * @param {Array} drops - [{ variantId, variantName, oldPrice, newPrice }]
+ */
+export const handlePriceDrop = async (product, drops) => {
+  if (!drops || drops.length === 0) return null;
+
+  // Headline the biggest saving
+  const biggest = drops.reduce((best, drop) =>
+    (!best || drop.oldPrice - drop.newPrice > best.oldPrice - best.newPrice ? drop : best), null);
+  const discountPercentage = Math.round(((biggest.oldPrice - biggest.newPrice) / biggest.oldPrice) * 100);
+  const displayName = biggest.variantName ? `${product.name} (${biggest.variantName})` : product.name;
+
+  return dispatchAlerts(product, ALERT_TYPES.PRICE_DROP, (user) => ({
+    alertType: ALERT_TYPES.PRICE_DROP,
+    title: 'Price Drop Alert! 💰',
+    message: `${displayName} from your wishlist is now ₹${biggest.newPrice} (was ₹${biggest.oldPrice}, ${discountPercentage}% off).`,
+    category: 'promotions',
+    data: {
+      variantId: biggest.variantId,
+      oldPrice: biggest.oldPrice,
+      newPrice: biggest.newPrice,
+      discountPercentage
+    },
+    webPush: () => notifyPriceDrop(user._id, {
+      id: product._id.toString(),
+      name: displayName,
+      discountPercentage,
+      originalPrice: biggest.oldPrice,
+      salePrice: biggest.newPrice
+    })
+  }));
+};
+
+// Compare stock before/after a change and alert on restocks; never throws
+export const checkBackInStock = (stockBefore, product) => {
+  const restocked = findRestockedLines(stockBefore, product);
+  if (restocked.length === 0) return;
+
+  handleBackInStock(product, restocked).catch(error =>
+    console.error(`[WISHLIST ALERT] Back-in-stock alerts failed for ${product._id}:`, error));
+};
+
+export default {
+  ALERT_CONSTANTS,
+  ALERT_TYPES,
+  snapshotStock,
+  findRestockedLines,
+  handleBackInStock,
+  handlePriceDrop,
+  checkBackInStock
+};
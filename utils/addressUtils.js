@@ -0,0 +1,30 @@
+/**
+ * Address helpers: Indian pincodes and composing a one-line address from its parts
+ */
+
+// Six digits, never starting with 0
+export const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+export const isValidPincode = (pincode) => PINCODE_PATTERN.test(String(pincode || '').trim());
+
+/**
+ * Pincode of a free-text address (older saved addresses have no separate field)
+ * The last match wins, as addresses end with the pincode.
+ * @returns {string|null}
+ */
+export const extractPincode = (text) => {
+  const matches = String(text || '').match(/\b[1-9]\d{5}\b/g);
+  return matches ? matches[matches.length - 1] : null;
+};
+
+/**
+ * One-line address from its parts
+ * e.g. "Flat 2B, Lake View Apts, Near City Park, Hyderabad, Telangana - 500081"
+ */
+export const formatAddress = ({ line1, line2, landmark, city, state, pincode } = {}) => {
+  const parts = [line1, line2, landmark && !/^near\b/i.test(landmark.trim()) ? `Near ${landmark.trim()}` : landmark, city, state]
+    .map(part => (part || '').trim())
+    .filter(Boolean);
+  const text = parts.join(', ');
+  return pincode ? `${text} - ${pincode}` : text;
+};
@@ -1,5 +1,6 @@
 import batchService from '../services/batchService.js';
 import batchGroupStockService from '../services/batchGroupStockService.js';
+import wishlistAlertService from '../services/wishlistAlertService.js';
 import Product from '../models/Product.js';
 import Batch from '../models/Batch.js';
 import mongoose from 'mongoose';
@@ -23,6 +24,8 @@ export const updateProductStockFromBatches = async (productId, variantId = null)
       throw new Error('Product not found');
     }
     
+    const stockBefore = wishlistAlertService.snapshotStock(product);
+    
     if (variantId && product.hasVariants) {
       // Update variant stock
       const variant = product.variants.find(v => v.id === variantId);
@@ -38,6 +41,9 @@ export const updateProductStockFromBatches = async (productId, variantId = null)
       console.log(`[BATCH SYNC] Updated product ${product.name} stock to ${batchStock.totalAvailable}`);
     }
     
+    // Zero -> positive availability alerts customers who wishlisted the product
+    wishlistAlertService.checkBackInStock(stockBefore, product);
+    
     return batchStock;
   } catch (error) {
     console.error('[BATCH SYNC] Error updating product stock:', error);
@@ -79,7 +85,7 @@ export const syncAllProductStocks = async () => {
 };
 
 // Check if sufficient stock exists for an order item
-export const checkStockAvailability = async (productId, variantId, quantityNeeded) => {
+export const checkStockAvailability = async (productId, variantId, quantityNeeded, warehouseId = null) => {
   try {
     // Convert productId to ObjectId if it's a string
     const productObjectId = typeof productId === 'string' ? new mongoose.Types.ObjectId(productId) : productId;
@@ -87,7 +93,7 @@ export const checkStockAvailability = async (productId, variantId, quantityNeede
     console.log(`[STOCK CHECK] Checking availability for product ${productObjectId}, variant ${variantId}, quantity ${quantityNeeded}`);
     
     // Use batch group stock check instead of individual batch check
-    const result = await batchGroupStockService.checkBatchGroupStockAvailability(productObjectId, variantId, quantityNeeded);
+    const result = await batchGroupStockService.checkBatchGroupStockAvailability(productObjectId, variantId, quantityNeeded, warehouseId);
     
     console.log(`[STOCK CHECK] Final availability result:`, result);
     
@@ -0,0 +1,127 @@
+import cron from 'node-cron';
+import reservationService from '../services/reservationService.js';
+import priceService from '../services/priceService.js';
+import abandonedCartService from '../services/abandonedCartService.js';
+import paymentService from '../services/paymentService.js';
+import returnRefundService from '../services/returnRefundService.js';
+import subscriptionService from '../services/subscriptionService.js';
+
+// Schedule to run every minute to release checkout holds that were not converted to orders
+const scheduleReservationExpiry = () => {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await reservationService.expireReservations();
+      if (result.released > 0) {
+        console.log(`[COMMERCE SCHEDULER] Released ${result.released} expired stock reservations`);
+      }
+    } catch (error) {
+      console.error('[COMMERCE SCHEDULER] Error releasing expired reservations:', error);
+    }
+  });
+  
+  console.log('[COMMERCE SCHEDULER] Scheduled reservation expiry every minute');
+};
+
+// Schedule to run every minute to start scheduled prices and revert finished sales
+const schedulePriceUpdates = () => {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await priceService.processScheduledPrices();
+      if (result.started > 0 || result.ended > 0) {
+        console.log(`[COMMERCE SCHEDULER] Scheduled prices: ${result.started} started, ${result.ended} ended`);
+      }
+    } catch (error) {
+      console.error('[COMMERCE SCHEDULER] Error processing scheduled prices:', error);
+    }
+  });
+  
+  console.log('[COMMERCE SCHEDULER] Scheduled price updates every minute');
+};
+
+// Schedule to run every minute to reconcile and release online orders whose payment window closed
+const schedulePaymentExpiry = () => {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await paymentService.expireUnpaidOrders();
+      if (result.paid > 0 || result.released > 0) {
+        console.log(`[COMMERCE SCHEDULER] Unpaid online orders: ${result.paid} reconciled as paid, ${result.released} released`);
+      }
+    } catch (error) {
+      console.error('[COMMERCE SCHEDULER] Error expiring unpaid online orders:', error);
+    }
+  });
+  
+  console.log('[COMMERCE SCHEDULER] Scheduled online payment expiry every minute');
+};
+
+// Schedule to run every 10 minutes to settle return refunds whose gateway webhook has not arrived
+const scheduleRefundSync = () => {
+  cron.schedule('*/10 * * * *', async () => {
+    try {
+      const result = await returnRefundService.syncPendingRefunds();
+      if (result.processed > 0 || result.failed > 0) {
+        console.log(`[COMMERCE SCHEDULER] Return refunds: ${result.processed} processed, ${result.failed} failed`);
+      }
+    } catch (error) {
+      console.error('[COMMERCE SCHEDULER] Error syncing return refunds:', error);
+    }
+  });
+  
+  console.log('[COMMERCE SCHEDULER] Scheduled return refund sync every 10 minutes');
+};
+
+// Schedule to run every 15 minutes to start and advance abandoned-cart reminder sequences
+const scheduleAbandonedCartReminders = () => {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const result = await abandonedCartService.processAbandonedCarts();
+      if (result.started > 0 || result.advanced > 0 || result.lost > 0) {
+        console.log(`[COMMERCE SCHEDULER] Abandoned carts: ${result.started} started, ${result.advanced} reminded, ${result.lost} lost`);
+      }
+    } catch (error) {
+      console.error('[COMMERCE SCHEDULER] Error processing abandoned carts:', error);
+    }
+  });
+  
+  console.log('[COMMERCE SCHEDULER] Scheduled abandoned cart reminders every 15 minutes');
+};
+
+// Schedule to run every 15 minutes to place the orders of subscriptions that are due
+const scheduleSubscriptionOrders = () => {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const result = await subscriptionService.processDueSubscriptions();
+      if (result.ordered > 0 || result.failed > 0 || result.skipped > 0 || result.resumed > 0) {
+        console.log(`[COMMERCE SCHEDULER] Subscriptions: ${result.ordered} ordered, ${result.failed} failed, ${result.skipped} skipped, ${result.resumed} resumed`);
+      }
+    } catch (error) {
+      console.error('[COMMERCE SCHEDULER] Error processing subscriptions:', error);
+    }
+  });
+  
+  console.log('[COMMERCE SCHEDULER] Scheduled subscription orders every 15 minutes');
+};
+
+// Initialize storefront jobs (independent of the batch scheduler)
+export const initializeCommerceScheduler = () => {
+  console.log('[COMMERCE SCHEDULER] Initializing commerce scheduled jobs...');
+  
+  scheduleReservationExpiry();
+  schedulePriceUpdates();
+  scheduleAbandonedCartReminders();
+  schedulePaymentExpiry();
+  scheduleRefundSync();
+  scheduleSubscriptionOrders();
+  
+  console.log('[COMMERCE SCHEDULER] All commerce scheduled jobs initialized');
+};
+
+export default {
+  initializeCommerceScheduler,
+  scheduleReservationExpiry,
+  schedulePriceUpdates,
+  scheduleAbandonedCartReminders,
+  schedulePaymentExpiry,
+  scheduleRefundSync,
+  scheduleSubscriptionOrders
+};
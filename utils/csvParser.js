@@ -0,0 +1,104 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 helpers for admin exports and statement imports
+ */
+
+// Quote a value when it contains a delimiter, quote or line break
+export const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+/**
+ * Build a CSV document from rows of objects
+ * @param {Array<object>} rows - Data rows
+ * @param {Array<{key: string, header: string}>} columns - Column order and header labels
+ * @returns {string} - CSV text with a header line
+ */
+export const toCSV = (rows, columns) => {
+  const header = columns.map(col => escapeCSVValue(col.header)).join(',');
+  const lines = rows.map(row => columns.map(col => escapeCSVValue(row[col.key])).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Parse CSV text into rows of raw string values
+ * Handles quoted fields with embedded delimiters, quotes and line breaks, CRLF/LF
+ * line endings and a leading byte-order mark. Blank lines are skipped.
+ * @param {string} text - CSV document
+ * @param {object} options - { delimiter }
+ * @returns {Array<Array<string>>} - Rows, header row included
+ */
+export const parseCSV = (text, { delimiter = ',' } = {}) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @returns {object} - { headers, records } where each record carries its row number (header = 1) as _row
+ */
+export const parseCSVRecords = (text, options = {}) => {
+  const [headerRow, ...dataRows] = parseCSV(text, options);
+  if (!headerRow) return { headers: [], records: [] };
+
+  const headers = headerRow.map(h => h.trim());
+  const records = dataRows.map((values, index) => {
+    const record = { _row: index + 2 };
+    headers.forEach((header, col) => {
+      record[header] = (values[col] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+export default {
+  escapeCSVValue,
+  toCSV,
+  parseCSV,
+  parseCSVRecords
+};
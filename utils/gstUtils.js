@@ -0,0 +1,131 @@
+/**
+ * GST helpers: rate slabs, HSN validation, state codes and the CGST/SGST/IGST split
+ * Catalogue prices are GST-inclusive, so tax is always backed out of the amount paid.
+ */
+
+// Slabs in use (12% and 28% remain for older goods), plus 0.25%/3% for the special schedules
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+// HSN (goods) and SAC (services) codes are 4, 6 or 8 digits
+export const isValidHsn = (code) => /^(\d{4}|\d{6}|\d{8})$/.test(String(code || '').trim());
+
+export const GST_STATES = [
+  { code: '01', name: 'Jammu and Kashmir', aliases: ['j&k', 'jammu & kashmir'] },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand', aliases: ['uttaranchal'] },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi', aliases: ['new delhi', 'nct of delhi'] },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha', aliases: ['orissa'] },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu', aliases: ['daman and diu', 'dadra and nagar haveli'] },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry', aliases: ['pondicherry'] },
+  { code: '35', name: 'Andaman and Nicobar Islands', aliases: ['andaman & nicobar'] },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' }
+];
+
+const normalise = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Resolve a state from its GST code or name
+ * @returns {object|null} - { code, name }
+ */
+export const resolveState = (value) => {
+  const text = normalise(value);
+  if (!text) return null;
+
+  const state = GST_STATES.find(s =>
+    s.code === text.padStart(2, '0') ||
+    normalise(s.name) === text ||
+    (s.aliases || []).includes(text)
+  );
+  return state ? { code: state.code, name: state.name } : null;
+};
+
+/**
+ * Find the state named in a free-text address (the last mention wins, as addresses end with the state)
+ * @returns {object|null} - { code, name }
+ */
+export const findStateInAddress = (address) => {
+  const text = ` ${normalise(address).replace(/[^a-z&]+/g, ' ')} `;
+  let found = null;
+  let foundAt = -1;
+
+  for (const state of GST_STATES) {
+    for (const name of [state.name, ...(state.aliases || [])]) {
+      const at = text.lastIndexOf(` ${normalise(name).replace(/[^a-z&]+/g, ' ')} `);
+      if (at > foundAt) {
+        found = state;
+        foundAt = at;
+      }
+    }
+  }
+  return found ? { code: found.code, name: found.name } : null;
+};
+
+/**
+ * Indian financial year (April to March, IST) of a date
+ * @returns {object} - { label: '2026-27', short: '2627' }
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + 5.5 * 60 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  const endYear = (startYear + 1) % 100;
+  return {
+    label: `${startYear}-${String(endYear).padStart(2, '0')}`,
+    short: `${String(startYear % 100).padStart(2, '0')}${String(endYear).padStart(2, '0')}`
+  };
+};
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Back out GST from a tax-inclusive amount
+ * Intra-state supplies split the tax equally into CGST and SGST; inter-state supplies pay IGST.
+ * @returns {object} - { taxableValue, cgst, sgst, igst, totalTax }
+ */
+export const splitInclusiveTax = (inclusiveAmount, rate, interState) => {
+  const total = round2(inclusiveAmount);
+  const taxableValue = round2(total / (1 + rate / 100));
+  const totalTax = round2(total - taxableValue);
+
+  if (interState) {
+    return { taxableValue, cgst: 0, sgst: 0, igst: totalTax, totalTax };
+  }
+  const cgst = round2(totalTax / 2);
+  return { taxableValue, cgst, sgst: round2(totalTax - cgst), igst: 0, totalTax };
+};
+
+export default {
+  GST_RATES,
+  GST_STATES,
+  isValidHsn,
+  resolveState,
+  findStateInAddress,
+  getFinancialYear,
+  splitInclusiveTax
+};
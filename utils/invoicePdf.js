@@ -0,0 +1,172 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * Tax invoice / credit note PDF
+ * Renders an Invoice document snapshot on A4. The built-in Helvetica has no rupee
+ * glyph, so amounts are printed as "Rs.".
+ */
+
+const MARGIN = 40;
+const PAGE_BOTTOM = 800;
+
+const money = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+// Column layout; the tax columns depend on whether the supply is inter-state
+const getColumns = (interState) => {
+  const tax = interState
+    ? [{ key: 'igst', label: 'IGST', width: 55, align: 'right' }]
+    : [
+      { key: 'cgst', label: 'CGST', width: 45, align: 'right' },
+      { key: 'sgst', label: 'SGST', width: 45, align: 'right' }
+    ];
+
+  const columns = [
+    { key: 'index', label: '#', width: 18 },
+    { key: 'description', label: 'Description', width: interState ? 140 : 105 },
+    { key: 'hsnCode', label: 'HSN/SAC', width: 50 },
+    { key: 'quantity', label: 'Qty', width: 28, align: 'right' },
+    { key: 'unitPrice', label: 'Rate', width: 50, align: 'right', format: money },
+    { key: 'discount', label: 'Disc.', width: 42, align: 'right', format: money },
+    { key: 'taxableValue', label: 'Taxable', width: 55, align: 'right', format: money },
+    { key: 'gstRate', label: 'GST %', width: 32, align: 'right' },
+    ...tax.map(column => ({ ...column, format: money })),
+    { key: 'total', label: 'Total', width: 0, align: 'right', format: money }
+  ];
+
+  // Last column takes the remaining width
+  const used = columns.reduce((sum, column) => sum + column.width, 0);
+  columns[columns.length - 1].width = 595 - 2 * MARGIN - used;
+  return columns;
+};
+
+const drawRow = (doc, columns, values, y, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  let x = MARGIN;
+  let height = 0;
+  for (const column of columns) {
+    const raw = values[column.key];
+    const text = column.format && raw !== undefined && typeof raw !== 'string' ? column.format(raw) : String(raw ?? '');
+    const options = { width: column.width - 4, align: column.align || 'left' };
+    doc.text(text, x + 2, y, options);
+    height = Math.max(height, doc.heightOfString(text, options));
+    x += column.width;
+  }
+  return y + height + 6;
+};
+
+const drawParty = (doc, title, party, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(9).text(title, x, y, { width });
+  doc.font('Helvetica').fontSize(9);
+  const lines = [
+    party?.name,
+    party?.address,
+    party?.phone ? `Phone: ${party.phone}` : null,
+    party?.gstin ? `GSTIN: ${party.gstin}` : null,
+    party?.stateName ? `State: ${party.stateName} (${party.stateCode})` : null
+  ].filter(Boolean);
+  doc.text(lines.join('\n'), x, doc.y + 2, { width });
+  return doc.y;
+};
+
+/**
+ * Render an Invoice document (tax invoice or credit note)
+ * @param {object} invoice - Invoice model document
+ * @returns {Promise<Buffer>}
+ */
+export const renderTaxDocumentPdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const isCreditNote = invoice.documentType === 'credit_note';
+  const contentWidth = 595 - 2 * MARGIN;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(16)
+    .text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', MARGIN, MARGIN, { width: contentWidth, align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(9);
+  const meta = [
+    `${isCreditNote ? 'Credit Note' : 'Invoice'} No: ${invoice.number}`,
+    `Date: ${formatDate(invoice.issuedAt)}`,
+    `Order: #${invoice.orderId.toString().slice(-8).toUpperCase()}`,
+    isCreditNote ? `Against Invoice: ${invoice.originalInvoiceNumber}` : `Payment: ${invoice.paymentMethod || '-'}`,
+    `Place of Supply: ${invoice.placeOfSupply?.name || '-'} (${invoice.placeOfSupply?.code || '-'})`
+  ];
+  doc.text(meta.join('   |   '), MARGIN, doc.y, { width: contentWidth, align: 'center' });
+  if (isCreditNote && invoice.reason) {
+    doc.text(`Reason: ${invoice.reason}`, MARGIN, doc.y + 2, { width: contentWidth, align: 'center' });
+  }
+
+  // Parties
+  const partiesTop = doc.y + 14;
+  const half = contentWidth / 2 - 10;
+  const sellerBottom = drawParty(doc, 'Sold By', invoice.seller, MARGIN, partiesTop, half);
+  const buyerBottom = drawParty(doc, isCreditNote ? 'Issued To' : 'Billed / Shipped To', invoice.buyer, MARGIN + half + 20, partiesTop, half);
+
+  // Lines
+  const columns = getColumns(invoice.interState);
+  let y = Math.max(sellerBottom, buyerBottom) + 16;
+  doc.moveTo(MARGIN, y - 4).lineTo(MARGIN + contentWidth, y - 4).stroke();
+  y = drawRow(doc, columns, Object.fromEntries(columns.map(c => [c.key, c.label])), y, { bold: true });
+  doc.moveTo(MARGIN, y - 3).lineTo(MARGIN + contentWidth, y - 3).stroke();
+
+  invoice.lines.forEach((line, index) => {
+    if (y > PAGE_BOTTOM - 40) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    y = drawRow(doc, columns, { ...(line.toObject ? line.toObject() : line), index: index + 1 }, y);
+  });
+  doc.moveTo(MARGIN, y - 3).lineTo(MARGIN + contentWidth, y - 3).stroke();
+
+  // Totals
+  if (y > PAGE_BOTTOM - 140) {
+    doc.addPage();
+    y = MARGIN;
+  }
+  const totals = invoice.totals || {};
+  const rows = [
+    ['Taxable Value', totals.taxableValue],
+    ...(invoice.interState
+      ? [['IGST', totals.igst]]
+      : [['CGST', totals.cgst], ['SGST', totals.sgst]]),
+    ['Total Tax', totals.totalTax],
+    ...(totals.discount ? [['Discount included above', totals.discount]] : []),
+    ...(totals.roundOff ? [['Round Off', totals.roundOff]] : []),
+    [isCreditNote ? 'Credit Amount' : 'Invoice Total', totals.grandTotal]
+  ];
+  y += 6;
+  rows.forEach(([label, value], index) => {
+    const bold = index === rows.length - 1;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+    doc.text(label, MARGIN + contentWidth - 250, y, { width: 150, align: 'right' });
+    doc.text(`Rs. ${money(value)}`, MARGIN + contentWidth - 95, y, { width: 95, align: 'right' });
+    y += bold ? 16 : 13;
+  });
+
+  // Footer
+  doc.font('Helvetica').fontSize(8).text(
+    isCreditNote
+      ? 'This credit note reverses the value and GST of the returned goods on the original invoice.'
+      : 'Prices are inclusive of GST. This is a computer-generated invoice and does not require a signature.',
+    MARGIN,
+    Math.max(y + 20, doc.y + 20),
+    { width: contentWidth, align: 'center' }
+  );
+
+  doc.end();
+});
+
+export default {
+  renderTaxDocumentPdf
+};
@@ -0,0 +1,147 @@
+/**
+ * Order lifecycle definition
+ * One place for the order statuses, the delivery sub-statuses that drive them, who may
+ * move an order between them, and what runs when an order enters a status.
+ * The engine that applies it lives in services/orderLifecycleService.js.
+ */
+
+export const ACTORS = {
+  USER: 'user',
+  ADMIN: 'admin',
+  SUB_ADMIN: 'sub_admin',
+  DELIVERY_AGENT: 'delivery_agent',
+  SYSTEM: 'system'
+};
+
+const { USER, ADMIN, SUB_ADMIN, DELIVERY_AGENT, SYSTEM } = ACTORS;
+const STAFF = [ADMIN, SUB_ADMIN];
+
+export const ORDER_STATUSES = ['Pending', 'Shipped', 'Dispatched', 'Out for Delivery', 'Delivered', 'Failed', 'Cancelled'];
+
+// Order.delivery.status values (snake_case, as used by the delivery app)
+export const DELIVERY_STATUSES = ['pending', 'assigned', 'dispatched', 'out_for_delivery', 'delivered', 'failed', 'cancelled'];
+
+export const FINAL_STATUSES = ['Delivered', 'Cancelled'];
+
+/**
+ * Allowed order status changes
+ * requiresOtp: staff must enter the customer's delivery code (order.deliveryOtp)
+ */
+export const ORDER_TRANSITIONS = [
+  { from: 'Pending', to: 'Shipped', actors: STAFF },
+  { from: 'Pending', to: 'Dispatched', actors: [...STAFF, DELIVERY_AGENT] },
+  { from: 'Pending', to: 'Cancelled', actors: [USER, ...STAFF, SYSTEM] },
+  { from: 'Shipped', to: 'Dispatched', actors: [...STAFF, DELIVERY_AGENT] },
+  { from: 'Shipped', to: 'Out for Delivery', actors: [...STAFF, DELIVERY_AGENT] },
+  { from: 'Shipped', to: 'Delivered', actors: STAFF, requiresOtp: true },
+  { from: 'Shipped', to: 'Failed', actors: [...STAFF, DELIVERY_AGENT] },
+  { from: 'Shipped', to: 'Cancelled', actors: STAFF },
+  { from: 'Dispatched', to: 'Out for Delivery', actors: [...STAFF, DELIVERY_AGENT] },
+  { from: 'Dispatched', to: 'Delivered', actors: STAFF },
+  { from: 'Dispatched', to: 'Failed', actors: [...STAFF, DELIVERY_AGENT] },
+  { from: 'Dispatched', to: 'Cancelled', actors: STAFF },
+  { from: 'Out for Delivery', to: 'Delivered', actors: [...STAFF, DELIVERY_AGENT] },
+  { from: 'Out for Delivery', to: 'Failed', actors: [...STAFF, DELIVERY_AGENT] },
+  // A failed delivery is re-attempted or given up (goods come back to stock)
+  { from: 'Failed', to: 'Dispatched', actors: [...STAFF, DELIVERY_AGENT] },
+  { from: 'Failed', to: 'Out for Delivery', actors: [...STAFF, DELIVERY_AGENT] },
+  { from: 'Failed', to: 'Cancelled', actors: STAFF }
+];
+
+// Allowed delivery sub-status changes (agent assignment and the delivery app)
+export const DELIVERY_TRANSITIONS = {
+  pending: ['assigned', 'cancelled'],
+  assigned: ['assigned', 'dispatched', 'failed', 'cancelled'],
+  dispatched: ['out_for_delivery', 'failed', 'cancelled'],
+  out_for_delivery: ['delivered', 'failed'],
+  failed: ['assigned', 'dispatched', 'out_for_delivery', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Delivery sub-status an order status implies, and the reverse
+export const ORDER_TO_DELIVERY_STATUS = {
+  Dispatched: 'dispatched',
+  'Out for Delivery': 'out_for_delivery',
+  Delivered: 'delivered',
+  Failed: 'failed',
+  Cancelled: 'cancelled'
+};
+
+export const DELIVERY_TO_ORDER_STATUS = Object.fromEntries(
+  Object.entries(ORDER_TO_DELIVERY_STATUS).map(([orderStatus, deliveryStatus]) => [deliveryStatus, orderStatus])
+);
+
+/**
+ * Side effects run after an order enters a status (names of hooks in orderLifecycleService)
+ * consumeBatches: allocated batch stock becomes used; releaseStock: batches, combo stock,
+ * coupon usage and redeemed coins go back; notify: in-app, push and web push to the customer
+ */
+export const STATUS_HOOKS = {
+  Shipped: ['notify'],
+  Dispatched: ['notify'],
+  'Out for Delivery': ['notify'],
+  Delivered: ['consumeBatches', 'issueInvoice', 'rewards', 'notify'],
+  Failed: ['notify'],
+  Cancelled: ['releaseStock', 'refundPayment', 'notify']
+};
+
+const compact = (value) => String(value || '').toLowerCase().replace(/[\s_-]+/g, '');
+
+// 'out_for_delivery', 'OUT FOR DELIVERY' -> 'Out for Delivery'
+export const normalizeOrderStatus = (value) => {
+  return ORDER_STATUSES.find(status => compact(status) === compact(value)) || null;
+};
+
+// 'Out for Delivery', 'Delivered' -> 'out_for_delivery', 'delivered'
+export const normalizeDeliveryStatus = (value) => {
+  return DELIVERY_STATUSES.find(status => compact(status) === compact(value)) || null;
+};
+
+export const findTransition = (from, to) => {
+  return ORDER_TRANSITIONS.find(transition => transition.from === from && transition.to === to) || null;
+};
+
+/**
+ * Check a status change for an actor
+ * @returns {object} - { allowed, transition, reason }
+ */
+export const checkTransition = (from, to, actor) => {
+  const transition = findTransition(from, to);
+  if (!transition) {
+    return { allowed: false, transition: null, reason: `Order cannot move from ${from} to ${to}` };
+  }
+  if (!transition.actors.includes(actor)) {
+    return { allowed: false, transition, reason: `A ${actor.replace('_', ' ')} cannot move an order from ${from} to ${to}` };
+  }
+  return { allowed: true, transition, reason: null };
+};
+
+// Statuses an actor may move an order to next
+export const getNextStatuses = (from, actor) => {
+  return ORDER_TRANSITIONS
+    .filter(transition => transition.from === from && (!actor || transition.actors.includes(actor)))
+    .map(transition => transition.to);
+};
+
+export const canChangeDeliveryStatus = (from, to) => {
+  return (DELIVERY_TRANSITIONS[from] || []).includes(to);
+};
+
+export default {
+  ACTORS,
+  ORDER_STATUSES,
+  DELIVERY_STATUSES,
+  FINAL_STATUSES,
+  ORDER_TRANSITIONS,
+  DELIVERY_TRANSITIONS,
+  ORDER_TO_DELIVERY_STATUS,
+  DELIVERY_TO_ORDER_STATUS,
+  STATUS_HOOKS,
+  normalizeOrderStatus,
+  normalizeDeliveryStatus,
+  findTransition,
+  checkTransition,
+  getNextStatuses,
+  canChangeDeliveryStatus
+};